@@ -0,0 +1,265 @@
+// Storage for uploaded model files and their thumbnails
+// The servers put and read files by key (models/<id>.glb, with the mobile
+// variant and thumbnail next to it) and give clients url(key). Which driver
+// keeps them is picked by config.assets.driver:
+//   r2     - Cloudflare R2 or another S3-compatible bucket; clients download
+//            from the bucket's public URL
+//   local  - files under a directory, served by the server itself at /assets
+//   memory - in process, lost on restart; for tests and trying things out
+// local and memory come with an Express handler that answers range requests
+// and sets cache headers, so self-hosting needs no cloud account.
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+const ASSET_STORAGE_DRIVERS = ['r2', 'local', 'memory'];
+
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+class AssetNotFoundError extends Error {
+  constructor(key) {
+    super(`No asset stored at ${key}`);
+    this.name = 'AssetNotFoundError';
+    this.code = 'ASSET_NOT_FOUND';
+    this.key = key;
+  }
+}
+
+// Keys are relative paths made by the servers; refuse anything that could
+// leave the storage directory or mean the same file twice
+function checkKey(key) {
+  const segments = typeof key === 'string' ? key.split('/') : [];
+  if (segments.length === 0 || /[\\\0]/.test(key) ||
+      segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+    throw new Error(`Invalid asset key "${key}"`);
+  }
+  return segments;
+}
+
+class AssetStorage {
+  // publicUrl: where clients find the stored keys, without a trailing slash
+  constructor({ publicUrl }) {
+    this.publicUrl = publicUrl.replace(/\/+$/, '');
+  }
+
+  url(key) {
+    return `${this.publicUrl}/${checkKey(key).map(encodeURIComponent).join('/')}`;
+  }
+
+  // Origin clients download from, for the Content Security Policy
+  get origin() {
+    return new URL(this.publicUrl).origin;
+  }
+
+  // Express middleware serving the stored files, or null when clients
+  // download them from somewhere else
+  handler() {
+    return null;
+  }
+}
+
+class R2AssetStorage extends AssetStorage {
+  // config.r2; publicUrl may be a bare host name (assets.example.com).
+  // client: an AWS.S3 to use instead of one made from the credentials.
+  constructor({ bucket, publicUrl, endpoint, accessKey, secretKey, region = 'auto', client = null }) {
+    if (!publicUrl) {
+      throw new Error('R2_PUBLIC_URL is required to store assets in R2');
+    }
+    super({ publicUrl: /^https?:\/\//.test(publicUrl) ? publicUrl : `https://${publicUrl}` });
+    this.bucket = bucket;
+    // Loaded here so local and memory storage never need the SDK
+    const AWS = client ? null : require('aws-sdk');
+    this.client = client || new AWS.S3({
+      endpoint,
+      accessKeyId: accessKey,
+      secretAccessKey: secretKey,
+      region,
+      signatureVersion: 'v4'
+    });
+  }
+
+  async put(key, data, { contentType = DEFAULT_CONTENT_TYPE, metadata = {} } = {}) {
+    checkKey(key);
+    await this.client.upload({
+      Bucket: this.bucket,
+      Key: key,
+      Body: data,
+      ContentType: contentType,
+      Metadata: metadata
+    }).promise();
+  }
+
+  async get(key) {
+    checkKey(key);
+    try {
+      const file = await this.client.getObject({ Bucket: this.bucket, Key: key }).promise();
+      return file.Body;
+    } catch (error) {
+      if (error.code === 'NoSuchKey' || error.statusCode === 404) throw new AssetNotFoundError(key);
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    checkKey(key);
+    await this.client.deleteObject({ Bucket: this.bucket, Key: key }).promise();
+  }
+}
+
+class LocalAssetStorage extends AssetStorage {
+  // dir: where the files are written; maxAge: seconds clients may cache
+  // them (keys are never reused, so a stored file does not change)
+  constructor({ dir, publicUrl, maxAge }) {
+    super({ publicUrl });
+    this.dir = path.resolve(dir);
+    this.maxAge = maxAge;
+  }
+
+  filePath(key) {
+    return path.join(this.dir, ...checkKey(key));
+  }
+
+  // Written under a hidden name and renamed into place, so a file is never
+  // served half written. Metadata is not kept.
+  async put(key, data) {
+    const file = this.filePath(key);
+    const partial = path.join(path.dirname(file), `.${path.basename(file)}.${crypto.randomUUID()}`);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    try {
+      await fs.writeFile(partial, data);
+      await fs.rename(partial, file);
+    } catch (error) {
+      await fs.rm(partial, { force: true });
+      throw error;
+    }
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.filePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new AssetNotFoundError(key);
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.filePath(key), { force: true });
+  }
+
+  // express.static answers range and conditional requests itself; a range
+  // past the end is answered here rather than passed on as an error
+  handler() {
+    const serveStatic = express.static(this.dir, {
+      index: false,
+      dotfiles: 'ignore',
+      maxAge: this.maxAge * 1000,
+      immutable: true,
+      setHeaders: res => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+    });
+    return (req, res, next) => serveStatic(req, res, error => {
+      if (error && error.status === 416) {
+        return res.status(416).set(error.headers || {}).end();
+      }
+      return next(error);
+    });
+  }
+}
+
+class MemoryAssetStorage extends AssetStorage {
+  constructor({ publicUrl, maxAge }) {
+    super({ publicUrl });
+    this.maxAge = maxAge;
+    this.files = new Map(); // key -> { data, contentType, metadata, etag, storedAt }
+  }
+
+  async put(key, data, { contentType = DEFAULT_CONTENT_TYPE, metadata = {} } = {}) {
+    checkKey(key);
+    const copy = Buffer.from(data);
+    this.files.set(key, {
+      data: copy,
+      contentType,
+      metadata: { ...metadata },
+      etag: `"${crypto.createHash('md5').update(copy).digest('hex')}"`,
+      storedAt: new Date()
+    });
+  }
+
+  async get(key) {
+    checkKey(key);
+    const file = this.files.get(key);
+    if (!file) throw new AssetNotFoundError(key);
+    return file.data;
+  }
+
+  async delete(key) {
+    this.files.delete(key);
+  }
+
+  handler() {
+    return (req, res, next) => {
+      if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+      let key;
+      try {
+        key = decodeURIComponent(req.path.slice(1));
+      } catch (error) {
+        return next();
+      }
+      const file = this.files.get(key);
+      if (!file) return next();
+
+      res.set({
+        'Content-Type': file.contentType,
+        'Accept-Ranges': 'bytes',
+        'Cache-Control': `public, max-age=${this.maxAge}, immutable`,
+        'Cross-Origin-Resource-Policy': 'cross-origin',
+        'ETag': file.etag,
+        'Last-Modified': file.storedAt.toUTCString()
+      });
+      if (req.fresh) return res.status(304).end();
+
+      // One range is answered with 206; several or a malformed header get
+      // the whole file, as express.static does
+      let body = file.data;
+      const ranges = req.range(body.length, { combine: true });
+      if (ranges === -1) {
+        return res.status(416).set('Content-Range', `bytes */${body.length}`).end();
+      }
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        const { start, end } = ranges[0];
+        res.status(206).set('Content-Range', `bytes ${start}-${end}/${body.length}`);
+        body = body.subarray(start, end + 1);
+      }
+
+      res.set('Content-Length', String(body.length));
+      return req.method === 'HEAD' ? res.end() : res.end(body);
+    };
+  }
+}
+
+// Storage for config.assets, with config.r2 for the r2 driver
+function createAssetStorage({ driver, r2 = {}, localDir, publicUrl, maxAge }) {
+  switch (driver) {
+    case 'r2':
+      return new R2AssetStorage(r2);
+    case 'local':
+      return new LocalAssetStorage({ dir: localDir, publicUrl, maxAge });
+    case 'memory':
+      return new MemoryAssetStorage({ publicUrl, maxAge });
+    default:
+      throw new Error(`Unknown asset storage driver "${driver}" (use ${ASSET_STORAGE_DRIVERS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  ASSET_STORAGE_DRIVERS,
+  AssetNotFoundError,
+  AssetStorage,
+  R2AssetStorage,
+  LocalAssetStorage,
+  MemoryAssetStorage,
+  createAssetStorage
+};
@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_KEY_LENGTH = 64;
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,50}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Checked when no account matches a login, so that unknown usernames take as
+// long to refuse as wrong passwords
+const DUMMY_PASSWORD_HASH = `scrypt:${'00'.repeat(16)}:${'00'.repeat(SCRYPT_KEY_LENGTH)}`;
+
+// Error carrying the HTTP status the auth routes should answer with
+class AuthError extends Error {
+    constructor(message, status = 400, code = 'AUTH_ERROR') {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+class AuthService {
+    constructor(config = {}) {
+        // Token verification is stateless; only account operations need
+        // storage (a PersistenceLayer, whichever backend it runs on)
+        this.storage = config.storage || null;
+        this.jwtSecret = config.jwtSecret || process.env.JWT_SECRET;
+        if (!this.jwtSecret) {
+            throw new Error('AuthService requires a JWT secret (JWT_SECRET)');
+        }
+        this.tokenExpiry = config.tokenExpiry || '7d';
+        this.refreshTokenExpiry = config.refreshTokenExpiry || '30d';
+        this.providers = config.providers || ['local'];
+    }
+
+    // ==================== PASSWORDS ====================
+
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16);
+        const derived = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+        return `scrypt:${salt.toString('hex')}:${derived.toString('hex')}`;
+    }
+
+    async verifyPassword(password, stored) {
+        if (!stored || !stored.startsWith('scrypt:')) return false;
+
+        const [, saltHex, hashHex] = stored.split(':');
+        const expected = Buffer.from(hashHex, 'hex');
+        const derived = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+        return crypto.timingSafeEqual(derived, expected);
+    }
+
+    // ==================== TOKENS ====================
+
+    issueAccessToken(user) {
+        return jwt.sign(
+            {
+                type: 'access',
+                username: user.username,
+                displayName: user.display_name || user.username,
+                isAdmin: !!user.is_admin
+            },
+            this.jwtSecret,
+            { subject: user.id, expiresIn: this.tokenExpiry }
+        );
+    }
+
+    // Returns the account a valid access token belongs to, or throws AuthError
+    verifyAccessToken(token) {
+        let payload;
+        try {
+            payload = jwt.verify(token, this.jwtSecret);
+        } catch (error) {
+            const expired = error.name === 'TokenExpiredError';
+            throw new AuthError(
+                expired ? 'Token expired' : 'Invalid token',
+                401,
+                expired ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID'
+            );
+        }
+
+        if (payload.type !== 'access') {
+            throw new AuthError('Invalid token', 401, 'TOKEN_INVALID');
+        }
+
+        return {
+            id: payload.sub,
+            username: payload.username,
+            displayName: payload.displayName,
+            isAdmin: payload.isAdmin
+        };
+    }
+
+    async issueRefreshToken(userId, context = {}) {
+        const token = jwt.sign(
+            { type: 'refresh' },
+            this.jwtSecret,
+            { subject: userId, expiresIn: this.refreshTokenExpiry, jwtid: crypto.randomUUID() }
+        );
+        const { exp } = jwt.decode(token);
+
+        const stored = await this.requireStorage().saveRefreshToken({
+            userId,
+            tokenHash: this.hashToken(token),
+            expiresAt: new Date(exp * 1000),
+            userAgent: context.userAgent || null,
+            ipAddress: context.ipAddress || null
+        });
+
+        return { token, id: stored.id };
+    }
+
+    async issueTokens(user, context) {
+        const refresh = await this.issueRefreshToken(user.id, context);
+
+        return {
+            accessToken: this.issueAccessToken(user),
+            refreshToken: refresh.token,
+            tokenType: 'Bearer',
+            expiresIn: this.tokenExpiry,
+            user: this.toPublicUser(user)
+        };
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // ==================== ACCOUNTS ====================
+
+    async register({ username, password, email, displayName }, context) {
+        this.requireLocalProvider();
+
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw new AuthError('Username must be 3-50 letters, numbers, dots, dashes or underscores');
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        if (email !== undefined && email !== null && email !== '' &&
+            (typeof email !== 'string' || !EMAIL_PATTERN.test(email))) {
+            throw new AuthError('Invalid email address');
+        }
+
+        const passwordHash = await this.hashPassword(password);
+
+        // No row back means the username or email is taken
+        const user = await this.requireStorage().createAccount({
+            username,
+            displayName: displayName || username,
+            email: email || null,
+            passwordHash,
+            authProvider: 'local'
+        });
+        if (!user) {
+            throw new AuthError('Username or email already registered', 409, 'ACCOUNT_EXISTS');
+        }
+
+        return this.issueTokens(user, context);
+    }
+
+    async login({ username, password }, context) {
+        this.requireLocalProvider();
+
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            throw new AuthError('Username and password are required');
+        }
+
+        const storage = this.requireStorage();
+        const user = await storage.findLocalAccount(username);
+
+        // Never true for the dummy hash
+        const valid = await this.verifyPassword(password, (user && user.password_hash) || DUMMY_PASSWORD_HASH);
+        if (!valid) {
+            throw new AuthError('Invalid username or password', 401, 'INVALID_CREDENTIALS');
+        }
+        if (!user.is_active) {
+            throw new AuthError('Account disabled', 403, 'ACCOUNT_DISABLED');
+        }
+
+        await storage.markAccountSeen(user.id);
+
+        return this.issueTokens(user, context);
+    }
+
+    // Rotate a refresh token: the presented token is revoked and replaced.
+    // Presenting an already revoked token revokes every token of that user,
+    // since it means the token was copied.
+    async refresh(refreshToken, context) {
+        let payload;
+        try {
+            payload = jwt.verify(refreshToken, this.jwtSecret);
+        } catch (error) {
+            throw new AuthError('Invalid refresh token', 401, 'TOKEN_INVALID');
+        }
+        if (payload.type !== 'refresh') {
+            throw new AuthError('Invalid refresh token', 401, 'TOKEN_INVALID');
+        }
+
+        const storage = this.requireStorage();
+        const row = await storage.getRefreshToken(this.hashToken(refreshToken));
+
+        if (!row) {
+            throw new AuthError('Invalid refresh token', 401, 'TOKEN_INVALID');
+        }
+        if (row.revoked_at) {
+            await this.revokeAllTokens(payload.sub);
+            throw new AuthError('Refresh token reused', 401, 'TOKEN_REUSED');
+        }
+        if (!row.is_active) {
+            throw new AuthError('Account disabled', 403, 'ACCOUNT_DISABLED');
+        }
+
+        const next = await this.issueRefreshToken(row.id, context);
+        await storage.rotateRefreshToken(row.token_id, next.id);
+
+        return {
+            accessToken: this.issueAccessToken(row),
+            refreshToken: next.token,
+            tokenType: 'Bearer',
+            expiresIn: this.tokenExpiry,
+            user: this.toPublicUser(row)
+        };
+    }
+
+    async logout(refreshToken) {
+        if (!refreshToken) return;
+
+        await this.requireStorage().revokeRefreshToken(this.hashToken(refreshToken));
+    }
+
+    async revokeAllTokens(userId) {
+        await this.requireStorage().revokeUserRefreshTokens(userId);
+    }
+
+    async getUser(userId) {
+        const user = await this.requireStorage().getAccount(userId);
+
+        return user ? this.toPublicUser(user) : null;
+    }
+
+    // ==================== HELPERS ====================
+
+    toPublicUser(user) {
+        return {
+            id: user.id,
+            username: user.username,
+            displayName: user.display_name || user.username,
+            email: user.email || null,
+            avatarUrl: user.avatar_url || null,
+            isAdmin: !!user.is_admin
+        };
+    }
+
+    requireStorage() {
+        if (!this.storage) {
+            throw new AuthError('Accounts are unavailable without a database', 503, 'AUTH_UNAVAILABLE');
+        }
+        return this.storage;
+    }
+
+    requireLocalProvider() {
+        if (!this.providers.includes('local')) {
+            throw new AuthError('Local accounts are disabled', 403, 'PROVIDER_DISABLED');
+        }
+    }
+}
+
+module.exports = AuthService;
+module.exports.AuthError = AuthError;
@@ -0,0 +1,135 @@
+const express = require('express');
+const { AuthError } = require('./AuthService');
+
+// Pull the token out of an "Authorization: Bearer <token>" header
+function extractBearerToken(header) {
+    if (typeof header !== 'string') return null;
+    const [scheme, token] = header.split(' ');
+    return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+function sendAuthError(res, error) {
+    if (error instanceof AuthError) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Auth error:', error);
+    return res.status(500).json({ error: 'Authentication failed' });
+}
+
+// ==================== EXPRESS ====================
+
+// Requires a valid access token; sets req.user and req.userId
+function createAuthenticateUser(authService) {
+    return (req, res, next) => {
+        const token = extractBearerToken(req.headers['authorization']);
+        if (!token) {
+            return res.status(401).json({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+        }
+
+        try {
+            req.user = authService.verifyAccessToken(token);
+            req.userId = req.user.id;
+            next();
+        } catch (error) {
+            sendAuthError(res, error);
+        }
+    };
+}
+
+function requestContext(req) {
+    return {
+        userAgent: req.headers['user-agent'] || null,
+        ipAddress: req.ip || null
+    };
+}
+
+// POST /register, /login, /refresh, /logout and GET /me
+function createAuthRouter(authService) {
+    const router = express.Router();
+    const authenticateUser = createAuthenticateUser(authService);
+
+    router.post('/register', async (req, res) => {
+        try {
+            const tokens = await authService.register(req.body || {}, requestContext(req));
+            res.status(201).json(tokens);
+        } catch (error) {
+            sendAuthError(res, error);
+        }
+    });
+
+    router.post('/login', async (req, res) => {
+        try {
+            res.json(await authService.login(req.body || {}, requestContext(req)));
+        } catch (error) {
+            sendAuthError(res, error);
+        }
+    });
+
+    router.post('/refresh', async (req, res) => {
+        try {
+            const { refreshToken } = req.body || {};
+            res.json(await authService.refresh(refreshToken, requestContext(req)));
+        } catch (error) {
+            sendAuthError(res, error);
+        }
+    });
+
+    router.post('/logout', async (req, res) => {
+        try {
+            await authService.logout((req.body || {}).refreshToken);
+            res.json({ success: true });
+        } catch (error) {
+            sendAuthError(res, error);
+        }
+    });
+
+    router.get('/me', authenticateUser, async (req, res) => {
+        try {
+            const user = await authService.getUser(req.userId);
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            res.json(user);
+        } catch (error) {
+            // Without a database the token claims are all we know
+            if (error instanceof AuthError && error.code === 'AUTH_UNAVAILABLE') {
+                return res.json(req.user);
+            }
+            sendAuthError(res, error);
+        }
+    });
+
+    return router;
+}
+
+// ==================== SOCKET.IO ====================
+
+// io.use() middleware: a handshake without a token joins as a guest
+// (socket.user = null); a token that fails verification is refused so the
+// client can refresh it and reconnect.
+function createSocketAuthMiddleware(authService) {
+    return (socket, next) => {
+        const handshake = socket.handshake || {};
+        const token = (handshake.auth && handshake.auth.token) ||
+            extractBearerToken(handshake.headers && handshake.headers.authorization);
+
+        socket.user = null;
+        if (!token) return next();
+
+        try {
+            socket.user = authService.verifyAccessToken(token);
+            next();
+        } catch (error) {
+            const rejection = new Error(error.message);
+            rejection.data = { code: error.code || 'TOKEN_INVALID' };
+            next(rejection);
+        }
+    };
+}
+
+module.exports = {
+    extractBearerToken,
+    createAuthenticateUser,
+    createAuthRouter,
+    createSocketAuthMiddleware
+};
@@ -0,0 +1,64 @@
+// Object edit permissions, shared by both servers.
+//
+// Objects carry an ownerId (the account that created them), a locked flag
+// and an isPublic flag. Space moderators and admins may do anything; owners
+// may edit, delete and change the flags of their objects; public objects may
+// be moved by anyone; locked objects may only be touched by moderators until
+// the owner unlocks them. Objects without an owner (created by guests or
+// before ownership existed) stay editable by everyone unless locked.
+
+const OBJECT_ACTIONS = {
+    MOVE: 'move',
+    DELETE: 'delete',
+    MANAGE: 'manage' // change locked / isPublic
+};
+
+const PERMISSION_ERRORS = {
+    LOCKED: 'OBJECT_LOCKED',
+    NOT_OWNER: 'OBJECT_NOT_OWNER',
+    NOT_FOUND: 'OBJECT_NOT_FOUND',
+    AUTH_REQUIRED: 'OBJECT_AUTH_REQUIRED'
+};
+
+// actor: { accountId, isAdmin, isModerator }
+function checkObjectPermission(object, actor, action) {
+    if (!object) {
+        return { allowed: false, code: PERMISSION_ERRORS.NOT_FOUND, reason: 'Object not found' };
+    }
+
+    const accountId = actor && actor.accountId;
+    if (actor && (actor.isAdmin || actor.isModerator)) {
+        return { allowed: true };
+    }
+
+    const isOwner = !!accountId && object.ownerId === accountId;
+
+    if (action === OBJECT_ACTIONS.MANAGE) {
+        if (!accountId) {
+            return { allowed: false, code: PERMISSION_ERRORS.AUTH_REQUIRED, reason: 'Sign in to manage objects' };
+        }
+        return isOwner
+            ? { allowed: true }
+            : { allowed: false, code: PERMISSION_ERRORS.NOT_OWNER, reason: 'Only the owner can change this object' };
+    }
+
+    if (object.locked) {
+        return { allowed: false, code: PERMISSION_ERRORS.LOCKED, reason: 'Object is locked' };
+    }
+
+    if (isOwner || !object.ownerId) {
+        return { allowed: true };
+    }
+
+    if (object.isPublic && action === OBJECT_ACTIONS.MOVE) {
+        return { allowed: true };
+    }
+
+    return { allowed: false, code: PERMISSION_ERRORS.NOT_OWNER, reason: 'Object belongs to another user' };
+}
+
+module.exports = {
+    OBJECT_ACTIONS,
+    PERMISSION_ERRORS,
+    checkObjectPermission
+};
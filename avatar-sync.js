@@ -0,0 +1,174 @@
+// Avatar Movement Sync
+// Servers no longer rebroadcast every user-move. They keep the latest
+// position of each avatar and, on a fixed tick, send each user an
+// avatar-snapshot holding only what changed since the previous tick,
+// quantized to integers (interest-management.js picks the avatars).
+// Loaded by both servers (require) and the browser
+// (<script src="./avatar-sync.js">), so it must stay dependency-free.
+//
+// Snapshot: { tick, keyframe, users: [[userId, mask, ...values], ...] }
+// values are the fields whose bit is set in mask, in FIELDS order.
+// Keyframes carry every field of every avatar so late or lossy receivers
+// resynchronize.
+
+const TICK_RATE = 10; // snapshots per second
+const KEYFRAME_INTERVAL = 50; // ticks between full snapshots (5s)
+
+// Position in centimetres, rotation in milliradians
+const POSITION_SCALE = 100;
+const ROTATION_SCALE = 1000;
+
+const FIELDS = ['px', 'py', 'pz', 'rx', 'ry', 'rz'];
+const FULL_MASK = (1 << FIELDS.length) - 1;
+
+// ==================== QUANTIZATION ====================
+
+function quantizeTransform(position, rotation) {
+  const p = position || { x: 0, y: 0, z: 0 };
+  const r = rotation || { x: 0, y: 0, z: 0 };
+
+  return [
+    Math.round(p.x * POSITION_SCALE),
+    Math.round(p.y * POSITION_SCALE),
+    Math.round(p.z * POSITION_SCALE),
+    Math.round(r.x * ROTATION_SCALE),
+    Math.round(r.y * ROTATION_SCALE),
+    Math.round(r.z * ROTATION_SCALE)
+  ];
+}
+
+function dequantizeTransform(values) {
+  return {
+    position: {
+      x: values[0] / POSITION_SCALE,
+      y: values[1] / POSITION_SCALE,
+      z: values[2] / POSITION_SCALE
+    },
+    rotation: {
+      x: values[3] / ROTATION_SCALE,
+      y: values[4] / ROTATION_SCALE,
+      z: values[5] / ROTATION_SCALE
+    }
+  };
+}
+
+// ==================== ENCODER (server) ====================
+
+class AvatarSnapshotEncoder {
+  // source lets several encoders (e.g. one per viewer) share one map of
+  // latest transforms while tracking what each has sent separately
+  constructor({ keyframeInterval = KEYFRAME_INTERVAL, source = new Map() } = {}) {
+    this.keyframeInterval = keyframeInterval;
+    this.tick = 0;
+    this.latest = source; // userId -> quantized values
+    this.sent = new Map(); // userId -> values in the last snapshot
+    this.moved = []; // userIds that actually moved in the last snapshot
+  }
+
+  // Record an avatar's newest transform; only the latest per tick is sent
+  update(userId, position, rotation) {
+    this.latest.set(userId, quantizeTransform(position, rotation));
+  }
+
+  remove(userId) {
+    this.latest.delete(userId);
+    this.sent.delete(userId);
+  }
+
+  // Forget what was sent for an avatar without touching a shared source
+  forget(userId) {
+    this.sent.delete(userId);
+  }
+
+  // Build the next snapshot, or null when nothing moved (keyframes are
+  // skipped for empty spaces too). include(userId), if given, limits the
+  // snapshot to some avatars; the rest keep their delta state for later.
+  encode(include = null) {
+    this.tick++;
+    const keyframe = this.tick % this.keyframeInterval === 0;
+    const users = [];
+    this.moved = [];
+
+    for (const [userId, values] of this.latest) {
+      if (include && !include(userId)) continue;
+
+      const previous = this.sent.get(userId);
+      const moved = !previous || values.some((value, index) => previous[index] !== value);
+      let mask = 0;
+      const changed = [];
+
+      values.forEach((value, index) => {
+        if (keyframe || !previous || previous[index] !== value) {
+          mask |= 1 << index;
+          changed.push(value);
+        }
+      });
+
+      if (moved) this.moved.push(userId);
+      if (mask) {
+        users.push([userId, mask, ...changed]);
+        this.sent.set(userId, values);
+      }
+    }
+
+    return users.length > 0 ? { tick: this.tick, keyframe, users } : null;
+  }
+}
+
+// ==================== DECODER (client) ====================
+
+class AvatarSnapshotDecoder {
+  constructor() {
+    this.state = new Map(); // userId -> quantized values
+  }
+
+  // Seed an avatar from world-state / user-joined so deltas have a base
+  set(userId, position, rotation) {
+    this.state.set(userId, quantizeTransform(position, rotation));
+  }
+
+  remove(userId) {
+    this.state.delete(userId);
+  }
+
+  // Apply a snapshot; returns [{ userId, position, rotation }] for every
+  // avatar it moved. Partial entries for unknown avatars wait for a keyframe.
+  apply(snapshot) {
+    const moved = [];
+
+    for (const [userId, mask, ...changed] of snapshot.users) {
+      const base = this.state.get(userId);
+      if (!base && mask !== FULL_MASK) continue;
+
+      const values = base ? base.slice() : new Array(FIELDS.length).fill(0);
+      let next = 0;
+      for (let index = 0; index < FIELDS.length; index++) {
+        if (mask & (1 << index)) values[index] = changed[next++];
+      }
+
+      this.state.set(userId, values);
+      moved.push({ userId, ...dequantizeTransform(values) });
+    }
+
+    return moved;
+  }
+}
+
+const AvatarSync = {
+  TICK_RATE,
+  KEYFRAME_INTERVAL,
+  POSITION_SCALE,
+  ROTATION_SCALE,
+  FIELDS,
+  quantizeTransform,
+  dequantizeTransform,
+  AvatarSnapshotEncoder,
+  AvatarSnapshotDecoder
+};
+
+// Export for use in servers and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AvatarSync;
+} else if (typeof window !== 'undefined') {
+  window.AvatarSync = AvatarSync;
+}
@@ -12,7 +12,10 @@ const config = {
   
   // Database Configuration
   database: {
-    url: process.env.DATABASE_URL || 'postgresql://localhost:5432/3dworld',
+    driver: process.env.STORAGE_DRIVER || 'postgres', // postgres, sqlite or memory
+    sqlitePath: process.env.SQLITE_PATH || './data/world.sqlite',
+    // Required for postgres; credentials only ever come from the environment
+    url: process.env.DATABASE_URL,
     poolSize: parseInt(process.env.DATABASE_POOL_SIZE) || 20,
     ssl: process.env.DATABASE_SSL !== 'false',
     options: {
@@ -24,6 +27,11 @@ const config = {
   
   // Redis Cache Configuration
   redis: {
+    // redis, or memory for a single instance without Redis
+    driver: process.env.CACHE_DRIVER || 'redis',
+    // Cache in process while Redis cannot be reached
+    fallback: process.env.CACHE_FALLBACK !== 'false',
+    localMaxKeys: parseInt(process.env.CACHE_LOCAL_MAX_KEYS) || 10000,
     host: process.env.REDIS_HOST || 'localhost',
     port: parseInt(process.env.REDIS_PORT) || 6379,
     password: process.env.REDIS_PASSWORD,
@@ -36,22 +44,35 @@ const config = {
       }) : []
   },
   
-  // Cloudflare R2 Storage
+  // Cloudflare R2 Storage (or any S3-compatible bucket through R2_ENDPOINT)
   r2: {
     accountId: process.env.R2_ACCOUNT_ID,
     accessKey: process.env.R2_ACCESS_KEY,
     secretKey: process.env.R2_SECRET_KEY,
     bucket: process.env.R2_BUCKET || '3d-world-models',
-    publicUrl: process.env.R2_PUBLIC_URL || 'assets.3dworld.com',
+    publicUrl: process.env.R2_PUBLIC_URL,
+    region: process.env.R2_REGION || 'auto',
     endpoint: process.env.R2_ENDPOINT || 
       `https://${process.env.R2_ACCOUNT_ID}.r2.cloudflarestorage.com`
   },
   
+  // Uploaded model files and thumbnails (asset-storage.js)
+  assets: {
+    // r2, local or memory; R2 once it is configured, local disk otherwise
+    driver: process.env.ASSET_STORAGE_DRIVER || (process.env.R2_ACCOUNT_ID ? 'r2' : 'local'),
+    localDir: process.env.ASSET_LOCAL_DIR || './data/assets',
+    // Where clients reach the server's /assets route (local and memory)
+    publicUrl: process.env.ASSET_PUBLIC_URL ||
+      `http://localhost:${parseInt(process.env.PORT) || 3001}/assets`,
+    maxAge: parseInt(process.env.ASSET_CACHE_MAX_AGE) || 31536000 // seconds
+  },
+  
   // Feature Flags
   features: {
     persistence: process.env.PERSISTENCE_ENABLED !== 'false',
     cache: process.env.CACHE_ENABLED !== 'false',
     batchProcessing: process.env.BATCH_PROCESSING_ENABLED !== 'false',
+    cluster: process.env.CLUSTER_ENABLED !== 'false',
     analytics: process.env.ANALYTICS_ENABLED !== 'false',
     backup: process.env.BACKUP_ENABLED !== 'false',
     debug: process.env.DEBUG === 'true',
@@ -64,7 +85,10 @@ const config = {
     flushInterval: parseInt(process.env.BATCH_FLUSH_INTERVAL) || 100,
     maxQueueSize: parseInt(process.env.BATCH_MAX_QUEUE_SIZE) || 10000,
     retryAttempts: parseInt(process.env.BATCH_RETRY_ATTEMPTS) || 3,
-    retryDelay: parseInt(process.env.BATCH_RETRY_DELAY) || 1000
+    retryDelay: parseInt(process.env.BATCH_RETRY_DELAY) || 1000,
+    // Where batches that keep failing are kept: redis or file
+    deadLetterStore: process.env.BATCH_DEAD_LETTER_STORE || 'redis',
+    deadLetterPath: process.env.BATCH_DEAD_LETTER_PATH || './data/dead-letters.jsonl'
   },
   
   // Rate Limiting
@@ -77,10 +101,12 @@ const config = {
   
   // Authentication
   auth: {
-    jwtSecret: process.env.JWT_SECRET || 'change-this-secret',
+    // No default: a known secret would let anyone sign tokens
+    jwtSecret: process.env.JWT_SECRET,
     sessionSecret: process.env.SESSION_SECRET || 'change-this-secret',
     providers: (process.env.AUTH_PROVIDERS || 'local').split(','),
-    tokenExpiry: process.env.TOKEN_EXPIRY || '7d'
+    tokenExpiry: process.env.TOKEN_EXPIRY || '7d',
+    refreshTokenExpiry: process.env.REFRESH_TOKEN_EXPIRY || '30d'
   },
   
   // Monitoring
@@ -117,11 +143,60 @@ const config = {
     maxModelsPerUser: parseInt(process.env.MAX_MODELS_PER_USER) || 100
   },
   
+  // What an uploaded GLB may contain (glb-validation.js)
+  models: {
+    maxMeshes: parseInt(process.env.MODEL_MAX_MESHES) || 100,
+    maxPrimitives: parseInt(process.env.MODEL_MAX_PRIMITIVES) || 1000,
+    maxVertices: parseInt(process.env.MODEL_MAX_VERTICES) || 500000,
+    maxTriangles: parseInt(process.env.MODEL_MAX_TRIANGLES) || 1000000,
+    maxTextures: parseInt(process.env.MODEL_MAX_TEXTURES) || 64,
+    maxTextureSize: parseInt(process.env.MODEL_MAX_TEXTURE_SIZE) || 4096
+  },
+  
+  // Desktop and mobile variants made from each upload (glb-optimizer.js)
+  modelOptimization: {
+    enabled: process.env.MODEL_OPTIMIZE !== 'false',
+    compression: process.env.MODEL_COMPRESSION || 'draco', // draco, meshopt or none
+    timeout: parseInt(process.env.MODEL_OPTIMIZE_TIMEOUT) || 120000,
+    variants: {
+      desktop: {
+        textureSize: parseInt(process.env.MODEL_DESKTOP_TEXTURE_SIZE) || 4096,
+        textureFormat: process.env.MODEL_DESKTOP_TEXTURE_FORMAT || 'webp'
+      },
+      mobile: {
+        simplifyRatio: parseFloat(process.env.MODEL_MOBILE_SIMPLIFY_RATIO) || 0.5,
+        textureSize: parseInt(process.env.MODEL_MOBILE_TEXTURE_SIZE) || 1024,
+        textureFormat: process.env.MODEL_MOBILE_TEXTURE_FORMAT || 'jpeg'
+      }
+    }
+  },
+  
+  // Thumbnails rendered from each upload (glb-thumbnail.js)
+  thumbnails: {
+    enabled: process.env.MODEL_THUMBNAILS !== 'false',
+    size: parseInt(process.env.MODEL_THUMBNAIL_SIZE) || 256,
+    timeout: parseInt(process.env.MODEL_THUMBNAIL_TIMEOUT) || 30000
+  },
+  
+  // Background processing of uploaded models (upload-jobs.js)
+  uploadJobs: {
+    concurrency: parseInt(process.env.UPLOAD_JOB_CONCURRENCY) || 1,
+    maxQueued: parseInt(process.env.UPLOAD_JOB_MAX_QUEUED) || 20
+  },
+  
   // Cleanup Settings
   cleanup: {
     oldSessionsHours: parseInt(process.env.CLEANUP_OLD_SESSIONS_HOURS) || 24,
     oldMessagesdays: parseInt(process.env.CLEANUP_OLD_MESSAGES_DAYS) || 7,
     oldEventsDays: parseInt(process.env.CLEANUP_OLD_EVENTS_DAYS) || 30
+  },
+  
+  // Graceful shutdown (ms); keep the process manager's kill timeout above
+  // SHUTDOWN_TIMEOUT
+  shutdown: {
+    timeout: parseInt(process.env.SHUTDOWN_TIMEOUT) || 30000,
+    drainTimeout: parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT) || 10000,
+    reconnectIn: parseInt(process.env.SHUTDOWN_RECONNECT_IN) || 5000
   }
 };
 
@@ -129,11 +204,11 @@ const config = {
 function validateConfig() {
   const errors = [];
   
-  if (config.features.persistence && !config.database.url) {
+  if (config.features.persistence && config.database.driver === 'postgres' && !config.database.url) {
     errors.push('DATABASE_URL is required when persistence is enabled');
   }
   
-  if (config.features.cache && !config.redis.host) {
+  if (config.features.cache && config.redis.driver === 'redis' && !config.redis.host) {
     errors.push('Redis configuration is required when cache is enabled');
   }
   
@@ -141,14 +216,20 @@ function validateConfig() {
     errors.push('R2 access credentials are required');
   }
   
-  if (config.server.isProduction && config.auth.jwtSecret === 'change-this-secret') {
-    errors.push('JWT_SECRET must be changed in production');
+  if (config.assets.driver === 'r2' && !config.r2.publicUrl) {
+    errors.push('R2_PUBLIC_URL is required to store assets in R2');
+  }
+  
+  // Required everywhere but in tests, which give AuthService their own
+  const missingJwtSecret = !config.auth.jwtSecret && config.server.env !== 'test';
+  if (missingJwtSecret) {
+    errors.push('JWT_SECRET is required');
   }
   
   if (errors.length > 0) {
     console.error('❌ Configuration errors:');
     errors.forEach(error => console.error(`  - ${error}`));
-    if (config.server.isProduction) {
+    if (config.server.isProduction || missingJwtSecret) {
       process.exit(1);
     }
   }
@@ -164,8 +245,9 @@ function logConfig() {
     });
     console.log('  Features:', config.features);
     console.log('  Database:', config.database.url ? '✅ Configured' : '❌ Not configured');
-    console.log('  Redis:', config.redis.host ? '✅ Configured' : '❌ Not configured');
+    console.log('  Redis:', config.redis.driver === 'memory' ? 'In process' : config.redis.host ? '✅ Configured' : '❌ Not configured');
     console.log('  R2:', config.r2.accountId ? '✅ Configured' : '❌ Not configured');
+    console.log('  Assets:', config.assets.driver === 'local' ? `Local (${config.assets.localDir})` : config.assets.driver);
   }
 }
 
@@ -163,7 +163,7 @@ if [ -f "migrations/001_initial_schema.sql" ]; then
     # Check if we can run migrations
     if [ ! -z "$DATABASE_URL" ]; then
         echo "  Running migrations..."
-        npm run migrate:up 2>/dev/null && echo -e "${GREEN}  ✓ Migrations completed${NC}" || echo -e "${YELLOW}  ⚠ Migrations may have already been applied${NC}"
+        npm run migrate:up && echo -e "${GREEN}  ✓ Migrations completed${NC}" || echo -e "${YELLOW}  ⚠ Migrations failed, check npm run migrate:status${NC}"
     else
         echo -e "${YELLOW}  ⚠ DATABASE_URL not configured, skipping migrations${NC}"
     fi
@@ -6,9 +6,10 @@ module.exports = {
     name: '3d-world',
     script: './signaling-server-persistent.js',
     
-    // Process management
-    instances: 1,
-    exec_mode: 'fork',
+    // Process management: one instance per CPU sharing rooms and world
+    // state through Redis (CLUSTER_ENABLED, needs persistence and cache)
+    instances: process.env.INSTANCES || 'max',
+    exec_mode: 'cluster',
     autorestart: true,
     watch: false,
     max_memory_restart: '1G',
@@ -26,8 +27,9 @@ module.exports = {
     combine_logs: true,
     merge_logs: true,
     
-    // Graceful shutdown
-    kill_timeout: 5000,
+    // Graceful shutdown: above SHUTDOWN_TIMEOUT (30s) so queued writes are
+    // saved before PM2 kills the process
+    kill_timeout: 35000,
     listen_timeout: 5000,
     
     // Monitoring
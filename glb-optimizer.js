@@ -0,0 +1,204 @@
+// GLB optimization for model uploads
+// Turns an accepted upload into a desktop and a mobile variant by running
+// the glTF command line tools over it, the way glb-processor.js does for
+// the bundled room models: gltf-transform deduplicates, simplifies and
+// resizes/re-encodes textures, and compression is Draco (gltf-pipeline) or
+// meshopt (gltf-transform). A step whose tool is missing or fails is skipped
+// and reported, so an upload is never refused because it could not be made
+// smaller; at worst both variants are the uploaded file.
+//
+// Install the tools with `npm run install-glb-tools`.
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { validateGLB } = require('./glb-validation');
+
+const execFileAsync = promisify(execFile);
+
+const TOOLS = {
+  transform: 'gltf-transform',
+  pipeline: 'gltf-pipeline'
+};
+
+const COMPRESSIONS = ['draco', 'meshopt', 'none'];
+const TEXTURE_FORMATS = ['webp', 'jpeg', 'png', 'none'];
+
+// Overridden per deployment through config.modelOptimization
+const DEFAULT_OPTIMIZER_OPTIONS = {
+  enabled: true,
+  compression: 'draco',
+  timeout: 120000, // ms per step
+  variants: {
+    desktop: { simplifyRatio: null, textureSize: 4096, textureFormat: 'webp' },
+    // JPEG matches the mobile textures of glb-processor.js; it drops alpha
+    mobile: { simplifyRatio: 0.5, textureSize: 1024, textureFormat: 'jpeg' }
+  }
+};
+
+// How far optimization got, as stored in uploaded_models.processing_status
+const PROCESSING_STATUS = {
+  OPTIMIZED: 'optimized',  // every step of every variant ran
+  PARTIAL: 'partial',      // some steps were skipped
+  ORIGINAL: 'original'     // nothing ran; the variants are the upload
+};
+
+class GLBOptimizer {
+  constructor(options = {}) {
+    const { variants, ...rest } = options;
+    this.options = { ...DEFAULT_OPTIMIZER_OPTIONS, ...rest };
+    this.variants = {};
+    for (const [name, defaults] of Object.entries(DEFAULT_OPTIMIZER_OPTIONS.variants)) {
+      this.variants[name] = { ...defaults, ...(variants && variants[name]) };
+    }
+    this.limits = options.limits || {};
+    this.available = null; // tool -> installed, checked on first use
+
+    if (!COMPRESSIONS.includes(this.options.compression)) {
+      throw new Error(`Unknown model compression "${this.options.compression}" (use ${COMPRESSIONS.join(', ')})`);
+    }
+    for (const [name, variant] of Object.entries(this.variants)) {
+      if (!TEXTURE_FORMATS.includes(variant.textureFormat)) {
+        throw new Error(`Unknown ${name} texture format "${variant.textureFormat}" (use ${TEXTURE_FORMATS.join(', ')})`);
+      }
+    }
+  }
+
+  // Which of the tools are installed; a missing tool only skips its steps
+  async checkDependencies() {
+    if (!this.available) {
+      this.available = {};
+      for (const [tool, command] of Object.entries(TOOLS)) {
+        try {
+          await this.run(command, ['--version']);
+          this.available[tool] = true;
+        } catch (error) {
+          this.available[tool] = false;
+          console.warn(`⚠️ ${command} is not installed; run npm run install-glb-tools to optimize uploaded models`);
+        }
+      }
+    }
+    return this.available;
+  }
+
+  run(command, args) {
+    return execFileAsync(command, args, { timeout: this.options.timeout, maxBuffer: 10 * 1024 * 1024 });
+  }
+
+  // Steps of one variant, in order: [name, tool, args(input, output)]
+  steps(variant) {
+    const steps = [['dedup', 'transform', (input, output) => ['dedup', input, output]]];
+
+    if (variant.simplifyRatio) {
+      steps.push(['weld', 'transform', (input, output) => ['weld', input, output]]);
+      steps.push(['simplify', 'transform', (input, output) => [
+        'simplify', input, output, '--ratio', String(variant.simplifyRatio), '--error', '0.001'
+      ]]);
+    }
+    if (variant.textureSize) {
+      const size = String(variant.textureSize);
+      steps.push(['resize', 'transform', (input, output) => ['resize', input, output, '--width', size, '--height', size]]);
+    }
+    if (variant.textureFormat !== 'none') {
+      steps.push([variant.textureFormat, 'transform', (input, output) => [variant.textureFormat, input, output]]);
+    }
+
+    // Compression last; the other steps would have to decode it again
+    if (this.options.compression === 'draco') {
+      steps.push(['draco', 'pipeline', (input, output) => ['-i', input, '-o', output, '-d']]);
+    } else if (this.options.compression === 'meshopt') {
+      steps.push(['meshopt', 'transform', (input, output) => ['meshopt', input, output]]);
+    }
+    return steps;
+  }
+
+  // Optimize a validated GLB into each variant:
+  // { status, variants: { name: { buffer, steps } }, skipped: [{ variant, step, reason }] }
+  // A variant that comes out invalid is replaced by the upload.
+  // onProgress(fraction) is called as the steps of all variants are done.
+  async optimize(buffer, onProgress = () => {}) {
+    const result = { status: PROCESSING_STATUS.ORIGINAL, variants: {}, skipped: [] };
+
+    if (!this.options.enabled) {
+      for (const name of Object.keys(this.variants)) {
+        result.variants[name] = { buffer, steps: [] };
+      }
+      return result;
+    }
+
+    const available = await this.checkDependencies();
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'glb-optimize-'));
+    let ran = 0;
+    let done = 0;
+    const total = Object.values(this.variants).reduce((sum, variant) => sum + this.steps(variant).length, 0);
+
+    try {
+      const original = path.join(dir, 'original.glb');
+      await fs.writeFile(original, buffer);
+
+      for (const [name, variant] of Object.entries(this.variants)) {
+        let current = original;
+        const applied = [];
+
+        for (const [step, tool, args] of this.steps(variant)) {
+          if (!available[tool]) {
+            result.skipped.push({ variant: name, step, reason: `${TOOLS[tool]} is not installed` });
+            onProgress(++done / total);
+            continue;
+          }
+
+          const output = path.join(dir, `${name}-${applied.length}-${step}.glb`);
+          try {
+            await this.run(TOOLS[tool], args(current, output));
+            current = output;
+            applied.push(step);
+          } catch (error) {
+            const reason = firstLine(error);
+            console.warn(`⚠️ ${step} failed for the ${name} variant, skipping it: ${reason}`);
+            result.skipped.push({ variant: name, step, reason });
+          }
+          onProgress(++done / total);
+        }
+
+        let data = current === original ? buffer : await fs.readFile(current);
+        const report = validateGLB(data, this.limits);
+        if (!report.valid) {
+          result.skipped.push({ variant: name, step: 'validate', reason: report.errors[0].message });
+          data = buffer;
+          applied.length = 0;
+        }
+
+        result.variants[name] = { buffer: data, steps: applied };
+        ran += applied.length;
+      }
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+
+    if (ran > 0) {
+      result.status = result.skipped.length > 0 ? PROCESSING_STATUS.PARTIAL : PROCESSING_STATUS.OPTIMIZED;
+    }
+    return result;
+  }
+}
+
+// Where a variant is stored, next to the desktop one at `key`:
+// models/abc.glb -> models/abc.mobile.glb
+function variantKey(key, name) {
+  return name === 'desktop' ? key : key.replace(/(\.glb)?$/i, `.${name}.glb`);
+}
+
+// First line of a failed command's output, for the report
+function firstLine(error) {
+  const output = (error.stderr || '').toString().trim() || error.message;
+  return output.split('\n')[0].slice(0, 200);
+}
+
+module.exports = {
+  GLBOptimizer,
+  PROCESSING_STATUS,
+  DEFAULT_OPTIMIZER_OPTIONS,
+  variantKey
+};
@@ -0,0 +1,527 @@
+// Thumbnails of uploaded models
+// Draws a GLB into a small PNG on the CPU, so the server needs neither a GPU
+// nor a browser: the triangles of every mesh in the scene are flat-shaded in
+// their material's base color from a three-quarter view, with a depth buffer
+// and 2x supersampling. Textures are not decoded. Geometry that cannot be
+// read (Draco or meshopt compressed) is drawn as the boxes its POSITION
+// min/max describe. GLBThumbnailer renders in a worker thread so a big model
+// does not hold up the event loop.
+
+const zlib = require('zlib');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { parseContainer, decodeDataUri } = require('./glb-validation');
+
+// Overridden per deployment through config.thumbnails
+const DEFAULT_THUMBNAIL_OPTIONS = {
+  enabled: true,
+  size: 256,      // px, square
+  timeout: 30000  // ms per model
+};
+
+// How the thumbnail was drawn
+const THUMBNAIL_METHODS = {
+  GEOMETRY: 'geometry', // from the triangles
+  BOUNDS: 'bounds'      // some or all meshes as their bounding boxes
+};
+
+const SUPERSAMPLE = 2;
+const MARGIN = 0.08; // of the image on each side
+
+// Three-quarter view from the front right, above; light from the upper left
+const VIEW_YAW = Math.PI / 5;
+const VIEW_PITCH = Math.PI / 7;
+const AMBIENT = 0.35;
+
+const COMPONENT_READERS = {
+  5120: ['readInt8', 1],
+  5121: ['readUInt8', 1],
+  5122: ['readInt16LE', 2],
+  5123: ['readUInt16LE', 2],
+  5125: ['readUInt32LE', 4],
+  5126: ['readFloatLE', 4]
+};
+const NORMALIZED = {
+  5120: value => Math.max(value / 127, -1),
+  5121: value => value / 255,
+  5122: value => Math.max(value / 32767, -1),
+  5123: value => value / 65535
+};
+const TYPE_COMPONENTS = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 };
+
+const MODE_TRIANGLES = 4;
+const MODE_TRIANGLE_STRIP = 5;
+const MODE_TRIANGLE_FAN = 6;
+
+// 12 triangles of a unit box, corners indexed by bits (x, y, z)
+const BOX_TRIANGLES = [
+  0, 2, 1, 1, 2, 3, 4, 5, 6, 5, 7, 6,
+  0, 1, 4, 1, 5, 4, 2, 6, 3, 3, 6, 7,
+  0, 4, 2, 2, 4, 6, 1, 3, 5, 3, 7, 5
+];
+
+// ==================== MATRICES ====================
+
+// Column-major 4x4, as in glTF
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+function multiply(a, b) {
+  const out = new Array(16);
+  for (let column = 0; column < 4; column++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[column * 4 + k];
+      out[column * 4 + row] = sum;
+    }
+  }
+  return out;
+}
+
+// Local matrix of a node: `matrix` or translation, rotation, scale
+function nodeMatrix(node) {
+  if (Array.isArray(node.matrix) && node.matrix.length === 16) return node.matrix;
+
+  const [tx, ty, tz] = node.translation || [0, 0, 0];
+  const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+  const [sx, sy, sz] = node.scale || [1, 1, 1];
+  return [
+    (1 - 2 * (y * y + z * z)) * sx, 2 * (x * y + z * w) * sx, 2 * (x * z - y * w) * sx, 0,
+    2 * (x * y - z * w) * sy, (1 - 2 * (x * x + z * z)) * sy, 2 * (y * z + x * w) * sy, 0,
+    2 * (x * z + y * w) * sz, 2 * (y * z - x * w) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+    tx, ty, tz, 1
+  ];
+}
+
+// Positions (x, y, z, x, y, z, ...) moved by `matrix`
+function transformPositions(matrix, positions) {
+  const out = new Float32Array(positions.length);
+  for (let i = 0; i < positions.length; i += 3) {
+    const x = positions[i];
+    const y = positions[i + 1];
+    const z = positions[i + 2];
+    out[i] = matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12];
+    out[i + 1] = matrix[1] * x + matrix[5] * y + matrix[9] * z + matrix[13];
+    out[i + 2] = matrix[2] * x + matrix[6] * y + matrix[10] * z + matrix[14];
+  }
+  return out;
+}
+
+// ==================== GEOMETRY ====================
+
+// Bytes of each buffer (the BIN chunk or a data: URI); null when there are
+// none to read, as for meshopt fallback buffers
+function readBuffers(json, bin) {
+  return (json.buffers || []).map((buffer, index) => {
+    if (buffer.uri === undefined) return index === 0 ? bin : null;
+    const decoded = typeof buffer.uri === 'string' ? decodeDataUri(buffer.uri) : null;
+    return decoded ? decoded.data : null;
+  });
+}
+
+// Values of an accessor as floats, or null when its data cannot be read
+// (compressed, or out of bounds)
+function readAccessor(json, buffers, index) {
+  const accessor = (json.accessors || [])[index];
+  if (!accessor || accessor.sparse) return null;
+
+  const components = TYPE_COMPONENTS[accessor.type];
+  const component = COMPONENT_READERS[accessor.componentType];
+  if (!components || !component || !Number.isInteger(accessor.count)) return null;
+
+  const values = new Float32Array(accessor.count * components);
+  if (accessor.bufferView === undefined) return values; // all zeros
+
+  const view = (json.bufferViews || [])[accessor.bufferView];
+  const data = view && !(view.extensions && view.extensions.EXT_meshopt_compression) ? buffers[view.buffer] : null;
+  if (!data) return null;
+
+  const [read, size] = component;
+  const elementSize = components * size;
+  const stride = view.byteStride || elementSize;
+  const start = (view.byteOffset || 0) + (accessor.byteOffset || 0);
+  const end = (view.byteOffset || 0) + view.byteLength;
+  if (accessor.count > 0 && (start + stride * (accessor.count - 1) + elementSize > Math.min(end, data.length))) {
+    return null;
+  }
+
+  const normalize = accessor.normalized ? NORMALIZED[accessor.componentType] : null;
+  for (let i = 0; i < accessor.count; i++) {
+    for (let c = 0; c < components; c++) {
+      const value = data[read](start + i * stride + c * size);
+      values[i * components + c] = normalize ? normalize(value) : value;
+    }
+  }
+  return values;
+}
+
+// Vertex indices of the triangles of a primitive
+function triangleIndices(mode, indices, vertexCount) {
+  const index = indices ? i => indices[i] : i => i;
+  const count = indices ? indices.length : vertexCount;
+  const triangles = [];
+
+  if (mode === MODE_TRIANGLES) {
+    for (let i = 0; i + 2 < count; i += 3) triangles.push(index(i), index(i + 1), index(i + 2));
+  } else if (mode === MODE_TRIANGLE_STRIP) {
+    for (let i = 0; i + 2 < count; i++) {
+      if (i % 2 === 0) triangles.push(index(i), index(i + 1), index(i + 2));
+      else triangles.push(index(i + 1), index(i), index(i + 2));
+    }
+  } else if (mode === MODE_TRIANGLE_FAN) {
+    for (let i = 1; i + 1 < count; i++) triangles.push(index(0), index(i), index(i + 1));
+  }
+  return Uint32Array.from(triangles.filter(vertex => vertex < vertexCount));
+}
+
+// Linear base color (r, g, b) of a material
+function baseColor(json, materialIndex) {
+  const material = (json.materials || [])[materialIndex];
+  const pbr = material && material.pbrMetallicRoughness;
+  const factor = pbr && Array.isArray(pbr.baseColorFactor) ? pbr.baseColorFactor : [1, 1, 1, 1];
+  // Untinted textured materials would come out white; a light grey reads
+  // better than a blank silhouette
+  const tint = pbr && pbr.baseColorTexture && !pbr.baseColorFactor ? 0.7 : 1;
+  return [factor[0] * tint, factor[1] * tint, factor[2] * tint];
+}
+
+// Corners of the box an accessor's min/max describe
+function boxPositions(accessor) {
+  if (!accessor || !Array.isArray(accessor.min) || !Array.isArray(accessor.max)) return null;
+
+  const positions = new Float32Array(24);
+  for (let corner = 0; corner < 8; corner++) {
+    for (let axis = 0; axis < 3; axis++) {
+      positions[corner * 3 + axis] = (corner >> axis) & 1 ? accessor.max[axis] : accessor.min[axis];
+    }
+  }
+  return positions;
+}
+
+// Triangles of the scene in world space: [{ positions, triangles, color }]
+function collectMeshes(json, bin) {
+  const buffers = readBuffers(json, bin);
+  const nodes = json.nodes || [];
+  const scenes = json.scenes || [];
+  const scene = scenes[json.scene || 0];
+  const roots = scene && Array.isArray(scene.nodes)
+    ? scene.nodes
+    : nodes.map((node, index) => index).filter(index => !nodes.some(node => (node.children || []).includes(index)));
+
+  const meshes = [];
+  let usedBounds = false;
+  const visited = new Set();
+
+  const visit = (index, parent) => {
+    const node = nodes[index];
+    if (!node || visited.has(index)) return; // cycles are invalid; draw once
+    visited.add(index);
+
+    const matrix = multiply(parent, nodeMatrix(node));
+    const mesh = (json.meshes || [])[node.mesh];
+
+    for (const primitive of (mesh && mesh.primitives) || []) {
+      const mode = primitive.mode === undefined ? MODE_TRIANGLES : primitive.mode;
+      if (![MODE_TRIANGLES, MODE_TRIANGLE_STRIP, MODE_TRIANGLE_FAN].includes(mode)) continue;
+
+      const position = primitive.attributes && primitive.attributes.POSITION;
+      const compressed = primitive.extensions && primitive.extensions.KHR_draco_mesh_compression;
+      let positions = compressed ? null : readAccessor(json, buffers, position);
+      let indices = null;
+      if (positions && primitive.indices !== undefined) {
+        indices = readAccessor(json, buffers, primitive.indices);
+        if (!indices) positions = null;
+      }
+
+      let triangles;
+      if (positions) {
+        triangles = triangleIndices(mode, indices, positions.length / 3);
+      } else {
+        positions = boxPositions((json.accessors || [])[position]);
+        if (!positions) continue;
+        triangles = Uint32Array.from(BOX_TRIANGLES);
+        usedBounds = true;
+      }
+
+      meshes.push({
+        positions: transformPositions(matrix, positions),
+        triangles,
+        color: baseColor(json, primitive.material)
+      });
+    }
+
+    for (const child of node.children || []) visit(child, matrix);
+  };
+
+  roots.forEach(index => visit(index, IDENTITY));
+  return { meshes, usedBounds };
+}
+
+// ==================== RASTERIZER ====================
+
+function normalize([x, y, z]) {
+  const length = Math.hypot(x, y, z) || 1;
+  return [x / length, y / length, z / length];
+}
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+// Camera axes: right, up and towards the viewer
+function viewAxes() {
+  const back = [
+    Math.sin(VIEW_YAW) * Math.cos(VIEW_PITCH),
+    Math.sin(VIEW_PITCH),
+    Math.cos(VIEW_YAW) * Math.cos(VIEW_PITCH)
+  ];
+  const right = normalize([back[2], 0, -back[0]]);
+  const up = [
+    back[1] * right[2] - back[2] * right[1],
+    back[2] * right[0] - back[0] * right[2],
+    back[0] * right[1] - back[1] * right[0]
+  ];
+  return { right, up, back };
+}
+
+// sRGB byte of a linear color channel
+const toByte = value => Math.round(255 * Math.pow(Math.min(Math.max(value, 0), 1), 1 / 2.2));
+
+// RGBA pixels of the meshes seen from the view, fit to a square of `size`
+function rasterize(meshes, size) {
+  const { right, up, back } = viewAxes();
+  const light = normalize([back[0] - right[0] * 0.5 + up[0], back[1] - right[1] * 0.5 + up[1], back[2] - right[2] * 0.5 + up[2]]);
+
+  // Project to view space, then fit the extent into the image
+  const projected = meshes.map(({ positions }) => {
+    const view = new Float32Array(positions.length);
+    for (let i = 0; i < positions.length; i += 3) {
+      const point = [positions[i], positions[i + 1], positions[i + 2]];
+      view[i] = dot(point, right);
+      view[i + 1] = dot(point, up);
+      view[i + 2] = dot(point, back);
+    }
+    return view;
+  });
+
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  meshes.forEach(({ triangles }, m) => {
+    for (const vertex of triangles) {
+      const x = projected[m][vertex * 3];
+      const y = projected[m][vertex * 3 + 1];
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  });
+  if (!Number.isFinite(minX) || !Number.isFinite(minY)) return null;
+
+  const width = size * SUPERSAMPLE;
+  const scale = (width * (1 - 2 * MARGIN)) / Math.max(maxX - minX, maxY - minY, 1e-9);
+  const centerX = (minX + maxX) / 2;
+  const centerY = (minY + maxY) / 2;
+  const screenX = x => (x - centerX) * scale + width / 2;
+  const screenY = y => width / 2 - (y - centerY) * scale;
+
+  const pixels = new Uint8Array(width * width * 4);
+  const depth = new Float32Array(width * width).fill(-Infinity);
+
+  meshes.forEach(({ positions, triangles, color }, m) => {
+    const view = projected[m];
+
+    for (let t = 0; t < triangles.length; t += 3) {
+      const a = triangles[t] * 3;
+      const b = triangles[t + 1] * 3;
+      const c = triangles[t + 2] * 3;
+
+      // Flat shading from the world-space face normal, lit on both sides
+      const e1 = [positions[b] - positions[a], positions[b + 1] - positions[a + 1], positions[b + 2] - positions[a + 2]];
+      const e2 = [positions[c] - positions[a], positions[c + 1] - positions[a + 1], positions[c + 2] - positions[a + 2]];
+      let normal = normalize([
+        e1[1] * e2[2] - e1[2] * e2[1],
+        e1[2] * e2[0] - e1[0] * e2[2],
+        e1[0] * e2[1] - e1[1] * e2[0]
+      ]);
+      if (dot(normal, back) < 0) normal = normal.map(value => -value);
+      const shade = AMBIENT + (1 - AMBIENT) * Math.max(dot(normal, light), 0);
+      const r = toByte(color[0] * shade);
+      const g = toByte(color[1] * shade);
+      const bl = toByte(color[2] * shade);
+
+      const x0 = screenX(view[a]), y0 = screenY(view[a + 1]), z0 = view[a + 2];
+      const x1 = screenX(view[b]), y1 = screenY(view[b + 1]), z1 = view[b + 2];
+      const x2 = screenX(view[c]), y2 = screenY(view[c + 1]), z2 = view[c + 2];
+      const area = (x1 - x0) * (y2 - y0) - (x2 - x0) * (y1 - y0);
+      if (area === 0 || !Number.isFinite(area)) continue;
+
+      const left = Math.max(Math.floor(Math.min(x0, x1, x2)), 0);
+      const rightEdge = Math.min(Math.ceil(Math.max(x0, x1, x2)), width - 1);
+      const top = Math.max(Math.floor(Math.min(y0, y1, y2)), 0);
+      const bottom = Math.min(Math.ceil(Math.max(y0, y1, y2)), width - 1);
+
+      for (let y = top; y <= bottom; y++) {
+        const py = y + 0.5;
+        for (let x = left; x <= rightEdge; x++) {
+          const px = x + 0.5;
+          const w0 = ((x1 - px) * (y2 - py) - (x2 - px) * (y1 - py)) / area;
+          const w1 = ((x2 - px) * (y0 - py) - (x0 - px) * (y2 - py)) / area;
+          const w2 = 1 - w0 - w1;
+          if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+
+          const z = w0 * z0 + w1 * z1 + w2 * z2;
+          const pixel = y * width + x;
+          if (z <= depth[pixel]) continue;
+
+          depth[pixel] = z;
+          pixels[pixel * 4] = r;
+          pixels[pixel * 4 + 1] = g;
+          pixels[pixel * 4 + 2] = bl;
+          pixels[pixel * 4 + 3] = 255;
+        }
+      }
+    }
+  });
+
+  return downsample(pixels, width, size);
+}
+
+// Average each SUPERSAMPLE x SUPERSAMPLE block, weighting color by coverage
+function downsample(pixels, width, size) {
+  const out = new Uint8Array(size * size * 4);
+  const samples = SUPERSAMPLE * SUPERSAMPLE;
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let sy = 0; sy < SUPERSAMPLE; sy++) {
+        for (let sx = 0; sx < SUPERSAMPLE; sx++) {
+          const i = ((y * SUPERSAMPLE + sy) * width + x * SUPERSAMPLE + sx) * 4;
+          const alpha = pixels[i + 3];
+          r += pixels[i] * alpha;
+          g += pixels[i + 1] * alpha;
+          b += pixels[i + 2] * alpha;
+          a += alpha;
+        }
+      }
+      const o = (y * size + x) * 4;
+      if (a > 0) {
+        out[o] = Math.round(r / a);
+        out[o + 1] = Math.round(g / a);
+        out[o + 2] = Math.round(b / a);
+        out[o + 3] = Math.round(a / samples);
+      }
+    }
+  }
+  return out;
+}
+
+// ==================== PNG ====================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// 8-bit RGBA PNG
+function encodePNG(pixels, width, height) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // bit depth
+  header[9] = 6;  // RGBA
+
+  const rows = Buffer.alloc((width * 4 + 1) * height); // filter byte 0 per row
+  for (let y = 0; y < height; y++) {
+    rows.set(pixels.subarray(y * width * 4, (y + 1) * width * 4), y * (width * 4 + 1) + 1);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(rows)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// ==================== THUMBNAILS ====================
+
+// Thumbnail of a validated GLB: { png, method }, or null when it has no
+// triangles to draw. Runs in the calling thread.
+function renderThumbnail(buffer, size = DEFAULT_THUMBNAIL_OPTIONS.size) {
+  const { json, bin } = parseContainer(buffer);
+  const { meshes, usedBounds } = collectMeshes(json, bin);
+  const pixels = meshes.length > 0 ? rasterize(meshes, size) : null;
+  if (!pixels) return null;
+
+  return {
+    png: encodePNG(pixels, size, size),
+    method: usedBounds ? THUMBNAIL_METHODS.BOUNDS : THUMBNAIL_METHODS.GEOMETRY
+  };
+}
+
+class GLBThumbnailer {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_THUMBNAIL_OPTIONS, ...options };
+  }
+
+  // renderThumbnail in a worker thread, given up after options.timeout.
+  // Resolves with null when disabled or there is nothing to draw.
+  render(buffer) {
+    if (!this.options.enabled) return Promise.resolve(null);
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(__filename, { workerData: { glbThumbnail: { buffer, size: this.options.size } } });
+      let settled = false;
+      const settle = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        callback(value);
+      };
+
+      const timer = setTimeout(() => {
+        worker.terminate();
+        settle(reject, new Error(`Thumbnail took longer than ${this.options.timeout} ms`));
+      }, this.options.timeout);
+
+      worker.once('message', result => settle(resolve, result && {
+        png: Buffer.from(result.png.buffer, result.png.byteOffset, result.png.byteLength),
+        method: result.method
+      }));
+      worker.once('error', error => settle(reject, error));
+      worker.once('exit', code => settle(reject, new Error(`Thumbnail worker exited with code ${code}`)));
+    });
+  }
+}
+
+// Where the thumbnail of the model at `key` is stored:
+// models/abc.glb -> models/abc.thumbnail.png
+function thumbnailKey(key) {
+  return key.replace(/(\.glb)?$/i, '.thumbnail.png');
+}
+
+if (!isMainThread && workerData && workerData.glbThumbnail) {
+  const { buffer, size } = workerData.glbThumbnail;
+  parentPort.postMessage(renderThumbnail(Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength), size));
+}
+
+module.exports = {
+  GLBThumbnailer,
+  THUMBNAIL_METHODS,
+  DEFAULT_THUMBNAIL_OPTIONS,
+  renderThumbnail,
+  thumbnailKey
+};
@@ -0,0 +1,631 @@
+// GLB (binary glTF 2.0) validation for model uploads
+// Walks the container's chunk table, checks every accessor and bufferView
+// against the binary data it points into, counts the vertices and triangles
+// the model really has, reads the size of each embedded texture and refuses
+// external URIs and scripts hidden in `extras`. Instead of stopping at the
+// first problem it returns a report listing each one with the limit that was
+// exceeded, so the uploader can tell what to fix.
+
+const GLB_ERRORS = {
+  INVALID: 'GLB_INVALID',                 // not a well-formed GLB
+  LIMIT_EXCEEDED: 'GLB_LIMIT_EXCEEDED',
+  EXTERNAL_URI: 'GLB_EXTERNAL_URI',       // would make clients fetch other URLs
+  UNSAFE_CONTENT: 'GLB_UNSAFE_CONTENT'    // script-like strings in extras
+};
+
+// Overridden per deployment through config.models
+const DEFAULT_GLB_LIMITS = {
+  maxMeshes: 100,
+  maxPrimitives: 1000,
+  maxVertices: 500000,
+  maxTriangles: 1000000,
+  maxTextures: 64,
+  maxTextureSize: 4096 // px per side
+};
+
+const GLB_MAGIC = 0x46546C67;       // 'glTF'
+const CHUNK_JSON = 0x4E4F534A;      // 'JSON'
+const CHUNK_BIN = 0x004E4942;       // 'BIN\0'
+const HEADER_LENGTH = 12;
+const CHUNK_HEADER_LENGTH = 8;
+
+const COMPONENT_SIZES = { 5120: 1, 5121: 1, 5122: 2, 5123: 2, 5125: 4, 5126: 4 };
+const TYPE_COMPONENTS = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+const INDEX_READERS = { 5121: 'readUInt8', 5123: 'readUInt16LE', 5125: 'readUInt32LE' };
+
+const MODE_TRIANGLES = 4;
+const MODE_TRIANGLE_STRIP = 5;
+const MODE_TRIANGLE_FAN = 6;
+
+// Script tags, script URLs and inline event handlers in markup
+const UNSAFE_PATTERN = /<\s*\/?\s*script|javascript\s*:|vbscript\s*:|data\s*:\s*text\/html|<[^>]*\son[a-z]+\s*=/i;
+
+class GLBFormatError extends Error {
+  constructor(message, path = null) {
+    super(message);
+    this.name = 'GLBFormatError';
+    this.path = path;
+  }
+}
+
+// ==================== CONTAINER ====================
+
+// Header and chunk table -> { json, bin }
+function parseContainer(buffer) {
+  if (buffer.length < HEADER_LENGTH + CHUNK_HEADER_LENGTH) {
+    throw new GLBFormatError('File is too short to be a GLB');
+  }
+  if (buffer.readUInt32LE(0) !== GLB_MAGIC) {
+    throw new GLBFormatError('Not a GLB file (missing glTF magic)');
+  }
+
+  const version = buffer.readUInt32LE(4);
+  if (version !== 2) {
+    throw new GLBFormatError(`Unsupported GLB version ${version} (expected 2)`);
+  }
+
+  const length = buffer.readUInt32LE(8);
+  if (length !== buffer.length) {
+    throw new GLBFormatError(`Header length ${length} does not match the file size ${buffer.length}`);
+  }
+
+  const chunks = [];
+  let offset = HEADER_LENGTH;
+  while (offset < length) {
+    if (offset + CHUNK_HEADER_LENGTH > length) {
+      throw new GLBFormatError(`Chunk ${chunks.length} header is truncated`);
+    }
+
+    const chunkLength = buffer.readUInt32LE(offset);
+    const type = buffer.readUInt32LE(offset + 4);
+    const start = offset + CHUNK_HEADER_LENGTH;
+
+    if (start + chunkLength > length) {
+      throw new GLBFormatError(`Chunk ${chunks.length} runs past the end of the file`);
+    }
+    if (chunkLength % 4 !== 0) {
+      throw new GLBFormatError(`Chunk ${chunks.length} is not padded to 4 bytes`);
+    }
+
+    chunks.push({ type, data: buffer.subarray(start, start + chunkLength) });
+    offset = start + chunkLength;
+  }
+
+  // JSON first, then at most one BIN; other chunk types are ignored
+  if (chunks.length === 0 || chunks[0].type !== CHUNK_JSON) {
+    throw new GLBFormatError('First chunk must be the JSON chunk');
+  }
+  const binChunks = chunks.filter(chunk => chunk.type === CHUNK_BIN);
+  if (binChunks.length > 1 || (binChunks.length === 1 && chunks[1] !== binChunks[0])) {
+    throw new GLBFormatError('A GLB holds at most one BIN chunk, right after the JSON chunk');
+  }
+  if (chunks.slice(1).some(chunk => chunk.type === CHUNK_JSON)) {
+    throw new GLBFormatError('A GLB holds exactly one JSON chunk');
+  }
+
+  let json;
+  try {
+    json = JSON.parse(chunks[0].data.toString('utf8'));
+  } catch (error) {
+    throw new GLBFormatError(`JSON chunk does not parse: ${error.message}`);
+  }
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new GLBFormatError('JSON chunk must hold an object');
+  }
+  if (!json.asset || typeof json.asset.version !== 'string' || !json.asset.version.startsWith('2.')) {
+    throw new GLBFormatError('asset.version must be 2.x', 'asset.version');
+  }
+
+  return { json, bin: binChunks.length === 1 ? binChunks[0].data : null };
+}
+
+// ==================== REPORT ====================
+
+function createReport(fileSize) {
+  return {
+    valid: true,
+    errors: [],
+    stats: {
+      fileSize,
+      generator: null,
+      meshes: 0,
+      primitives: 0,
+      vertices: 0,
+      triangles: 0,
+      textures: [],
+      maxTextureSize: 0
+    }
+  };
+}
+
+function addError(report, code, message, details = {}) {
+  // The same problem can be found by more than one check
+  if (report.errors.some(error => error.code === code && error.message === message)) return;
+
+  report.valid = false;
+  report.errors.push({ code, message, ...details });
+}
+
+function checkLimit(report, name, actual, limit, path = null) {
+  if (actual <= limit) return;
+
+  addError(report, GLB_ERRORS.LIMIT_EXCEEDED, `${name}: ${actual} (max ${limit})`, {
+    limit,
+    actual,
+    ...(path ? { path } : {})
+  });
+}
+
+// Array property of the glTF, or [] (and an error when it is not an array
+// of objects)
+function list(json, report, name) {
+  if (json[name] === undefined) return [];
+  if (!Array.isArray(json[name])) {
+    addError(report, GLB_ERRORS.INVALID, `${name} must be an array`, { path: name });
+    return [];
+  }
+  return json[name].map((item, index) => {
+    if (item && typeof item === 'object' && !Array.isArray(item)) return item;
+    addError(report, GLB_ERRORS.INVALID, `${name}[${index}] must be an object`, { path: `${name}[${index}]` });
+    return {};
+  });
+}
+
+function isIndex(value, items) {
+  return Number.isInteger(value) && value >= 0 && value < items.length;
+}
+
+// ==================== URIS AND EXTRAS ====================
+
+// Decode a data: URI; anything else is external
+function decodeDataUri(uri) {
+  const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(uri);
+  if (!match) return null;
+  try {
+    return {
+      mimeType: match[1],
+      data: match[2] ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]), 'latin1')
+    };
+  } catch (error) {
+    return null; // malformed escapes
+  }
+}
+
+// Every `uri` in buffers and images must be embedded (data:)
+function checkUris(json, report) {
+  for (const name of ['buffers', 'images']) {
+    list(json, report, name).forEach((item, index) => {
+      if (item && item.uri !== undefined && !(typeof item.uri === 'string' && decodeDataUri(item.uri))) {
+        addError(report, GLB_ERRORS.EXTERNAL_URI, `${name}[${index}] refers to an external file`, {
+          path: `${name}[${index}].uri`
+        });
+      }
+    });
+  }
+}
+
+// Strings in any `extras` that look like markup or script
+function checkExtras(value, path, report, inExtras = false) {
+  if (typeof value === 'string') {
+    if (inExtras && UNSAFE_PATTERN.test(value)) {
+      addError(report, GLB_ERRORS.UNSAFE_CONTENT, `${path} contains script-like content`, { path });
+    }
+    return;
+  }
+  if (!value || typeof value !== 'object') return;
+
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = Array.isArray(value) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+    checkExtras(child, childPath, report, inExtras || key === 'extras');
+  }
+}
+
+// ==================== BUFFERS AND ACCESSORS ====================
+
+// A buffer that only stands in for uncompressed data (EXT_meshopt_compression)
+function isMeshoptFallback(buffer) {
+  return !!(buffer && buffer.extensions && buffer.extensions.EXT_meshopt_compression &&
+    buffer.extensions.EXT_meshopt_compression.fallback);
+}
+
+// Bytes of each buffer: the BIN chunk for the one without a uri, decoded
+// data: URIs for the others (external ones were already refused). Meshopt
+// fallback buffers have none.
+function resolveBuffers(json, bin, report) {
+  return list(json, report, 'buffers').map((buffer, index) => {
+    const path = `buffers[${index}]`;
+    let data = null;
+
+    if (buffer.uri === undefined && isMeshoptFallback(buffer)) {
+      return null;
+    } else if (buffer.uri === undefined) {
+      if (index !== 0 || !bin) {
+        addError(report, GLB_ERRORS.INVALID, `${path} has no uri and no BIN chunk to point at`, { path });
+      } else {
+        data = bin;
+      }
+    } else if (typeof buffer.uri === 'string') {
+      const decoded = decodeDataUri(buffer.uri);
+      data = decoded ? decoded.data : null;
+    }
+
+    if (data && !(Number.isInteger(buffer.byteLength) && buffer.byteLength <= data.length)) {
+      addError(report, GLB_ERRORS.INVALID, `${path}.byteLength ${buffer.byteLength} exceeds its ${data.length} bytes of data`, {
+        path: `${path}.byteLength`
+      });
+      return null;
+    }
+    return data ? data.subarray(0, buffer.byteLength) : null;
+  });
+}
+
+// Bytes of each bufferView after checking it lies inside its buffer, as
+// { data, byteLength, byteStride }
+function resolveBufferViews(json, buffers, report) {
+  return list(json, report, 'bufferViews').map((view, index) => {
+    const path = `bufferViews[${index}]`;
+    const byteOffset = view.byteOffset || 0;
+
+    if (!isIndex(view.buffer, buffers)) {
+      addError(report, GLB_ERRORS.INVALID, `${path} refers to a missing buffer`, { path: `${path}.buffer` });
+      return null;
+    }
+    if (!Number.isInteger(view.byteLength) || view.byteLength < 1 || !Number.isInteger(byteOffset) || byteOffset < 0) {
+      addError(report, GLB_ERRORS.INVALID, `${path} has an invalid byteOffset or byteLength`, { path });
+      return null;
+    }
+    if (view.byteStride !== undefined &&
+        !(Number.isInteger(view.byteStride) && view.byteStride >= 4 && view.byteStride <= 252 && view.byteStride % 4 === 0)) {
+      addError(report, GLB_ERRORS.INVALID, `${path}.byteStride must be a multiple of 4 between 4 and 252`, {
+        path: `${path}.byteStride`
+      });
+      return null;
+    }
+
+    const meshopt = view.extensions && view.extensions.EXT_meshopt_compression;
+    if (meshopt) return resolveMeshoptView(view, meshopt, path, buffers, report);
+
+    const buffer = buffers[view.buffer];
+    if (!buffer) {
+      if (isMeshoptFallback(json.buffers[view.buffer])) {
+        addError(report, GLB_ERRORS.INVALID, `${path} points into a fallback buffer but is not compressed`, { path });
+      }
+      return null; // otherwise reported with the buffer
+    }
+
+    if (byteOffset + view.byteLength > buffer.length) {
+      addError(report, GLB_ERRORS.INVALID, `${path} ends at byte ${byteOffset + view.byteLength}, past the end of buffer ${view.buffer} (${buffer.length} bytes)`, {
+        path
+      });
+      return null;
+    }
+    return {
+      data: buffer.subarray(byteOffset, byteOffset + view.byteLength),
+      byteLength: view.byteLength,
+      byteStride: view.byteStride
+    };
+  });
+}
+
+// A bufferView compressed with EXT_meshopt_compression (the optimizer's
+// output): its compressed bytes must lie inside their buffer. The decoded
+// bytes are not available, so its accessors are checked against byteLength
+// only and its indices are not read.
+function resolveMeshoptView(view, meshopt, path, buffers, report) {
+  const buffer = isIndex(meshopt.buffer, buffers) ? buffers[meshopt.buffer] : null;
+  const byteOffset = meshopt.byteOffset || 0;
+
+  if (!buffer || !Number.isInteger(meshopt.byteLength) || !Number.isInteger(byteOffset) || byteOffset < 0 ||
+      byteOffset + meshopt.byteLength > buffer.length) {
+    addError(report, GLB_ERRORS.INVALID, `${path} has compressed data outside its buffer`, {
+      path: `${path}.extensions.EXT_meshopt_compression`
+    });
+    return null;
+  }
+  return { data: null, byteLength: view.byteLength, byteStride: view.byteStride };
+}
+
+// Whether `count` elements of `elementSize` bytes, `stride` apart, starting
+// at `byteOffset`, fit in the bufferView
+function fitsView(view, byteOffset, count, elementSize, stride) {
+  return byteOffset + stride * (count - 1) + elementSize <= view.byteLength;
+}
+
+function checkAccessors(json, views, report) {
+  return list(json, report, 'accessors').map((accessor, index) => {
+    const path = `accessors[${index}]`;
+    const componentSize = COMPONENT_SIZES[accessor.componentType];
+    const components = TYPE_COMPONENTS[accessor.type];
+
+    if (!componentSize || !components) {
+      addError(report, GLB_ERRORS.INVALID, `${path} has an unknown componentType or type`, { path });
+      return null;
+    }
+    if (!Number.isInteger(accessor.count) || accessor.count < 1) {
+      addError(report, GLB_ERRORS.INVALID, `${path}.count must be a positive integer`, { path: `${path}.count` });
+      return null;
+    }
+
+    const elementSize = componentSize * components;
+    const byteOffset = accessor.byteOffset || 0;
+
+    if (accessor.bufferView !== undefined) {
+      if (!isIndex(accessor.bufferView, views)) {
+        addError(report, GLB_ERRORS.INVALID, `${path} refers to a missing bufferView`, { path: `${path}.bufferView` });
+        return null;
+      }
+
+      const view = views[accessor.bufferView];
+      if (!view) return null; // reported with the bufferView
+
+      const stride = view.byteStride || elementSize;
+      if (!Number.isInteger(byteOffset) || byteOffset % componentSize !== 0 ||
+          !fitsView(view, byteOffset, accessor.count, elementSize, stride)) {
+        addError(report, GLB_ERRORS.INVALID, `${path} reads past the end of bufferView ${accessor.bufferView}`, { path });
+        return null;
+      }
+    }
+
+    if (accessor.sparse && !checkSparse(accessor, path, views, report, elementSize)) {
+      return null;
+    }
+
+    return { ...accessor, elementSize, byteOffset };
+  });
+}
+
+function checkSparse(accessor, path, views, report, elementSize) {
+  const { count, indices, values } = accessor.sparse;
+  const sparsePath = `${path}.sparse`;
+
+  if (!Number.isInteger(count) || count < 1 || count > accessor.count || !indices || !values) {
+    addError(report, GLB_ERRORS.INVALID, `${sparsePath} is incomplete`, { path: sparsePath });
+    return false;
+  }
+
+  const parts = [
+    [indices, COMPONENT_SIZES[indices.componentType], 'indices'],
+    [values, elementSize, 'values']
+  ];
+  for (const [part, size, name] of parts) {
+    const view = isIndex(part.bufferView, views) ? views[part.bufferView] : null;
+    if (!size || !view || !fitsView(view, part.byteOffset || 0, count, size, size)) {
+      addError(report, GLB_ERRORS.INVALID, `${sparsePath}.${name} lies outside its bufferView`, {
+        path: `${sparsePath}.${name}`
+      });
+      return false;
+    }
+  }
+  return true;
+}
+
+// Largest value of an index accessor
+function maxIndex(accessor, views) {
+  const read = INDEX_READERS[accessor.componentType];
+  const view = views[accessor.bufferView];
+  const stride = view.byteStride || accessor.elementSize;
+  let max = 0;
+
+  for (let i = 0; i < accessor.count; i++) {
+    max = Math.max(max, view.data[read](accessor.byteOffset + i * stride));
+  }
+  return max;
+}
+
+// ==================== MESHES ====================
+
+function trianglesOf(mode, count) {
+  if (mode === MODE_TRIANGLES) return Math.floor(count / 3);
+  if (mode === MODE_TRIANGLE_STRIP || mode === MODE_TRIANGLE_FAN) return Math.max(count - 2, 0);
+  return 0; // points and lines
+}
+
+// Vertices are counted once per POSITION accessor, since primitives may
+// share them; triangles once per primitive
+function checkMeshes(json, accessors, views, report) {
+  const { stats } = report;
+  const positions = new Set();
+
+  list(json, report, 'meshes').forEach((mesh, meshIndex) => {
+    const primitives = Array.isArray(mesh.primitives) ? mesh.primitives : [];
+    if (primitives.length === 0) {
+      addError(report, GLB_ERRORS.INVALID, `meshes[${meshIndex}] has no primitives`, { path: `meshes[${meshIndex}].primitives` });
+    }
+
+    primitives.forEach((primitive, primitiveIndex) => {
+      const path = `meshes[${meshIndex}].primitives[${primitiveIndex}]`;
+      const attributes = primitive.attributes || {};
+
+      for (const [name, accessorIndex] of Object.entries(attributes)) {
+        if (!isIndex(accessorIndex, accessors)) {
+          addError(report, GLB_ERRORS.INVALID, `${path} attribute ${name} refers to a missing accessor`, {
+            path: `${path}.attributes.${name}`
+          });
+        }
+      }
+
+      const position = accessors[attributes.POSITION];
+      if (!position) {
+        if (attributes.POSITION === undefined) {
+          addError(report, GLB_ERRORS.INVALID, `${path} has no POSITION attribute`, { path: `${path}.attributes` });
+        }
+        return;
+      }
+      positions.add(attributes.POSITION);
+
+      let count = position.count;
+      if (primitive.indices !== undefined) {
+        const indices = isIndex(primitive.indices, accessors) ? accessors[primitive.indices] : null;
+        if (!indices || !INDEX_READERS[indices.componentType] || indices.type !== 'SCALAR') {
+          addError(report, GLB_ERRORS.INVALID, `${path}.indices must be an unsigned integer SCALAR accessor`, {
+            path: `${path}.indices`
+          });
+          return;
+        }
+        if (indices.bufferView !== undefined && !indices.sparse && views[indices.bufferView].data &&
+            maxIndex(indices, views) >= position.count) {
+          addError(report, GLB_ERRORS.INVALID, `${path}.indices point past its ${position.count} vertices`, {
+            path: `${path}.indices`
+          });
+        }
+        count = indices.count;
+      }
+
+      const mode = primitive.mode === undefined ? MODE_TRIANGLES : primitive.mode;
+      if (!(Number.isInteger(mode) && mode >= 0 && mode <= MODE_TRIANGLE_FAN)) {
+        addError(report, GLB_ERRORS.INVALID, `${path}.mode ${mode} is not a glTF primitive mode`, { path: `${path}.mode` });
+        return;
+      }
+      stats.triangles += trianglesOf(mode, count);
+    });
+
+    stats.meshes++;
+    stats.primitives += primitives.length;
+  });
+
+  positions.forEach(index => { stats.vertices += accessors[index].count; });
+}
+
+// ==================== TEXTURES ====================
+
+// Width and height from the image header, or null for unknown formats
+function imageSize(data) {
+  // PNG: IHDR follows the signature
+  if (data.length >= 24 && data.readUInt32BE(0) === 0x89504E47) {
+    return { mimeType: 'image/png', width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+  }
+
+  // JPEG: the first start-of-frame segment
+  if (data.length >= 4 && data[0] === 0xFF && data[1] === 0xD8) {
+    let offset = 2;
+    while (offset + 9 <= data.length && data[offset] === 0xFF) {
+      const marker = data[offset + 1];
+      if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+        return { mimeType: 'image/jpeg', width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + data.readUInt16BE(offset + 2);
+    }
+    return null;
+  }
+
+  // WebP: lossy, lossless or extended
+  if (data.length >= 30 && data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') {
+    const format = data.toString('latin1', 12, 16);
+    if (format === 'VP8 ') {
+      return { mimeType: 'image/webp', width: data.readUInt16LE(26) & 0x3FFF, height: data.readUInt16LE(28) & 0x3FFF };
+    }
+    if (format === 'VP8L') {
+      const bits = data.readUInt32LE(21);
+      return { mimeType: 'image/webp', width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    if (format === 'VP8X') {
+      return { mimeType: 'image/webp', width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+
+  // KTX2 (KHR_texture_basisu)
+  if (data.length >= 28 && data.toString('latin1', 1, 7) === 'KTX 20') {
+    return { mimeType: 'image/ktx2', width: data.readUInt32LE(20), height: data.readUInt32LE(24) };
+  }
+
+  return null;
+}
+
+function checkImages(json, views, report, limits) {
+  const { stats } = report;
+  const images = list(json, report, 'images');
+
+  images.forEach((image, index) => {
+    const path = `images[${index}]`;
+    let data = null;
+
+    if (image.bufferView !== undefined) {
+      if (!isIndex(image.bufferView, views)) {
+        addError(report, GLB_ERRORS.INVALID, `${path} refers to a missing bufferView`, { path: `${path}.bufferView` });
+        return;
+      }
+      data = views[image.bufferView] && views[image.bufferView].data;
+    } else if (typeof image.uri === 'string') {
+      const decoded = decodeDataUri(image.uri);
+      data = decoded && decoded.data;
+    } else {
+      addError(report, GLB_ERRORS.INVALID, `${path} has neither a bufferView nor a uri`, { path });
+      return;
+    }
+    if (!data) return; // reported with its bufferView or uri
+
+    const size = imageSize(data);
+    if (!size) {
+      addError(report, GLB_ERRORS.INVALID, `${path} is not a PNG, JPEG, WebP or KTX2 image`, { path });
+      return;
+    }
+
+    stats.textures.push({ index, ...size });
+    stats.maxTextureSize = Math.max(stats.maxTextureSize, size.width, size.height);
+    checkLimit(report, `Texture size of ${path}`, Math.max(size.width, size.height), limits.maxTextureSize, path);
+  });
+
+  checkLimit(report, 'Too many textures', images.length, limits.maxTextures, 'images');
+}
+
+// ==================== VALIDATION ====================
+
+// Validate a GLB file.
+// `limits` overrides DEFAULT_GLB_LIMITS. Returns { valid, errors, stats }:
+// errors are { code, message, path?, limit?, actual? } and stats describe
+// what the model contains (also when it is refused).
+function validateGLB(buffer, limits = {}) {
+  const settings = { ...DEFAULT_GLB_LIMITS, ...limits };
+  const report = createReport(buffer.length);
+
+  let container;
+  try {
+    container = parseContainer(buffer);
+  } catch (error) {
+    if (!(error instanceof GLBFormatError)) throw error;
+    addError(report, GLB_ERRORS.INVALID, error.message, error.path ? { path: error.path } : {});
+    return report;
+  }
+
+  const { json, bin } = container;
+  report.stats.generator = typeof json.asset.generator === 'string' ? json.asset.generator.slice(0, 200) : null;
+
+  checkUris(json, report);
+  checkExtras(json, '', report);
+
+  const buffers = resolveBuffers(json, bin, report);
+  const views = resolveBufferViews(json, buffers, report);
+  const accessors = checkAccessors(json, views, report);
+
+  checkMeshes(json, accessors, views, report);
+  checkImages(json, views, report, settings);
+
+  const { stats } = report;
+  checkLimit(report, 'Too many meshes', stats.meshes, settings.maxMeshes, 'meshes');
+  checkLimit(report, 'Too many primitives', stats.primitives, settings.maxPrimitives, 'meshes');
+  checkLimit(report, 'Too many vertices', stats.vertices, settings.maxVertices);
+  checkLimit(report, 'Too many triangles', stats.triangles, settings.maxTriangles);
+
+  return report;
+}
+
+// Body of the 400 answer to a refused upload
+function glbErrorResponse(report) {
+  return {
+    error: 'Invalid GLB file',
+    code: report.errors[0].code,
+    details: report.errors.map(error => error.message).join('; '),
+    report: { errors: report.errors, stats: report.stats }
+  };
+}
+
+module.exports = {
+  GLB_ERRORS,
+  DEFAULT_GLB_LIMITS,
+  validateGLB,
+  glbErrorResponse,
+  parseContainer,
+  decodeDataUri,
+  imageSize
+};
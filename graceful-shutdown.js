@@ -0,0 +1,137 @@
+// Orchestrated shutdown for the signaling servers
+// On SIGTERM/SIGINT the server stops accepting connections, tells the
+// connected clients when to reconnect (to another instance, or to this one
+// once it is back), closes their connections and then runs its own cleanup
+// steps in order: draining queues, saving state, closing Postgres and Redis.
+// Every step has a time limit and a failing step does not stop the ones
+// after it. The process exits once the steps are done, or with code 1 when
+// the overall timeout runs out first.
+
+const { EVENTS } = require('./protocol');
+
+const SHUTDOWN_ERRORS = {
+  SHUTTING_DOWN: 'SERVER_SHUTTING_DOWN'
+};
+
+const DEFAULT_OPTIONS = {
+  timeout: 30000,      // ms for the whole shutdown
+  stepTimeout: 10000,  // ms per step unless the step sets its own
+  reconnectIn: 5000,   // ms clients are told to wait before reconnecting
+  noticeDelay: 500     // ms for the notice to reach polling clients
+};
+
+class ShutdownTimeoutError extends Error {
+  constructor(name, ms) {
+    super(`${name} did not finish within ${ms}ms`);
+    this.name = 'ShutdownTimeoutError';
+  }
+}
+
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new ShutdownTimeoutError(name, ms)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// steps: [{ name, run: async () => {}, timeout? }]
+// Returns { shutdown(signal), isShuttingDown(), track(promise),
+// httpMiddleware }. Work passed to track(), such as disconnect handlers that
+// still write to the database, is waited for before the steps run. The
+// Socket.IO middleware that refuses new connections is installed right
+// away, so create this before the other io.use() calls.
+function createGracefulShutdown({ io, steps = [], exit = code => process.exit(code), ...overrides }) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  let shuttingDown = null;
+  const pending = new Set();
+
+  io.use((socket, next) => {
+    if (!shuttingDown) return next();
+
+    const error = new Error('Server is shutting down');
+    error.data = { code: SHUTDOWN_ERRORS.SHUTTING_DOWN, reconnectIn: options.reconnectIn };
+    next(error);
+  });
+
+  // Requests on connections that were already open
+  function httpMiddleware(req, res, next) {
+    if (!shuttingDown) return next();
+
+    res.set('Connection', 'close');
+    res.set('Retry-After', String(Math.ceil(options.reconnectIn / 1000)));
+    res.status(503).json({ error: 'Server is shutting down' });
+  }
+
+  function track(work) {
+    pending.add(work);
+    work.catch(() => {}).finally(() => pending.delete(work));
+    return work;
+  }
+
+  async function closeConnections() {
+    // Only this instance's clients; the others keep their server
+    io.local.emit(EVENTS.SERVER_SHUTDOWN, { reconnectIn: options.reconnectIn });
+    await delay(options.noticeDelay);
+
+    // Closes the HTTP server as well. Clients see a transport close rather
+    // than a server-side disconnect, so they reconnect on their own.
+    await new Promise(resolve => io.close(() => resolve()));
+    await Promise.allSettled(Array.from(pending));
+  }
+
+  async function run(signal) {
+    console.log(`📛 ${signal} received, shutting down gracefully...`);
+
+    const forceExit = setTimeout(() => {
+      console.error(`❌ Shutdown did not finish within ${options.timeout}ms, exiting`);
+      exit(1);
+    }, options.timeout);
+    forceExit.unref();
+
+    const allSteps = [{ name: 'closing connections', run: closeConnections }, ...steps];
+    let failed = false;
+
+    for (const step of allSteps) {
+      try {
+        await withTimeout(Promise.resolve().then(step.run), step.timeout || options.stepTimeout, step.name);
+        console.log(`✅ Shutdown: ${step.name}`);
+      } catch (error) {
+        failed = true;
+        console.error(`❌ Shutdown: ${step.name} failed:`, error.message);
+      }
+    }
+
+    clearTimeout(forceExit);
+    console.log(failed ? 'Server stopped with errors' : 'Server closed');
+    exit(failed ? 1 : 0);
+  }
+
+  // A second signal while shutting down exits straight away
+  function shutdown(signal = 'shutdown') {
+    if (shuttingDown) {
+      console.warn(`${signal} received again, exiting immediately`);
+      exit(1);
+      return shuttingDown;
+    }
+
+    shuttingDown = run(signal);
+    return shuttingDown;
+  }
+
+  return {
+    shutdown,
+    isShuttingDown: () => !!shuttingDown,
+    track,
+    httpMiddleware
+  };
+}
+
+module.exports = {
+  SHUTDOWN_ERRORS,
+  ShutdownTimeoutError,
+  createGracefulShutdown,
+  withTimeout
+};
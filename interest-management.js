@@ -0,0 +1,188 @@
+// Interest management (area of interest)
+// Avatars are indexed in a uniform grid on the ground plane (x/z) per space.
+// Each viewer receives avatar snapshots and object moves for entities within
+// `radius` every tick; anything further away is only sent every
+// `farUpdateInterval` ms, so bandwidth follows local density rather than the
+// number of people in the space.
+
+const { TICK_RATE, AvatarSnapshotEncoder } = require('./avatar-sync');
+
+// ==================== SPATIAL GRID ====================
+
+class SpatialGrid {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // "cx:cz" -> Set of ids
+    this.positions = new Map(); // id -> { x, z, key }
+  }
+
+  keyFor(x, z) {
+    return `${Math.floor(x / this.cellSize)}:${Math.floor(z / this.cellSize)}`;
+  }
+
+  update(id, position) {
+    const x = position.x;
+    const z = position.z;
+    const key = this.keyFor(x, z);
+    const previous = this.positions.get(id);
+
+    if (previous && previous.key !== key) {
+      this.removeFromCell(previous.key, id);
+    }
+    if (!previous || previous.key !== key) {
+      if (!this.cells.has(key)) this.cells.set(key, new Set());
+      this.cells.get(key).add(id);
+    }
+
+    this.positions.set(id, { x, z, key });
+  }
+
+  remove(id) {
+    const previous = this.positions.get(id);
+    if (!previous) return;
+
+    this.removeFromCell(previous.key, id);
+    this.positions.delete(id);
+  }
+
+  removeFromCell(key, id) {
+    const cell = this.cells.get(key);
+    if (!cell) return;
+
+    cell.delete(id);
+    if (cell.size === 0) this.cells.delete(key);
+  }
+
+  // Ids within radius of position (cells first, then an exact distance check)
+  query(position, radius) {
+    const found = new Set();
+    const minX = Math.floor((position.x - radius) / this.cellSize);
+    const maxX = Math.floor((position.x + radius) / this.cellSize);
+    const minZ = Math.floor((position.z - radius) / this.cellSize);
+    const maxZ = Math.floor((position.z + radius) / this.cellSize);
+    const radiusSq = radius * radius;
+
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cz = minZ; cz <= maxZ; cz++) {
+        const cell = this.cells.get(`${cx}:${cz}`);
+        if (!cell) continue;
+
+        for (const id of cell) {
+          const other = this.positions.get(id);
+          const dx = other.x - position.x;
+          const dz = other.z - position.z;
+          if (dx * dx + dz * dz <= radiusSq) found.add(id);
+        }
+      }
+    }
+
+    return found;
+  }
+}
+
+// ==================== INTEREST MANAGER ====================
+
+class InterestManager {
+  // settings: { radius, cellSize, farUpdateInterval } (see getInterestSettings)
+  // avatarSource: the space encoder's `latest` map of quantized transforms
+  constructor(settings, avatarSource) {
+    this.radius = settings.radius;
+    this.farTicks = Math.max(1, Math.round(settings.farUpdateInterval / (1000 / TICK_RATE)));
+    this.grid = new SpatialGrid(settings.cellSize || settings.radius);
+    this.avatarSource = avatarSource;
+    this.viewers = new Map(); // userId -> { socketId, avatars, objectMoves }
+    this.tick = 0;
+  }
+
+  addViewer(userId, socketId, position) {
+    this.viewers.set(userId, {
+      socketId,
+      // Per-viewer delta state: what this viewer has been sent so far
+      avatars: new AvatarSnapshotEncoder({ source: this.avatarSource }),
+      // Latest object-moved payloads waiting for the next far update
+      objectMoves: new Map()
+    });
+    this.grid.update(userId, position || { x: 0, z: 0 });
+  }
+
+  // Any user in the space, including ones connected elsewhere that are
+  // only ever seen, never viewers here
+  moveUser(userId, position) {
+    this.grid.update(userId, position);
+  }
+
+  // Also clears every viewer's delta state for the user, so a rejoin
+  // starts from a full entry
+  removeUser(userId) {
+    this.viewers.delete(userId);
+    this.grid.remove(userId);
+    for (const viewer of this.viewers.values()) {
+      viewer.avatars.forget(userId);
+    }
+  }
+
+  nearby(position) {
+    return this.grid.query(position, this.radius);
+  }
+
+  // Route an object-moved payload: viewers near the object get it now
+  // (returned as socket ids), the rest get the latest one on the next far
+  // update. excludeUserId skips the sender.
+  routeObjectMove(payload, position, excludeUserId = null) {
+    const near = this.nearby(position);
+    const socketIds = [];
+
+    for (const [userId, viewer] of this.viewers) {
+      if (userId === excludeUserId) continue;
+
+      if (near.has(userId)) {
+        viewer.objectMoves.delete(payload.objectId);
+        socketIds.push(viewer.socketId);
+      } else {
+        viewer.objectMoves.set(payload.objectId, payload);
+      }
+    }
+
+    return socketIds;
+  }
+
+  // Discard queued moves of an object that no longer exists
+  dropObject(objectId) {
+    for (const viewer of this.viewers.values()) {
+      viewer.objectMoves.delete(objectId);
+    }
+  }
+
+  // Advance one tick. Returns [{ socketId, snapshot, objectMoves }] with each
+  // viewer's avatar snapshot (null if nothing to send) and any queued far
+  // object moves that are due.
+  collect() {
+    this.tick++;
+    const farTick = this.tick % this.farTicks === 0;
+    const updates = [];
+
+    for (const [userId, viewer] of this.viewers) {
+      const position = this.grid.positions.get(userId);
+      const near = position ? this.nearby(position) : new Set();
+
+      const snapshot = viewer.avatars.encode(id => id !== userId && (farTick || near.has(id)));
+
+      let objectMoves = [];
+      if (farTick && viewer.objectMoves.size > 0) {
+        objectMoves = Array.from(viewer.objectMoves.values());
+        viewer.objectMoves.clear();
+      }
+
+      if (snapshot || objectMoves.length > 0) {
+        updates.push({ socketId: viewer.socketId, snapshot, objectMoves });
+      }
+    }
+
+    return updates;
+  }
+}
+
+module.exports = {
+  SpatialGrid,
+  InterestManager
+};
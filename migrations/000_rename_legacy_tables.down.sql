@@ -0,0 +1,25 @@
+-- Migration: 000_rename_legacy_tables.down.sql
+-- Description: Undo 000_rename_legacy_tables.sql (legacy_* tables get their old names back)
+
+DO $$
+DECLARE
+    legacy_table TEXT;
+    legacy_index TEXT;
+BEGIN
+    FOREACH legacy_table IN ARRAY ARRAY['visitors', 'space_stats', 'user_sessions', 'world_objects', 'chat_messages'] LOOP
+        CONTINUE WHEN to_regclass('public.legacy_' || legacy_table) IS NULL;
+
+        IF to_regclass('public.' || legacy_table) IS NOT NULL THEN
+            RAISE EXCEPTION 'Cannot restore legacy_%: table % exists', legacy_table, legacy_table;
+        END IF;
+
+        FOR legacy_index IN
+            SELECT indexname FROM pg_indexes
+            WHERE schemaname = 'public' AND tablename = 'legacy_' || legacy_table AND indexname LIKE 'legacy\_%'
+        LOOP
+            EXECUTE format('ALTER INDEX %I RENAME TO %I', legacy_index, substring(legacy_index FROM 8));
+        END LOOP;
+
+        EXECUTE format('ALTER TABLE %I RENAME TO %I', 'legacy_' || legacy_table, legacy_table);
+    END LOOP;
+END $$;
@@ -0,0 +1,30 @@
+-- Migration: 000_rename_legacy_tables.sql
+-- Description: Move the tables of the old setup-postgresql.sh schema out of the way
+-- (visitors, space_stats, user_sessions, and the world_objects / chat_messages
+-- keyed by space_name) so 001 can create the canonical ones.
+-- 008_import_legacy_data.sql copies their rows over. Does nothing on other databases.
+
+DO $$
+DECLARE
+    legacy_table TEXT;
+    legacy_index TEXT;
+BEGIN
+    FOREACH legacy_table IN ARRAY ARRAY['visitors', 'space_stats', 'user_sessions', 'world_objects', 'chat_messages'] LOOP
+        CONTINUE WHEN to_regclass('public.' || legacy_table) IS NULL;
+
+        -- The canonical world_objects and chat_messages have no space_name
+        CONTINUE WHEN legacy_table IN ('world_objects', 'chat_messages') AND NOT EXISTS (
+            SELECT 1 FROM information_schema.columns
+            WHERE table_schema = 'public' AND table_name = legacy_table AND column_name = 'space_name'
+        );
+
+        -- Index (and key) names would clash with the ones 001 creates
+        FOR legacy_index IN
+            SELECT indexname FROM pg_indexes WHERE schemaname = 'public' AND tablename = legacy_table
+        LOOP
+            EXECUTE format('ALTER INDEX %I RENAME TO %I', legacy_index, 'legacy_' || legacy_index);
+        END LOOP;
+
+        EXECUTE format('ALTER TABLE %I RENAME TO %I', legacy_table, 'legacy_' || legacy_table);
+    END LOOP;
+END $$;
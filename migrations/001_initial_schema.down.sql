@@ -0,0 +1,20 @@
+-- Migration: 001_initial_schema.down.sql
+-- Description: Undo 001_initial_schema.sql (drops every table and all data).
+-- The uuid-ossp and pgcrypto extensions are left installed.
+
+DROP TABLE IF EXISTS media_assets;
+DROP TABLE IF EXISTS events;
+DROP TABLE IF EXISTS visitor_tracking;
+DROP TABLE IF EXISTS screen_shares;
+DROP TABLE IF EXISTS chat_messages;
+DROP TABLE IF EXISTS world_objects;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS fk_users_avatar_model;
+DROP TABLE IF EXISTS uploaded_models;
+DROP TABLE IF EXISTS sessions;
+
+ALTER TABLE spaces DROP CONSTRAINT IF EXISTS fk_spaces_owner;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS spaces;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
@@ -1,8 +1,6 @@
 -- Migration: 001_initial_schema.sql
 -- Description: Initial database schema for 3D World persistence system
 
-BEGIN;
-
 -- Enable required extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE EXTENSION IF NOT EXISTS "pgcrypto";
@@ -339,5 +337,3 @@ VALUES ('system', 'system@3dworld.local', 'System', true);
 
 INSERT INTO spaces (name, is_public, max_users) 
 VALUES ('main', true, 100);
-
-COMMIT;
\ No newline at end of file
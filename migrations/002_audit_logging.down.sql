@@ -0,0 +1,12 @@
+-- Migration: 002_audit_logging.down.sql
+-- Description: Undo 002_audit_logging.sql (the audit trail is lost)
+
+DROP TRIGGER IF EXISTS audit_chat_messages ON chat_messages;
+DROP TRIGGER IF EXISTS audit_spaces ON spaces;
+DROP TRIGGER IF EXISTS audit_users ON users;
+DROP TRIGGER IF EXISTS audit_uploaded_models ON uploaded_models;
+DROP TRIGGER IF EXISTS audit_world_objects ON world_objects;
+
+DROP FUNCTION IF EXISTS audit_trigger();
+
+DROP TABLE IF EXISTS audit_log;
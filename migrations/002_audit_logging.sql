@@ -1,8 +1,6 @@
 -- Migration: 002_audit_logging.sql
 -- Description: Add audit logging for critical tables
 
-BEGIN;
-
 -- Create audit log table
 CREATE TABLE audit_log (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -80,5 +78,3 @@ CREATE TRIGGER audit_spaces
 CREATE TRIGGER audit_chat_messages
     AFTER INSERT OR UPDATE OR DELETE ON chat_messages
     FOR EACH ROW EXECUTE FUNCTION audit_trigger();
-
-COMMIT;
\ No newline at end of file
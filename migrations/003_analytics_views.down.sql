@@ -0,0 +1,10 @@
+-- Migration: 003_analytics_views.down.sql
+-- Description: Undo 003_analytics_views.sql
+
+DROP FUNCTION IF EXISTS get_user_activity_summary(UUID);
+DROP FUNCTION IF EXISTS get_space_activity(UUID, INTERVAL);
+DROP FUNCTION IF EXISTS refresh_all_materialized_views();
+
+DROP MATERIALIZED VIEW IF EXISTS popular_models;
+DROP MATERIALIZED VIEW IF EXISTS user_statistics;
+DROP MATERIALIZED VIEW IF EXISTS space_statistics;
@@ -1,8 +1,6 @@
 -- Migration: 003_analytics_views.sql
 -- Description: Create materialized views and analytics functions
 
-BEGIN;
-
 -- Materialized view for space statistics
 CREATE MATERIALIZED VIEW space_statistics AS
 SELECT 
@@ -157,5 +155,3 @@ BEGIN
     FROM sessions WHERE user_id = p_user_id;
 END;
 $$ LANGUAGE plpgsql;
-
-COMMIT;
\ No newline at end of file
@@ -0,0 +1,47 @@
+-- Migration: 004_user_auth.down.sql
+-- Description: Undo 004_user_auth.sql (passwords and refresh tokens are lost)
+
+-- The audit trigger as 002_audit_logging.sql created it
+CREATE OR REPLACE FUNCTION audit_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        INSERT INTO audit_log (table_name, operation, user_id, old_data, new_data)
+        VALUES (
+            TG_TABLE_NAME,
+            TG_OP,
+            current_setting('app.current_user_id', true)::UUID,
+            row_to_json(OLD),
+            NULL
+        );
+        RETURN OLD;
+    ELSIF TG_OP = 'UPDATE' THEN
+        INSERT INTO audit_log (table_name, operation, user_id, old_data, new_data)
+        VALUES (
+            TG_TABLE_NAME,
+            TG_OP,
+            current_setting('app.current_user_id', true)::UUID,
+            row_to_json(OLD),
+            row_to_json(NEW)
+        );
+        RETURN NEW;
+    ELSIF TG_OP = 'INSERT' THEN
+        INSERT INTO audit_log (table_name, operation, user_id, old_data, new_data)
+        VALUES (
+            TG_TABLE_NAME,
+            TG_OP,
+            current_setting('app.current_user_id', true)::UUID,
+            NULL,
+            row_to_json(NEW)
+        );
+        RETURN NEW;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TABLE IF EXISTS refresh_tokens;
+
+DROP INDEX IF EXISTS idx_users_auth_identity;
+DROP INDEX IF EXISTS idx_users_email_lower;
+ALTER TABLE users DROP COLUMN IF EXISTS password_hash;
@@ -0,0 +1,65 @@
+-- Migration: 004_user_auth.sql
+-- Description: Local account credentials and JWT refresh tokens
+
+-- Local accounts log in with username/email + password
+ALTER TABLE users ADD COLUMN password_hash TEXT;
+
+CREATE INDEX idx_users_email_lower ON users(LOWER(email));
+CREATE UNIQUE INDEX idx_users_auth_identity ON users(auth_provider, auth_id)
+    WHERE auth_id IS NOT NULL;
+
+-- Refresh tokens are stored hashed; the raw token only ever lives on the client
+CREATE TABLE refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    replaced_by UUID REFERENCES refresh_tokens(id),
+    user_agent TEXT,
+    ip_address INET
+);
+
+CREATE INDEX idx_refresh_tokens_user ON refresh_tokens(user_id);
+CREATE INDEX idx_refresh_tokens_expires ON refresh_tokens(expires_at)
+    WHERE revoked_at IS NULL;
+
+-- Keep password hashes out of the audit trail
+CREATE OR REPLACE FUNCTION audit_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        INSERT INTO audit_log (table_name, operation, user_id, old_data, new_data)
+        VALUES (
+            TG_TABLE_NAME,
+            TG_OP,
+            current_setting('app.current_user_id', true)::UUID,
+            to_jsonb(OLD) - 'password_hash',
+            NULL
+        );
+        RETURN OLD;
+    ELSIF TG_OP = 'UPDATE' THEN
+        INSERT INTO audit_log (table_name, operation, user_id, old_data, new_data)
+        VALUES (
+            TG_TABLE_NAME,
+            TG_OP,
+            current_setting('app.current_user_id', true)::UUID,
+            to_jsonb(OLD) - 'password_hash',
+            to_jsonb(NEW) - 'password_hash'
+        );
+        RETURN NEW;
+    ELSIF TG_OP = 'INSERT' THEN
+        INSERT INTO audit_log (table_name, operation, user_id, old_data, new_data)
+        VALUES (
+            TG_TABLE_NAME,
+            TG_OP,
+            current_setting('app.current_user_id', true)::UUID,
+            NULL,
+            to_jsonb(NEW) - 'password_hash'
+        );
+        RETURN NEW;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,8 @@
+-- Migration: 005_object_permissions.down.sql
+-- Description: Undo 005_object_permissions.sql (object ownership and moderators are lost)
+
+DROP TABLE IF EXISTS space_moderators;
+
+DROP INDEX IF EXISTS idx_objects_owner;
+ALTER TABLE world_objects DROP COLUMN IF EXISTS is_public;
+ALTER TABLE world_objects DROP COLUMN IF EXISTS owner_id;
@@ -0,0 +1,22 @@
+-- Migration: 005_object_permissions.sql
+-- Description: Object ownership, public-editable objects and space moderators
+
+-- The owner may edit, delete, lock and share an object; created_by stays the
+-- original author even if ownership changes
+ALTER TABLE world_objects ADD COLUMN owner_id UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE world_objects ADD COLUMN is_public BOOLEAN DEFAULT false;
+
+UPDATE world_objects SET owner_id = created_by WHERE owner_id IS NULL;
+
+CREATE INDEX idx_objects_owner ON world_objects(owner_id);
+
+-- Moderators may edit any object in their space, locked or not
+CREATE TABLE space_moderators (
+    space_id UUID REFERENCES spaces(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (space_id, user_id)
+);
+
+CREATE INDEX idx_space_moderators_user ON space_moderators(user_id);
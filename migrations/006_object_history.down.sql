@@ -0,0 +1,43 @@
+-- Migration: 006_object_history.down.sql
+-- Description: Undo 006_object_history.sql (audit rows no longer record the acting user)
+
+DROP INDEX IF EXISTS idx_audit_object_history;
+
+-- The audit trigger as 004_user_auth.sql left it
+CREATE OR REPLACE FUNCTION audit_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        INSERT INTO audit_log (table_name, operation, user_id, old_data, new_data)
+        VALUES (
+            TG_TABLE_NAME,
+            TG_OP,
+            current_setting('app.current_user_id', true)::UUID,
+            to_jsonb(OLD) - 'password_hash',
+            NULL
+        );
+        RETURN OLD;
+    ELSIF TG_OP = 'UPDATE' THEN
+        INSERT INTO audit_log (table_name, operation, user_id, old_data, new_data)
+        VALUES (
+            TG_TABLE_NAME,
+            TG_OP,
+            current_setting('app.current_user_id', true)::UUID,
+            to_jsonb(OLD) - 'password_hash',
+            to_jsonb(NEW) - 'password_hash'
+        );
+        RETURN NEW;
+    ELSIF TG_OP = 'INSERT' THEN
+        INSERT INTO audit_log (table_name, operation, user_id, old_data, new_data)
+        VALUES (
+            TG_TABLE_NAME,
+            TG_OP,
+            current_setting('app.current_user_id', true)::UUID,
+            NULL,
+            to_jsonb(NEW) - 'password_hash'
+        );
+        RETURN NEW;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
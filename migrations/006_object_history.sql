@@ -0,0 +1,57 @@
+-- Migration: 006_object_history.sql
+-- Description: Attribute audit rows to the acting user so object edits can be undone
+
+-- Prefer the actor the application set for the transaction
+-- (app.current_user_id), otherwise whoever the row says made the change
+CREATE OR REPLACE FUNCTION audit_trigger()
+RETURNS TRIGGER AS $$
+DECLARE
+    actor_id UUID;
+BEGIN
+    actor_id := NULLIF(current_setting('app.current_user_id', true), '')::UUID;
+
+    IF actor_id IS NULL AND TG_OP <> 'DELETE' THEN
+        actor_id := COALESCE(
+            to_jsonb(NEW) ->> 'updated_by',
+            to_jsonb(NEW) ->> 'created_by'
+        )::UUID;
+    END IF;
+
+    IF TG_OP = 'DELETE' THEN
+        INSERT INTO audit_log (table_name, operation, user_id, old_data, new_data)
+        VALUES (
+            TG_TABLE_NAME,
+            TG_OP,
+            actor_id,
+            to_jsonb(OLD) - 'password_hash',
+            NULL
+        );
+        RETURN OLD;
+    ELSIF TG_OP = 'UPDATE' THEN
+        INSERT INTO audit_log (table_name, operation, user_id, old_data, new_data)
+        VALUES (
+            TG_TABLE_NAME,
+            TG_OP,
+            actor_id,
+            to_jsonb(OLD) - 'password_hash',
+            to_jsonb(NEW) - 'password_hash'
+        );
+        RETURN NEW;
+    ELSIF TG_OP = 'INSERT' THEN
+        INSERT INTO audit_log (table_name, operation, user_id, old_data, new_data)
+        VALUES (
+            TG_TABLE_NAME,
+            TG_OP,
+            actor_id,
+            NULL,
+            to_jsonb(NEW) - 'password_hash'
+        );
+        RETURN NEW;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- A user's recent object edits, newest first, for the undo history
+CREATE INDEX idx_audit_object_history ON audit_log(user_id, changed_at DESC)
+    WHERE table_name = 'world_objects';
@@ -0,0 +1,4 @@
+-- Migration: 007_world_snapshots.down.sql
+-- Description: Undo 007_world_snapshots.sql
+
+DROP TABLE IF EXISTS world_snapshots;
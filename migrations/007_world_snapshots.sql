@@ -0,0 +1,17 @@
+-- Migration: 007_world_snapshots.sql
+-- Description: Named and automatic snapshots of a space's layout for point-in-time restore
+
+-- Objects and uploaded models are stored in their in-memory world state format
+CREATE TABLE world_snapshots (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    space_id UUID REFERENCES spaces(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    kind VARCHAR(20) NOT NULL DEFAULT 'manual', -- manual, auto or pre-restore
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    objects JSONB NOT NULL DEFAULT '{}',
+    uploaded_models JSONB NOT NULL DEFAULT '{}',
+    object_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_world_snapshots_space ON world_snapshots(space_id, created_at DESC);
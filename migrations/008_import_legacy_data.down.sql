@@ -0,0 +1,39 @@
+-- Migration: 008_import_legacy_data.down.sql
+-- Description: Undo 008_import_legacy_data.sql. Rows copied from the legacy_* tables are
+-- removed again (spaces created for them are kept).
+
+DO $$
+BEGIN
+    IF to_regclass('public.legacy_space_stats') IS NOT NULL THEN
+        UPDATE spaces sp
+        SET visitor_count = GREATEST(sp.visitor_count - COALESCE(st.total_visits, 0), 0)
+        FROM legacy_space_stats st
+        WHERE st.space_name = sp.name;
+    END IF;
+
+    IF to_regclass('public.legacy_visitors') IS NOT NULL THEN
+        DELETE FROM visitor_tracking v
+        USING legacy_visitors l, spaces sp
+        WHERE sp.name = l.space_name AND v.space_id = sp.id AND v.visitor_id = l.visitor_id;
+    END IF;
+
+    IF to_regclass('public.legacy_world_objects') IS NOT NULL THEN
+        DELETE FROM world_objects WHERE object_id IN (SELECT object_id FROM legacy_world_objects);
+    END IF;
+
+    IF to_regclass('public.legacy_chat_messages') IS NOT NULL THEN
+        DELETE FROM chat_messages c
+        USING legacy_chat_messages l, spaces sp
+        WHERE sp.name = l.space_name
+          AND c.space_id = sp.id
+          AND c.created_at = l.created_at
+          AND c.message = COALESCE(l.message, '')
+          AND c.username IS NOT DISTINCT FROM LEFT(l.username, 100);
+    END IF;
+
+    IF to_regclass('public.legacy_user_sessions') IS NOT NULL THEN
+        DELETE FROM sessions WHERE socket_id IN (SELECT socket_id FROM legacy_user_sessions);
+    END IF;
+END $$;
+
+DROP INDEX IF EXISTS idx_visitors_space_visitor;
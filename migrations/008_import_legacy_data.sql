@@ -0,0 +1,103 @@
+-- Migration: 008_import_legacy_data.sql
+-- Description: One schema for both servers. Copies the rows of the legacy_* tables
+-- (see 000_rename_legacy_tables.sql) into spaces, world_objects, chat_messages,
+-- sessions and visitor_tracking, and keys visitor_tracking by space.
+-- The legacy_* tables are kept to check the import against; drop them afterwards.
+
+-- PersistenceLayer.trackVisitor upserts one row per visitor and space
+CREATE UNIQUE INDEX idx_visitors_space_visitor ON visitor_tracking(space_id, visitor_id);
+
+DO $$
+BEGIN
+    -- space_stats: total visits move to spaces.visitor_count
+    IF to_regclass('public.legacy_space_stats') IS NOT NULL THEN
+        INSERT INTO spaces (name)
+        SELECT space_name FROM legacy_space_stats
+        ON CONFLICT (name) DO NOTHING;
+
+        UPDATE spaces sp
+        SET visitor_count = sp.visitor_count + COALESCE(st.total_visits, 0)
+        FROM legacy_space_stats st
+        WHERE st.space_name = sp.name;
+    END IF;
+
+    IF to_regclass('public.legacy_visitors') IS NOT NULL THEN
+        INSERT INTO spaces (name)
+        SELECT DISTINCT space_name FROM legacy_visitors
+        ON CONFLICT (name) DO NOTHING;
+
+        INSERT INTO visitor_tracking (visitor_id, space_id, first_visit_at, last_visit_at)
+        SELECT v.visitor_id, sp.id, v.first_visit, v.last_visit
+        FROM legacy_visitors v
+        JOIN spaces sp ON sp.name = v.space_name
+        ON CONFLICT (space_id, visitor_id) DO NOTHING;
+    END IF;
+
+    -- Flat transforms become JSONB; ownership and edit flags were kept in
+    -- metadata, the rest of it becomes properties. Legacy user ids were
+    -- socket ids, so only ids of existing accounts are kept.
+    IF to_regclass('public.legacy_world_objects') IS NOT NULL THEN
+        INSERT INTO spaces (name)
+        SELECT DISTINCT space_name FROM legacy_world_objects
+        ON CONFLICT (name) DO NOTHING;
+
+        INSERT INTO world_objects
+            (object_id, space_id, type, position, rotation, scale,
+             created_by, owner_id, locked, is_public, properties, created_at, updated_at)
+        SELECT
+            o.object_id,
+            sp.id,
+            COALESCE(o.object_type, 'model'),
+            jsonb_build_object('x', COALESCE(o.position_x, 0), 'y', COALESCE(o.position_y, 0), 'z', COALESCE(o.position_z, 0)),
+            jsonb_build_object('x', COALESCE(o.rotation_x, 0), 'y', COALESCE(o.rotation_y, 0), 'z', COALESCE(o.rotation_z, 0)),
+            jsonb_build_object('x', COALESCE(o.scale_x, 1), 'y', COALESCE(o.scale_y, 1), 'z', COALESCE(o.scale_z, 1)),
+            (SELECT u.id FROM users u WHERE u.id::text = o.metadata ->> 'createdBy'),
+            (SELECT u.id FROM users u WHERE u.id::text = o.metadata ->> 'ownerId'),
+            COALESCE((o.metadata ->> 'locked')::boolean, false),
+            COALESCE((o.metadata ->> 'isPublic')::boolean, false),
+            COALESCE(o.metadata, '{}') - ARRAY['createdBy', 'ownerId', 'locked', 'isPublic'],
+            COALESCE(o.created_at, CURRENT_TIMESTAMP),
+            COALESCE(o.updated_at, CURRENT_TIMESTAMP)
+        FROM legacy_world_objects o
+        JOIN spaces sp ON sp.name = o.space_name
+        ON CONFLICT (object_id) DO NOTHING;
+    END IF;
+
+    IF to_regclass('public.legacy_chat_messages') IS NOT NULL THEN
+        INSERT INTO spaces (name)
+        SELECT DISTINCT space_name FROM legacy_chat_messages
+        ON CONFLICT (name) DO NOTHING;
+
+        INSERT INTO chat_messages (space_id, user_id, username, message, created_at)
+        SELECT
+            sp.id,
+            (SELECT u.id FROM users u WHERE u.id::text = c.user_id),
+            LEFT(c.username, 100),
+            COALESCE(c.message, ''),
+            COALESCE(c.created_at, CURRENT_TIMESTAMP)
+        FROM legacy_chat_messages c
+        JOIN spaces sp ON sp.name = c.space_name;
+    END IF;
+
+    -- Ended sessions only; ip_address was free text and is not carried over
+    IF to_regclass('public.legacy_user_sessions') IS NOT NULL THEN
+        INSERT INTO spaces (name)
+        SELECT DISTINCT space_name FROM legacy_user_sessions
+        ON CONFLICT (name) DO NOTHING;
+
+        INSERT INTO sessions
+            (user_id, space_id, socket_id, user_agent, connected_at, disconnected_at, duration_seconds, is_active)
+        SELECT
+            (SELECT u.id FROM users u WHERE u.id::text = s.user_id),
+            sp.id,
+            s.socket_id,
+            s.user_agent,
+            s.connected_at,
+            COALESCE(s.disconnected_at, s.connected_at),
+            EXTRACT(EPOCH FROM (COALESCE(s.disconnected_at, s.connected_at) - s.connected_at))::INTEGER,
+            false
+        FROM legacy_user_sessions s
+        JOIN spaces sp ON sp.name = s.space_name
+        ON CONFLICT (socket_id) DO NOTHING;
+    END IF;
+END $$;
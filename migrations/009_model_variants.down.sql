@@ -0,0 +1,4 @@
+-- Migration: 009_model_variants.down.sql
+-- Description: Undo 009_model_variants.sql
+
+ALTER TABLE uploaded_models DROP COLUMN IF EXISTS variants;
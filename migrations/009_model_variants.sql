@@ -0,0 +1,7 @@
+-- Migration: 009_model_variants.sql
+-- Description: Desktop and mobile variants of uploaded models (glb-optimizer.js)
+
+-- { "desktop": { "key", "url", "fileSize", "steps" }, "mobile": { ... } }; the
+-- desktop variant is also r2_key/public_url and the mobile one mobile_url.
+-- processing_status is optimized, partial or original.
+ALTER TABLE uploaded_models ADD COLUMN variants JSONB NOT NULL DEFAULT '{}';
@@ -1,85 +1,336 @@
 #!/usr/bin/env node
 
+// Database migrations. Each NNN_name.sql (up) has a NNN_name.down.sql that
+// undoes it. Every file runs in its own transaction together with its row in
+// the `migrations` table, which also keeps the file's checksum: an applied
+// migration that was edited afterwards stops up and down until it is put
+// back (or rolled back with the original down file).
+//
+//   node migrations/run-migrations.js [up|down|status] [options]
+//     up             apply pending migrations (default)
+//     down           roll back the latest applied migration
+//     status         list applied, pending and edited migrations
+//     --to <NNN>     up: stop after NNN; down: roll back everything after NNN
+//     --steps <n>    down: roll back the latest n migrations
+//     --dry-run      show what would run without changing the database
+
 const { Pool } = require('pg');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 require('dotenv').config();
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.DATABASE_SSL !== 'false' ? { rejectUnauthorized: false } : false
-});
+const MIGRATIONS_DIR = __dirname;
+const UP_FILE = /^(\d+)_[\w-]+\.sql$/;
+const DOWN_SUFFIX = '.down.sql';
+
+// pg_advisory_lock key, so two deploys cannot migrate at the same time
+const MIGRATION_LOCK_ID = 3141592653;
+
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+// Line endings depend on the checkout, so they do not count as an edit
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+// Up/down pairs in version order:
+// { version, filename, sql, checksum, downFilename, downSql }
+async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await fs.readdir(dir)).filter(file => file.endsWith('.sql'));
+  const migrations = [];
+
+  for (const file of files.filter(file => !file.endsWith(DOWN_SUFFIX)).sort()) {
+    const match = file.match(UP_FILE);
+    if (!match) {
+      throw new MigrationError(`${file} is not named NNN_name.sql`);
+    }
+
+    const sql = await fs.readFile(path.join(dir, file), 'utf8');
+    const downFilename = file.replace(/\.sql$/, DOWN_SUFFIX);
+    const hasDown = files.includes(downFilename);
+
+    migrations.push({
+      version: match[1],
+      filename: file,
+      sql,
+      checksum: checksum(sql),
+      downFilename: hasDown ? downFilename : null,
+      downSql: hasDown ? await fs.readFile(path.join(dir, downFilename), 'utf8') : null
+    });
+  }
+
+  for (const file of files.filter(file => file.endsWith(DOWN_SUFFIX))) {
+    if (!migrations.some(migration => migration.downFilename === file)) {
+      throw new MigrationError(`${file} has no matching up migration`);
+    }
+  }
+
+  return migrations;
+}
+
+// ==================== STATUS & PLANNING ====================
+
+// Every migration on disk or in the database with its state:
+// 'applied', 'pending', 'changed' (edited since it was applied) or
+// 'missing' (applied, but the file is gone). Rows applied before checksums
+// were recorded count as applied and are marked unverified.
+function migrationStatus(migrations, applied) {
+  const appliedByFile = new Map(applied.map(row => [row.filename, row]));
+
+  const status = migrations.map(migration => {
+    const row = appliedByFile.get(migration.filename);
+    let state = 'pending';
+    if (row) {
+      state = row.checksum && row.checksum !== migration.checksum ? 'changed' : 'applied';
+    }
+
+    return {
+      filename: migration.filename,
+      state,
+      executedAt: row ? row.executed_at : null,
+      unverified: !!row && !row.checksum,
+      reversible: !!migration.downSql
+    };
+  });
+
+  applied
+    .filter(row => !migrations.some(migration => migration.filename === row.filename))
+    .forEach(row => status.push({
+      filename: row.filename,
+      state: 'missing',
+      executedAt: row.executed_at,
+      unverified: false,
+      reversible: false
+    }));
+
+  return status.sort((a, b) => a.filename.localeCompare(b.filename));
+}
+
+// The migrations `up` or `down` would run, in order
+function planMigrations(command, migrations, applied, { to = null, steps = null } = {}) {
+  const status = migrationStatus(migrations, applied);
+
+  const edited = status.filter(entry => entry.state === 'changed' || entry.state === 'missing');
+  if (edited.length > 0) {
+    throw new MigrationError(
+      `Applied migrations were changed or removed: ${edited.map(entry => entry.filename).join(', ')}. ` +
+      'Restore the files that were applied before migrating.'
+    );
+  }
+
+  const target = to === null ? null : Number(to);
+  if (target !== null && !migrations.some(migration => Number(migration.version) === target)) {
+    throw new MigrationError(`No migration ${to}`);
+  }
+
+  const appliedFiles = new Set(applied.map(row => row.filename));
+
+  if (command === 'up') {
+    return migrations.filter(migration =>
+      !appliedFiles.has(migration.filename) && (target === null || Number(migration.version) <= target)
+    );
+  }
+
+  let rollback = migrations.filter(migration => appliedFiles.has(migration.filename)).reverse();
+  if (target !== null) {
+    rollback = rollback.filter(migration => Number(migration.version) > target);
+  } else {
+    rollback = rollback.slice(0, steps === null ? 1 : steps);
+  }
+
+  const irreversible = rollback.filter(migration => !migration.downSql);
+  if (irreversible.length > 0) {
+    throw new MigrationError(
+      `No down migration for ${irreversible.map(migration => migration.filename).join(', ')}`
+    );
+  }
+
+  return rollback;
+}
+
+// ==================== EXECUTION ====================
 
-async function runMigrations() {
-  console.log('🔧 Running database migrations...\n');
-  
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS migrations (
+      id SERIAL PRIMARY KEY,
+      filename VARCHAR(255) UNIQUE NOT NULL,
+      checksum VARCHAR(64),
+      executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  // Tables created by earlier versions of this script have no checksums
+  await client.query('ALTER TABLE migrations ADD COLUMN IF NOT EXISTS checksum VARCHAR(64)');
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query(
+    'SELECT filename, checksum, executed_at FROM migrations ORDER BY filename'
+  );
+  return result.rows;
+}
+
+// Record checksums of migrations applied before they were kept
+async function recordMissingChecksums(client, migrations, applied) {
+  for (const row of applied.filter(row => !row.checksum)) {
+    const migration = migrations.find(candidate => candidate.filename === row.filename);
+    if (!migration) continue;
+
+    await client.query('UPDATE migrations SET checksum = $2 WHERE filename = $1', [
+      row.filename,
+      migration.checksum
+    ]);
+    row.checksum = migration.checksum;
+    console.log(`🔏 Recorded checksum of ${row.filename}`);
+  }
+}
+
+// Run one migration and its bookkeeping in a single transaction
+async function runMigration(client, migration, direction) {
+  await client.query('BEGIN');
+  try {
+    if (direction === 'up') {
+      await client.query(migration.sql);
+      await client.query('INSERT INTO migrations (filename, checksum) VALUES ($1, $2)', [
+        migration.filename,
+        migration.checksum
+      ]);
+    } else {
+      await client.query(migration.downSql);
+      await client.query('DELETE FROM migrations WHERE filename = $1', [migration.filename]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+function printStatus(status) {
+  const icons = { applied: '✅', pending: '⏳', changed: '⚠️ ', missing: '❓' };
+
+  status.forEach(entry => {
+    const details = [];
+    if (entry.executedAt) details.push(`applied ${new Date(entry.executedAt).toISOString()}`);
+    if (entry.state === 'changed') details.push('CHANGED since it was applied');
+    if (entry.state === 'missing') details.push('file MISSING');
+    if (entry.unverified) details.push('no checksum yet');
+    if (!entry.reversible && entry.state !== 'missing') details.push('no down migration');
+
+    console.log(`${icons[entry.state]} ${entry.filename.padEnd(32)} ${entry.state.padEnd(8)} ${details.join(', ')}`);
+  });
+}
+
+// Run `up`, `down` or `status`; returns the migrations run (or the status
+// list). Pass `pool` to use an existing connection pool.
+async function runMigrations(command = 'up', options = {}) {
+  if (!['up', 'down', 'status'].includes(command)) {
+    throw new MigrationError(`Unknown command "${command}" (expected up, down or status)`);
+  }
+
+  const { dryRun = false, dir = MIGRATIONS_DIR } = options;
+  const pool = options.pool || new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_SSL !== 'false' ? { rejectUnauthorized: false } : false
+  });
   const client = await pool.connect();
-  
+
   try {
-    // Create migrations table if not exists
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS migrations (
-        id SERIAL PRIMARY KEY,
-        filename VARCHAR(255) UNIQUE NOT NULL,
-        executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Get list of migration files
-    const migrationDir = path.join(__dirname);
-    const files = await fs.readdir(migrationDir);
-    const sqlFiles = files
-      .filter(f => f.endsWith('.sql') && !f.includes('rollback'))
-      .sort();
-    
-    console.log(`Found ${sqlFiles.length} migration files\n`);
-    
-    for (const file of sqlFiles) {
-      // Check if migration has been run
-      const result = await client.query(
-        'SELECT * FROM migrations WHERE filename = $1',
-        [file]
-      );
-      
-      if (result.rows.length > 0) {
-        console.log(`⏩ Skipping ${file} (already executed)`);
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+
+    const migrations = await loadMigrations(dir);
+    await ensureMigrationsTable(client);
+    const applied = await getAppliedMigrations(client);
+
+    if (command === 'status') {
+      const status = migrationStatus(migrations, applied);
+      printStatus(status);
+      return status;
+    }
+
+    if (!dryRun) {
+      await recordMissingChecksums(client, migrations, applied);
+    }
+
+    const plan = planMigrations(command, migrations, applied, options);
+    if (plan.length === 0) {
+      console.log(command === 'up' ? '✨ Database is up to date' : '✨ Nothing to roll back');
+      return plan;
+    }
+
+    for (const migration of plan) {
+      const filename = command === 'up' ? migration.filename : migration.downFilename;
+
+      if (dryRun) {
+        console.log(`🔍 Would run ${filename}`);
         continue;
       }
-      
-      // Read and execute migration
-      console.log(`🚀 Executing ${file}...`);
-      const sql = await fs.readFile(path.join(migrationDir, file), 'utf8');
-      
+
+      console.log(`🚀 Running ${filename}...`);
       try {
-        await client.query(sql);
-        
-        // Record migration
-        await client.query(
-          'INSERT INTO migrations (filename) VALUES ($1)',
-          [file]
-        );
-        
-        console.log(`✅ ${file} executed successfully\n`);
+        await runMigration(client, migration, command);
       } catch (error) {
-        console.error(`❌ Failed to execute ${file}:`, error.message);
-        throw error;
+        throw new MigrationError(`${filename} failed and was rolled back: ${error.message}`);
       }
+      console.log(`✅ ${filename} done`);
     }
-    
-    console.log('✨ All migrations completed successfully!');
-    
-  } catch (error) {
-    console.error('Migration failed:', error);
-    process.exit(1);
+
+    console.log(dryRun
+      ? `🔍 Dry run: ${plan.length} migration(s) would run`
+      : `✨ ${plan.length} migration(s) ${command === 'up' ? 'applied' : 'rolled back'}`);
+    return plan;
   } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
     client.release();
-    await pool.end();
+    if (!options.pool) await pool.end();
+  }
+}
+
+function parseArgs(args) {
+  const options = { command: 'up', dryRun: false, to: null, steps: null };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--to') {
+      options.to = args[++i];
+    } else if (arg === '--steps') {
+      options.steps = parseInt(args[++i], 10);
+      if (!(options.steps > 0)) throw new MigrationError('--steps needs a positive number');
+    } else if (!arg.startsWith('--')) {
+      options.command = arg;
+    } else {
+      throw new MigrationError(`Unknown option ${arg}`);
+    }
   }
+
+  return options;
 }
 
 // Run if called directly
 if (require.main === module) {
-  runMigrations().catch(console.error);
+  (async () => {
+    try {
+      const { command, ...options } = parseArgs(process.argv.slice(2));
+      await runMigrations(command, options);
+    } catch (error) {
+      console.error(`❌ ${error instanceof MigrationError ? error.message : error.stack}`);
+      process.exit(1);
+    }
+  })();
 }
 
-module.exports = runMigrations;
\ No newline at end of file
+module.exports = runMigrations;
+module.exports.MigrationError = MigrationError;
+module.exports.checksum = checksum;
+module.exports.loadMigrations = loadMigrations;
+module.exports.migrationStatus = migrationStatus;
+module.exports.planMigrations = planMigrations;
+module.exports.parseArgs = parseArgs;
@@ -0,0 +1,110 @@
+// Soft locks for objects being dragged
+// A user "grabs" an object when they select it; until they release it (or the
+// claim times out) only their connection may move or delete it. Claims are
+// keyed by socket id, so two tabs of the same account still conflict.
+
+const CLAIM_ERRORS = {
+  HELD: 'OBJECT_HELD'
+};
+
+// Idle claims lapse after this long; every accepted move renews the claim
+const DEFAULT_CLAIM_TIMEOUT = 15000;
+
+class ObjectClaims {
+  constructor({ timeout = DEFAULT_CLAIM_TIMEOUT } = {}) {
+    this.timeout = timeout;
+    this.claims = new Map();
+  }
+
+  // Active claim on an object, or null
+  get(objectId, now = Date.now()) {
+    const claim = this.claims.get(objectId);
+    if (!claim) return null;
+
+    if (claim.expiresAt <= now) {
+      this.claims.delete(objectId);
+      return null;
+    }
+    return claim;
+  }
+
+  // Claim held by someone other than socketId, or null
+  heldByOther(objectId, socketId, now = Date.now()) {
+    const claim = this.get(objectId, now);
+    return claim && claim.socketId !== socketId ? claim : null;
+  }
+
+  // Grab (or renew) an object for holder { socketId, userId, username }.
+  // Returns { granted, renewed, claim } where claim is the current holder.
+  claim(objectId, holder, now = Date.now()) {
+    const current = this.get(objectId, now);
+    if (current && current.socketId !== holder.socketId) {
+      return { granted: false, renewed: false, claim: current };
+    }
+
+    const claim = {
+      objectId,
+      socketId: holder.socketId,
+      userId: holder.userId,
+      username: holder.username,
+      expiresAt: now + this.timeout
+    };
+    this.claims.set(objectId, claim);
+
+    return { granted: true, renewed: !!current, claim };
+  }
+
+  // Store a claim granted elsewhere (another server instance) as is
+  set(claim) {
+    this.claims.set(claim.objectId, claim);
+  }
+
+  // Only the holder can release a claim
+  release(objectId, socketId) {
+    const claim = this.claims.get(objectId);
+    if (!claim || claim.socketId !== socketId) return false;
+
+    this.claims.delete(objectId);
+    return true;
+  }
+
+  // Drop every claim a connection holds; returns the released object ids
+  releaseAll(socketId) {
+    const released = [];
+    for (const [objectId, claim] of this.claims) {
+      if (claim.socketId === socketId) {
+        this.claims.delete(objectId);
+        released.push(objectId);
+      }
+    }
+    return released;
+  }
+
+  // Forget the claim on an object that no longer exists
+  delete(objectId) {
+    this.claims.delete(objectId);
+  }
+
+  // Remove lapsed claims; returns them so their release can be broadcast
+  expire(now = Date.now()) {
+    const expired = [];
+    for (const [objectId, claim] of this.claims) {
+      if (claim.expiresAt <= now) {
+        this.claims.delete(objectId);
+        expired.push(claim);
+      }
+    }
+    return expired;
+  }
+
+  // Active claims, for the world-state payload
+  list(now = Date.now()) {
+    return Array.from(this.claims.values()).filter(claim => claim.expiresAt > now);
+  }
+}
+
+module.exports = {
+  CLAIM_ERRORS,
+  DEFAULT_CLAIM_TIMEOUT,
+  ObjectClaims
+};
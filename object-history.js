@@ -0,0 +1,130 @@
+// Per-user undo/redo history for shared object edits
+// Each actor gets an undo and a redo stack of operations
+// ({ type, objectId, before, after }) where before/after are full object
+// snapshots (null on the side where the object does not exist). Servers
+// record every add/move/delete and apply the inverse on undo; reverts are
+// broadcast like any other edit.
+
+const HISTORY_OPERATIONS = {
+  ADD: 'add',
+  MOVE: 'move',
+  DELETE: 'delete'
+};
+
+const HISTORY_ERRORS = {
+  EMPTY: 'HISTORY_EMPTY',
+  CONFLICT: 'HISTORY_CONFLICT'
+};
+
+// The operation that reverts `operation`
+function invertOperation(operation) {
+  const inverse = {
+    [HISTORY_OPERATIONS.ADD]: HISTORY_OPERATIONS.DELETE,
+    [HISTORY_OPERATIONS.DELETE]: HISTORY_OPERATIONS.ADD,
+    [HISTORY_OPERATIONS.MOVE]: HISTORY_OPERATIONS.MOVE
+  };
+
+  return {
+    type: inverse[operation.type],
+    objectId: operation.objectId,
+    before: operation.after,
+    after: operation.before
+  };
+}
+
+class ObjectHistory {
+  // maxEntries caps each stack; consecutive moves of the same object within
+  // mergeWindow ms collapse into one entry so a drag undoes in one step
+  constructor({ maxEntries = 50, mergeWindow = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.mergeWindow = mergeWindow;
+    this.stacks = new Map();
+  }
+
+  getStacks(actorId) {
+    if (!this.stacks.has(actorId)) {
+      this.stacks.set(actorId, { undo: [], redo: [], loaded: false });
+    }
+    return this.stacks.get(actorId);
+  }
+
+  record(actorId, operation, now = Date.now()) {
+    if (!actorId) return;
+
+    const stacks = this.getStacks(actorId);
+    const last = stacks.undo[stacks.undo.length - 1];
+
+    if (last &&
+        operation.type === HISTORY_OPERATIONS.MOVE &&
+        last.type === HISTORY_OPERATIONS.MOVE &&
+        last.objectId === operation.objectId &&
+        now - last.timestamp <= this.mergeWindow) {
+      last.after = operation.after;
+      last.timestamp = now;
+    } else {
+      stacks.undo.push({ ...operation, timestamp: now });
+      if (stacks.undo.length > this.maxEntries) stacks.undo.shift();
+    }
+
+    // A new edit invalidates anything that was undone before it
+    stacks.redo = [];
+  }
+
+  // Seed an actor's undo stack with older operations (oldest first), e.g.
+  // from the audit log, beneath anything recorded since
+  load(actorId, operations) {
+    const stacks = this.getStacks(actorId);
+    const older = operations.map(operation => ({ ...operation, timestamp: 0 }));
+    stacks.undo = older.concat(stacks.undo).slice(-this.maxEntries);
+    stacks.loaded = true;
+  }
+
+  isLoaded(actorId) {
+    return this.stacks.has(actorId) && this.stacks.get(actorId).loaded;
+  }
+
+  // Pop the latest edit and hand its inverse to `apply` (async, resolves to
+  // true when the revert went through). Successful reverts move to the redo
+  // stack; ones that no longer apply are dropped.
+  // Resolves to { applied, empty }.
+  async undo(actorId, apply) {
+    return this.replay(actorId, 'undo', 'redo', invertOperation, apply);
+  }
+
+  async redo(actorId, apply) {
+    return this.replay(actorId, 'redo', 'undo', operation => operation, apply);
+  }
+
+  async replay(actorId, from, to, transform, apply) {
+    const stacks = this.getStacks(actorId);
+    const entry = stacks[from].pop();
+    if (!entry) return { applied: false, empty: true };
+
+    const applied = await apply(transform(entry));
+    if (applied) {
+      // Never merge a later move into an entry that has been replayed
+      stacks[to].push({ ...entry, timestamp: 0 });
+    }
+
+    return { applied, empty: false };
+  }
+
+  getDepth(actorId) {
+    const stacks = this.stacks.get(actorId);
+    return {
+      undo: stacks ? stacks.undo.length : 0,
+      redo: stacks ? stacks.redo.length : 0
+    };
+  }
+
+  clear(actorId) {
+    this.stacks.delete(actorId);
+  }
+}
+
+module.exports = {
+  HISTORY_OPERATIONS,
+  HISTORY_ERRORS,
+  ObjectHistory,
+  invertOperation
+};
@@ -1,7 +1,20 @@
-class BatchProcessor {
+const EventEmitter = require('events');
+const CacheRepository = require('./CacheRepository');
+
+// Queues writes and runs them in batches. Batches that still fail after
+// `retryAttempts` go to the dead-letter store (see DeadLetterStore.js) when
+// one is configured, from where they can be listed and replayed.
+//
+// A queue that reaches `maxQueueSize` refuses add() (it returns false) and
+// emits 'backpressure' with { type, size }; once it is down to half its
+// limit again 'drain' follows with { type }.
+class BatchProcessor extends EventEmitter {
     constructor(persistenceLayer, cacheManager, options = {}) {
+        super();
         this.persistence = persistenceLayer;
         this.cache = cacheManager;
+        this.deadLetters = options.deadLetterStore || null;
+        this.repository = options.repository || new CacheRepository(persistenceLayer, cacheManager);
         
         // Configuration
         this.config = {
@@ -24,11 +37,17 @@ class BatchProcessor {
         // Timers for batch processing
         this.timers = {};
         
+        // Queues that refused operations and have not drained since
+        this.saturated = new Set();
+        this.stopping = false;
+        
         // Statistics
         this.stats = {
             processed: 0,
             failed: 0,
             retried: 0,
+            rejected: 0,
+            deadLettered: 0,
             queuedTotal: 0,
             averageLatency: 0
         };
@@ -45,10 +64,14 @@ class BatchProcessor {
             return false;
         }
         
-        // Check queue size limit
+        // Check queue size limit; the caller keeps the operation
         if (this.queues[type].length >= this.config.maxQueueSize) {
-            console.warn(`Queue ${type} is full, dropping operation`);
-            this.stats.failed++;
+            this.stats.rejected++;
+            if (!this.saturated.has(type)) {
+                this.saturated.add(type);
+                console.warn(`Queue ${type} is full, refusing operations until it drains`);
+                this.emit('backpressure', { type, size: this.queues[type].length });
+            }
             return false;
         }
         
@@ -73,6 +96,19 @@ class BatchProcessor {
         return true;
     }
 
+    // Whether a queue (or any queue) is refusing operations
+    isSaturated(type) {
+        return type ? this.saturated.has(type) : this.saturated.size > 0;
+    }
+
+    checkDrained(type) {
+        if (this.saturated.has(type) && this.queues[type].length <= this.config.maxQueueSize / 2) {
+            this.saturated.delete(type);
+            console.log(`Queue ${type} drained`);
+            this.emit('drain', { type });
+        }
+    }
+
     scheduleFlush(type) {
         this.timers[type] = setTimeout(() => {
             this.flush(type);
@@ -91,6 +127,7 @@ class BatchProcessor {
         
         // Take batch from queue
         const batch = queue.splice(0, this.config.batchSize);
+        this.checkDrained(type);
         
         try {
             await this.processBatch(type, batch);
@@ -103,7 +140,7 @@ class BatchProcessor {
             console.error(`Batch processing failed for ${type}:`, error);
             
             // Retry failed batch items
-            await this.retryBatch(type, batch);
+            await this.retryBatch(type, batch, error);
         }
     }
 
@@ -147,6 +184,24 @@ class BatchProcessor {
     async processObjectUpdates(batch) {
         if (batch.length === 0) return;
         
+        // Concurrent drags of one object land in the same batch; an UPDATE ...
+        // FROM VALUES with duplicate ids applies an arbitrary row, so only the
+        // latest move of each object is written
+        const updates = this.collapseObjectUpdates(batch);
+        
+        // SQLite and in-memory storage have no pool; go through the storage
+        // interface instead of the bulk UPDATE
+        if (!this.persistence.pool) {
+            await this.persistence.batchUpdateObjects(updates.map(update => ({
+                objectId: update.objectId,
+                data: { position: update.position, rotation: update.rotation, scale: update.scale },
+                updatedBy: update.updatedBy
+            })));
+            await this.updateObjectCache(updates);
+            await this.publishObjectUpdates(updates);
+            return;
+        }
+        
         const client = await this.persistence.pool.connect();
         try {
             await client.query('BEGIN');
@@ -156,7 +211,7 @@ class BatchProcessor {
             const params = [];
             let paramIndex = 1;
             
-            batch.forEach(update => {
+            updates.forEach(update => {
                 values.push(`($${paramIndex}, $${paramIndex+1}::jsonb, $${paramIndex+2}::jsonb, $${paramIndex+3}::jsonb, $${paramIndex+4}, NOW())`);
                 params.push(
                     update.objectId,
@@ -185,10 +240,10 @@ class BatchProcessor {
             await client.query(query, params);
             
             // Update cache
-            await this.updateObjectCache(batch);
+            await this.updateObjectCache(updates);
             
             // Publish updates via Redis pub/sub
-            await this.publishObjectUpdates(batch);
+            await this.publishObjectUpdates(updates);
             
             await client.query('COMMIT');
             
@@ -200,6 +255,20 @@ class BatchProcessor {
         }
     }
 
+    // Latest update per object (queue order breaks timestamp ties)
+    collapseObjectUpdates(batch) {
+        const latest = new Map();
+        
+        batch.forEach(update => {
+            const current = latest.get(update.objectId);
+            if (!current || (update.timestamp || 0) >= (current.timestamp || 0)) {
+                latest.set(update.objectId, update);
+            }
+        });
+        
+        return Array.from(latest.values());
+    }
+
     async processUserPositions(batch) {
         if (batch.length === 0) return;
         
@@ -242,6 +311,20 @@ class BatchProcessor {
     async processChatMessages(batch) {
         if (batch.length === 0) return;
         
+        if (!this.persistence.pool) {
+            const rows = [];
+            const saved = [];
+            for (const msg of batch) {
+                const row = await this.persistence.saveChatMessage(msg);
+                if (!row) continue; // Already stored
+                rows.push(row);
+                saved.push(msg);
+            }
+            await this.cacheChatMessages(saved);
+            await this.cache.publish('world:chat:messages', rows);
+            return;
+        }
+        
         const client = await this.persistence.pool.connect();
         try {
             await client.query('BEGIN');
@@ -252,36 +335,34 @@ class BatchProcessor {
             let paramIndex = 1;
             
             batch.forEach(msg => {
-                values.push(`($${paramIndex}, $${paramIndex+1}, $${paramIndex+2}, $${paramIndex+3}, $${paramIndex+4})`);
+                values.push(`(COALESCE($${paramIndex}::uuid, gen_random_uuid()), $${paramIndex+1}, $${paramIndex+2}, $${paramIndex+3}, $${paramIndex+4}, $${paramIndex+5}, COALESCE($${paramIndex+6}::timestamptz, NOW()))`);
                 params.push(
+                    msg.id || null,
                     msg.spaceId || 'main',
                     msg.userId,
                     msg.username,
                     msg.message,
-                    msg.messageType || 'text'
+                    msg.messageType || 'text',
+                    msg.timestamp || null
                 );
-                paramIndex += 5;
+                paramIndex += 7;
             });
             
+            // Messages keep the id they were sent with, so a retried batch
+            // does not store them twice
             const query = `
                 INSERT INTO chat_messages 
-                (space_id, user_id, username, message, message_type)
+                (id, space_id, user_id, username, message, message_type, created_at)
                 VALUES ${values.join(',')}
+                ON CONFLICT (id) DO NOTHING
                 RETURNING *
             `;
             
             const result = await client.query(query, params);
             
             // Update cache with new messages
-            for (const row of result.rows) {
-                const spaceId = row.space_id;
-                const key = `space:${spaceId}:chat`;
-                
-                // Add to chat history in cache
-                await this.cache.redis.lpush(key, JSON.stringify(row));
-                await this.cache.redis.ltrim(key, 0, 99); // Keep last 100 messages
-                await this.cache.redis.expire(key, 1800); // 30 minutes
-            }
+            const inserted = new Set(result.rows.map(row => row.id));
+            await this.cacheChatMessages(batch.filter(msg => !msg.id || inserted.has(msg.id)));
             
             await client.query('COMMIT');
             
@@ -296,9 +377,24 @@ class BatchProcessor {
         }
     }
 
+    // Add saved messages to the cached history of their space
+    async cacheChatMessages(messages) {
+        const bySpace = this.groupBySpace(messages);
+        for (const [spaceId, spaceMessages] of Object.entries(bySpace)) {
+            await this.repository.cacheChatMessages(spaceId, spaceMessages);
+        }
+    }
+
     async processEvents(batch) {
         if (batch.length === 0) return;
         
+        if (!this.persistence.pool) {
+            for (const event of batch) {
+                await this.persistence.logEvent(event.eventType, event.payload || {}, event.userId, event.spaceId);
+            }
+            return;
+        }
+        
         const client = await this.persistence.pool.connect();
         try {
             // Prepare batch insert
@@ -404,37 +500,21 @@ class BatchProcessor {
 
     // ==================== CACHE UPDATES ====================
 
+    // Transforms of objects whose space is unknown are left to the next load
     async updateObjectCache(batch) {
-        const multi = this.cache.redis.multi();
-        
-        // Group by space
-        const bySpace = {};
-        batch.forEach(update => {
-            const spaceId = update.spaceId || 'main';
-            if (!bySpace[spaceId]) bySpace[spaceId] = [];
-            bySpace[spaceId].push(update);
-        });
-        
-        // Update cache for each space
+        const bySpace = this.groupBySpace(batch);
         for (const [spaceId, updates] of Object.entries(bySpace)) {
-            const key = `space:${spaceId}:objects`;
-            
-            updates.forEach(update => {
-                const objectData = {
-                    objectId: update.objectId,
-                    position: update.position,
-                    rotation: update.rotation,
-                    scale: update.scale,
-                    updatedAt: update.timestamp
-                };
-                
-                multi.hset(key, update.objectId, JSON.stringify(objectData));
-            });
-            
-            multi.expire(key, 600); // 10 minutes
+            await this.repository.cacheObjectTransforms(spaceId, updates);
         }
-        
-        await multi.exec();
+    }
+
+    groupBySpace(items) {
+        const bySpace = {};
+        items.filter(item => item.spaceId).forEach(item => {
+            if (!bySpace[item.spaceId]) bySpace[item.spaceId] = [];
+            bySpace[item.spaceId].push(item);
+        });
+        return bySpace;
     }
 
     async publishObjectUpdates(batch) {
@@ -459,29 +539,38 @@ class BatchProcessor {
 
     // ==================== RETRY LOGIC ====================
 
-    async retryBatch(type, batch) {
+    async retryBatch(type, batch, error) {
         const retryItems = [];
+        const failedItems = [];
         
         for (const item of batch) {
             item.retryCount = (item.retryCount || 0) + 1;
             
-            if (item.retryCount <= this.config.retryAttempts) {
+            // No retries once shutting down; they would outlive the process
+            if (item.retryCount <= this.config.retryAttempts && !this.stopping) {
                 retryItems.push(item);
                 this.stats.retried++;
             } else {
-                console.error(`Failed to process ${type} after ${this.config.retryAttempts} attempts:`, item);
-                this.stats.failed++;
+                failedItems.push(item);
             }
         }
         
+        if (failedItems.length > 0) {
+            await this.deadLetter(type, failedItems, error);
+        }
+        
         if (retryItems.length > 0) {
             // Wait before retry
             await new Promise(resolve => setTimeout(resolve, this.config.retryDelay));
             
-            // Re-add to queue
-            retryItems.forEach(item => {
-                this.queues[type].unshift(item); // Add to front of queue
-            });
+            // Shut down in the meantime; nothing flushes the queues anymore
+            if (this.stopping) {
+                await this.deadLetter(type, retryItems, error);
+                return;
+            }
+            
+            // Re-add to the front of the queue, in their original order
+            this.queues[type].unshift(...retryItems);
             
             // Schedule flush
             if (!this.timers[type]) {
@@ -490,6 +579,73 @@ class BatchProcessor {
         }
     }
 
+    // ==================== DEAD LETTERS ====================
+
+    // Keep operations that could not be written; without a store (or when
+    // it fails too) they are logged and dropped
+    async deadLetter(type, operations, error) {
+        this.stats.failed += operations.length;
+        const reason = error ? error.message : 'unknown error';
+        
+        if (this.deadLetters) {
+            try {
+                const entry = await this.deadLetters.push({ type, operations, error: reason });
+                this.stats.deadLettered += operations.length;
+                console.error(`Moved ${operations.length} ${type} to dead letter ${entry.id}: ${reason}`);
+                return entry;
+            } catch (storeError) {
+                console.error('Failed to store dead letters:', storeError);
+            }
+        }
+        
+        console.error(`Dropped ${operations.length} ${type} after ${this.config.retryAttempts} attempts:`, operations);
+        return null;
+    }
+
+    async getDeadLetters() {
+        return this.deadLetters ? this.deadLetters.list() : [];
+    }
+
+    // Queue the operations of dead letters again (all of them without ids).
+    // Entries whose queue is full stay in the store.
+    async replayDeadLetters(ids = null) {
+        if (!this.deadLetters) return { replayed: [], skipped: [] };
+        
+        const entries = await this.deadLetters.take(ids);
+        const replayed = [];
+        const skipped = [];
+        
+        for (const entry of entries) {
+            const queue = this.queues[entry.type];
+            if (!queue || queue.length + entry.operations.length > this.config.maxQueueSize) {
+                skipped.push(entry);
+                continue;
+            }
+            
+            entry.operations.forEach(operation => {
+                operation.retryCount = 0;
+                queue.push(operation);
+            });
+            this.stats.queuedTotal += entry.operations.length;
+            replayed.push(entry.id);
+            
+            if (!this.timers[entry.type]) {
+                this.scheduleFlush(entry.type);
+            }
+        }
+        
+        // Put back what did not fit, keeping its id
+        for (const entry of skipped) {
+            await this.deadLetters.push(entry);
+        }
+        
+        return { replayed, skipped: skipped.map(entry => entry.id) };
+    }
+
+    async discardDeadLetters(ids = null) {
+        return this.deadLetters ? this.deadLetters.remove(ids) : 0;
+    }
+
     // ==================== LIFECYCLE ====================
 
     startPeriodicFlush() {
@@ -506,7 +662,11 @@ class BatchProcessor {
         });
     }
 
-    async shutdown() {
+    // Drains the queues; with a timeout (ms), whatever is still queued when
+    // it runs out goes to the dead-letter store
+    async shutdown(timeout = null) {
+        this.stopping = true;
+        
         // Stop periodic flush
         if (this.periodicFlushInterval) {
             clearInterval(this.periodicFlushInterval);
@@ -516,8 +676,30 @@ class BatchProcessor {
         Object.values(this.timers).forEach(timer => clearTimeout(timer));
         this.timers = {};
         
-        // Flush all remaining items
-        await this.flushAll();
+        // Flush all remaining items; what still fails is dead-lettered
+        const deadline = timeout === null ? null : Date.now() + timeout;
+        while (Object.values(this.queues).some(queue => queue.length > 0)) {
+            if (deadline === null) {
+                await this.flushAll();
+                continue;
+            }
+            
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) break;
+            
+            let timer;
+            await Promise.race([
+                this.flushAll(),
+                new Promise(resolve => { timer = setTimeout(resolve, remaining); })
+            ]);
+            clearTimeout(timer);
+        }
+        
+        for (const [type, queue] of Object.entries(this.queues)) {
+            if (queue.length > 0) {
+                await this.deadLetter(type, queue.splice(0), new Error('not written before shutdown'));
+            }
+        }
         
         console.log('BatchProcessor shutdown complete');
     }
@@ -542,6 +724,7 @@ class BatchProcessor {
         return {
             ...this.stats,
             queues: queueSizes,
+            saturated: Array.from(this.saturated),
             totalQueued: Object.values(queueSizes).reduce((sum, size) => sum + size, 0)
         };
     }
@@ -551,6 +734,8 @@ class BatchProcessor {
             processed: 0,
             failed: 0,
             retried: 0,
+            rejected: 0,
+            deadLettered: 0,
             queuedTotal: 0,
             averageLatency: 0
         };
@@ -1,9 +1,50 @@
 const Redis = require('ioredis');
+const LocalCache = require('./LocalCache');
+
+// Field marking a versioned hash as a complete copy of what storage holds
+const LOADED_FIELD = '$loaded';
+
+// Write a versioned hash field unless the cache holds a newer version.
+// KEYS[1] hash, ARGV: field, version, entry JSON, ttl
+const SET_VERSIONED_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+if current and tonumber(cjson.decode(current).v) > tonumber(ARGV[2]) then
+  return 0
+end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+redis.call('EXPIRE', KEYS[1], ARGV[4])
+return 1
+`;
+
+// Chat messages are cached by id; older ones without an id by position
+function chatEntries(messages) {
+    const entries = {};
+    messages.forEach((message, index) => {
+        entries[message.id || `#${index}`] = message;
+    });
+    return entries;
+}
+
+function chatTime(message) {
+    return Date.parse(message.timestamp || message.created_at || message.createdAt) || 0;
+}
+
+// Oldest first, like chatHistory
+function sortChat(messages) {
+    return messages.sort((a, b) => chatTime(a) - chatTime(b));
+}
 
+// Commands go to Redis while it is connected. With `fallback` (the default)
+// they go to an in-process LocalCache whenever it is not, and back to Redis
+// once it reconnects; driver 'memory' never connects to Redis at all.
 class CacheManager {
     constructor(config = {}) {
-        // Initialize Redis connection
-        this.redis = config.cluster ? 
+        this.driver = config.driver || 'redis';
+        this.fallback = config.fallback !== false;
+        this.local = new LocalCache({ maxKeys: config.localMaxKeys });
+
+        // Initialize Redis connection (config.client: an existing one)
+        this.client = this.driver === 'memory' ? null : config.client || (config.cluster ? 
             new Redis.Cluster(config.nodes || [
                 { host: 'localhost', port: 6379 }
             ], {
@@ -20,7 +61,16 @@ class CacheManager {
                     const delay = Math.min(times * 50, 2000);
                     return delay;
                 }
-            });
+            }));
+        if (this.client) {
+            this.client.defineCommand('setVersioned', { numberOfKeys: 1, lua: SET_VERSIONED_SCRIPT });
+        }
+
+        // Until Redis is ready, so nothing waits on a connection that may
+        // never come
+        this.usingLocal = !this.client || (this.fallback && this.client.status !== 'ready');
+        this.outage = false;
+        this.closing = false;
 
         // Configure TTLs for different data types
         this.ttls = {
@@ -41,31 +91,87 @@ class CacheManager {
             screenShare: 'world:screen:share'
         };
 
-        // Statistics
+        // Statistics; lookups through the versioned entries are also
+        // counted per type in byType
         this.stats = {
             hits: 0,
             misses: 0,
             sets: 0,
-            deletes: 0
+            deletes: 0,
+            staleWrites: 0,
+            errors: 0,
+            fallbacks: 0,
+            byType: {}
         };
 
         this.setupEventHandlers();
     }
 
+    // The connection commands go to: Redis, or the LocalCache standing in
+    get redis() {
+        return this.usingLocal ? this.local : this.client;
+    }
+
+    get backend() {
+        return this.usingLocal ? 'memory' : 'redis';
+    }
+
     setupEventHandlers() {
-        this.redis.on('connect', () => {
+        if (!this.client) return;
+
+        this.client.on('connect', () => {
             console.log('✅ Redis cache connected');
         });
 
-        this.redis.on('error', (error) => {
-            console.error('❌ Redis error:', error);
+        this.client.on('ready', () => {
+            this.promote().catch(error => console.error('Failed to switch the cache back to Redis:', error));
+        });
+
+        // ioredis keeps reconnecting; one error per outage is enough
+        this.client.on('error', (error) => {
+            if (!this.outage || !this.fallback) {
+                console.error('❌ Redis error:', error);
+            }
+            this.fallBack();
         });
 
-        this.redis.on('close', () => {
-            console.log('Redis connection closed');
+        this.client.on('close', () => {
+            if (!this.outage) console.log('Redis connection closed');
+            this.fallBack();
         });
     }
 
+    // ==================== FALLBACK ====================
+
+    fallBack() {
+        if (!this.fallback || this.outage || this.closing) return;
+
+        this.outage = true;
+        this.usingLocal = true;
+        this.stats.fallbacks++;
+        console.warn('⚠️ Redis is unavailable, caching in process until it is back');
+    }
+
+    // Back to Redis. Anything written locally meanwhile may be older in
+    // Redis, so those keys are dropped there and the next read reloads
+    // them; the local copies are discarded.
+    async promote() {
+        this.outage = false;
+        if (!this.usingLocal) return;
+
+        const keys = await this.local.keys('*');
+        this.usingLocal = false;
+
+        for (let i = 0; i < keys.length; i += 500) {
+            await this.client.del(...keys.slice(i, i + 500));
+        }
+        await this.local.flushdb();
+
+        if (this.stats.fallbacks > 0) {
+            console.log(`✅ Redis is back, cache moved back (${keys.length} keys invalidated)`);
+        }
+    }
+
     // ==================== BASIC CACHE OPERATIONS ====================
 
     async get(type, id) {
@@ -197,47 +303,26 @@ class CacheManager {
 
     // ==================== WORLD STATE CACHING ====================
 
+    // Fill the cached copy of a space (see VERSIONED ENTRIES). Entries that
+    // are already cached are kept, so this never undoes a newer write.
     async cacheWorldState(spaceId, worldState) {
-        const multi = this.redis.multi();
-        const prefix = `space:${spaceId}`;
-        
         try {
-            // Cache objects
-            if (worldState.objects) {
-                for (const [objectId, objectData] of Object.entries(worldState.objects)) {
-                    multi.hset(
-                        `${prefix}:objects`,
-                        objectId,
-                        JSON.stringify(objectData)
-                    );
-                }
-            }
-            
-            // Cache models
-            if (worldState.uploadedModels) {
-                for (const [modelId, modelData] of Object.entries(worldState.uploadedModels)) {
-                    multi.hset(
-                        `${prefix}:models`,
-                        modelId,
-                        JSON.stringify(modelData)
-                    );
-                }
-            }
+            await this.loadVersionedHash(
+                this.spaceKey(spaceId, 'objects'), worldState.objects || {}, this.ttls.worldState
+            );
+            await this.loadVersionedHash(
+                this.spaceKey(spaceId, 'models'), worldState.uploadedModels || {}, this.ttls.model
+            );
+            await this.loadVersionedHash(
+                this.spaceKey(spaceId, 'chat'), chatEntries(worldState.chatHistory || []), this.ttls.chatHistory
+            );
             
-            // Cache chat history
-            if (worldState.chatHistory) {
-                multi.set(
-                    `${prefix}:chat`,
-                    JSON.stringify(worldState.chatHistory),
-                    'EX',
-                    this.ttls.chatHistory
-                );
-            }
+            const multi = this.redis.multi();
             
             // Cache active users
             if (worldState.users) {
                 multi.set(
-                    `${prefix}:users`,
+                    this.spaceKey(spaceId, 'users'),
                     JSON.stringify(worldState.users),
                     'EX',
                     this.ttls.user
@@ -247,75 +332,132 @@ class CacheManager {
             // Cache screen share state
             if (worldState.sharedScreen) {
                 multi.set(
-                    `${prefix}:screen`,
+                    this.spaceKey(spaceId, 'screen'),
                     JSON.stringify(worldState.sharedScreen),
                     'EX',
                     300 // 5 minutes
                 );
             }
             
-            // Set expiry for hash keys
-            multi.expire(`${prefix}:objects`, this.ttls.worldState);
-            multi.expire(`${prefix}:models`, this.ttls.model);
-            
             await multi.exec();
             console.log(`✅ World state cached for space ${spaceId}`);
             return true;
             
         } catch (error) {
+            this.stats.errors++;
             console.error('Failed to cache world state:', error);
             return false;
         }
     }
 
+    // Cached copy of a space, or null unless its objects, models and chat
+    // are all cached in full
     async getCachedWorldState(spaceId) {
-        const prefix = `space:${spaceId}`;
-        
         try {
-            const [objects, models, chatJson, usersJson, screenJson] = await Promise.all([
-                this.redis.hgetall(`${prefix}:objects`),
-                this.redis.hgetall(`${prefix}:models`),
-                this.redis.get(`${prefix}:chat`),
-                this.redis.get(`${prefix}:users`),
-                this.redis.get(`${prefix}:screen`)
+            const [objects, models, chat, usersJson, screenJson] = await Promise.all([
+                this.getVersionedHash(this.spaceKey(spaceId, 'objects'), this.ttls.worldState),
+                this.getVersionedHash(this.spaceKey(spaceId, 'models'), this.ttls.model),
+                this.getVersionedHash(this.spaceKey(spaceId, 'chat'), this.ttls.chatHistory),
+                this.redis.get(this.spaceKey(spaceId, 'users')),
+                this.redis.get(this.spaceKey(spaceId, 'screen'))
             ]);
             
-            // Check if we have any cached data
-            if (!objects || Object.keys(objects).length === 0) {
-                this.stats.misses++;
+            if (!objects || !models || !chat) {
+                this.recordLookup('worldState', false);
                 return null;
             }
             
-            this.stats.hits++;
-            
-            // Parse objects
-            const parsedObjects = {};
-            for (const [id, data] of Object.entries(objects)) {
-                parsedObjects[id] = JSON.parse(data);
-            }
-            
-            // Parse models
-            const parsedModels = {};
-            for (const [id, data] of Object.entries(models)) {
-                parsedModels[id] = JSON.parse(data);
-            }
+            this.recordLookup('worldState', true);
             
             return {
-                objects: parsedObjects,
-                uploadedModels: parsedModels,
-                chatHistory: chatJson ? JSON.parse(chatJson) : [],
+                objects: objects.entries,
+                uploadedModels: models.entries,
+                chatHistory: sortChat(Object.values(chat.entries)),
                 users: usersJson ? JSON.parse(usersJson) : [],
                 sharedScreen: screenJson ? JSON.parse(screenJson) : null
             };
             
         } catch (error) {
+            this.stats.errors++;
             console.error('Failed to get cached world state:', error);
             return null;
         }
     }
 
-    // ==================== SESSION MANAGEMENT ====================
+    // ==================== VERSIONED ENTRIES ====================
+
+    // Cached copies of a space's objects, models and sessions are hashes
+    // under space:<spaceId>:<kind>. Every field holds { v, d } where v is the
+    // version (ms timestamp of the write) and d the data; d is missing on
+    // tombstones, which keep a late write from bringing a removed entry back.
+    // The LOADED_FIELD marks a hash as complete, so an expired or partly
+    // written hash reads as a miss instead of as a space with fewer objects.
+
+    spaceKey(spaceId, kind) {
+        return `space:${spaceId}:${kind}`;
+    }
+
+    recordLookup(type, hit) {
+        const counts = this.stats.byType[type] || (this.stats.byType[type] = { hits: 0, misses: 0 });
+        counts[hit ? 'hits' : 'misses']++;
+        this.stats[hit ? 'hits' : 'misses']++;
+    }
+
+    // Resolves to false when the cache already held a newer version; data
+    // null writes a tombstone
+    async setVersioned(key, field, version, data, ttl) {
+        const entry = data === null ? { v: version } : { v: version, d: data };
+        const written = await this.redis.setVersioned(
+            key, field, version, JSON.stringify(entry), ttl || 3600
+        );
+
+        if (!written) {
+            this.stats.staleWrites++;
+            return false;
+        }
+        this.stats.sets++;
+        return true;
+    }
+
+    // Live entries of a complete hash: { entries: { field: data }, versions },
+    // or null when the hash is missing or incomplete
+    async getVersionedHash(key, ttl = null) {
+        const hash = await this.redis.hgetall(key);
+        if (!hash || !hash[LOADED_FIELD]) return null;
 
+        const entries = {};
+        const versions = {};
+        for (const [field, raw] of Object.entries(hash)) {
+            if (field === LOADED_FIELD) continue;
+
+            const entry = JSON.parse(raw);
+            versions[field] = entry.v;
+            if (entry.d !== undefined) entries[field] = entry.d;
+        }
+
+        if (ttl) await this.redis.expire(key, ttl);
+        return { entries, versions };
+    }
+
+    async getVersionedEntry(key, field) {
+        const raw = await this.redis.hget(key, field);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    // Fill a hash from storage and mark it complete. Storage data gets
+    // version 0 and never replaces an entry that is already cached.
+    async loadVersionedHash(key, entries, ttl) {
+        const multi = this.redis.multi();
+        for (const [field, data] of Object.entries(entries)) {
+            multi.hsetnx(key, field, JSON.stringify({ v: 0, d: data }));
+        }
+        multi.hset(key, LOADED_FIELD, Date.now());
+        multi.expire(key, ttl || 3600);
+        await multi.exec();
+        this.stats.sets++;
+    }
+
+    // ==================== SESSION MANAGEMENT ====================
     async setUserSession(userId, sessionData) {
         const key = `session:${userId}`;
         
@@ -391,14 +533,16 @@ class CacheManager {
         }
     }
 
-    createSubscriber() {
+    // Subscribes through Redis whenever it is configured: ioredis resubscribes
+    // after a reconnect, and other instances only publish there
+    createSubscriber(handler = (channel, message) => this.handleMessage(channel, message)) {
         // Create a separate Redis connection for subscriptions
-        const subscriber = this.redis.duplicate();
+        const subscriber = (this.client || this.local).duplicate();
         
         subscriber.on('message', (channel, message) => {
             try {
                 const parsed = JSON.parse(message);
-                this.handleMessage(channel, parsed);
+                handler(channel, parsed);
             } catch (error) {
                 console.error('Failed to parse pub/sub message:', error);
             }
@@ -487,6 +631,24 @@ class CacheManager {
         }
     }
 
+    // Hit/miss counters for /health (getStats also asks Redis for memory use)
+    getMetrics() {
+        const hitRate = (hits, misses) => hits / (hits + misses) || 0;
+        const byType = {};
+        for (const [type, counts] of Object.entries(this.stats.byType)) {
+            byType[type] = { ...counts, hitRate: hitRate(counts.hits, counts.misses) };
+        }
+
+        return {
+            ...this.stats,
+            backend: this.backend,
+            localKeys: this.local.size,
+            localEvictions: this.local.evictions,
+            hitRate: hitRate(this.stats.hits, this.stats.misses),
+            byType
+        };
+    }
+
     async getStats() {
         const info = await this.redis.info('memory');
         const dbSize = await this.redis.dbsize();
@@ -510,9 +672,21 @@ class CacheManager {
     }
 
     async disconnect() {
-        await this.redis.quit();
+        this.closing = true;
+        await this.local.quit();
+        if (!this.client) return;
+
+        // quit() would wait for a connection that is not there
+        if (this.client.status === 'ready') {
+            await this.client.quit();
+        } else {
+            this.client.disconnect();
+        }
         console.log('Redis connection closed');
     }
 }
 
-module.exports = CacheManager;
\ No newline at end of file
+module.exports = CacheManager;
+module.exports.LOADED_FIELD = LOADED_FIELD;
+module.exports.chatEntries = chatEntries;
+module.exports.sortChat = sortChat;
\ No newline at end of file
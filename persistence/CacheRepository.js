@@ -0,0 +1,260 @@
+const { LOADED_FIELD, chatEntries, sortChat } = require('./CacheManager');
+
+// Keeps Redis and the database coherent for the data a space loads: objects,
+// uploaded models, sessions and chat. Reads go to the cache first and fall
+// back to the database, filling the cache (read-through); writes go to the
+// database and then to the cache (write-through). Cached entries carry
+// versions (see CacheManager VERSIONED ENTRIES), so a slow write cannot
+// replace a newer one and a removed object cannot come back.
+//
+// Without a CacheManager every call goes straight to the database, so
+// callers use the repository whether or not Redis is configured. Cache
+// failures are logged and counted but never fail the database write.
+class CacheRepository {
+    constructor(persistenceLayer, cacheManager = null, options = {}) {
+        this.persistence = persistenceLayer;
+        this.cache = cacheManager;
+        this.chatLimit = options.chatLimit || 100;
+    }
+
+    // ==================== WORLD STATE ====================
+
+    async loadWorldState(spaceId) {
+        if (this.cache) {
+            const cached = await this.cache.getCachedWorldState(spaceId);
+            if (cached) return { ...cached, fromCache: true };
+        }
+
+        const state = await this.persistence.loadWorldState(spaceId);
+
+        if (this.cache) {
+            await this.cache.cacheWorldState(spaceId, {
+                objects: state.objects,
+                uploadedModels: state.uploadedModels,
+                chatHistory: state.chatHistory
+            });
+        }
+
+        return { ...state, fromCache: false };
+    }
+
+    // Drop a space's cached copy; the next load reads the database
+    async invalidateSpace(spaceId) {
+        if (!this.cache) return;
+
+        await this.guard('invalidate', () => this.cache.redis.del(
+            ...['objects', 'models', 'chat', 'sessions'].map(kind => this.cache.spaceKey(spaceId, kind))
+        ));
+    }
+
+    // ==================== OBJECTS ====================
+
+    async saveObject(spaceId, object, version = Date.now()) {
+        const saved = await this.persistence.saveObject({ ...object, spaceId });
+        await this.writeEntry(spaceId, 'objects', object.objectId, version, object);
+        return saved;
+    }
+
+    async updateObject(spaceId, objectId, changes, updatedBy, version = Date.now()) {
+        const updated = await this.persistence.updateObject(objectId, changes, updatedBy);
+        await this.mergeEntry(spaceId, 'objects', objectId, version, changes);
+        return updated;
+    }
+
+    async updateObjectPermissions(spaceId, objectId, permissions, updatedBy, version = Date.now()) {
+        const updated = await this.persistence.updateObjectPermissions(objectId, permissions, updatedBy);
+        await this.mergeEntry(spaceId, 'objects', objectId, version, permissions);
+        return updated;
+    }
+
+    async deleteObject(spaceId, objectId, deletedBy, version = Date.now()) {
+        const deleted = await this.persistence.deleteObject(objectId, deletedBy, spaceId);
+        await this.writeEntry(spaceId, 'objects', objectId, version, null);
+        return deleted;
+    }
+
+    // Cache side of transforms the BatchProcessor already wrote:
+    // [{ objectId, position, rotation, scale, timestamp }]
+    async cacheObjectTransforms(spaceId, updates) {
+        for (const update of updates) {
+            await this.mergeEntry(spaceId, 'objects', update.objectId, update.timestamp || Date.now(), {
+                position: update.position,
+                rotation: update.rotation,
+                scale: update.scale
+            });
+        }
+    }
+
+    // ==================== MODELS ====================
+
+    async saveModel(spaceId, model, version = Date.now()) {
+        const saved = await this.persistence.saveUploadedModel({ ...model, spaceId });
+        await this.writeEntry(spaceId, 'models', model.modelId, version, model);
+        return saved;
+    }
+
+    // A model saved before it was processed (upload jobs) joins the cached
+    // world state once it is
+    async updateModel(spaceId, model, version = Date.now()) {
+        const updated = await this.persistence.updateUploadedModel(model.modelId, model);
+        await this.writeEntry(spaceId, 'models', model.modelId, version, model);
+        return updated;
+    }
+
+    // ==================== SESSIONS ====================
+
+    // Active users of a space: { userId: { userId, socketId, username, position, rotation } }
+    async getSessions(spaceId) {
+        const cached = await this.readHash(spaceId, 'sessions');
+        if (cached) return cached;
+
+        const rows = await this.persistence.getActiveUsers(spaceId);
+        const sessions = {};
+        rows.forEach(row => {
+            sessions[row.id] = {
+                userId: row.id,
+                socketId: row.socket_id,
+                username: row.username || row.display_name,
+                position: row.position,
+                rotation: row.rotation
+            };
+        });
+
+        await this.fillHash(spaceId, 'sessions', sessions);
+        return sessions;
+    }
+
+    // actorId is the user the database session belongs to (the account of a
+    // signed-in user); userId identifies them in the space
+    async startSession(spaceId, { userId, actorId = userId, socketId, username, position, rotation }, client = {}) {
+        const session = await this.persistence.createSession(actorId, socketId, spaceId, client);
+        await this.writeEntry(spaceId, 'sessions', userId, Date.now(), {
+            userId, socketId, username, position, rotation
+        });
+        return session;
+    }
+
+    async endSession(spaceId, userId, socketId) {
+        await this.persistence.endSession(socketId);
+        await this.writeEntry(spaceId, 'sessions', userId, Date.now(), null);
+    }
+
+    // ==================== CHAT ====================
+
+    // Oldest first, at most `limit` messages
+    async getChatHistory(spaceId, limit = this.chatLimit) {
+        const cached = await this.readHash(spaceId, 'chat');
+        if (cached) return sortChat(Object.values(cached)).slice(-limit);
+
+        const messages = await this.persistence.getChatHistory(spaceId, this.chatLimit);
+        const history = sortChat(messages.slice());
+        await this.fillHash(spaceId, 'chat', chatEntries(history));
+        return history.slice(-limit);
+    }
+
+    async saveChatMessage(message) {
+        const saved = await this.persistence.saveChatMessage(message);
+        await this.cacheChatMessages(message.spaceId, [message]);
+        return saved;
+    }
+
+    // Cache side of messages that were already stored. Messages never
+    // change, so they all have version 0; caching one twice is harmless.
+    async cacheChatMessages(spaceId, messages) {
+        if (!this.cache || messages.length === 0) return;
+
+        await this.guard('chat', async () => {
+            const key = this.cache.spaceKey(spaceId, 'chat');
+            for (const [field, message] of Object.entries(chatEntries(messages))) {
+                await this.cache.setVersioned(key, field, 0, message, this.cache.ttls.chatHistory);
+            }
+            await this.trimChat(key);
+        });
+    }
+
+    // Drop the oldest messages once the cache holds twice the limit
+    async trimChat(key) {
+        if (await this.cache.redis.hlen(key) <= this.chatLimit * 2) return;
+
+        const cached = await this.cache.getVersionedHash(key);
+        if (!cached) return;
+
+        const byAge = sortChat(Object.entries(cached.entries).map(([field, message]) => ({ ...message, field })));
+        const expired = byAge.slice(0, byAge.length - this.chatLimit).map(message => message.field);
+        if (expired.length > 0) {
+            await this.cache.redis.hdel(key, ...expired);
+        }
+    }
+
+    // ==================== CACHE ACCESS ====================
+
+    async readHash(spaceId, kind) {
+        if (!this.cache) return null;
+
+        const cached = await this.guard(kind, () => this.cache.getVersionedHash(
+            this.cache.spaceKey(spaceId, kind), this.ttl(kind)
+        ));
+        this.cache.recordLookup(kind, !!cached);
+        return cached ? cached.entries : null;
+    }
+
+    async fillHash(spaceId, kind, entries) {
+        if (!this.cache) return;
+
+        await this.guard(kind, () => this.cache.loadVersionedHash(
+            this.cache.spaceKey(spaceId, kind), entries, this.ttl(kind)
+        ));
+    }
+
+    // data null removes the entry (leaving a tombstone)
+    async writeEntry(spaceId, kind, field, version, data) {
+        if (!this.cache) return;
+
+        await this.guard(kind, () => this.cache.setVersioned(
+            this.cache.spaceKey(spaceId, kind), field, version, data, this.ttl(kind)
+        ));
+    }
+
+    // Apply changes to a cached entry. An entry that is not cached cannot be
+    // completed from the changes alone, so the hash loses its complete mark
+    // and the next read fills it in from the database.
+    async mergeEntry(spaceId, kind, field, version, changes) {
+        if (!this.cache) return;
+
+        await this.guard(kind, async () => {
+            const key = this.cache.spaceKey(spaceId, kind);
+            const current = await this.cache.getVersionedEntry(key, field);
+
+            if (!current) {
+                await this.cache.redis.hdel(key, LOADED_FIELD);
+                return;
+            }
+            if (current.d === undefined) return; // removed since
+
+            await this.cache.setVersioned(key, field, version, { ...current.d, ...changes }, this.ttl(kind));
+        });
+    }
+
+    ttl(kind) {
+        const ttls = this.cache.ttls;
+        return {
+            objects: ttls.worldState,
+            models: ttls.model,
+            sessions: ttls.session,
+            chat: ttls.chatHistory
+        }[kind];
+    }
+
+    // The database already has the data; a cache failure only costs a miss
+    async guard(kind, operation) {
+        try {
+            return await operation();
+        } catch (error) {
+            this.cache.stats.errors++;
+            console.error(`Cache ${kind} error:`, error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = CacheRepository;
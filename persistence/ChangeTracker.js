@@ -0,0 +1,90 @@
+// Changes to a space's world state that have not been written yet. The
+// server records each edit here and flushes every few seconds, so an object
+// dragged for a while is written once per flush and a crash loses at most
+// one flush interval.
+//
+// Pending object changes are merged per object: a later store or removal
+// replaces what came before, transform and permission changes add up.
+class ChangeTracker {
+    constructor() {
+        // objectId -> { objectId, actorId, store, transform, permissions, remove }
+        this.objects = new Map();
+        this.chatMessages = [];
+    }
+
+    get size() {
+        return this.objects.size + this.chatMessages.length;
+    }
+
+    // ==================== RECORDING ====================
+
+    // Object added or replaced: write the whole row
+    storeObject(objectId, actorId) {
+        this.objects.set(objectId, { objectId, actorId, store: true });
+    }
+
+    // Position, rotation or scale changed
+    transformObject(objectId, actorId) {
+        this.mergeObject(objectId, actorId, 'transform');
+    }
+
+    // Lock or public-edit flag changed
+    updatePermissions(objectId, actorId) {
+        this.mergeObject(objectId, actorId, 'permissions');
+    }
+
+    removeObject(objectId, actorId) {
+        this.objects.set(objectId, { objectId, actorId, remove: true });
+    }
+
+    mergeObject(objectId, actorId, field) {
+        const pending = this.objects.get(objectId) || { objectId };
+        if (pending.remove) return;
+
+        pending.actorId = actorId;
+        pending[field] = true;
+        this.objects.set(objectId, pending);
+    }
+
+    addChatMessage(message) {
+        this.chatMessages.push(message);
+    }
+
+    // ==================== FLUSHING ====================
+
+    // Hand over everything pending and start afresh
+    take() {
+        const changes = {
+            objects: Array.from(this.objects.values()),
+            chatMessages: this.chatMessages
+        };
+
+        this.objects = new Map();
+        this.chatMessages = [];
+        return changes;
+    }
+
+    // Put back changes that failed to write. A newer store or removal of the
+    // same object replaces them; newer transform or permission changes are
+    // merged in.
+    restore({ objects = [], chatMessages = [] }) {
+        objects.forEach(change => {
+            const newer = this.objects.get(change.objectId);
+
+            if (!newer) {
+                this.objects.set(change.objectId, change);
+            } else if (!newer.store && !newer.remove) {
+                this.objects.set(change.objectId, {
+                    ...change,
+                    actorId: newer.actorId,
+                    transform: change.transform || newer.transform,
+                    permissions: change.permissions || newer.permissions
+                });
+            }
+        });
+
+        this.chatMessages = chatMessages.concat(this.chatMessages);
+    }
+}
+
+module.exports = ChangeTracker;
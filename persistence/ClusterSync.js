@@ -0,0 +1,171 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+// Keeps the in-memory world state of several server instances in step.
+// Socket.IO's Redis adapter already delivers room broadcasts to every
+// instance; this relays the state changes behind them over the
+// CacheManager pub/sub channels so each instance can update its own copy.
+//
+// Every message is { instanceId, spaceName, type, payload }. Messages an
+// instance published itself are ignored. Instances announce themselves with
+// heartbeats and are reported as 'instance-down' once they go quiet.
+class ClusterSync extends EventEmitter {
+    constructor(cacheManager, options = {}) {
+        super();
+        this.cache = cacheManager;
+        this.instanceId = options.instanceId || uuidv4();
+
+        this.config = {
+            heartbeatInterval: options.heartbeatInterval || 5000, // ms
+            instanceTimeout: options.instanceTimeout || 15000,    // ms
+            syncTimeout: options.syncTimeout || 300               // ms
+        };
+
+        // Other live instances: instanceId -> last heartbeat
+        this.instances = new Map();
+
+        // Open space sync requests: requestId -> collected replies
+        this.pendingSyncs = new Map();
+
+        this.subscriber = null;
+        this.timers = {};
+    }
+
+    // ==================== LIFECYCLE ====================
+
+    async start() {
+        this.subscriber = this.cache.createSubscriber(
+            (channel, message) => this.receive(channel, message)
+        );
+        await this.subscriber.subscribe(...Object.values(this.cache.channels));
+
+        this.timers.heartbeat = setInterval(() => {
+            this.heartbeat();
+            this.expireInstances();
+        }, this.config.heartbeatInterval);
+
+        // Peers answer a newcomer's heartbeat straight away, so wait for
+        // them before any space is loaded and synced
+        await this.heartbeat();
+        await new Promise(resolve => setTimeout(resolve, this.config.syncTimeout));
+
+        console.log(`✅ Cluster sync started as instance ${this.instanceId}`);
+    }
+
+    async stop() {
+        Object.values(this.timers).forEach(timer => clearInterval(timer));
+        this.timers = {};
+
+        if (this.subscriber) {
+            await this.subscriber.quit();
+            this.subscriber = null;
+        }
+    }
+
+    // ==================== PUBLISHING ====================
+
+    publish(channel, spaceName, type, payload = {}) {
+        return this.cache.publish(this.cache.channels[channel], {
+            instanceId: this.instanceId,
+            spaceName,
+            type,
+            payload
+        });
+    }
+
+    publishObject(spaceName, type, payload) {
+        return this.publish('objectUpdates', spaceName, type, payload);
+    }
+
+    publishPresence(spaceName, type, payload) {
+        return this.publish('userPresence', spaceName, type, payload);
+    }
+
+    heartbeat() {
+        return this.publishPresence(null, 'heartbeat');
+    }
+
+    // ==================== RECEIVING ====================
+
+    // Raw pub/sub message ({ timestamp, data } from CacheManager.publish).
+    // The channels are shared (BatchProcessor publishes saved chat rows on
+    // one), so anything without an instance id is not ours.
+    receive(channel, message) {
+        const envelope = message && message.data;
+        if (!envelope || !envelope.instanceId || envelope.instanceId === this.instanceId) return;
+
+        const known = this.instances.has(envelope.instanceId);
+        this.instances.set(envelope.instanceId, Date.now());
+
+        // Introduce ourselves to instances that just started
+        if (!known) this.heartbeat();
+
+        switch (envelope.type) {
+            case 'heartbeat':
+                break;
+
+            case 'sync-reply': {
+                const pending = this.pendingSyncs.get(envelope.payload.requestId);
+                if (pending) pending.push(envelope.payload.state);
+                break;
+            }
+
+            case 'sync-request':
+                this.emit('sync-request', envelope, state => this.publishPresence(
+                    envelope.spaceName,
+                    'sync-reply',
+                    { requestId: envelope.payload.requestId, state }
+                ));
+                break;
+
+            default:
+                this.emit('message', envelope);
+        }
+    }
+
+    // ==================== SPACE SYNC ====================
+
+    // Ask the other instances for their copy of a space; resolves to the
+    // states that arrived within syncTimeout (empty when alone)
+    async requestSpace(spaceName) {
+        if (this.instances.size === 0) return [];
+
+        const requestId = uuidv4();
+        const replies = [];
+        this.pendingSyncs.set(requestId, replies);
+
+        await this.publishPresence(spaceName, 'sync-request', { requestId });
+        await new Promise(resolve => setTimeout(resolve, this.config.syncTimeout));
+
+        this.pendingSyncs.delete(requestId);
+        return replies;
+    }
+
+    // ==================== INSTANCE TRACKING ====================
+
+    // Forget instances that stopped sending heartbeats
+    expireInstances(now = Date.now()) {
+        const expired = [];
+
+        for (const [instanceId, lastSeen] of this.instances) {
+            if (now - lastSeen > this.config.instanceTimeout) {
+                this.instances.delete(instanceId);
+                expired.push(instanceId);
+                this.emit('instance-down', instanceId);
+            }
+        }
+
+        return expired;
+    }
+
+    // One live instance (the lowest id) announces cluster-wide cleanups so
+    // clients do not hear about them once per instance
+    isLeader() {
+        for (const instanceId of this.instances.keys()) {
+            if (instanceId < this.instanceId) return false;
+        }
+        return true;
+    }
+}
+
+module.exports = ClusterSync;
@@ -0,0 +1,129 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Durable home for batches the BatchProcessor gave up on, so they can be
+// inspected and replayed instead of being lost. Every entry is
+// { id, type, operations, error, failedAt }.
+//
+// Both stores have the same interface: push(entry), list(), take(ids),
+// remove(ids) and size(). take() removes and returns the entries, so a
+// replayed batch is not replayed twice.
+
+// Redis list shared by all instances
+class RedisDeadLetterStore {
+    constructor(redis, options = {}) {
+        this.redis = redis;
+        this.key = options.key || 'batch:deadletters';
+    }
+
+    async push(entry) {
+        const stored = { id: uuidv4(), failedAt: new Date().toISOString(), ...entry };
+        await this.redis.rpush(this.key, JSON.stringify(stored));
+        return stored;
+    }
+
+    async list() {
+        const raw = await this.redis.lrange(this.key, 0, -1);
+        return raw.map(item => JSON.parse(item));
+    }
+
+    async take(ids) {
+        const raw = await this.redis.lrange(this.key, 0, -1);
+        const taken = [];
+
+        for (const item of raw) {
+            const entry = JSON.parse(item);
+            if (ids && !ids.includes(entry.id)) continue;
+
+            // Another instance may have taken it in the meantime
+            if (await this.redis.lrem(this.key, 1, item) > 0) {
+                taken.push(entry);
+            }
+        }
+
+        return taken;
+    }
+
+    async remove(ids) {
+        return (await this.take(ids)).length;
+    }
+
+    async size() {
+        return this.redis.llen(this.key);
+    }
+}
+
+// JSON lines file for a single instance, or when Redis is not available
+class FileDeadLetterStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        // Writes are chained so a rewrite never races an append
+        this.writing = Promise.resolve();
+    }
+
+    push(entry) {
+        const stored = { id: uuidv4(), failedAt: new Date().toISOString(), ...entry };
+        return this.serialize(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.appendFile(this.filePath, JSON.stringify(stored) + '\n');
+            return stored;
+        });
+    }
+
+    async list() {
+        await this.writing;
+        return this.read();
+    }
+
+    take(ids) {
+        return this.serialize(async () => {
+            const entries = await this.read();
+            const taken = entries.filter(entry => !ids || ids.includes(entry.id));
+            if (taken.length === 0) return taken;
+
+            const kept = entries.filter(entry => !taken.includes(entry));
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.writeFile(tmpPath, kept.map(entry => JSON.stringify(entry) + '\n').join(''));
+            await fs.rename(tmpPath, this.filePath);
+            return taken;
+        });
+    }
+
+    async remove(ids) {
+        return (await this.take(ids)).length;
+    }
+
+    async size() {
+        return (await this.list()).length;
+    }
+
+    async read() {
+        let content;
+        try {
+            content = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        // A crash in the middle of an append leaves a partial last line
+        const entries = [];
+        content.split('\n').filter(line => line.trim()).forEach(line => {
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                console.warn(`Skipping unreadable dead letter in ${this.filePath}`);
+            }
+        });
+        return entries;
+    }
+
+    serialize(operation) {
+        const result = this.writing.then(operation);
+        this.writing = result.catch(() => {});
+        return result;
+    }
+}
+
+module.exports = { RedisDeadLetterStore, FileDeadLetterStore };
@@ -0,0 +1,389 @@
+const EventEmitter = require('events');
+
+// In-process stand-in for the Redis client, used by CacheManager when Redis
+// cannot be reached or is not configured (CACHE_DRIVER=memory). It answers
+// the commands CacheManager, CacheRepository and BatchProcessor send, with
+// the same replies, so none of them check which one they talk to.
+//
+// Keys are kept in least-recently-used order and the oldest ones are evicted
+// past `maxKeys`. Expiry is checked when a key is read. Pub/sub reaches
+// subscribers in this process only.
+class LocalCache extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.maxKeys = options.maxKeys || 10000;
+        this.entries = new Map(); // key -> { value, expiresAt }
+        this.evictions = 0;
+        this.status = 'ready';
+
+        // Shared with duplicate() so subscribers hear this cache's publishes
+        this.subscribers = options.subscribers || new Set();
+        this.channels = new Set();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // ==================== KEYS ====================
+
+    // Live entry for key, marked as most recently used
+    entry(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    // Value of key, created with `create` when missing. Like Redis, using a
+    // key as the wrong type is an error.
+    value(key, Type, create = true) {
+        const entry = this.entry(key);
+        if (entry) {
+            if (entry.value.constructor !== Type) {
+                throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+            }
+            return entry.value;
+        }
+        if (!create) return null;
+
+        const value = new Type();
+        this.store(key, value);
+        return value;
+    }
+
+    store(key, value, expiresAt = null) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt });
+
+        while (this.entries.size > this.maxKeys) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.evictions++;
+        }
+    }
+
+    // Empty hashes, sets and lists do not exist in Redis
+    prune(key, value) {
+        if ((value.size ?? value.length) === 0) this.entries.delete(key);
+    }
+
+    async del(...keys) {
+        return keys.flat().filter(key => this.entry(key) && this.entries.delete(key)).length;
+    }
+
+    async exists(...keys) {
+        return keys.flat().filter(key => this.entry(key)).length;
+    }
+
+    async expire(key, seconds) {
+        const entry = this.entry(key);
+        if (!entry) return 0;
+        entry.expiresAt = Date.now() + seconds * 1000;
+        return 1;
+    }
+
+    async ttl(key) {
+        const entry = this.entry(key);
+        if (!entry) return -2;
+        if (entry.expiresAt === null) return -1;
+        return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+    }
+
+    // Glob patterns with * and ?
+    async keys(pattern) {
+        const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        const regex = new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+        return Array.from(this.entries.keys()).filter(key => regex.test(key) && this.entry(key));
+    }
+
+    async dbsize() {
+        return (await this.keys('*')).length;
+    }
+
+    async flushdb() {
+        this.entries.clear();
+        return 'OK';
+    }
+
+    // ==================== STRINGS ====================
+
+    async get(key) {
+        const entry = this.entry(key);
+        if (!entry) return null;
+        if (typeof entry.value !== 'string') {
+            throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+        }
+        return entry.value;
+    }
+
+    // set(key, value) or set(key, value, 'EX', seconds)
+    async set(key, value, mode, seconds) {
+        const expiresAt = String(mode).toUpperCase() === 'EX' ? Date.now() + seconds * 1000 : null;
+        this.store(key, String(value), expiresAt);
+        return 'OK';
+    }
+
+    async setex(key, seconds, value) {
+        return this.set(key, value, 'EX', seconds);
+    }
+
+    async incr(key) {
+        const entry = this.entry(key);
+        const next = (entry ? parseInt(await this.get(key), 10) : 0) + 1;
+        this.store(key, String(next), entry ? entry.expiresAt : null);
+        return next;
+    }
+
+    // ==================== HASHES ====================
+
+    async hget(key, field) {
+        const hash = this.value(key, Map, false);
+        return hash && hash.has(field) ? hash.get(field) : null;
+    }
+
+    // hset(key, field, value, ...) or hset(key, { field: value })
+    async hset(key, ...args) {
+        const pairs = typeof args[0] === 'object' ? Object.entries(args[0]) : chunk(args);
+        const hash = this.value(key, Map);
+        let added = 0;
+        for (const [field, value] of pairs) {
+            if (!hash.has(String(field))) added++;
+            hash.set(String(field), String(value));
+        }
+        return added;
+    }
+
+    async hsetnx(key, field, value) {
+        const hash = this.value(key, Map);
+        if (hash.has(field)) return 0;
+        hash.set(field, String(value));
+        return 1;
+    }
+
+    async hgetall(key) {
+        const hash = this.value(key, Map, false);
+        return hash ? Object.fromEntries(hash) : {};
+    }
+
+    async hdel(key, ...fields) {
+        const hash = this.value(key, Map, false);
+        if (!hash) return 0;
+        const removed = fields.flat().filter(field => hash.delete(field)).length;
+        this.prune(key, hash);
+        return removed;
+    }
+
+    async hlen(key) {
+        const hash = this.value(key, Map, false);
+        return hash ? hash.size : 0;
+    }
+
+    // Native version of CacheManager's setVersioned script
+    async setVersioned(key, field, version, entry, ttl) {
+        const current = await this.hget(key, field);
+        if (current && Number(JSON.parse(current).v) > Number(version)) return 0;
+
+        await this.hset(key, field, entry);
+        await this.expire(key, Number(ttl));
+        return 1;
+    }
+
+    // ==================== SETS ====================
+
+    async sadd(key, ...members) {
+        const set = this.value(key, Set);
+        return members.flat().filter(member => !set.has(String(member)) && set.add(String(member))).length;
+    }
+
+    async srem(key, ...members) {
+        const set = this.value(key, Set, false);
+        if (!set) return 0;
+        const removed = members.flat().filter(member => set.delete(String(member))).length;
+        this.prune(key, set);
+        return removed;
+    }
+
+    async smembers(key) {
+        const set = this.value(key, Set, false);
+        return set ? Array.from(set) : [];
+    }
+
+    // ==================== SORTED SETS ====================
+
+    async zadd(key, ...args) {
+        const zset = this.value(key, SortedSet);
+        let added = 0;
+        for (const [score, member] of chunk(args)) {
+            if (!zset.has(String(member))) added++;
+            zset.set(String(member), Number(score));
+        }
+        return added;
+    }
+
+    async zrevrange(key, start, stop, withScores) {
+        const zset = this.value(key, SortedSet, false);
+        if (!zset) return [];
+
+        const sorted = Array.from(zset).sort((a, b) => b[1] - a[1]);
+        const range = sorted.slice(start, stop < 0 ? sorted.length + stop + 1 : stop + 1);
+        return withScores
+            ? range.flatMap(([member, score]) => [member, String(score)])
+            : range.map(([member]) => member);
+    }
+
+    async zremrangebyscore(key, min, max) {
+        const zset = this.value(key, SortedSet, false);
+        if (!zset) return 0;
+
+        const low = min === '-inf' ? -Infinity : Number(min);
+        const high = max === '+inf' ? Infinity : Number(max);
+        let removed = 0;
+        for (const [member, score] of zset) {
+            if (score >= low && score <= high && zset.delete(member)) removed++;
+        }
+        this.prune(key, zset);
+        return removed;
+    }
+
+    // ==================== LISTS ====================
+
+    async rpush(key, ...values) {
+        const list = this.value(key, Array);
+        list.push(...values.flat().map(String));
+        return list.length;
+    }
+
+    async lpush(key, ...values) {
+        const list = this.value(key, Array);
+        list.unshift(...values.flat().map(String).reverse());
+        return list.length;
+    }
+
+    async lrange(key, start, stop) {
+        const list = this.value(key, Array, false);
+        if (!list) return [];
+        return list.slice(start, stop < 0 ? list.length + stop + 1 : stop + 1);
+    }
+
+    async ltrim(key, start, stop) {
+        const list = this.value(key, Array, false);
+        if (!list) return 'OK';
+        list.splice(0, list.length, ...await this.lrange(key, start, stop));
+        this.prune(key, list);
+        return 'OK';
+    }
+
+    // Removing from the tail (count < 0) is not needed
+    async lrem(key, count, value) {
+        const list = this.value(key, Array, false);
+        if (!list) return 0;
+
+        let removed = 0;
+        for (let i = 0; i < list.length && (count === 0 || removed < count);) {
+            if (list[i] === String(value)) {
+                list.splice(i, 1);
+                removed++;
+            } else {
+                i++;
+            }
+        }
+        this.prune(key, list);
+        return removed;
+    }
+
+    async llen(key) {
+        const list = this.value(key, Array, false);
+        return list ? list.length : 0;
+    }
+
+    // ==================== PUB/SUB ====================
+
+    async publish(channel, message) {
+        const receivers = Array.from(this.subscribers).filter(subscriber => subscriber.channels.has(channel));
+        // Redis delivers after the publishing command returns
+        setImmediate(() => receivers.forEach(subscriber => subscriber.emit('message', channel, message)));
+        return receivers.length;
+    }
+
+    async subscribe(...channels) {
+        channels.flat().forEach(channel => this.channels.add(channel));
+        this.subscribers.add(this);
+        return this.channels.size;
+    }
+
+    async unsubscribe(...channels) {
+        const names = channels.flat();
+        (names.length > 0 ? names : Array.from(this.channels)).forEach(channel => this.channels.delete(channel));
+        if (this.channels.size === 0) this.subscribers.delete(this);
+        return this.channels.size;
+    }
+
+    // A connection for subscribing; it shares the publishes, not the keys
+    duplicate() {
+        return new LocalCache({ maxKeys: this.maxKeys, subscribers: this.subscribers });
+    }
+
+    // ==================== CONNECTION ====================
+
+    // Queues commands and runs them in order on exec(), replying like ioredis
+    multi() {
+        const commands = [];
+        const pipeline = new Proxy({}, {
+            get: (target, name) => {
+                if (name === 'exec') {
+                    return async () => {
+                        const results = [];
+                        for (const [command, args] of commands) {
+                            try {
+                                results.push([null, await this[command](...args)]);
+                            } catch (error) {
+                                results.push([error, null]);
+                            }
+                        }
+                        return results;
+                    };
+                }
+                return (...args) => {
+                    commands.push([name, args]);
+                    return pipeline;
+                };
+            }
+        });
+        return pipeline;
+    }
+
+    async ping() {
+        return 'PONG';
+    }
+
+    async info() {
+        return `# Memory\r\nlocal_keys:${this.entries.size}\r\nlocal_evictions:${this.evictions}\r\n`;
+    }
+
+    async quit() {
+        await this.unsubscribe();
+        this.status = 'end';
+        return 'OK';
+    }
+}
+
+// Members by score
+class SortedSet extends Map {}
+
+// [a, b, c, d] -> [[a, b], [c, d]]
+function chunk(args) {
+    const pairs = [];
+    for (let i = 0; i < args.length; i += 2) {
+        pairs.push([args[i], args[i + 1]]);
+    }
+    return pairs;
+}
+
+module.exports = LocalCache;
@@ -0,0 +1,831 @@
+const { v4: uuidv4 } = require('uuid');
+const { mapObjectRow, mapModelRow, mapScreenShareRow, mapHistoryRows, transformChanged } = require('./rows');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// In-process storage with the same API and row shapes as PostgresAdapter.
+// Nothing survives a restart; meant for local development, tests and as the
+// fallback when the database is unreachable.
+class MemoryAdapter {
+    constructor(config = {}) {
+        this.spaceId = config.spaceId || 'main';
+        this.pool = null;
+        this.reset();
+    }
+
+    // Drop everything (also handy between tests)
+    reset() {
+        this.tables = {
+            spaces: new Map(),           // id -> row
+            users: new Map(),            // id -> row
+            refreshTokens: new Map(),    // token_hash -> row
+            spaceModerators: new Map(),  // `${space_id}:${user_id}` -> row
+            sessions: new Map(),         // id -> row
+            objects: new Map(),          // object_id -> row
+            models: new Map(),           // model_id -> row
+            chatMessages: [],
+            screenShares: new Map(),     // id -> row
+            events: [],
+            visitors: new Map(),         // `${space_id}:${visitor_id}` -> row
+            snapshots: [],               // world_snapshots rows, oldest first
+            audit: []                    // world_objects changes, oldest first
+        };
+    }
+
+    // Rows are handed out as copies so callers cannot edit stored state
+    copy(row) {
+        return row ? structuredClone(row) : row;
+    }
+
+    // ==================== LIFECYCLE METHODS ====================
+
+    async connect() {
+        console.log('✅ Using in-memory storage (nothing is kept across restarts)');
+        return true;
+    }
+
+    async disconnect() {}
+
+    async ping() {
+        return true;
+    }
+
+    // ==================== SPACE MANAGEMENT ====================
+
+    async getOrCreateSpace(spaceName = 'main') {
+        for (const space of this.tables.spaces.values()) {
+            if (space.name === spaceName) return this.copy(space);
+        }
+
+        const space = {
+            id: uuidv4(),
+            name: spaceName,
+            owner_id: null,
+            settings: {},
+            visitor_count: 0,
+            is_public: true,
+            max_users: 100,
+            created_at: new Date()
+        };
+        this.tables.spaces.set(space.id, space);
+        return this.copy(space);
+    }
+
+    async updateSpaceSettings(spaceId, settings) {
+        const space = this.tables.spaces.get(spaceId || this.spaceId);
+        if (!space) return undefined;
+
+        space.settings = this.copy(settings || {});
+        return this.copy(space);
+    }
+
+    async getSpaceModerators(spaceId) {
+        const targetSpaceId = spaceId || this.spaceId;
+
+        return Array.from(this.tables.spaceModerators.values())
+            .filter(moderator => moderator.space_id === targetSpaceId)
+            .sort((a, b) => a.granted_at - b.granted_at)
+            .map(moderator => {
+                const user = this.tables.users.get(moderator.user_id) || {};
+                return {
+                    user_id: moderator.user_id,
+                    granted_at: moderator.granted_at,
+                    username: user.username,
+                    display_name: user.display_name
+                };
+            });
+    }
+
+    async addSpaceModerator(spaceId, userId, grantedBy) {
+        const key = `${spaceId || this.spaceId}:${userId}`;
+        if (this.tables.spaceModerators.has(key)) return undefined;
+
+        const row = {
+            space_id: spaceId || this.spaceId,
+            user_id: userId,
+            granted_by: grantedBy,
+            granted_at: new Date()
+        };
+        this.tables.spaceModerators.set(key, row);
+        return this.copy(row);
+    }
+
+    async removeSpaceModerator(spaceId, userId) {
+        const key = `${spaceId || this.spaceId}:${userId}`;
+        const row = this.tables.spaceModerators.get(key);
+        this.tables.spaceModerators.delete(key);
+        return this.copy(row);
+    }
+
+    // ==================== USER MANAGEMENT ====================
+
+    async upsertUser(userData) {
+        const { userId, username, displayName, avatarUrl } = userData;
+        const existing = this.tables.users.get(userId);
+
+        const user = {
+            id: userId,
+            created_at: new Date(),
+            ...existing,
+            username: username || (existing && existing.username) || null,
+            display_name: displayName || (existing && existing.display_name) || null,
+            avatar_url: avatarUrl || (existing && existing.avatar_url) || null,
+            last_seen_at: new Date()
+        };
+        this.tables.users.set(userId, user);
+        return this.copy(user);
+    }
+
+    async createSession(userId, socketId, spaceId, client = {}) {
+        const session = {
+            id: uuidv4(),
+            user_id: userId,
+            socket_id: socketId,
+            space_id: spaceId || this.spaceId,
+            ip_address: client.ipAddress || null,
+            user_agent: client.userAgent || null,
+            position: null,
+            rotation: null,
+            is_active: true,
+            connected_at: new Date(),
+            disconnected_at: null,
+            duration_seconds: null
+        };
+        this.tables.sessions.set(session.id, session);
+        return this.copy(session);
+    }
+
+    async endSession(socketId) {
+        let ended;
+        for (const session of this.tables.sessions.values()) {
+            if (session.socket_id !== socketId) continue;
+
+            session.disconnected_at = new Date();
+            session.is_active = false;
+            session.duration_seconds = (session.disconnected_at - session.connected_at) / 1000;
+            ended = session;
+        }
+        return this.copy(ended);
+    }
+
+    async updateUserPosition(userId, position, rotation) {
+        for (const session of this.tables.sessions.values()) {
+            if (session.user_id === userId && session.is_active) {
+                session.position = position;
+                session.rotation = rotation;
+            }
+        }
+    }
+
+    async getActiveUsers(spaceId) {
+        const targetSpaceId = spaceId || this.spaceId;
+        const rows = [];
+
+        for (const session of this.tables.sessions.values()) {
+            const user = this.tables.users.get(session.user_id);
+            if (session.space_id !== targetSpaceId || !session.is_active || !user) continue;
+
+            rows.push({
+                ...user,
+                position: session.position,
+                rotation: session.rotation,
+                socket_id: session.socket_id
+            });
+        }
+        return this.copy(rows);
+    }
+
+    // ==================== ACCOUNTS ====================
+
+    // Returns the new users row, or undefined when the username or email
+    // is already taken
+    async createAccount(account) {
+        const { username, displayName, email, passwordHash, authProvider = 'local' } = account;
+
+        for (const user of this.tables.users.values()) {
+            if (user.username === username || (email && user.email === email)) return undefined;
+        }
+
+        const user = {
+            id: uuidv4(),
+            username,
+            display_name: displayName,
+            email: email || null,
+            avatar_url: null,
+            auth_provider: authProvider,
+            password_hash: passwordHash,
+            is_active: true,
+            is_admin: false,
+            created_at: new Date(),
+            last_seen_at: new Date()
+        };
+        this.tables.users.set(user.id, user);
+        return this.copy(user);
+    }
+
+    // Local account by username, or by email in any case
+    async findLocalAccount(login) {
+        for (const user of this.tables.users.values()) {
+            if (user.auth_provider !== 'local') continue;
+            if (user.username === login || (user.email && user.email.toLowerCase() === login.toLowerCase())) {
+                return this.copy(user);
+            }
+        }
+        return undefined;
+    }
+
+    async getAccount(userId) {
+        return this.copy(this.tables.users.get(userId));
+    }
+
+    async markAccountSeen(userId) {
+        const user = this.tables.users.get(userId);
+        if (user) user.last_seen_at = new Date();
+    }
+
+    async saveRefreshToken(token) {
+        const { userId, tokenHash, expiresAt, userAgent = null, ipAddress = null } = token;
+
+        const row = {
+            id: uuidv4(),
+            user_id: userId,
+            token_hash: tokenHash,
+            created_at: new Date(),
+            expires_at: new Date(expiresAt),
+            revoked_at: null,
+            replaced_by: null,
+            user_agent: userAgent,
+            ip_address: ipAddress
+        };
+        this.tables.refreshTokens.set(tokenHash, row);
+        return this.copy(row);
+    }
+
+    // The token's owner (users row) with token_id and revoked_at
+    async getRefreshToken(tokenHash) {
+        const token = this.tables.refreshTokens.get(tokenHash);
+        const user = token && this.tables.users.get(token.user_id);
+        if (!user) return undefined;
+
+        return this.copy({ token_id: token.id, revoked_at: token.revoked_at, ...user });
+    }
+
+    async rotateRefreshToken(tokenId, replacedBy) {
+        for (const token of this.tables.refreshTokens.values()) {
+            if (token.id !== tokenId) continue;
+            token.revoked_at = new Date();
+            token.replaced_by = replacedBy;
+        }
+    }
+
+    async revokeRefreshToken(tokenHash) {
+        const token = this.tables.refreshTokens.get(tokenHash);
+        if (token && !token.revoked_at) token.revoked_at = new Date();
+    }
+
+    async revokeUserRefreshTokens(userId) {
+        for (const token of this.tables.refreshTokens.values()) {
+            if (token.user_id === userId && !token.revoked_at) token.revoked_at = new Date();
+        }
+    }
+
+    // ==================== OBJECT MANAGEMENT ====================
+
+    // Stand-in for the audit_log trigger, feeding getObjectHistory
+    audit(operation, oldRow, newRow, userId) {
+        this.tables.audit.push({
+            operation,
+            old_data: this.copy(oldRow) || null,
+            new_data: this.copy(newRow) || null,
+            user_id: userId || null,
+            space_id: (newRow || oldRow).space_id,
+            changed_at: new Date()
+        });
+    }
+
+    async saveObject(objectData) {
+        const {
+            objectId, name, type, position, rotation, scale,
+            modelId, modelUrl, createdBy, properties, spaceId,
+            ownerId, locked, isPublic
+        } = objectData;
+
+        const existing = this.tables.objects.get(objectId);
+        const now = new Date();
+        let row;
+
+        if (existing) {
+            if (existing.space_id !== (spaceId || this.spaceId)) {
+                throw new Error(`Object ${objectId} belongs to another space`);
+            }
+
+            // Like ON CONFLICT: the object is stored in full over the old one,
+            // which keeps its id, space and creation, and its owner and lock
+            // unless new ones are given
+            row = {
+                ...existing,
+                name, type, position, rotation, scale,
+                model_id: modelId,
+                model_url: modelUrl,
+                properties: properties || {},
+                owner_id: ownerId || existing.owner_id,
+                locked: typeof locked === 'boolean' ? locked : existing.locked,
+                is_public: !!isPublic,
+                updated_at: now,
+                updated_by: createdBy
+            };
+        } else {
+            row = {
+                id: uuidv4(),
+                object_id: objectId,
+                space_id: spaceId || this.spaceId,
+                name, type, position, rotation, scale,
+                model_id: modelId,
+                model_url: modelUrl,
+                created_by: createdBy,
+                updated_by: null,
+                properties: properties || {},
+                owner_id: ownerId || null,
+                locked: !!locked,
+                is_public: !!isPublic,
+                visibility: true,
+                interaction_count: 0,
+                created_at: now,
+                updated_at: now,
+                last_interacted_at: null
+            };
+        }
+
+        this.tables.objects.set(objectId, row);
+        this.audit(existing ? 'UPDATE' : 'INSERT', existing, row, row.updated_by || row.created_by);
+        return this.copy(row);
+    }
+
+    async updateObject(objectId, updates, updatedBy) {
+        const existing = this.tables.objects.get(objectId);
+        if (!existing) return undefined;
+
+        const { position, rotation, scale, properties } = updates;
+        const now = new Date();
+        const row = {
+            ...existing,
+            position: position || existing.position,
+            rotation: rotation || existing.rotation,
+            scale: scale || existing.scale,
+            properties: properties || existing.properties,
+            updated_by: updatedBy,
+            updated_at: now,
+            interaction_count: existing.interaction_count + 1,
+            last_interacted_at: now
+        };
+
+        this.tables.objects.set(objectId, row);
+        this.audit('UPDATE', existing, row, updatedBy);
+        return this.copy(row);
+    }
+
+    async updateObjectPermissions(objectId, permissions, updatedBy) {
+        const existing = this.tables.objects.get(objectId);
+        if (!existing) return undefined;
+
+        const { locked, isPublic } = permissions;
+        const row = {
+            ...existing,
+            locked: typeof locked === 'boolean' ? locked : existing.locked,
+            is_public: typeof isPublic === 'boolean' ? isPublic : existing.is_public,
+            updated_by: updatedBy,
+            updated_at: new Date()
+        };
+
+        this.tables.objects.set(objectId, row);
+        this.audit('UPDATE', existing, row, updatedBy);
+        return this.copy(row);
+    }
+
+    async deleteObject(objectId, deletedBy, spaceId) {
+        await this.logEvent('object.delete', {
+            objectId,
+            deletedBy,
+            spaceId: spaceId || this.spaceId
+        }, null, spaceId);
+
+        const existing = this.tables.objects.get(objectId);
+        if (!existing) return undefined;
+
+        this.tables.objects.delete(objectId);
+        this.audit('DELETE', existing, null, deletedBy);
+        return this.copy(existing);
+    }
+
+    async getObjectHistory(spaceId, userId, limit = 50) {
+        const targetSpaceId = spaceId || this.spaceId;
+
+        const rows = this.tables.audit.filter(row =>
+            row.user_id === userId &&
+            row.space_id === targetSpaceId &&
+            (row.operation !== 'UPDATE' || transformChanged(row.old_data, row.new_data))
+        );
+
+        return mapHistoryRows(this.copy(rows.slice(-limit)));
+    }
+
+    async getObjects(spaceId, limit = 1000) {
+        return this.copy(this.objectRows(spaceId).reverse().slice(0, limit));
+    }
+
+    // Visible objects of a space, oldest first
+    objectRows(spaceId) {
+        const targetSpaceId = spaceId || this.spaceId;
+
+        return Array.from(this.tables.objects.values())
+            .filter(row => row.space_id === targetSpaceId && row.visibility)
+            .sort((a, b) => a.created_at - b.created_at);
+    }
+
+    // ==================== MODEL MANAGEMENT ====================
+
+    async saveUploadedModel(modelData) {
+        const {
+            modelId, name, originalFilename, r2Key, publicUrl,
+            fileSize, format, uploadedBy, spaceId,
+            mobileUrl, thumbnailUrl, variants, processingStatus, processedAt
+        } = modelData;
+
+        const existing = this.tables.models.get(modelId);
+        const row = existing ? {
+            ...existing,
+            usage_count: existing.usage_count + 1,
+            last_used_at: new Date()
+        } : {
+            id: uuidv4(),
+            model_id: modelId,
+            name,
+            original_filename: originalFilename,
+            r2_key: r2Key,
+            public_url: publicUrl,
+            mobile_url: mobileUrl || null,
+            thumbnail_url: thumbnailUrl || null,
+            variants: variants || {},
+            processing_status: processingStatus || null,
+            processed_at: processedAt || null,
+            file_size_bytes: fileSize,
+            format,
+            uploaded_by: uploadedBy,
+            space_id: spaceId || this.spaceId,
+            is_public: false,
+            usage_count: 0,
+            uploaded_at: new Date(),
+            last_used_at: null
+        };
+
+        this.tables.models.set(modelId, row);
+        return this.copy(row);
+    }
+
+    async getUploadedModels(spaceId) {
+        return this.copy(this.modelRows(spaceId).reverse());
+    }
+
+    async getUploadedModel(modelId) {
+        const row = this.tables.models.get(modelId);
+        if (!row) return undefined;
+
+        const uploader = this.tables.users.get(row.uploaded_by);
+        return this.copy({ ...row, uploader_name: uploader ? uploader.username : null });
+    }
+
+    // Fields left out keep their value
+    async updateUploadedModel(modelId, changes) {
+        const existing = this.tables.models.get(modelId);
+        if (!existing) return undefined;
+
+        const {
+            name, publicUrl, mobileUrl, thumbnailUrl, variants,
+            processingStatus, processedAt, fileSize
+        } = changes;
+        const row = {
+            ...existing,
+            name: name || existing.name,
+            public_url: publicUrl || existing.public_url,
+            mobile_url: mobileUrl || existing.mobile_url,
+            thumbnail_url: thumbnailUrl || existing.thumbnail_url,
+            variants: variants || existing.variants,
+            processing_status: processingStatus || existing.processing_status,
+            processed_at: processedAt || existing.processed_at,
+            file_size_bytes: fileSize || existing.file_size_bytes
+        };
+
+        this.tables.models.set(modelId, row);
+        return this.copy(row);
+    }
+
+    // Models of a space (and public ones) with uploader_name, oldest first
+    modelRows(spaceId) {
+        const targetSpaceId = spaceId || this.spaceId;
+
+        return Array.from(this.tables.models.values())
+            .filter(row => row.space_id === targetSpaceId || row.is_public)
+            .sort((a, b) => a.uploaded_at - b.uploaded_at)
+            .map(row => {
+                const uploader = this.tables.users.get(row.uploaded_by);
+                return { ...row, uploader_name: uploader ? uploader.username : null };
+            });
+    }
+
+    // ==================== CHAT MANAGEMENT ====================
+
+    // Like ON CONFLICT (id) DO NOTHING: a message with a known id is not
+    // stored again
+    async saveChatMessage(messageData) {
+        const { id, userId, username, message, messageType = 'text', timestamp, spaceId } = messageData;
+        if (id && this.tables.chatMessages.some(row => row.id === id)) return undefined;
+
+        const row = {
+            id: id || uuidv4(),
+            space_id: spaceId || this.spaceId,
+            user_id: userId,
+            username,
+            message,
+            message_type: messageType,
+            created_at: timestamp ? new Date(timestamp) : new Date(),
+            deleted_at: null
+        };
+        this.tables.chatMessages.push(row);
+        return this.copy(row);
+    }
+
+    async getChatHistory(spaceId, limit = 100) {
+        const targetSpaceId = spaceId || this.spaceId;
+
+        const rows = this.tables.chatMessages
+            .filter(row => row.space_id === targetSpaceId && !row.deleted_at)
+            .slice(-limit)
+            .map(row => {
+                const user = this.tables.users.get(row.user_id);
+                return { ...row, avatar_url: user ? user.avatar_url : null };
+            });
+
+        return this.copy(rows); // Already in chronological order
+    }
+
+    async deleteOldMessages(olderThanHours = 24) {
+        const cutoff = Date.now() - olderThanHours * HOUR;
+        let count = 0;
+
+        for (const row of this.tables.chatMessages) {
+            if (row.space_id === this.spaceId && !row.deleted_at && row.created_at < cutoff) {
+                row.deleted_at = new Date();
+                count++;
+            }
+        }
+        return count;
+    }
+
+    // ==================== SCREEN SHARING ====================
+
+    async startScreenShare(userId, shareType = 'screen', spaceId = null) {
+        const row = {
+            id: uuidv4(),
+            space_id: spaceId || this.spaceId,
+            user_id: userId,
+            share_type: shareType,
+            started_at: new Date(),
+            ended_at: null,
+            duration_seconds: null
+        };
+        this.tables.screenShares.set(row.id, row);
+        return this.copy(row);
+    }
+
+    async endScreenShare(shareId) {
+        const row = this.tables.screenShares.get(shareId);
+        if (!row) return undefined;
+
+        row.ended_at = new Date();
+        row.duration_seconds = (row.ended_at - row.started_at) / 1000;
+        return this.copy(row);
+    }
+
+    async getActiveScreenShare(spaceId) {
+        const targetSpaceId = spaceId || this.spaceId;
+
+        const active = Array.from(this.tables.screenShares.values())
+            .filter(row => row.space_id === targetSpaceId && !row.ended_at)
+            .sort((a, b) => b.started_at - a.started_at)[0];
+        if (!active) return undefined;
+
+        const user = this.tables.users.get(active.user_id) || {};
+        return this.copy({ ...active, username: user.username, display_name: user.display_name });
+    }
+
+    // ==================== WORLD STATE ====================
+
+    async loadWorldState(spaceId) {
+        const targetSpaceId = spaceId || this.spaceId;
+
+        const objectsMap = {};
+        this.objectRows(targetSpaceId).forEach(row => {
+            objectsMap[row.object_id] = mapObjectRow(this.copy(row));
+        });
+
+        const modelsMap = {};
+        this.modelRows(targetSpaceId).forEach(row => {
+            modelsMap[row.model_id] = mapModelRow(this.copy(row));
+        });
+
+        return {
+            space: this.copy(this.tables.spaces.get(targetSpaceId)),
+            objects: objectsMap,
+            uploadedModels: modelsMap,
+            chatHistory: await this.getChatHistory(targetSpaceId, 100),
+            users: await this.getActiveUsers(targetSpaceId),
+            sharedScreen: mapScreenShareRow(await this.getActiveScreenShare(targetSpaceId))
+        };
+    }
+
+    async saveWorldState(worldState, spaceId = null) {
+        const targetSpaceId = spaceId || this.spaceId;
+
+        if (worldState.objects) {
+            for (const [objectId, objectData] of Object.entries(worldState.objects)) {
+                await this.saveObject({ ...objectData, objectId, spaceId: targetSpaceId });
+            }
+        }
+
+        if (worldState.uploadedModels) {
+            for (const [modelId, modelData] of Object.entries(worldState.uploadedModels)) {
+                await this.saveUploadedModel({ ...modelData, modelId, spaceId: targetSpaceId });
+            }
+        }
+
+        if (worldState.chatHistory && Array.isArray(worldState.chatHistory)) {
+            for (const message of worldState.chatHistory) {
+                await this.saveChatMessage({ ...message, spaceId: targetSpaceId });
+            }
+        }
+    }
+
+    // ==================== SNAPSHOTS ====================
+
+    async saveSnapshot(snapshotData) {
+        const { spaceId, name, kind = 'manual', createdBy, objects, uploadedModels } = snapshotData;
+
+        const row = {
+            id: uuidv4(),
+            space_id: spaceId || this.spaceId,
+            name,
+            kind,
+            created_by: createdBy || null,
+            objects: this.copy(objects || {}),
+            uploaded_models: this.copy(uploadedModels || {}),
+            object_count: Object.keys(objects || {}).length,
+            created_at: new Date()
+        };
+        this.tables.snapshots.push(row);
+        return this.snapshotSummary(row);
+    }
+
+    // Snapshot row without the stored layout
+    snapshotSummary(row) {
+        const { objects, uploaded_models, ...summary } = row;
+        return this.copy(summary);
+    }
+
+    async getSnapshots(spaceId, limit = 100) {
+        const targetSpaceId = spaceId || this.spaceId;
+
+        return this.tables.snapshots
+            .filter(row => row.space_id === targetSpaceId)
+            .reverse()
+            .slice(0, limit)
+            .map(row => this.snapshotSummary(row));
+    }
+
+    async getSnapshot(snapshotId) {
+        return this.copy(this.tables.snapshots.find(row => row.id === snapshotId));
+    }
+
+    async deleteSnapshot(snapshotId) {
+        const count = this.tables.snapshots.length;
+        this.tables.snapshots = this.tables.snapshots.filter(row => row.id !== snapshotId);
+        return this.tables.snapshots.length < count;
+    }
+
+    async deleteOldSnapshots(olderThanDays = 30) {
+        const cutoff = Date.now() - olderThanDays * DAY;
+        const count = this.tables.snapshots.length;
+
+        this.tables.snapshots = this.tables.snapshots.filter(
+            row => row.kind === 'manual' || row.created_at >= cutoff
+        );
+        return count - this.tables.snapshots.length;
+    }
+
+    // ==================== EVENTS & ANALYTICS ====================
+
+    async logEvent(eventType, payload, userId = null, spaceId = null) {
+        this.tables.events.push({
+            id: uuidv4(),
+            event_type: eventType,
+            space_id: spaceId || this.spaceId,
+            user_id: userId,
+            payload: this.copy(payload),
+            created_at: new Date()
+        });
+    }
+
+    async trackVisitor(visitorData) {
+        const { visitorId, spaceId, ipAddress, userAgent, deviceType } = visitorData;
+        const targetSpaceId = spaceId || this.spaceId;
+        const key = `${targetSpaceId}:${visitorId}`;
+        const existing = this.tables.visitors.get(key);
+
+        const space = this.tables.spaces.get(targetSpaceId);
+        if (space) space.visitor_count++;
+
+        const row = existing ? {
+            ...existing,
+            last_visit_at: new Date(),
+            visit_count: existing.visit_count + 1
+        } : {
+            visitor_id: visitorId,
+            space_id: targetSpaceId,
+            ip_address: ipAddress || null,
+            user_agent: userAgent || null,
+            device_type: deviceType || null,
+            first_visit_at: new Date(),
+            last_visit_at: new Date(),
+            visit_count: 1
+        };
+        this.tables.visitors.set(key, row);
+        return this.copy(row);
+    }
+
+    async getVisitorStats(spaceId) {
+        const targetSpaceId = spaceId || this.spaceId;
+        const recentSince = Date.now() - 24 * 60 * 60 * 1000;
+        const visitors = Array.from(this.tables.visitors.values())
+            .filter(row => row.space_id === targetSpaceId);
+        const space = this.tables.spaces.get(targetSpaceId);
+
+        return {
+            unique_visitors: visitors.length,
+            total_visits: space ? space.visitor_count : 0,
+            recent_visitors: visitors.filter(row => row.last_visit_at.getTime() > recentSince).length
+        };
+    }
+
+    // ==================== STATISTICS ====================
+
+    async getSpaceStatistics(spaceId) {
+        const targetSpaceId = spaceId || this.spaceId;
+        const sessions = Array.from(this.tables.sessions.values())
+            .filter(session => session.space_id === targetSpaceId);
+
+        return {
+            total_unique_users: new Set(sessions.map(session => session.user_id)).size,
+            active_users: new Set(sessions.filter(session => session.is_active)
+                .map(session => session.user_id)).size,
+            total_objects: this.objectRows(targetSpaceId).length,
+            total_messages: this.tables.chatMessages
+                .filter(row => row.space_id === targetSpaceId).length
+        };
+    }
+
+    // No materialized views; statistics are always computed live
+    async refreshMaterializedViews() {}
+
+    // ==================== BATCH OPERATIONS ====================
+
+    async batchUpdateObjects(updates) {
+        const results = [];
+        for (const update of updates) {
+            results.push(await this.updateObject(update.objectId, update.data, update.updatedBy));
+        }
+        return results;
+    }
+
+    // ==================== CLEANUP ====================
+
+    async cleanup() {
+        const now = Date.now();
+
+        for (const session of this.tables.sessions.values()) {
+            if (session.is_active && session.connected_at < now - DAY) {
+                session.is_active = false;
+                session.disconnected_at = new Date();
+            }
+        }
+
+        for (const row of this.tables.chatMessages) {
+            if (!row.deleted_at && row.created_at < now - 7 * DAY) {
+                row.deleted_at = new Date();
+            }
+        }
+
+        this.tables.events = this.tables.events.filter(event => event.created_at >= now - 30 * DAY);
+    }
+}
+
+module.exports = MemoryAdapter;
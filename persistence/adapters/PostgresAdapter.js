@@ -0,0 +1,955 @@
+const { Pool } = require('pg');
+const { mapObjectRow, mapModelRow, mapScreenShareRow, mapHistoryRows } = require('./rows');
+
+// PostgreSQL storage (the production backend). Schema and audit triggers
+// come from migrations/; everything else in the persistence layer goes
+// through this pool.
+class PostgresAdapter {
+    constructor(config) {
+        this.pool = new Pool({
+            connectionString: config.databaseUrl || process.env.DATABASE_URL,
+            ssl: config.ssl !== false ? { rejectUnauthorized: false } : false,
+            max: config.poolSize || 20,
+            idleTimeoutMillis: 30000,
+            connectionTimeoutMillis: 2000,
+        });
+        
+        this.spaceId = config.spaceId || 'main';
+    }
+
+    // ==================== LIFECYCLE METHODS ====================
+    
+    async connect() {
+        try {
+            const client = await this.pool.connect();
+            await client.query('SELECT 1');
+            client.release();
+            console.log('✅ Database connected successfully');
+            return true;
+        } catch (error) {
+            console.error('❌ Database connection failed:', error);
+            throw error;
+        }
+    }
+
+    async disconnect() {
+        await this.pool.end();
+        console.log('Database connection closed');
+    }
+
+    async ping() {
+        try {
+            await this.pool.query('SELECT 1');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // ==================== SPACE MANAGEMENT ====================
+    
+    async getOrCreateSpace(spaceName = 'main') {
+        const client = await this.pool.connect();
+        try {
+            const result = await client.query(
+                'SELECT * FROM spaces WHERE name = $1',
+                [spaceName]
+            );
+            
+            if (result.rows.length > 0) {
+                return result.rows[0];
+            }
+            
+            const newSpace = await client.query(
+                `INSERT INTO spaces (name, is_public, max_users) 
+                 VALUES ($1, $2, $3) 
+                 RETURNING *`,
+                [spaceName, true, 100]
+            );
+            
+            return newSpace.rows[0];
+        } finally {
+            client.release();
+        }
+    }
+
+    async updateSpaceSettings(spaceId, settings) {
+        const result = await this.pool.query(
+            `UPDATE spaces SET settings = $2, updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+            [spaceId || this.spaceId, JSON.stringify(settings || {})]
+        );
+        
+        return result.rows[0];
+    }
+
+    async getSpaceModerators(spaceId) {
+        const result = await this.pool.query(
+            `SELECT m.user_id, m.granted_at, u.username, u.display_name
+             FROM space_moderators m
+             JOIN users u ON m.user_id = u.id
+             WHERE m.space_id = $1
+             ORDER BY m.granted_at`,
+            [spaceId || this.spaceId]
+        );
+        
+        return result.rows;
+    }
+
+    async addSpaceModerator(spaceId, userId, grantedBy) {
+        const result = await this.pool.query(
+            `INSERT INTO space_moderators (space_id, user_id, granted_by)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (space_id, user_id) DO NOTHING
+             RETURNING *`,
+            [spaceId || this.spaceId, userId, grantedBy]
+        );
+        
+        return result.rows[0];
+    }
+
+    async removeSpaceModerator(spaceId, userId) {
+        const result = await this.pool.query(
+            'DELETE FROM space_moderators WHERE space_id = $1 AND user_id = $2 RETURNING *',
+            [spaceId || this.spaceId, userId]
+        );
+        
+        return result.rows[0];
+    }
+
+    // ==================== USER MANAGEMENT ====================
+    
+    async upsertUser(userData) {
+        const { userId, username, displayName, avatarUrl } = userData;
+        
+        const result = await this.pool.query(
+            `INSERT INTO users (id, username, display_name, avatar_url, last_seen_at)
+             VALUES ($1, $2, $3, $4, NOW())
+             ON CONFLICT (id) DO UPDATE SET
+                username = COALESCE($2, users.username),
+                display_name = COALESCE($3, users.display_name),
+                avatar_url = COALESCE($4, users.avatar_url),
+                last_seen_at = NOW()
+             RETURNING *`,
+            [userId, username, displayName, avatarUrl]
+        );
+        
+        return result.rows[0];
+    }
+
+    async createSession(userId, socketId, spaceId, client = {}) {
+        const { ipAddress = null, userAgent = null } = client;
+        
+        const result = await this.pool.query(
+            `INSERT INTO sessions (user_id, socket_id, space_id, ip_address, user_agent)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [userId, socketId, spaceId || this.spaceId, ipAddress, userAgent]
+        );
+        
+        return result.rows[0];
+    }
+
+    async endSession(socketId) {
+        const result = await this.pool.query(
+            `UPDATE sessions 
+             SET disconnected_at = NOW(), 
+                 is_active = false,
+                 duration_seconds = EXTRACT(EPOCH FROM (NOW() - connected_at))
+             WHERE socket_id = $1
+             RETURNING *`,
+            [socketId]
+        );
+        
+        return result.rows[0];
+    }
+
+    async updateUserPosition(userId, position, rotation) {
+        await this.pool.query(
+            `UPDATE sessions 
+             SET position = $2, rotation = $3
+             WHERE user_id = $1 AND is_active = true`,
+            [userId, JSON.stringify(position), JSON.stringify(rotation)]
+        );
+    }
+
+    async getActiveUsers(spaceId) {
+        const result = await this.pool.query(
+            `SELECT u.*, s.position, s.rotation, s.socket_id
+             FROM sessions s
+             JOIN users u ON s.user_id = u.id
+             WHERE s.space_id = $1 AND s.is_active = true`,
+            [spaceId || this.spaceId]
+        );
+        
+        return result.rows;
+    }
+
+    // ==================== ACCOUNTS ====================
+
+    // Returns the new users row, or undefined when the username or email
+    // is already taken
+    async createAccount(account) {
+        const { username, displayName, email, passwordHash, authProvider = 'local' } = account;
+
+        const result = await this.pool.query(
+            `INSERT INTO users (username, display_name, email, password_hash, auth_provider, last_seen_at)
+             VALUES ($1, $2, $3, $4, $5, NOW())
+             ON CONFLICT DO NOTHING
+             RETURNING *`,
+            [username, displayName, email || null, passwordHash, authProvider]
+        );
+        
+        return result.rows[0];
+    }
+
+    // Local account by username, or by email in any case
+    async findLocalAccount(login) {
+        const result = await this.pool.query(
+            `SELECT * FROM users
+             WHERE auth_provider = 'local'
+               AND (username = $1 OR LOWER(email) = LOWER($1))
+             LIMIT 1`,
+            [login]
+        );
+        
+        return result.rows[0];
+    }
+
+    async getAccount(userId) {
+        const result = await this.pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+        
+        return result.rows[0];
+    }
+
+    async markAccountSeen(userId) {
+        await this.pool.query('UPDATE users SET last_seen_at = NOW() WHERE id = $1', [userId]);
+    }
+
+    async saveRefreshToken(token) {
+        const { userId, tokenHash, expiresAt, userAgent = null, ipAddress = null } = token;
+
+        const result = await this.pool.query(
+            `INSERT INTO refresh_tokens (user_id, token_hash, expires_at, user_agent, ip_address)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [userId, tokenHash, expiresAt, userAgent, ipAddress]
+        );
+        
+        return result.rows[0];
+    }
+
+    // The token's owner (users row) with token_id and revoked_at
+    async getRefreshToken(tokenHash) {
+        const result = await this.pool.query(
+            `SELECT t.id AS token_id, t.revoked_at, u.*
+             FROM refresh_tokens t
+             JOIN users u ON t.user_id = u.id
+             WHERE t.token_hash = $1`,
+            [tokenHash]
+        );
+        
+        return result.rows[0];
+    }
+
+    async rotateRefreshToken(tokenId, replacedBy) {
+        await this.pool.query(
+            'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $2 WHERE id = $1',
+            [tokenId, replacedBy]
+        );
+    }
+
+    async revokeRefreshToken(tokenHash) {
+        await this.pool.query(
+            'UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = $1 AND revoked_at IS NULL',
+            [tokenHash]
+        );
+    }
+
+    async revokeUserRefreshTokens(userId) {
+        await this.pool.query(
+            'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+            [userId]
+        );
+    }
+
+    // ==================== OBJECT MANAGEMENT ====================
+    
+    async saveObject(objectData) {
+        const { 
+            objectId, name, type, position, rotation, scale,
+            modelId, modelUrl, createdBy, properties, spaceId,
+            ownerId, locked, isPublic
+        } = objectData;
+        
+        // An owner or lock left out keeps the stored one, and an object is
+        // never saved over from another space
+        const result = await this.pool.query(
+            `INSERT INTO world_objects 
+             (object_id, space_id, name, type, position, rotation, scale, 
+              model_id, model_url, created_by, properties, owner_id, locked, is_public)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, COALESCE($13, FALSE), $14)
+             ON CONFLICT (object_id) DO UPDATE SET
+                name = $3, type = $4,
+                position = $5, rotation = $6, scale = $7,
+                model_id = $8, model_url = $9, properties = $11,
+                owner_id = COALESCE(EXCLUDED.owner_id, world_objects.owner_id),
+                locked = COALESCE($13, world_objects.locked),
+                is_public = $14,
+                updated_at = NOW(), updated_by = $10
+             WHERE world_objects.space_id = EXCLUDED.space_id
+             RETURNING *`,
+            [objectId, spaceId || this.spaceId, name, type, 
+             JSON.stringify(position), JSON.stringify(rotation), JSON.stringify(scale),
+             modelId, modelUrl, createdBy, JSON.stringify(properties || {}),
+             ownerId || null, typeof locked === 'boolean' ? locked : null, !!isPublic]
+        );
+        
+        if (!result.rows[0]) {
+            throw new Error(`Object ${objectId} belongs to another space`);
+        }
+        return result.rows[0];
+    }
+
+    async updateObject(objectId, updates, updatedBy) {
+        const { position, rotation, scale, properties } = updates;
+        
+        const result = await this.pool.query(
+            `UPDATE world_objects 
+             SET position = COALESCE($2, position),
+                 rotation = COALESCE($3, rotation),
+                 scale = COALESCE($4, scale),
+                 properties = COALESCE($5, properties),
+                 updated_by = $6,
+                 updated_at = NOW(),
+                 interaction_count = interaction_count + 1,
+                 last_interacted_at = NOW()
+             WHERE object_id = $1
+             RETURNING *`,
+            [objectId, 
+             position ? JSON.stringify(position) : null,
+             rotation ? JSON.stringify(rotation) : null,
+             scale ? JSON.stringify(scale) : null,
+             properties ? JSON.stringify(properties) : null,
+             updatedBy]
+        );
+        
+        return result.rows[0];
+    }
+
+    async updateObjectPermissions(objectId, permissions, updatedBy) {
+        const { locked, isPublic } = permissions;
+        
+        const result = await this.pool.query(
+            `UPDATE world_objects 
+             SET locked = COALESCE($2, locked),
+                 is_public = COALESCE($3, is_public),
+                 updated_by = $4,
+                 updated_at = NOW()
+             WHERE object_id = $1
+             RETURNING *`,
+            [objectId, 
+             typeof locked === 'boolean' ? locked : null,
+             typeof isPublic === 'boolean' ? isPublic : null,
+             updatedBy]
+        );
+        
+        return result.rows[0];
+    }
+
+    async deleteObject(objectId, deletedBy, spaceId) {
+        // Log deletion in audit log before deleting
+        await this.logEvent('object.delete', { 
+            objectId, 
+            deletedBy,
+            spaceId: spaceId || this.spaceId 
+        }, null, spaceId);
+        
+        // The audit trigger cannot tell who deleted a row, so name the actor
+        // for this transaction
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                "SELECT set_config('app.current_user_id', $1, true)",
+                [deletedBy || '']
+            );
+            
+            const result = await client.query(
+                'DELETE FROM world_objects WHERE object_id = $1 RETURNING *',
+                [objectId]
+            );
+            
+            await client.query('COMMIT');
+            return result.rows[0];
+            
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // A user's most recent object edits in a space, oldest first, as
+    // { type, objectId, before, after } operations for the undo history.
+    // Updates that did not change the transform (permission changes,
+    // periodic saves) are skipped.
+    async getObjectHistory(spaceId, userId, limit = 50) {
+        const result = await this.pool.query(
+            `SELECT operation, old_data, new_data, changed_at
+             FROM audit_log
+             WHERE table_name = 'world_objects'
+               AND user_id = $2
+               AND COALESCE(new_data, old_data) ->> 'space_id' = $1::text
+               AND (operation <> 'UPDATE'
+                    OR old_data -> 'position' IS DISTINCT FROM new_data -> 'position'
+                    OR old_data -> 'rotation' IS DISTINCT FROM new_data -> 'rotation'
+                    OR old_data -> 'scale' IS DISTINCT FROM new_data -> 'scale')
+             ORDER BY changed_at DESC
+             LIMIT $3`,
+            [spaceId || this.spaceId, userId, limit]
+        );
+        
+        return mapHistoryRows(result.rows.reverse());
+    }
+
+    async getObjects(spaceId, limit = 1000) {
+        const result = await this.pool.query(
+            `SELECT * FROM world_objects 
+             WHERE space_id = $1 AND visibility = true
+             ORDER BY created_at DESC
+             LIMIT $2`,
+            [spaceId || this.spaceId, limit]
+        );
+        
+        return result.rows;
+    }
+
+    // ==================== MODEL MANAGEMENT ====================
+    
+    async saveUploadedModel(modelData) {
+        const {
+            modelId, name, originalFilename, r2Key, publicUrl,
+            fileSize, format, uploadedBy, spaceId,
+            mobileUrl, thumbnailUrl, variants, processingStatus, processedAt
+        } = modelData;
+        
+        const result = await this.pool.query(
+            `INSERT INTO uploaded_models 
+             (model_id, name, original_filename, r2_key, public_url,
+              file_size_bytes, format, uploaded_by, space_id,
+              mobile_url, thumbnail_url, variants, processing_status, processed_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+             ON CONFLICT (model_id) DO UPDATE SET
+                usage_count = uploaded_models.usage_count + 1,
+                last_used_at = NOW()
+             RETURNING *`,
+            [modelId, name, originalFilename, r2Key, publicUrl,
+             fileSize, format, uploadedBy, spaceId || this.spaceId,
+             mobileUrl || null, thumbnailUrl || null, JSON.stringify(variants || {}),
+             processingStatus || null, processedAt || null]
+        );
+        
+        return result.rows[0];
+    }
+
+    async getUploadedModel(modelId) {
+        const result = await this.pool.query(
+            `SELECT m.*, u.username as uploader_name
+             FROM uploaded_models m
+             LEFT JOIN users u ON m.uploaded_by = u.id
+             WHERE m.model_id = $1`,
+            [modelId]
+        );
+        
+        return result.rows[0];
+    }
+
+    // Fields left out keep their value
+    async updateUploadedModel(modelId, changes) {
+        const {
+            name, publicUrl, mobileUrl, thumbnailUrl, variants,
+            processingStatus, processedAt, fileSize
+        } = changes;
+        
+        const result = await this.pool.query(
+            `UPDATE uploaded_models
+             SET name = COALESCE($2, name),
+                 public_url = COALESCE($3, public_url),
+                 mobile_url = COALESCE($4, mobile_url),
+                 thumbnail_url = COALESCE($5, thumbnail_url),
+                 variants = COALESCE($6, variants),
+                 processing_status = COALESCE($7, processing_status),
+                 processed_at = COALESCE($8, processed_at),
+                 file_size_bytes = COALESCE($9, file_size_bytes)
+             WHERE model_id = $1
+             RETURNING *`,
+            [modelId, name || null, publicUrl || null, mobileUrl || null, thumbnailUrl || null,
+             variants ? JSON.stringify(variants) : null, processingStatus || null,
+             processedAt || null, fileSize || null]
+        );
+        
+        return result.rows[0];
+    }
+
+    async getUploadedModels(spaceId) {
+        const result = await this.pool.query(
+            `SELECT m.*, u.username as uploader_name
+             FROM uploaded_models m
+             LEFT JOIN users u ON m.uploaded_by = u.id
+             WHERE m.space_id = $1 OR m.is_public = true
+             ORDER BY m.uploaded_at DESC`,
+            [spaceId || this.spaceId]
+        );
+        
+        return result.rows;
+    }
+
+    // ==================== CHAT MANAGEMENT ====================
+    
+    // Messages that already have an id (from the live chat) are stored
+    // once; saving one again returns nothing
+    async saveChatMessage(messageData) {
+        const { id, userId, username, message, messageType = 'text', timestamp, spaceId } = messageData;
+        
+        const result = await this.pool.query(
+            `INSERT INTO chat_messages 
+             (id, space_id, user_id, username, message, message_type, created_at)
+             VALUES (COALESCE($1::uuid, gen_random_uuid()), $2, $3, $4, $5, $6,
+                     COALESCE($7::timestamptz, NOW()))
+             ON CONFLICT (id) DO NOTHING
+             RETURNING *`,
+            [id || null, spaceId || this.spaceId, userId, username, message, messageType,
+             timestamp || null]
+        );
+        
+        return result.rows[0];
+    }
+
+    async getChatHistory(spaceId, limit = 100) {
+        const result = await this.pool.query(
+            `SELECT c.*, u.avatar_url
+             FROM chat_messages c
+             LEFT JOIN users u ON c.user_id = u.id
+             WHERE c.space_id = $1 AND c.deleted_at IS NULL
+             ORDER BY c.created_at DESC
+             LIMIT $2`,
+            [spaceId || this.spaceId, limit]
+        );
+        
+        return result.rows.reverse(); // Return in chronological order
+    }
+
+    async deleteOldMessages(olderThanHours = 24) {
+        const result = await this.pool.query(
+            `UPDATE chat_messages 
+             SET deleted_at = NOW()
+             WHERE space_id = $1 
+               AND created_at < NOW() - INTERVAL '$2 hours'
+               AND deleted_at IS NULL
+             RETURNING *`,
+            [this.spaceId, olderThanHours]
+        );
+        
+        return result.rowCount;
+    }
+
+    // ==================== SCREEN SHARING ====================
+    
+    async startScreenShare(userId, shareType = 'screen', spaceId = null) {
+        const result = await this.pool.query(
+            `INSERT INTO screen_shares 
+             (space_id, user_id, share_type)
+             VALUES ($1, $2, $3)
+             RETURNING *`,
+            [spaceId || this.spaceId, userId, shareType]
+        );
+        
+        return result.rows[0];
+    }
+
+    async endScreenShare(shareId) {
+        const result = await this.pool.query(
+            `UPDATE screen_shares 
+             SET ended_at = NOW(),
+                 duration_seconds = EXTRACT(EPOCH FROM (NOW() - started_at))
+             WHERE id = $1
+             RETURNING *`,
+            [shareId]
+        );
+        
+        return result.rows[0];
+    }
+
+    async getActiveScreenShare(spaceId) {
+        const result = await this.pool.query(
+            `SELECT s.*, u.username, u.display_name
+             FROM screen_shares s
+             JOIN users u ON s.user_id = u.id
+             WHERE s.space_id = $1 AND s.ended_at IS NULL
+             ORDER BY s.started_at DESC
+             LIMIT 1`,
+            [spaceId || this.spaceId]
+        );
+        
+        return result.rows[0];
+    }
+
+    // ==================== WORLD STATE ====================
+    
+    async loadWorldState(spaceId) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            
+            // Load all data in parallel
+            const [space, objects, models, messages, activeUsers, screenShare] = await Promise.all([
+                client.query('SELECT * FROM spaces WHERE id = $1', [spaceId || this.spaceId]),
+                client.query(
+                    `SELECT * FROM world_objects 
+                     WHERE space_id = $1 AND visibility = true 
+                     ORDER BY created_at`,
+                    [spaceId || this.spaceId]
+                ),
+                client.query(
+                    `SELECT m.*, u.username as uploader_name
+                     FROM uploaded_models m
+                     LEFT JOIN users u ON m.uploaded_by = u.id
+                     WHERE m.space_id = $1 OR m.is_public = true`,
+                    [spaceId || this.spaceId]
+                ),
+                client.query(
+                    `SELECT c.*, u.username, u.avatar_url
+                     FROM chat_messages c
+                     LEFT JOIN users u ON c.user_id = u.id
+                     WHERE c.space_id = $1 AND c.deleted_at IS NULL
+                     ORDER BY c.created_at DESC
+                     LIMIT 100`,
+                    [spaceId || this.spaceId]
+                ),
+                client.query(
+                    `SELECT u.*, s.position, s.rotation, s.socket_id
+                     FROM sessions s
+                     JOIN users u ON s.user_id = u.id
+                     WHERE s.space_id = $1 AND s.is_active = true`,
+                    [spaceId || this.spaceId]
+                ),
+                client.query(
+                    `SELECT s.*, u.username
+                     FROM screen_shares s
+                     JOIN users u ON s.user_id = u.id
+                     WHERE s.space_id = $1 AND s.ended_at IS NULL
+                     LIMIT 1`,
+                    [spaceId || this.spaceId]
+                )
+            ]);
+            
+            await client.query('COMMIT');
+            
+            // Transform objects to expected format
+            const objectsMap = {};
+            objects.rows.forEach(obj => {
+                objectsMap[obj.object_id] = mapObjectRow(obj);
+            });
+            
+            // Transform models to expected format
+            const modelsMap = {};
+            models.rows.forEach(model => {
+                modelsMap[model.model_id] = mapModelRow(model);
+            });
+            
+            return {
+                space: space.rows[0],
+                objects: objectsMap,
+                uploadedModels: modelsMap,
+                chatHistory: messages.rows.reverse(),
+                users: activeUsers.rows,
+                sharedScreen: mapScreenShareRow(screenShare.rows[0])
+            };
+            
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async saveWorldState(worldState, spaceId = null) {
+        const targetSpaceId = spaceId || this.spaceId;
+        
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            
+            // Save objects
+            if (worldState.objects) {
+                for (const [objectId, objectData] of Object.entries(worldState.objects)) {
+                    await this.saveObject({ ...objectData, objectId, spaceId: targetSpaceId });
+                }
+            }
+            
+            // Save models
+            if (worldState.uploadedModels) {
+                for (const [modelId, modelData] of Object.entries(worldState.uploadedModels)) {
+                    await this.saveUploadedModel({ ...modelData, modelId, spaceId: targetSpaceId });
+                }
+            }
+            
+            // Save chat messages
+            if (worldState.chatHistory && Array.isArray(worldState.chatHistory)) {
+                for (const message of worldState.chatHistory) {
+                    await this.saveChatMessage({ ...message, spaceId: targetSpaceId });
+                }
+            }
+            
+            await client.query('COMMIT');
+            console.log('✅ World state saved to database');
+            
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('❌ Failed to save world state:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // ==================== SNAPSHOTS ====================
+    
+    // kind: 'manual' (named by a user), 'auto' (scheduled) or 'pre-restore'
+    async saveSnapshot(snapshotData) {
+        const { spaceId, name, kind = 'manual', createdBy, objects, uploadedModels } = snapshotData;
+        
+        const result = await this.pool.query(
+            `INSERT INTO world_snapshots 
+             (space_id, name, kind, created_by, objects, uploaded_models, object_count)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING id, space_id, name, kind, created_by, object_count, created_at`,
+            [spaceId || this.spaceId, name, kind, createdBy || null,
+             JSON.stringify(objects || {}), JSON.stringify(uploadedModels || {}),
+             Object.keys(objects || {}).length]
+        );
+        
+        return result.rows[0];
+    }
+
+    // Newest first, without the stored layout
+    async getSnapshots(spaceId, limit = 100) {
+        const result = await this.pool.query(
+            `SELECT id, space_id, name, kind, created_by, object_count, created_at
+             FROM world_snapshots
+             WHERE space_id = $1
+             ORDER BY created_at DESC
+             LIMIT $2`,
+            [spaceId || this.spaceId, limit]
+        );
+        
+        return result.rows;
+    }
+
+    async getSnapshot(snapshotId) {
+        const result = await this.pool.query(
+            'SELECT * FROM world_snapshots WHERE id = $1',
+            [snapshotId]
+        );
+        
+        return result.rows[0];
+    }
+
+    async deleteSnapshot(snapshotId) {
+        const result = await this.pool.query(
+            'DELETE FROM world_snapshots WHERE id = $1 RETURNING id',
+            [snapshotId]
+        );
+        
+        return result.rowCount > 0;
+    }
+
+    // Retention only applies to snapshots nobody named
+    async deleteOldSnapshots(olderThanDays = 30) {
+        const result = await this.pool.query(
+            `DELETE FROM world_snapshots 
+             WHERE kind <> 'manual'
+               AND created_at < NOW() - make_interval(days => $1)`,
+            [olderThanDays]
+        );
+        
+        return result.rowCount;
+    }
+
+    // ==================== EVENTS & ANALYTICS ====================
+    
+    async logEvent(eventType, payload, userId = null, spaceId = null) {
+        try {
+            await this.pool.query(
+                `INSERT INTO events (event_type, space_id, user_id, payload)
+                 VALUES ($1, $2, $3, $4)`,
+                [eventType, spaceId || this.spaceId, userId, JSON.stringify(payload)]
+            );
+        } catch (error) {
+            console.error('Failed to log event:', error);
+        }
+    }
+
+    // One row per visitor and space; every call also counts a visit to the
+    // space (spaces.visitor_count)
+    async trackVisitor(visitorData) {
+        const { visitorId, spaceId, ipAddress, userAgent, deviceType } = visitorData;
+        const targetSpaceId = spaceId || this.spaceId;
+        
+        await this.pool.query(
+            `UPDATE spaces 
+             SET visitor_count = visitor_count + 1, last_active_at = NOW()
+             WHERE id = $1`,
+            [targetSpaceId]
+        );
+        
+        const result = await this.pool.query(
+            `INSERT INTO visitor_tracking 
+             (visitor_id, space_id, ip_address, user_agent, device_type)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (space_id, visitor_id) DO UPDATE SET
+                last_visit_at = NOW(),
+                visit_count = visitor_tracking.visit_count + 1
+             RETURNING *`,
+            [visitorId, targetSpaceId, ipAddress || null, userAgent || null, deviceType || null]
+        );
+        
+        return result.rows[0];
+    }
+
+    // { unique_visitors, total_visits, recent_visitors } for a space;
+    // recent visitors were seen in the last 24 hours
+    async getVisitorStats(spaceId) {
+        const result = await this.pool.query(
+            `SELECT 
+                COUNT(v.id) as unique_visitors,
+                COALESCE(MAX(sp.visitor_count), 0) as total_visits,
+                COUNT(v.id) FILTER (WHERE v.last_visit_at > NOW() - INTERVAL '24 hours') as recent_visitors
+             FROM spaces sp
+             LEFT JOIN visitor_tracking v ON v.space_id = sp.id
+             WHERE sp.id = $1`,
+            [spaceId || this.spaceId]
+        );
+        
+        const row = result.rows[0];
+        return {
+            unique_visitors: Number(row.unique_visitors),
+            total_visits: Number(row.total_visits),
+            recent_visitors: Number(row.recent_visitors)
+        };
+    }
+
+    // ==================== STATISTICS ====================
+    
+    async getSpaceStatistics(spaceId) {
+        const result = await this.pool.query(
+            `SELECT * FROM space_statistics WHERE space_id = $1`,
+            [spaceId || this.spaceId]
+        );
+        
+        if (result.rows.length === 0) {
+            // If materialized view is not refreshed, get live data
+            const liveStats = await this.pool.query(
+                `SELECT 
+                    COUNT(DISTINCT s.user_id) as total_unique_users,
+                    COUNT(DISTINCT CASE WHEN s.is_active THEN s.user_id END) as active_users,
+                    COUNT(DISTINCT o.id) as total_objects,
+                    COUNT(DISTINCT m.id) as total_messages
+                 FROM spaces sp
+                 LEFT JOIN sessions s ON sp.id = s.space_id
+                 LEFT JOIN world_objects o ON sp.id = o.space_id
+                 LEFT JOIN chat_messages m ON sp.id = m.space_id
+                 WHERE sp.id = $1
+                 GROUP BY sp.id`,
+                [spaceId || this.spaceId]
+            );
+            
+            return liveStats.rows[0];
+        }
+        
+        return result.rows[0];
+    }
+
+    async refreshMaterializedViews() {
+        try {
+            await this.pool.query('SELECT refresh_all_materialized_views()');
+            console.log('✅ Materialized views refreshed');
+        } catch (error) {
+            console.error('Failed to refresh materialized views:', error);
+        }
+    }
+
+    // ==================== BATCH OPERATIONS ====================
+    
+    async batchUpdateObjects(updates) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            
+            const results = [];
+            for (const update of updates) {
+                const result = await this.updateObject(
+                    update.objectId, 
+                    update.data, 
+                    update.updatedBy
+                );
+                results.push(result);
+            }
+            
+            await client.query('COMMIT');
+            return results;
+            
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // ==================== CLEANUP ====================
+    
+    async cleanup() {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            
+            // Clean up old sessions
+            await client.query(
+                `UPDATE sessions 
+                 SET is_active = false, disconnected_at = NOW()
+                 WHERE is_active = true 
+                   AND connected_at < NOW() - INTERVAL '24 hours'`
+            );
+            
+            // Clean up old messages
+            await client.query(
+                `UPDATE chat_messages 
+                 SET deleted_at = NOW()
+                 WHERE created_at < NOW() - INTERVAL '7 days'
+                   AND deleted_at IS NULL`
+            );
+            
+            // Clean up old events
+            await client.query(
+                `DELETE FROM events 
+                 WHERE created_at < NOW() - INTERVAL '30 days'`
+            );
+            
+            await client.query('COMMIT');
+            console.log('✅ Database cleanup completed');
+            
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Cleanup failed:', error);
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = PostgresAdapter;
\ No newline at end of file
@@ -0,0 +1,1056 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { v4: uuidv4 } = require('uuid');
+const { mapObjectRow, mapModelRow, mapScreenShareRow, mapHistoryRows, transformChanged } = require('./rows');
+
+// Single-file storage for small self-hosted rooms. The schema is a subset
+// of migrations/ created on connect; JSON is stored as TEXT, booleans as
+// 0/1 and timestamps as ISO strings, and rows are converted back to the
+// shapes PostgresAdapter returns. The audit trigger is replaced by
+// object_audit rows written alongside each object change.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS spaces (
+        id TEXT PRIMARY KEY,
+        name TEXT UNIQUE NOT NULL,
+        owner_id TEXT,
+        settings TEXT NOT NULL DEFAULT '{}',
+        visitor_count INTEGER NOT NULL DEFAULT 0,
+        is_public INTEGER DEFAULT 1,
+        max_users INTEGER DEFAULT 100,
+        created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        username TEXT,
+        display_name TEXT,
+        email TEXT,
+        avatar_url TEXT,
+        auth_provider TEXT,
+        password_hash TEXT,
+        is_active INTEGER DEFAULT 1,
+        is_admin INTEGER DEFAULT 0,
+        created_at TEXT NOT NULL,
+        last_seen_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT,
+        replaced_by TEXT,
+        user_agent TEXT,
+        ip_address TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS space_moderators (
+        space_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        granted_by TEXT,
+        granted_at TEXT NOT NULL,
+        PRIMARY KEY (space_id, user_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        socket_id TEXT,
+        space_id TEXT,
+        ip_address TEXT,
+        user_agent TEXT,
+        position TEXT,
+        rotation TEXT,
+        is_active INTEGER DEFAULT 1,
+        connected_at TEXT NOT NULL,
+        disconnected_at TEXT,
+        duration_seconds REAL
+    );
+
+    CREATE TABLE IF NOT EXISTS world_objects (
+        id TEXT PRIMARY KEY,
+        object_id TEXT UNIQUE NOT NULL,
+        space_id TEXT,
+        name TEXT,
+        type TEXT,
+        position TEXT,
+        rotation TEXT,
+        scale TEXT,
+        model_id TEXT,
+        model_url TEXT,
+        created_by TEXT,
+        updated_by TEXT,
+        properties TEXT DEFAULT '{}',
+        owner_id TEXT,
+        locked INTEGER DEFAULT 0,
+        is_public INTEGER DEFAULT 0,
+        visibility INTEGER DEFAULT 1,
+        interaction_count INTEGER DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        last_interacted_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS object_audit (
+        operation TEXT NOT NULL,
+        old_data TEXT,
+        new_data TEXT,
+        user_id TEXT,
+        space_id TEXT,
+        changed_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS uploaded_models (
+        id TEXT PRIMARY KEY,
+        model_id TEXT UNIQUE NOT NULL,
+        name TEXT,
+        original_filename TEXT,
+        r2_key TEXT,
+        public_url TEXT,
+        mobile_url TEXT,
+        thumbnail_url TEXT,
+        variants TEXT NOT NULL DEFAULT '{}',
+        processing_status TEXT,
+        processed_at TEXT,
+        file_size_bytes INTEGER,
+        format TEXT,
+        uploaded_by TEXT,
+        space_id TEXT,
+        is_public INTEGER DEFAULT 0,
+        usage_count INTEGER DEFAULT 0,
+        uploaded_at TEXT NOT NULL,
+        last_used_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS chat_messages (
+        id TEXT PRIMARY KEY,
+        space_id TEXT,
+        user_id TEXT,
+        username TEXT,
+        message TEXT,
+        message_type TEXT DEFAULT 'text',
+        created_at TEXT NOT NULL,
+        deleted_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS screen_shares (
+        id TEXT PRIMARY KEY,
+        space_id TEXT,
+        user_id TEXT,
+        share_type TEXT,
+        started_at TEXT NOT NULL,
+        ended_at TEXT,
+        duration_seconds REAL
+    );
+
+    CREATE TABLE IF NOT EXISTS events (
+        id TEXT PRIMARY KEY,
+        event_type TEXT NOT NULL,
+        space_id TEXT,
+        user_id TEXT,
+        payload TEXT,
+        created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS world_snapshots (
+        id TEXT PRIMARY KEY,
+        space_id TEXT,
+        name TEXT NOT NULL,
+        kind TEXT NOT NULL DEFAULT 'manual',
+        created_by TEXT,
+        objects TEXT NOT NULL DEFAULT '{}',
+        uploaded_models TEXT NOT NULL DEFAULT '{}',
+        object_count INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS visitor_tracking (
+        visitor_id TEXT NOT NULL,
+        space_id TEXT NOT NULL,
+        ip_address TEXT,
+        user_agent TEXT,
+        device_type TEXT,
+        first_visit_at TEXT NOT NULL,
+        last_visit_at TEXT NOT NULL,
+        visit_count INTEGER DEFAULT 1,
+        PRIMARY KEY (space_id, visitor_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_world_objects_space ON world_objects (space_id);
+    CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens (user_id);
+    CREATE INDEX IF NOT EXISTS idx_chat_messages_space ON chat_messages (space_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_sessions_socket ON sessions (socket_id);
+    CREATE INDEX IF NOT EXISTS idx_object_audit_user ON object_audit (user_id, space_id);
+    CREATE INDEX IF NOT EXISTS idx_world_snapshots_space ON world_snapshots (space_id, created_at);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_visitor_tracking_space ON visitor_tracking (space_id, visitor_id);
+`;
+
+// Columns added after a table was first created, added to older files on
+// connect: [table, column, definition]
+const ADDED_COLUMNS = [
+    ['spaces', 'settings', "TEXT NOT NULL DEFAULT '{}'"],
+    ['spaces', 'visitor_count', 'INTEGER NOT NULL DEFAULT 0'],
+    ['uploaded_models', 'mobile_url', 'TEXT'],
+    ['uploaded_models', 'variants', "TEXT NOT NULL DEFAULT '{}'"],
+    ['uploaded_models', 'processing_status', 'TEXT'],
+    ['uploaded_models', 'processed_at', 'TEXT']
+];
+
+const JSON_COLUMNS = [
+    'position', 'rotation', 'scale', 'properties', 'payload', 'old_data', 'new_data',
+    'objects', 'uploaded_models', 'settings', 'variants'
+];
+const BOOLEAN_COLUMNS = ['is_public', 'locked', 'visibility', 'is_active', 'is_admin'];
+const DATE_COLUMNS = [
+    'created_at', 'updated_at', 'last_interacted_at', 'last_seen_at', 'connected_at',
+    'disconnected_at', 'granted_at', 'uploaded_at', 'last_used_at', 'started_at',
+    'ended_at', 'changed_at', 'deleted_at', 'first_visit_at', 'last_visit_at', 'processed_at',
+    'expires_at', 'revoked_at'
+];
+
+const now = () => new Date().toISOString();
+const json = value => (value === undefined || value === null ? null : JSON.stringify(value));
+
+// Stored row -> the shape PostgresAdapter returns
+function parseRow(row) {
+    if (!row) return row;
+
+    const parsed = { ...row };
+    JSON_COLUMNS.forEach(column => {
+        if (typeof parsed[column] === 'string') parsed[column] = JSON.parse(parsed[column]);
+    });
+    BOOLEAN_COLUMNS.forEach(column => {
+        if (parsed[column] !== undefined && parsed[column] !== null) parsed[column] = !!parsed[column];
+    });
+    DATE_COLUMNS.forEach(column => {
+        if (parsed[column]) parsed[column] = new Date(parsed[column]);
+    });
+    return parsed;
+}
+
+class SQLiteAdapter {
+    constructor(config = {}) {
+        this.filename = config.sqlitePath || process.env.SQLITE_PATH || './data/world.sqlite';
+        this.spaceId = config.spaceId || 'main';
+        this.pool = null;
+        this.db = null;
+    }
+
+    // ==================== LIFECYCLE METHODS ====================
+
+    async connect() {
+        try {
+            if (this.filename !== ':memory:') {
+                fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+            }
+
+            this.db = await open({ filename: this.filename, driver: sqlite3.Database });
+            await this.db.exec('PRAGMA journal_mode = WAL');
+            await this.db.exec(SCHEMA);
+            await this.addMissingColumns();
+            console.log(`✅ SQLite database ready at ${this.filename}`);
+            return true;
+        } catch (error) {
+            console.error('❌ SQLite database failed to open:', error);
+            throw error;
+        }
+    }
+
+    async addMissingColumns() {
+        for (const [table, column, definition] of ADDED_COLUMNS) {
+            const columns = await this.db.all(`PRAGMA table_info(${table})`);
+            if (!columns.some(existing => existing.name === column)) {
+                await this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            }
+        }
+    }
+
+    async disconnect() {
+        if (this.db) {
+            await this.db.close();
+            this.db = null;
+        }
+        console.log('Database connection closed');
+    }
+
+    async ping() {
+        try {
+            await this.db.get('SELECT 1');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async one(sql, params = []) {
+        return parseRow(await this.db.get(sql, params));
+    }
+
+    async many(sql, params = []) {
+        return (await this.db.all(sql, params)).map(parseRow);
+    }
+
+    // Run fn inside a transaction (nested calls join the outer one)
+    async transaction(fn) {
+        if (this.inTransaction) return fn();
+
+        this.inTransaction = true;
+        await this.db.exec('BEGIN');
+        try {
+            const result = await fn();
+            await this.db.exec('COMMIT');
+            return result;
+        } catch (error) {
+            await this.db.exec('ROLLBACK');
+            throw error;
+        } finally {
+            this.inTransaction = false;
+        }
+    }
+
+    // ==================== SPACE MANAGEMENT ====================
+
+    async getOrCreateSpace(spaceName = 'main') {
+        const existing = await this.one('SELECT * FROM spaces WHERE name = ?', [spaceName]);
+        if (existing) return existing;
+
+        return this.one(
+            `INSERT INTO spaces (id, name, is_public, max_users, created_at)
+             VALUES (?, ?, 1, 100, ?)
+             RETURNING *`,
+            [uuidv4(), spaceName, now()]
+        );
+    }
+
+    async updateSpaceSettings(spaceId, settings) {
+        return this.one(
+            'UPDATE spaces SET settings = ? WHERE id = ? RETURNING *',
+            [json(settings || {}), spaceId || this.spaceId]
+        );
+    }
+
+    async getSpaceModerators(spaceId) {
+        return this.many(
+            `SELECT m.user_id, m.granted_at, u.username, u.display_name
+             FROM space_moderators m
+             JOIN users u ON m.user_id = u.id
+             WHERE m.space_id = ?
+             ORDER BY m.granted_at`,
+            [spaceId || this.spaceId]
+        );
+    }
+
+    async addSpaceModerator(spaceId, userId, grantedBy) {
+        return this.one(
+            `INSERT INTO space_moderators (space_id, user_id, granted_by, granted_at)
+             VALUES (?, ?, ?, ?)
+             ON CONFLICT (space_id, user_id) DO NOTHING
+             RETURNING *`,
+            [spaceId || this.spaceId, userId, grantedBy, now()]
+        );
+    }
+
+    async removeSpaceModerator(spaceId, userId) {
+        return this.one(
+            'DELETE FROM space_moderators WHERE space_id = ? AND user_id = ? RETURNING *',
+            [spaceId || this.spaceId, userId]
+        );
+    }
+
+    // ==================== USER MANAGEMENT ====================
+
+    async upsertUser(userData) {
+        const { userId, username, displayName, avatarUrl } = userData;
+        const timestamp = now();
+
+        return this.one(
+            `INSERT INTO users (id, username, display_name, avatar_url, created_at, last_seen_at)
+             VALUES (?1, ?2, ?3, ?4, ?5, ?5)
+             ON CONFLICT (id) DO UPDATE SET
+                username = COALESCE(?2, users.username),
+                display_name = COALESCE(?3, users.display_name),
+                avatar_url = COALESCE(?4, users.avatar_url),
+                last_seen_at = ?5
+             RETURNING *`,
+            [userId, username || null, displayName || null, avatarUrl || null, timestamp]
+        );
+    }
+
+    async createSession(userId, socketId, spaceId, client = {}) {
+        const { ipAddress = null, userAgent = null } = client;
+
+        return this.one(
+            `INSERT INTO sessions (id, user_id, socket_id, space_id, ip_address, user_agent, connected_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)
+             RETURNING *`,
+            [uuidv4(), userId, socketId, spaceId || this.spaceId, ipAddress, userAgent, now()]
+        );
+    }
+
+    async endSession(socketId) {
+        const ended = new Date();
+
+        return this.one(
+            `UPDATE sessions
+             SET disconnected_at = ?1,
+                 is_active = 0,
+                 duration_seconds = (julianday(?1) - julianday(connected_at)) * 86400
+             WHERE socket_id = ?2
+             RETURNING *`,
+            [ended.toISOString(), socketId]
+        );
+    }
+
+    async updateUserPosition(userId, position, rotation) {
+        await this.db.run(
+            `UPDATE sessions
+             SET position = ?, rotation = ?
+             WHERE user_id = ? AND is_active = 1`,
+            [json(position), json(rotation), userId]
+        );
+    }
+
+    async getActiveUsers(spaceId) {
+        return this.many(
+            `SELECT u.*, s.position, s.rotation, s.socket_id
+             FROM sessions s
+             JOIN users u ON s.user_id = u.id
+             WHERE s.space_id = ? AND s.is_active = 1`,
+            [spaceId || this.spaceId]
+        );
+    }
+
+    // ==================== ACCOUNTS ====================
+
+    // Returns the new users row, or undefined when the username or email
+    // is already taken (PostgreSQL's unique constraints, checked here)
+    async createAccount(account) {
+        const { username, displayName, email, passwordHash, authProvider = 'local' } = account;
+
+        return this.transaction(async () => {
+            const taken = await this.db.get(
+                'SELECT 1 FROM users WHERE username = ? OR (? IS NOT NULL AND email = ?)',
+                [username, email || null, email || null]
+            );
+            if (taken) return undefined;
+
+            const timestamp = now();
+            return this.one(
+                `INSERT INTO users (id, username, display_name, email, password_hash, auth_provider,
+                                    created_at, last_seen_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                 RETURNING *`,
+                [uuidv4(), username, displayName, email || null, passwordHash, authProvider, timestamp, timestamp]
+            );
+        });
+    }
+
+    // Local account by username, or by email in any case
+    async findLocalAccount(login) {
+        return this.one(
+            `SELECT * FROM users
+             WHERE auth_provider = 'local'
+               AND (username = ?1 OR LOWER(email) = LOWER(?1))
+             LIMIT 1`,
+            [login]
+        );
+    }
+
+    async getAccount(userId) {
+        return this.one('SELECT * FROM users WHERE id = ?', [userId]);
+    }
+
+    async markAccountSeen(userId) {
+        await this.db.run('UPDATE users SET last_seen_at = ? WHERE id = ?', [now(), userId]);
+    }
+
+    async saveRefreshToken(token) {
+        const { userId, tokenHash, expiresAt, userAgent = null, ipAddress = null } = token;
+
+        return this.one(
+            `INSERT INTO refresh_tokens (id, user_id, token_hash, created_at, expires_at, user_agent, ip_address)
+             VALUES (?, ?, ?, ?, ?, ?, ?)
+             RETURNING *`,
+            [uuidv4(), userId, tokenHash, now(), new Date(expiresAt).toISOString(), userAgent, ipAddress]
+        );
+    }
+
+    // The token's owner (users row) with token_id and revoked_at
+    async getRefreshToken(tokenHash) {
+        return this.one(
+            `SELECT t.id AS token_id, t.revoked_at, u.*
+             FROM refresh_tokens t
+             JOIN users u ON t.user_id = u.id
+             WHERE t.token_hash = ?`,
+            [tokenHash]
+        );
+    }
+
+    async rotateRefreshToken(tokenId, replacedBy) {
+        await this.db.run(
+            'UPDATE refresh_tokens SET revoked_at = ?, replaced_by = ? WHERE id = ?',
+            [now(), replacedBy, tokenId]
+        );
+    }
+
+    async revokeRefreshToken(tokenHash) {
+        await this.db.run(
+            'UPDATE refresh_tokens SET revoked_at = ? WHERE token_hash = ? AND revoked_at IS NULL',
+            [now(), tokenHash]
+        );
+    }
+
+    async revokeUserRefreshTokens(userId) {
+        await this.db.run(
+            'UPDATE refresh_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL',
+            [now(), userId]
+        );
+    }
+
+    // ==================== OBJECT MANAGEMENT ====================
+
+    // Stand-in for the audit_log trigger, feeding getObjectHistory
+    async audit(operation, oldRow, newRow, userId) {
+        await this.db.run(
+            `INSERT INTO object_audit (operation, old_data, new_data, user_id, space_id, changed_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [operation, json(oldRow), json(newRow), userId || null, (newRow || oldRow).space_id, now()]
+        );
+    }
+
+    getObjectRow(objectId) {
+        return this.one('SELECT * FROM world_objects WHERE object_id = ?', [objectId]);
+    }
+
+    async saveObject(objectData) {
+        const {
+            objectId, name, type, position, rotation, scale,
+            modelId, modelUrl, createdBy, properties, spaceId,
+            ownerId, locked, isPublic
+        } = objectData;
+
+        return this.transaction(async () => {
+            const existing = await this.getObjectRow(objectId);
+            const timestamp = now();
+
+            // An owner or lock left out keeps the stored one, and an object
+            // is never saved over from another space
+            const row = await this.one(
+                `INSERT INTO world_objects
+                 (id, object_id, space_id, name, type, position, rotation, scale,
+                  model_id, model_url, created_by, properties, owner_id, locked, is_public,
+                  created_at, updated_at)
+                 VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11, ?12, ?13, COALESCE(?14, 0), ?15, ?16, ?16)
+                 ON CONFLICT (object_id) DO UPDATE SET
+                    name = ?4, type = ?5,
+                    position = ?6, rotation = ?7, scale = ?8,
+                    model_id = ?9, model_url = ?10, properties = ?12,
+                    owner_id = COALESCE(excluded.owner_id, world_objects.owner_id),
+                    locked = COALESCE(?14, world_objects.locked),
+                    is_public = ?15,
+                    updated_at = ?16, updated_by = ?11
+                 WHERE world_objects.space_id = excluded.space_id
+                 RETURNING *`,
+                [uuidv4(), objectId, spaceId || this.spaceId, name, type,
+                 json(position), json(rotation), json(scale),
+                 modelId || null, modelUrl || null, createdBy || null, json(properties || {}),
+                 ownerId || null, typeof locked === 'boolean' ? Number(locked) : null,
+                 isPublic ? 1 : 0, timestamp]
+            );
+            if (!row) {
+                throw new Error(`Object ${objectId} belongs to another space`);
+            }
+
+            await this.audit(existing ? 'UPDATE' : 'INSERT', existing, row, row.updated_by || row.created_by);
+            return row;
+        });
+    }
+
+    async updateObject(objectId, updates, updatedBy) {
+        const { position, rotation, scale, properties } = updates;
+
+        return this.transaction(async () => {
+            const existing = await this.getObjectRow(objectId);
+            if (!existing) return undefined;
+
+            const timestamp = now();
+            const row = await this.one(
+                `UPDATE world_objects
+                 SET position = COALESCE(?2, position),
+                     rotation = COALESCE(?3, rotation),
+                     scale = COALESCE(?4, scale),
+                     properties = COALESCE(?5, properties),
+                     updated_by = ?6,
+                     updated_at = ?7,
+                     interaction_count = interaction_count + 1,
+                     last_interacted_at = ?7
+                 WHERE object_id = ?1
+                 RETURNING *`,
+                [objectId, json(position), json(rotation), json(scale), json(properties),
+                 updatedBy, timestamp]
+            );
+
+            await this.audit('UPDATE', existing, row, updatedBy);
+            return row;
+        });
+    }
+
+    async updateObjectPermissions(objectId, permissions, updatedBy) {
+        const { locked, isPublic } = permissions;
+
+        return this.transaction(async () => {
+            const existing = await this.getObjectRow(objectId);
+            if (!existing) return undefined;
+
+            const row = await this.one(
+                `UPDATE world_objects
+                 SET locked = COALESCE(?2, locked),
+                     is_public = COALESCE(?3, is_public),
+                     updated_by = ?4,
+                     updated_at = ?5
+                 WHERE object_id = ?1
+                 RETURNING *`,
+                [objectId,
+                 typeof locked === 'boolean' ? Number(locked) : null,
+                 typeof isPublic === 'boolean' ? Number(isPublic) : null,
+                 updatedBy, now()]
+            );
+
+            await this.audit('UPDATE', existing, row, updatedBy);
+            return row;
+        });
+    }
+
+    async deleteObject(objectId, deletedBy, spaceId) {
+        await this.logEvent('object.delete', {
+            objectId,
+            deletedBy,
+            spaceId: spaceId || this.spaceId
+        }, null, spaceId);
+
+        return this.transaction(async () => {
+            const row = await this.one(
+                'DELETE FROM world_objects WHERE object_id = ? RETURNING *',
+                [objectId]
+            );
+
+            if (row) await this.audit('DELETE', row, null, deletedBy);
+            return row;
+        });
+    }
+
+    async getObjectHistory(spaceId, userId, limit = 50) {
+        // Filtered in JS like MemoryAdapter; JSON text comparison in SQL
+        // would depend on key order
+        const rows = await this.many(
+            `SELECT operation, old_data, new_data, changed_at
+             FROM object_audit
+             WHERE user_id = ? AND space_id = ?
+             ORDER BY rowid`,
+            [userId, spaceId || this.spaceId]
+        );
+
+        const changes = rows.filter(row =>
+            row.operation !== 'UPDATE' || transformChanged(row.old_data, row.new_data)
+        );
+
+        return mapHistoryRows(changes.slice(-limit));
+    }
+
+    async getObjects(spaceId, limit = 1000) {
+        return this.many(
+            `SELECT * FROM world_objects
+             WHERE space_id = ? AND visibility = 1
+             ORDER BY created_at DESC, rowid DESC
+             LIMIT ?`,
+            [spaceId || this.spaceId, limit]
+        );
+    }
+
+    // ==================== MODEL MANAGEMENT ====================
+
+    async saveUploadedModel(modelData) {
+        const {
+            modelId, name, originalFilename, r2Key, publicUrl,
+            fileSize, format, uploadedBy, spaceId,
+            mobileUrl, thumbnailUrl, variants, processingStatus, processedAt
+        } = modelData;
+
+        return this.one(
+            `INSERT INTO uploaded_models
+             (id, model_id, name, original_filename, r2_key, public_url,
+              file_size_bytes, format, uploaded_by, space_id, uploaded_at,
+              mobile_url, thumbnail_url, variants, processing_status, processed_at)
+             VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11, ?12, ?13, ?14, ?15, ?16)
+             ON CONFLICT (model_id) DO UPDATE SET
+                usage_count = uploaded_models.usage_count + 1,
+                last_used_at = ?11
+             RETURNING *`,
+            [uuidv4(), modelId, name || null, originalFilename || null, r2Key || null,
+             publicUrl || null, fileSize || null, format || null, uploadedBy || null,
+             spaceId || this.spaceId, now(), mobileUrl || null, thumbnailUrl || null, json(variants || {}),
+             processingStatus || null, processedAt ? new Date(processedAt).toISOString() : null]
+        );
+    }
+
+    async getUploadedModel(modelId) {
+        return this.one(
+            `SELECT m.*, u.username as uploader_name
+             FROM uploaded_models m
+             LEFT JOIN users u ON m.uploaded_by = u.id
+             WHERE m.model_id = ?`,
+            [modelId]
+        );
+    }
+
+    // Fields left out keep their value
+    async updateUploadedModel(modelId, changes) {
+        const {
+            name, publicUrl, mobileUrl, thumbnailUrl, variants,
+            processingStatus, processedAt, fileSize
+        } = changes;
+
+        return this.one(
+            `UPDATE uploaded_models
+             SET name = COALESCE(?2, name),
+                 public_url = COALESCE(?3, public_url),
+                 mobile_url = COALESCE(?4, mobile_url),
+                 thumbnail_url = COALESCE(?5, thumbnail_url),
+                 variants = COALESCE(?6, variants),
+                 processing_status = COALESCE(?7, processing_status),
+                 processed_at = COALESCE(?8, processed_at),
+                 file_size_bytes = COALESCE(?9, file_size_bytes)
+             WHERE model_id = ?1
+             RETURNING *`,
+            [modelId, name || null, publicUrl || null, mobileUrl || null, thumbnailUrl || null,
+             json(variants), processingStatus || null,
+             processedAt ? new Date(processedAt).toISOString() : null, fileSize || null]
+        );
+    }
+
+    async getUploadedModels(spaceId) {
+        return this.many(
+            `SELECT m.*, u.username as uploader_name
+             FROM uploaded_models m
+             LEFT JOIN users u ON m.uploaded_by = u.id
+             WHERE m.space_id = ? OR m.is_public = 1
+             ORDER BY m.uploaded_at DESC, m.rowid DESC`,
+            [spaceId || this.spaceId]
+        );
+    }
+
+    // ==================== CHAT MANAGEMENT ====================
+
+    // A message with a known id is not stored again (returns nothing)
+    async saveChatMessage(messageData) {
+        const { id, userId, username, message, messageType = 'text', timestamp, spaceId } = messageData;
+
+        return this.one(
+            `INSERT INTO chat_messages
+             (id, space_id, user_id, username, message, message_type, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (id) DO NOTHING
+             RETURNING *`,
+            [id || uuidv4(), spaceId || this.spaceId, userId, username, message, messageType,
+             timestamp ? new Date(timestamp).toISOString() : now()]
+        );
+    }
+
+    async getChatHistory(spaceId, limit = 100) {
+        const rows = await this.many(
+            `SELECT c.*, u.avatar_url
+             FROM chat_messages c
+             LEFT JOIN users u ON c.user_id = u.id
+             WHERE c.space_id = ? AND c.deleted_at IS NULL
+             ORDER BY c.created_at DESC, c.rowid DESC
+             LIMIT ?`,
+            [spaceId || this.spaceId, limit]
+        );
+
+        return rows.reverse(); // Return in chronological order
+    }
+
+    async deleteOldMessages(olderThanHours = 24) {
+        const cutoff = new Date(Date.now() - olderThanHours * 60 * 60 * 1000).toISOString();
+
+        const result = await this.db.run(
+            `UPDATE chat_messages
+             SET deleted_at = ?
+             WHERE space_id = ? AND created_at < ? AND deleted_at IS NULL`,
+            [now(), this.spaceId, cutoff]
+        );
+
+        return result.changes;
+    }
+
+    // ==================== SCREEN SHARING ====================
+
+    async startScreenShare(userId, shareType = 'screen', spaceId = null) {
+        return this.one(
+            `INSERT INTO screen_shares (id, space_id, user_id, share_type, started_at)
+             VALUES (?, ?, ?, ?, ?)
+             RETURNING *`,
+            [uuidv4(), spaceId || this.spaceId, userId, shareType, now()]
+        );
+    }
+
+    async endScreenShare(shareId) {
+        return this.one(
+            `UPDATE screen_shares
+             SET ended_at = ?1,
+                 duration_seconds = (julianday(?1) - julianday(started_at)) * 86400
+             WHERE id = ?2
+             RETURNING *`,
+            [now(), shareId]
+        );
+    }
+
+    async getActiveScreenShare(spaceId) {
+        return this.one(
+            `SELECT s.*, u.username, u.display_name
+             FROM screen_shares s
+             JOIN users u ON s.user_id = u.id
+             WHERE s.space_id = ? AND s.ended_at IS NULL
+             ORDER BY s.started_at DESC
+             LIMIT 1`,
+            [spaceId || this.spaceId]
+        );
+    }
+
+    // ==================== WORLD STATE ====================
+
+    async loadWorldState(spaceId) {
+        const targetSpaceId = spaceId || this.spaceId;
+
+        const [space, objects, models, chatHistory, users, screenShare] = await Promise.all([
+            this.one('SELECT * FROM spaces WHERE id = ?', [targetSpaceId]),
+            this.many(
+                `SELECT * FROM world_objects
+                 WHERE space_id = ? AND visibility = 1
+                 ORDER BY created_at, rowid`,
+                [targetSpaceId]
+            ),
+            this.getUploadedModels(targetSpaceId),
+            this.getChatHistory(targetSpaceId, 100),
+            this.getActiveUsers(targetSpaceId),
+            this.getActiveScreenShare(targetSpaceId)
+        ]);
+
+        const objectsMap = {};
+        objects.forEach(obj => {
+            objectsMap[obj.object_id] = mapObjectRow(obj);
+        });
+
+        const modelsMap = {};
+        models.forEach(model => {
+            modelsMap[model.model_id] = mapModelRow(model);
+        });
+
+        return {
+            space,
+            objects: objectsMap,
+            uploadedModels: modelsMap,
+            chatHistory,
+            users,
+            sharedScreen: mapScreenShareRow(screenShare)
+        };
+    }
+
+    async saveWorldState(worldState, spaceId = null) {
+        const targetSpaceId = spaceId || this.spaceId;
+
+        try {
+            await this.transaction(async () => {
+                if (worldState.objects) {
+                    for (const [objectId, objectData] of Object.entries(worldState.objects)) {
+                        await this.saveObject({ ...objectData, objectId, spaceId: targetSpaceId });
+                    }
+                }
+
+                if (worldState.uploadedModels) {
+                    for (const [modelId, modelData] of Object.entries(worldState.uploadedModels)) {
+                        await this.saveUploadedModel({ ...modelData, modelId, spaceId: targetSpaceId });
+                    }
+                }
+
+                if (worldState.chatHistory && Array.isArray(worldState.chatHistory)) {
+                    for (const message of worldState.chatHistory) {
+                        await this.saveChatMessage({ ...message, spaceId: targetSpaceId });
+                    }
+                }
+            });
+            console.log('✅ World state saved to database');
+        } catch (error) {
+            console.error('❌ Failed to save world state:', error);
+            throw error;
+        }
+    }
+
+    // ==================== SNAPSHOTS ====================
+
+    async saveSnapshot(snapshotData) {
+        const { spaceId, name, kind = 'manual', createdBy, objects, uploadedModels } = snapshotData;
+
+        return this.one(
+            `INSERT INTO world_snapshots
+             (id, space_id, name, kind, created_by, objects, uploaded_models, object_count, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+             RETURNING id, space_id, name, kind, created_by, object_count, created_at`,
+            [uuidv4(), spaceId || this.spaceId, name, kind, createdBy || null,
+             json(objects || {}), json(uploadedModels || {}),
+             Object.keys(objects || {}).length, now()]
+        );
+    }
+
+    async getSnapshots(spaceId, limit = 100) {
+        return this.many(
+            `SELECT id, space_id, name, kind, created_by, object_count, created_at
+             FROM world_snapshots
+             WHERE space_id = ?
+             ORDER BY created_at DESC, rowid DESC
+             LIMIT ?`,
+            [spaceId || this.spaceId, limit]
+        );
+    }
+
+    async getSnapshot(snapshotId) {
+        return this.one('SELECT * FROM world_snapshots WHERE id = ?', [snapshotId]);
+    }
+
+    async deleteSnapshot(snapshotId) {
+        const result = await this.db.run('DELETE FROM world_snapshots WHERE id = ?', [snapshotId]);
+        return result.changes > 0;
+    }
+
+    async deleteOldSnapshots(olderThanDays = 30) {
+        const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+
+        const result = await this.db.run(
+            `DELETE FROM world_snapshots WHERE kind <> 'manual' AND created_at < ?`,
+            [cutoff]
+        );
+
+        return result.changes;
+    }
+
+    // ==================== EVENTS & ANALYTICS ====================
+
+    async logEvent(eventType, payload, userId = null, spaceId = null) {
+        try {
+            await this.db.run(
+                `INSERT INTO events (id, event_type, space_id, user_id, payload, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [uuidv4(), eventType, spaceId || this.spaceId, userId, json(payload), now()]
+            );
+        } catch (error) {
+            console.error('Failed to log event:', error);
+        }
+    }
+
+    async trackVisitor(visitorData) {
+        const { visitorId, spaceId, ipAddress, userAgent, deviceType } = visitorData;
+        const targetSpaceId = spaceId || this.spaceId;
+        const timestamp = now();
+
+        return this.transaction(async () => {
+            await this.db.run(
+                'UPDATE spaces SET visitor_count = visitor_count + 1 WHERE id = ?',
+                [targetSpaceId]
+            );
+
+            return this.one(
+                `INSERT INTO visitor_tracking
+                 (visitor_id, space_id, ip_address, user_agent, device_type, first_visit_at, last_visit_at)
+                 VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?6)
+                 ON CONFLICT (space_id, visitor_id) DO UPDATE SET
+                    last_visit_at = ?6,
+                    visit_count = visitor_tracking.visit_count + 1
+                 RETURNING *`,
+                [visitorId, targetSpaceId, ipAddress || null, userAgent || null, deviceType || null, timestamp]
+            );
+        });
+    }
+
+    async getVisitorStats(spaceId) {
+        const targetSpaceId = spaceId || this.spaceId;
+        const recentSince = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+        const row = await this.one(
+            `SELECT
+                (SELECT COUNT(*) FROM visitor_tracking WHERE space_id = ?1) as unique_visitors,
+                (SELECT visitor_count FROM spaces WHERE id = ?1) as total_visits,
+                (SELECT COUNT(*) FROM visitor_tracking WHERE space_id = ?1 AND last_visit_at > ?2) as recent_visitors`,
+            [targetSpaceId, recentSince]
+        );
+
+        return {
+            unique_visitors: row.unique_visitors,
+            total_visits: row.total_visits || 0,
+            recent_visitors: row.recent_visitors
+        };
+    }
+
+    // ==================== STATISTICS ====================
+
+    async getSpaceStatistics(spaceId) {
+        const targetSpaceId = spaceId || this.spaceId;
+
+        return this.one(
+            `SELECT
+                (SELECT COUNT(DISTINCT user_id) FROM sessions WHERE space_id = ?1) as total_unique_users,
+                (SELECT COUNT(DISTINCT user_id) FROM sessions WHERE space_id = ?1 AND is_active = 1) as active_users,
+                (SELECT COUNT(*) FROM world_objects WHERE space_id = ?1 AND visibility = 1) as total_objects,
+                (SELECT COUNT(*) FROM chat_messages WHERE space_id = ?1) as total_messages`,
+            [targetSpaceId]
+        );
+    }
+
+    // No materialized views; statistics are always computed live
+    async refreshMaterializedViews() {}
+
+    // ==================== BATCH OPERATIONS ====================
+
+    async batchUpdateObjects(updates) {
+        return this.transaction(async () => {
+            const results = [];
+            for (const update of updates) {
+                results.push(await this.updateObject(update.objectId, update.data, update.updatedBy));
+            }
+            return results;
+        });
+    }
+
+    // ==================== CLEANUP ====================
+
+    async cleanup() {
+        const ago = ms => new Date(Date.now() - ms).toISOString();
+        const day = 24 * 60 * 60 * 1000;
+
+        try {
+            await this.transaction(async () => {
+                await this.db.run(
+                    `UPDATE sessions SET is_active = 0, disconnected_at = ?
+                     WHERE is_active = 1 AND connected_at < ?`,
+                    [now(), ago(day)]
+                );
+
+                await this.db.run(
+                    `UPDATE chat_messages SET deleted_at = ?
+                     WHERE created_at < ? AND deleted_at IS NULL`,
+                    [now(), ago(7 * day)]
+                );
+
+                await this.db.run('DELETE FROM events WHERE created_at < ?', [ago(30 * day)]);
+            });
+            console.log('✅ Database cleanup completed');
+        } catch (error) {
+            console.error('Cleanup failed:', error);
+        }
+    }
+}
+
+module.exports = SQLiteAdapter;
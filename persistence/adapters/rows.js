@@ -0,0 +1,80 @@
+// Row shapes shared by the storage adapters. Every adapter returns rows with
+// the PostgreSQL column names (snake_case) so callers do not care which
+// backend they are talking to; these map them to the in-memory format.
+
+// world_objects row (or its audit snapshot) -> in-memory object
+function mapObjectRow(row) {
+    return {
+        objectId: row.object_id,
+        name: row.name,
+        type: row.type,
+        position: row.position,
+        rotation: row.rotation,
+        scale: row.scale,
+        modelId: row.model_id,
+        modelUrl: row.model_url,
+        properties: row.properties,
+        createdBy: row.created_by,
+        ownerId: row.owner_id,
+        locked: row.locked,
+        isPublic: row.is_public
+    };
+}
+
+// uploaded_models row (with uploader_name) -> world state model entry
+function mapModelRow(row) {
+    return {
+        modelId: row.model_id,
+        name: row.name,
+        publicUrl: row.public_url,
+        mobileUrl: row.mobile_url,
+        variants: row.variants || {},
+        processingStatus: row.processing_status,
+        thumbnailUrl: row.thumbnail_url,
+        uploaderName: row.uploader_name,
+        uploadedAt: row.uploaded_at
+    };
+}
+
+// Active screen_shares row (with username) -> world state sharedScreen
+function mapScreenShareRow(row) {
+    return row ? {
+        userId: row.user_id,
+        username: row.username,
+        shareType: row.share_type
+    } : null;
+}
+
+const HISTORY_TYPES = { INSERT: 'add', UPDATE: 'move', DELETE: 'delete' };
+
+// Audit rows ({ operation, old_data, new_data }, oldest first) -> undo
+// history operations
+function mapHistoryRows(rows) {
+    return rows.map(row => {
+        const before = row.old_data ? mapObjectRow(row.old_data) : null;
+        const after = row.new_data ? mapObjectRow(row.new_data) : null;
+
+        return {
+            type: HISTORY_TYPES[row.operation],
+            objectId: (after || before).objectId,
+            before,
+            after
+        };
+    });
+}
+
+// Whether an audited UPDATE moved, rotated or scaled the object (the undo
+// history skips the rest)
+function transformChanged(oldData, newData) {
+    return ['position', 'rotation', 'scale'].some(
+        field => JSON.stringify(oldData[field]) !== JSON.stringify(newData[field])
+    );
+}
+
+module.exports = {
+    mapObjectRow,
+    mapModelRow,
+    mapScreenShareRow,
+    mapHistoryRows,
+    transformChanged
+};
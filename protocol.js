@@ -0,0 +1,362 @@
+// Socket.IO Event Protocol
+// Single source of truth for event names, payload schemas and the protocol
+// version handshake. Loaded by both servers (require) and by the browser
+// (<script src="./protocol.js">), so it must stay dependency-free.
+
+// Bump when an event is renamed or a payload changes incompatibly, along
+// with the ?v= of protocol.js and avatar-sync.js in index.html
+// v2: avatar movement arrives as tick-rate avatar-snapshot deltas; older
+//     clients still get one user-moved per moving avatar
+const PROTOCOL_VERSION = 2;
+
+// Version 0 = clients that predate the handshake and send no version at all
+const MIN_SUPPORTED_PROTOCOL_VERSION = 0;
+
+const EVENTS = {
+  // Client -> server
+  USER_SPAWN: 'user-spawn',
+  USER_MOVE: 'user-move',
+  USER_NAME_CHANGE: 'user-name-change',
+  OBJECT_ADD: 'object-add',
+  OBJECT_MOVE: 'object-move',
+  OBJECT_DELETE: 'object-delete',
+  OBJECT_PERMISSIONS_UPDATE: 'object-permissions-update',
+  OBJECT_UNDO: 'object-undo',
+  OBJECT_REDO: 'object-redo',
+  OBJECT_CLAIM: 'object-claim',
+  OBJECT_RELEASE: 'object-release',
+  CHAT_MESSAGE: 'chat-message',
+  SCREEN_SHARE_START: 'screen-share-start',
+  SCREEN_SHARE_STOP: 'screen-share-stop',
+
+  // Server -> client
+  WORLD_STATE: 'world-state',
+  USER_JOINED: 'user-joined',
+  USER_LEFT: 'user-left',
+  USER_MOVED: 'user-moved',
+  AVATAR_SNAPSHOT: 'avatar-snapshot',
+  USER_NAME_CHANGED: 'user-name-changed',
+  USER_COUNT_UPDATE: 'user-count-update',
+  OBJECT_ADDED: 'object-added',
+  OBJECT_MOVED: 'object-moved',
+  OBJECT_DELETED: 'object-deleted',
+  OBJECT_PERMISSIONS_CHANGED: 'object-permissions-changed',
+  OBJECT_EDIT_REJECTED: 'object-edit-rejected',
+  OBJECT_CLAIMED: 'object-claimed',
+  OBJECT_RELEASED: 'object-released',
+  MODEL_UPLOADED: 'model-uploaded',
+  UPLOAD_JOB_UPDATED: 'upload-job-updated',
+  SCREEN_SHARE_STARTED: 'screen-share-started',
+  SCREEN_SHARE_STOPPED: 'screen-share-stopped',
+  PROTOCOL_ERROR: 'protocol-error',
+  SERVER_SHUTDOWN: 'server-shutdown',
+
+  // Relayed peer-to-peer (both directions)
+  WEBRTC_OFFER: 'webrtc-offer',
+  WEBRTC_ANSWER: 'webrtc-answer',
+  WEBRTC_ICE_CANDIDATE: 'webrtc-ice-candidate'
+};
+
+// Event names used by pre-handshake clients, mapped to their canonical name
+const LEGACY_EVENT_ALIASES = {
+  'join-world': EVENTS.USER_SPAWN,
+  'screen-share-started': EVENTS.SCREEN_SHARE_START,
+  'screen-share-stopped': EVENTS.SCREEN_SHARE_STOP
+};
+
+// Payload schemas for client -> server events.
+// Field types: 'string', 'number', 'boolean', 'object', 'vector3', 'any'.
+// A trailing '?' marks the field optional.
+const PAYLOAD_SCHEMAS = {
+  [EVENTS.USER_SPAWN]: {
+    userId: 'string?',
+    username: 'string?',
+    spaceName: 'string?',
+    position: 'vector3?',
+    rotation: 'vector3?',
+    customAvatarUrl: 'string?'
+  },
+  [EVENTS.USER_MOVE]: {
+    position: 'vector3',
+    rotation: 'vector3?'
+  },
+  [EVENTS.USER_NAME_CHANGE]: {
+    newName: 'string'
+  },
+  [EVENTS.OBJECT_ADD]: {
+    objectId: 'string?',
+    name: 'string?',
+    type: 'string?',
+    position: 'vector3?',
+    rotation: 'vector3?',
+    scale: 'vector3?',
+    modelId: 'string?',
+    modelUrl: 'string?'
+  },
+  [EVENTS.OBJECT_MOVE]: {
+    objectId: 'string',
+    position: 'vector3?',
+    rotation: 'vector3?',
+    scale: 'vector3?'
+  },
+  [EVENTS.OBJECT_DELETE]: {
+    objectId: 'string'
+  },
+  [EVENTS.OBJECT_PERMISSIONS_UPDATE]: {
+    objectId: 'string',
+    locked: 'boolean?',
+    isPublic: 'boolean?'
+  },
+  [EVENTS.OBJECT_UNDO]: {},
+  [EVENTS.OBJECT_CLAIM]: {
+    objectId: 'string'
+  },
+  [EVENTS.OBJECT_RELEASE]: {
+    objectId: 'string'
+  },
+  [EVENTS.OBJECT_REDO]: {},
+  [EVENTS.CHAT_MESSAGE]: {
+    message: 'string'
+  },
+  [EVENTS.SCREEN_SHARE_START]: {
+    streamId: 'string?',
+    shareType: 'string?',
+    hasVideo: 'boolean?',
+    hasAudio: 'boolean?',
+    isVideoFile: 'boolean?',
+    fileName: 'string?'
+  },
+  [EVENTS.SCREEN_SHARE_STOP]: {},
+  [EVENTS.WEBRTC_OFFER]: {
+    to: 'string',
+    offer: 'object'
+  },
+  [EVENTS.WEBRTC_ANSWER]: {
+    to: 'string',
+    answer: 'object'
+  },
+  [EVENTS.WEBRTC_ICE_CANDIDATE]: {
+    to: 'string',
+    candidate: 'object'
+  }
+};
+
+const PROTOCOL_ERRORS = {
+  UNSUPPORTED_VERSION: 'PROTOCOL_VERSION_UNSUPPORTED',
+  UNKNOWN_EVENT: 'PROTOCOL_UNKNOWN_EVENT',
+  INVALID_PAYLOAD: 'PROTOCOL_INVALID_PAYLOAD'
+};
+
+// ==================== VALIDATION ====================
+
+// NaN and Infinity are never valid coordinates
+function isVector3(value) {
+  return value !== null &&
+    typeof value === 'object' &&
+    Number.isFinite(value.x) &&
+    Number.isFinite(value.y) &&
+    Number.isFinite(value.z);
+}
+
+function checkType(value, type) {
+  switch (type) {
+    case 'vector3': return isVector3(value);
+    case 'object': return value !== null && typeof value === 'object';
+    case 'any': return true;
+    default: return typeof value === type;
+  }
+}
+
+// Validate a client -> server payload against its schema.
+// Returns { valid, errors } where errors lists the offending fields.
+function validatePayload(event, payload) {
+  const schema = PAYLOAD_SCHEMAS[event];
+  if (!schema) {
+    return { valid: false, errors: [`unknown event "${event}"`] };
+  }
+
+  const data = payload === undefined ? {} : payload;
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['payload must be an object'] };
+  }
+
+  const errors = [];
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.endsWith('?');
+    const type = optional ? spec.slice(0, -1) : spec;
+    const value = data[field];
+
+    if (value === undefined || value === null) {
+      if (!optional) errors.push(`${field} is required`);
+      continue;
+    }
+
+    if (!checkType(value, type)) {
+      errors.push(`${field} must be ${type}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// ==================== VERSION NEGOTIATION ====================
+
+// Decide whether a client speaking `clientVersion` can be served.
+// Missing or unparsable versions are treated as legacy (version 0).
+function negotiateVersion(clientVersion) {
+  const parsed = parseInt(clientVersion, 10);
+  const version = Number.isNaN(parsed) ? 0 : parsed;
+
+  if (version < MIN_SUPPORTED_PROTOCOL_VERSION || version > PROTOCOL_VERSION) {
+    return {
+      accepted: false,
+      version,
+      serverVersion: PROTOCOL_VERSION,
+      minVersion: MIN_SUPPORTED_PROTOCOL_VERSION
+    };
+  }
+
+  return {
+    accepted: true,
+    version,
+    serverVersion: PROTOCOL_VERSION,
+    legacy: version < PROTOCOL_VERSION
+  };
+}
+
+// ==================== LEGACY ADAPTATION ====================
+
+// Three.js Euler/Vector3 instances serialize as {_x, _y, _z}; older clients
+// sent them straight through, so accept that form too.
+function normalizeVector3(value) {
+  if (!value || typeof value !== 'object') return value;
+  if (isVector3(value)) return { x: value.x, y: value.y, z: value.z };
+  if (typeof value._x === 'number') {
+    return { x: value._x, y: value._y, z: value._z };
+  }
+  return value;
+}
+
+// Translate a legacy client packet into its canonical event and payload
+function adaptLegacyPacket(event, payload) {
+  const canonical = LEGACY_EVENT_ALIASES[event] || event;
+  const schema = PAYLOAD_SCHEMAS[canonical];
+
+  if (!schema || !payload || typeof payload !== 'object') {
+    return { event: canonical, payload };
+  }
+
+  const adapted = { ...payload };
+  for (const [field, spec] of Object.entries(schema)) {
+    if (spec.startsWith('vector3') && adapted[field] !== undefined) {
+      adapted[field] = normalizeVector3(adapted[field]);
+    }
+  }
+
+  // signaling-server.js era WebRTC relays addressed peers by targetUserId
+  if (adapted.to === undefined && adapted.targetUserId !== undefined) {
+    adapted.to = adapted.targetUserId;
+  }
+
+  return { event: canonical, payload: adapted };
+}
+
+// ==================== SERVER INTEGRATION ====================
+
+// io.use() middleware: reads the version from the handshake auth (or query)
+// and refuses the connection when it cannot be served.
+function createHandshakeMiddleware() {
+  return (socket, next) => {
+    const handshake = socket.handshake || {};
+    const requested = (handshake.auth && handshake.auth.protocolVersion) ??
+      (handshake.query && handshake.query.protocolVersion);
+    const result = negotiateVersion(requested);
+
+    if (!result.accepted) {
+      const error = new Error(`Unsupported protocol version ${result.version}`);
+      error.data = {
+        code: PROTOCOL_ERRORS.UNSUPPORTED_VERSION,
+        clientVersion: result.version,
+        serverVersion: result.serverVersion,
+        minVersion: result.minVersion
+      };
+      return next(error);
+    }
+
+    socket.protocolVersion = result.version;
+    next();
+  };
+}
+
+// socket.use() middleware: adapts legacy packets and drops malformed ones,
+// answering the sender with a protocol-error event.
+function createPacketMiddleware(socket) {
+  return (packet, next) => {
+    if (socket.protocolVersion < PROTOCOL_VERSION) {
+      const adapted = adaptLegacyPacket(packet[0], packet[1]);
+      packet[0] = adapted.event;
+      if (packet.length > 1) packet[1] = adapted.payload;
+    }
+
+    const [event, payload] = packet;
+
+    // Events outside the schema table (ping, room-model-changed, ...) pass through
+    if (!PAYLOAD_SCHEMAS[event]) return next();
+
+    const { valid, errors } = validatePayload(event, payload);
+    if (!valid) {
+      socket.emit(EVENTS.PROTOCOL_ERROR, {
+        code: PROTOCOL_ERRORS.INVALID_PAYLOAD,
+        event,
+        errors
+      });
+      return;
+    }
+
+    next();
+  };
+}
+
+// Canonical world-state payload. Collections are sent as [id, value] entry
+// arrays so the client can iterate them without caring about Map vs object.
+function buildWorldStatePayload(state) {
+  const toEntries = (collection) => {
+    if (!collection) return [];
+    if (collection instanceof Map) return Array.from(collection.entries());
+    return Object.entries(collection);
+  };
+
+  return {
+    protocolVersion: PROTOCOL_VERSION,
+    spaceName: state.spaceName || null,
+    objects: toEntries(state.objects),
+    uploadedModels: toEntries(state.uploadedModels),
+    users: toEntries(state.users),
+    chatHistory: state.chatHistory || [],
+    sharedScreen: state.sharedScreen || null,
+    claims: state.claims || []
+  };
+}
+
+const SocketProtocol = {
+  PROTOCOL_VERSION,
+  MIN_SUPPORTED_PROTOCOL_VERSION,
+  EVENTS,
+  LEGACY_EVENT_ALIASES,
+  PAYLOAD_SCHEMAS,
+  PROTOCOL_ERRORS,
+  validatePayload,
+  negotiateVersion,
+  normalizeVector3,
+  adaptLegacyPacket,
+  createHandshakeMiddleware,
+  createPacketMiddleware,
+  buildWorldStatePayload
+};
+
+// Export for use in servers and the browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SocketProtocol;
+} else if (typeof window !== 'undefined') {
+  window.SocketProtocol = SocketProtocol;
+}
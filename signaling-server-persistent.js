@@ -10,16 +10,59 @@ const fetch = require('node-fetch');
 const fs = require('fs');
 
 // GLB Upload System Dependencies
-const AWS = require('aws-sdk');
 const multer = require('multer');
-const { v4: uuidv4 } = require('uuid');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 
 // Persistence Layer Dependencies
 const PersistenceLayer = require('./persistence/PersistenceLayer');
 const CacheManager = require('./persistence/CacheManager');
+const CacheRepository = require('./persistence/CacheRepository');
 const BatchProcessor = require('./persistence/BatchProcessor');
+const { RedisDeadLetterStore, FileDeadLetterStore } = require('./persistence/DeadLetterStore');
+const ClusterSync = require('./persistence/ClusterSync');
+const ChangeTracker = require('./persistence/ChangeTracker');
+const { mapModelRow } = require('./persistence/adapters/rows');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+// Shared Socket.IO protocol (event names, payload schemas, version handshake)
+const protocol = require('./protocol');
+const { EVENTS } = protocol;
+const { SPACES_CONFIG, getObjectLimits, getInterestSettings } = require('./spaces-config');
+const { TRANSFORM_ERRORS, validateObjectTransform } = require('./transform-validation');
+const { validateGLB, glbErrorResponse } = require('./glb-validation');
+const { GLBOptimizer, variantKey } = require('./glb-optimizer');
+const { GLBThumbnailer, thumbnailKey } = require('./glb-thumbnail');
+const { createAssetStorage } = require('./asset-storage');
+const {
+  UploadJobError,
+  UploadJobQueue,
+  processingStatusOf,
+  isUnfinishedUpload,
+  jobFromProcessingStatus
+} = require('./upload-jobs');
+const { HISTORY_OPERATIONS, HISTORY_ERRORS, ObjectHistory } = require('./object-history');
+const {
+  SNAPSHOT_KINDS,
+  TRANSFORM_FIELDS,
+  PERMISSION_FIELDS,
+  diffObjects,
+  isInPlaceChange,
+  summarizeDiff,
+  isScheduleDue
+} = require('./world-snapshots');
+const { BundleError, buildManifest, createBundle, readBundle, importObjects } = require('./space-bundle');
+const { CLAIM_ERRORS, ObjectClaims } = require('./object-claims');
+const { TICK_RATE, AvatarSnapshotEncoder } = require('./avatar-sync');
+const { InterestManager } = require('./interest-management');
+const { createGracefulShutdown } = require('./graceful-shutdown');
+
+// Local accounts, JWT issuance and token verification
+const config = require('./config');
+const AuthService = require('./auth/AuthService');
+const { createAuthenticateUser, createAuthRouter, createSocketAuthMiddleware } = require('./auth/middleware');
+const { OBJECT_ACTIONS, checkObjectPermission } = require('./auth/permissions');
 
 // Initialize Express and Socket.IO
 const app = express();
@@ -31,9 +74,51 @@ const io = socketIo(server, {
   }
 });
 
+// SIGTERM/SIGINT: close connections, then write everything still pending
+// before the connections to Postgres and Redis go
+const gracefulShutdown = createGracefulShutdown({
+  io,
+  timeout: config.shutdown.timeout,
+  reconnectIn: config.shutdown.reconnectIn,
+  steps: [
+    // Waiting uploads fail; the ones being processed are finished and stored
+    {
+      name: 'upload jobs',
+      timeout: config.shutdown.drainTimeout + 1000,
+      run: () => uploadJobs.close(config.shutdown.drainTimeout)
+    },
+    {
+      name: 'pending world changes',
+      run: () => {
+        clearInterval(worldSaveTimer);
+        return flushWorldStates();
+      }
+    },
+    {
+      name: 'batch queues',
+      timeout: config.shutdown.drainTimeout + 1000,
+      run: async () => {
+        if (!batchProcessor) return;
+        await batchProcessor.shutdown(config.shutdown.drainTimeout);
+        batchProcessor = null;
+      }
+    },
+    // Changes held back while a batch queue was full, now written directly
+    { name: 'remaining world changes', run: () => flushWorldStates() },
+    { name: 'cluster sync', run: () => clusterSync && clusterSync.stop() },
+    { name: 'database', run: () => persistence && persistence.disconnect() },
+    { name: 'cache', run: () => cache && cache.disconnect() }
+  ]
+});
+
+app.use(gracefulShutdown.httpMiddleware);
 app.use(cors());
 app.use(express.json());
 
+// Uploaded model files and thumbnails: R2, local disk or memory
+// (ASSET_STORAGE_DRIVER)
+const assetStorage = createAssetStorage({ ...config.assets, r2: config.r2 });
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -41,12 +126,18 @@ app.use(helmet({
       defaultSrc: ["'self'"],
       scriptSrc: ["'self'", "'unsafe-inline'", "https://cdnjs.cloudflare.com"],
       styleSrc: ["'self'", "'unsafe-inline'"],
-      imgSrc: ["'self'", "data:", "https://*.r2.cloudflarestorage.com"],
-      connectSrc: ["'self'", "wss:", "https://*.r2.cloudflarestorage.com"]
+      imgSrc: ["'self'", "data:", "https://*.r2.cloudflarestorage.com", assetStorage.origin],
+      connectSrc: ["'self'", "wss:", "https://*.r2.cloudflarestorage.com", assetStorage.origin]
     }
   }
 }));
 
+// Local and memory storage are served from here, with range requests
+const assetHandler = assetStorage.handler();
+if (assetHandler) {
+  app.use('/assets', assetHandler);
+}
+
 // Rate limiting
 const globalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -67,27 +158,44 @@ const uploadLimiter = rateLimit({
 // ==================== PERSISTENCE CONFIGURATION ====================
 
 // Feature flags
-const PERSISTENCE_ENABLED = process.env.PERSISTENCE_ENABLED !== 'false';
+let PERSISTENCE_ENABLED = process.env.PERSISTENCE_ENABLED !== 'false';
 const CACHE_ENABLED = process.env.CACHE_ENABLED !== 'false';
 const BATCH_PROCESSING_ENABLED = process.env.BATCH_PROCESSING_ENABLED !== 'false';
+const CLUSTER_ENABLED = process.env.CLUSTER_ENABLED !== 'false';
+
+// How often changed objects and new chat messages are written (ms); also
+// the most a crash can lose
+const WORLD_SAVE_INTERVAL = parseInt(process.env.WORLD_SAVE_INTERVAL) || 2000;
+
+// Identifies this process among the instances sharing Redis
+const INSTANCE_ID = uuidv4();
 
 // Initialize persistence layer
 let persistence = null;
 let cache = null;
+let worldRepository = null;
 let batchProcessor = null;
+let clusterSync = null;
 
 if (PERSISTENCE_ENABLED) {
   console.log('🔧 Initializing persistence layer...');
   
+  // STORAGE_DRIVER picks postgres (default), sqlite or memory
   persistence = new PersistenceLayer({
-    databaseUrl: process.env.DATABASE_URL,
+    driver: config.database.driver,
+    sqlitePath: config.database.sqlitePath,
+    databaseUrl: config.database.url,
     poolSize: parseInt(process.env.DATABASE_POOL_SIZE) || 20,
     ssl: process.env.DATABASE_SSL !== 'false'
   });
   
   if (CACHE_ENABLED) {
     console.log('🔧 Initializing cache manager...');
+    // Caches in process while Redis is down, or always with CACHE_DRIVER=memory
     cache = new CacheManager({
+      driver: config.redis.driver,
+      fallback: config.redis.fallback,
+      localMaxKeys: config.redis.localMaxKeys,
       host: process.env.REDIS_HOST || 'localhost',
       port: parseInt(process.env.REDIS_PORT) || 6379,
       password: process.env.REDIS_PASSWORD,
@@ -95,22 +203,188 @@ if (PERSISTENCE_ENABLED) {
     });
   }
   
+  // Database writes go through here so the cached copy of a space stays
+  // current; without a cache it writes to the database only
+  worldRepository = new CacheRepository(persistence, cache);
+  
   if (BATCH_PROCESSING_ENABLED && persistence && cache) {
     console.log('🔧 Initializing batch processor...');
     batchProcessor = new BatchProcessor(persistence, cache, {
-      batchSize: parseInt(process.env.BATCH_SIZE) || 100,
-      flushInterval: parseInt(process.env.BATCH_FLUSH_INTERVAL) || 100
+      repository: worldRepository,
+      batchSize: config.batch.size,
+      flushInterval: config.batch.flushInterval,
+      maxQueueSize: config.batch.maxQueueSize,
+      retryAttempts: config.batch.retryAttempts,
+      retryDelay: config.batch.retryDelay,
+      // Dead letters need to outlive the process, so never the in-process cache
+      deadLetterStore: config.batch.deadLetterStore === 'file' || !cache.client
+        ? new FileDeadLetterStore(config.batch.deadLetterPath)
+        : new RedisDeadLetterStore(cache.client)
+    });
+    
+    // Changes stay pending in the spaces until the queues drain
+    batchProcessor.on('backpressure', ({ type, size }) => {
+      console.warn(`⚠️ Batch queue ${type} is full (${size}), holding back world saves`);
     });
   }
+  
+  // Several instances (PM2 cluster mode) share rooms through the Redis
+  // adapter and relay world state changes to each other
+  if (CLUSTER_ENABLED && cache && !cache.client) {
+    console.warn('⚠️ Cluster mode needs Redis; CACHE_DRIVER=memory runs a single instance');
+  } else if (CLUSTER_ENABLED && cache) {
+    console.log('🔧 Initializing cluster sync...');
+    io.adapter(createAdapter(cache.client, cache.client.duplicate()));
+    clusterSync = new ClusterSync(cache, { instanceId: INSTANCE_ID });
+  }
+}
+
+// ==================== AUTHENTICATION ====================
+
+// Accounts are kept by the storage backend; tokens already issued verify
+// without it
+const authService = new AuthService({
+  storage: persistence,
+  ...config.auth
+});
+const authenticateUser = createAuthenticateUser(authService);
+
+app.use('/api/auth', createAuthRouter(authService));
+
+// ==================== MODEL FILES ====================
+
+const modelKey = modelId => `models/${modelId}.glb`;
+const modelPublicUrl = key => assetStorage.url(key);
+
+function storeModelFile(key, data, metadata, contentType = 'model/gltf-binary') {
+  return assetStorage.put(key, data, { contentType, metadata });
+}
+
+function readModelFile(key) {
+  return assetStorage.get(key);
+}
+
+// Desktop and mobile variants of each accepted model (glb-optimizer.js)
+const modelOptimizer = new GLBOptimizer({ ...config.modelOptimization, limits: config.models });
+
+// PNG thumbnail of each accepted model for the model library
+const modelThumbnailer = new GLBThumbnailer(config.thumbnails);
+
+// Thumbnail of a validated model, or null; a model is never refused because
+// it could not be drawn
+async function renderModelThumbnail(key, data) {
+  try {
+    const thumbnail = await modelThumbnailer.render(data);
+    return thumbnail ? thumbnail.png : null;
+  } catch (error) {
+    console.warn(`⚠️ No thumbnail for ${key}:`, error.message);
+    return null;
+  }
+}
+
+// Store the variants of an optimized model (modelOptimizer.optimize) side
+// by side, the desktop one at `key`, and its thumbnail next to them.
+// Returns what the model record keeps of them; a variant no different from
+// the desktop one is not stored.
+async function storeModelVariants(key, optimized, metadata, thumbnail = null) {
+  const { status, variants } = optimized;
+  const stored = {};
+  
+  for (const [name, variant] of Object.entries(variants)) {
+    if (name !== 'desktop' && variant.buffer.equals(variants.desktop.buffer)) continue;
+    
+    const fileKey = variantKey(key, name);
+    await storeModelFile(fileKey, variant.buffer, { ...metadata, variant: name });
+    stored[name] = {
+      key: fileKey,
+      url: modelPublicUrl(fileKey),
+      fileSize: variant.buffer.length,
+      steps: variant.steps
+    };
+  }
+  
+  let thumbnailUrl = null;
+  if (thumbnail) {
+    await storeModelFile(thumbnailKey(key), thumbnail, { ...metadata, variant: 'thumbnail' }, 'image/png');
+    thumbnailUrl = modelPublicUrl(thumbnailKey(key));
+  }
+  
+  console.log(`🧩 Stored ${key} (${status}): ${Object.entries(stored).map(([name, variant]) => `${name} ${variant.fileSize} bytes`).join(', ')}`);
+  return {
+    publicUrl: stored.desktop.url,
+    mobileUrl: stored.mobile ? stored.mobile.url : null,
+    thumbnailUrl,
+    variants: stored,
+    processingStatus: status
+  };
+}
+
+// Uploaded models are validated, optimized and stored in the background
+// (upload-jobs.js). The uploader follows its jobs in the room of its
+// account, and uploaded_models.processing_status follows them too.
+const uploadRoom = accountId => `uploads:${accountId}`;
+
+// What the uploader gets once its model is processed
+function uploadJobResult(model, stats = {}) {
+  return {
+    modelId: model.modelId,
+    publicUrl: model.publicUrl,
+    mobileUrl: model.mobileUrl,
+    thumbnailUrl: model.thumbnailUrl,
+    variants: model.variants,
+    processingStatus: model.processingStatus,
+    metadata: { name: model.name, ...stats }
+  };
 }
 
-// ==================== R2 CONFIGURATION ====================
+const uploadJobs = new UploadJobQueue({
+  ...config.uploadJobs,
+  stages: {
+    // Refuse malformed or oversized models; the report says which check or
+    // limit failed
+    validate: async (job) => {
+      const validation = validateGLB(job.data.buffer, config.models);
+      if (!validation.valid) {
+        throw new UploadJobError(glbErrorResponse(validation));
+      }
+      job.data.stats = validation.stats;
+    },
+    optimize: async (job, progress) => {
+      job.data.optimized = await modelOptimizer.optimize(job.data.buffer, progress);
+    },
+    thumbnail: async (job) => {
+      job.data.thumbnail = await renderModelThumbnail(job.data.key, job.data.buffer);
+    },
+    // Store the variants and thumbnail, then add the model to its space
+    store: async (job) => {
+      const { key, model, optimized, thumbnail, spaceName, stats } = job.data;
+      const { publicUrl, ...variants } = await storeModelVariants(key, optimized, {
+        originalName: model.originalFilename,
+        uploadedBy: model.uploadedBy,
+        uploadedAt: model.uploadedAt.toISOString()
+      }, thumbnail);
+      const modelData = { ...model, publicUrl, ...variants, processedAt: new Date() };
+      
+      const worldState = await getWorldState(spaceName);
+      worldState.uploadedModels.set(modelData.modelId, modelData);
+      relay(worldState, 'objectUpdates', 'model-uploaded', { model: modelData });
+      
+      if (persistence) {
+        await worldRepository.updateModel(worldState.spaceId, modelData);
+      }
+      
+      io.to(worldState.spaceName).emit(EVENTS.MODEL_UPLOADED, modelData);
+      job.result = uploadJobResult(modelData, stats);
+    }
+  },
+  persist: async (job) => {
+    if (!persistence) return;
+    await persistence.updateUploadedModel(job.id, { processingStatus: processingStatusOf(job) });
+  }
+});
 
-const r2 = new AWS.S3({
-  endpoint: `https://${process.env.R2_ACCOUNT_ID || 'demo'}.r2.cloudflarestorage.com`,
-  accessKeyId: process.env.R2_ACCESS_KEY,
-  secretAccessKey: process.env.R2_SECRET_KEY,
-  region: 'auto'
+uploadJobs.on('update', ({ userId, ...job }) => {
+  io.to(uploadRoom(userId)).emit(EVENTS.UPLOAD_JOB_UPDATED, job);
 });
 
 // File upload middleware
@@ -129,239 +403,860 @@ const upload = multer({
 
 // ==================== WORLD STATE MANAGEMENT ====================
 
-// In-memory world state (fallback when persistence is disabled)
-let worldState = {
-  objects: new Map(),
-  users: new Map(),
-  uploadedModels: new Map(),
-  chatHistory: [],
-  sharedScreen: null,
-  visitorCount: 0,
-  spaces: new Map([['main', { 
-    name: 'main', 
-    createdAt: new Date(), 
-    settings: {}
-  }]])
-};
+// Space that clients land in when they detect 'default' (or an unknown space)
+const DEFAULT_SPACE_NAME = process.env.SPACE_NAME || 'main';
+
+// Per-space world state, keyed by space name
+const worldStates = new Map();
 
-// Load world state from database on startup
+// Spaces currently being loaded, so concurrent joins share one load
+const worldStateLoads = new Map();
+
+// Map the space a client detected via detectSpace() onto a server space name
+function resolveSpaceName(requested) {
+  if (!requested || requested === 'default' || !SPACES_CONFIG[requested]) {
+    return DEFAULT_SPACE_NAME;
+  }
+  return requested;
+}
+
+function createWorldState(spaceName, spaceId) {
+  const avatars = new AvatarSnapshotEncoder();
+  
+  return {
+    spaceName,
+    spaceId,
+    objects: new Map(),
+    users: new Map(),
+    uploadedModels: new Map(),
+    chatHistory: [],
+    sharedScreen: null,
+    // Space owner and moderators may edit any object
+    ownerId: null,
+    moderators: new Set(),
+    // Per-user undo/redo stacks for object edits
+    history: new ObjectHistory(),
+    // Objects currently grabbed (soft-locked) by a connection
+    claims: new ObjectClaims(),
+    // Edits made here that are not in the database yet
+    changes: new ChangeTracker(),
+    // Avatar transforms waiting for the next snapshot tick
+    avatars,
+    // Who is near whom: per-viewer avatar snapshots and object moves
+    interest: new InterestManager(getInterestSettings(spaceName), avatars.latest)
+  };
+}
+
+// Clients older than avatar snapshots (protocol < 2) also join this room
+// and are sent plain user-moved events
+function legacyMovesRoom(spaceName) {
+  return `${spaceName}:user-moved`;
+}
+
+// Send an object-moved to users near the object now; the rest get it with
+// the next far update. echoSocketId also receives it right away (e.g. the
+// sender of a clamped move or an undo).
+function broadcastObjectMove(worldState, payload, position, senderId, echoSocketId = null) {
+  deliverObjectMove(worldState, payload, position, senderId, echoSocketId);
+  relay(worldState, 'objectUpdates', 'object-moved', { move: payload, position, senderId });
+}
+
+// Object moves are routed per viewer, so unlike room broadcasts every
+// instance delivers them to its own sockets
+function deliverObjectMove(worldState, payload, position, senderId, echoSocketId = null) {
+  const socketIds = worldState.interest.routeObjectMove(payload, position, senderId);
+  if (echoSocketId && !socketIds.includes(echoSocketId)) socketIds.push(echoSocketId);
+  
+  if (socketIds.length > 0) {
+    io.to(socketIds).emit(EVENTS.OBJECT_MOVED, payload);
+  }
+}
+
+// Load a space's world state from cache or database
+async function loadSpaceWorldState(spaceName) {
+  if (!PERSISTENCE_ENABLED || !persistence) {
+    return createWorldState(spaceName, spaceName);
+  }
+  
+  const space = await persistence.getOrCreateSpace(spaceName);
+  const worldState = createWorldState(spaceName, space.id);
+  worldState.ownerId = space.owner_id;
+  
+  const moderators = await persistence.getSpaceModerators(space.id);
+  worldState.moderators = new Set(moderators.map(moderator => moderator.user_id));
+  
+  // Load cached or fresh world state
+  const loadedState = await worldRepository.loadWorldState(space.id);
+  console.log(`✅ Loaded world state for ${spaceName} from ${loadedState.fromCache ? 'cache' : 'database'}`);
+  
+  // Convert to in-memory format
+  if (loadedState.objects) {
+    worldState.objects = new Map(Object.entries(loadedState.objects));
+  }
+  if (loadedState.uploadedModels) {
+    // Uploads still being processed (or that failed) are not in the space
+    worldState.uploadedModels = new Map(Object.entries(loadedState.uploadedModels)
+      .filter(([, model]) => !isUnfinishedUpload(model.processingStatus)));
+  }
+  if (loadedState.chatHistory) {
+    worldState.chatHistory = loadedState.chatHistory;
+  }
+  
+  console.log(`📊 ${spaceName}: ${worldState.objects.size} objects, ${worldState.uploadedModels.size} models`);
+  return worldState;
+}
+
+// Get (loading on first use) the world state for a space
+async function getWorldState(spaceName) {
+  if (worldStates.has(spaceName)) {
+    return worldStates.get(spaceName);
+  }
+  
+  if (!worldStateLoads.has(spaceName)) {
+    const load = loadSpaceWorldState(spaceName)
+      .catch(error => {
+        console.error(`❌ Failed to load world state for ${spaceName}:`, error);
+        return createWorldState(spaceName, spaceName);
+      })
+      .then(syncWorldStateFromPeers)
+      .then(worldState => {
+        worldStates.set(spaceName, worldState);
+        worldStateLoads.delete(spaceName);
+        return worldState;
+      });
+    
+    worldStateLoads.set(spaceName, load);
+  }
+  
+  return worldStateLoads.get(spaceName);
+}
+
+// Connect to the database and preload the default space
 async function initializeWorldState() {
   if (!PERSISTENCE_ENABLED || !persistence) {
     console.log('💾 Using in-memory world state');
+  } else {
+    try {
+      await persistence.connect();
+    } catch (error) {
+      console.error('❌ Failed to initialize world state:', error);
+      console.log('⚠️ Falling back to in-memory storage');
+      PERSISTENCE_ENABLED = false;
+      persistence = null;
+      worldRepository = null;
+      authService.storage = null;
+      
+      if (batchProcessor) {
+        await batchProcessor.shutdown();
+        batchProcessor = null;
+      }
+    }
+  }
+  
+  await getWorldState(DEFAULT_SPACE_NAME);
+}
+
+// Write one pending object change. The write time versions the cached
+// copy, so a retried older change cannot overwrite a newer one there.
+async function writeObjectChange(worldState, change) {
+  const { objectId, actorId } = change;
+  const { spaceId } = worldState;
+  const version = Date.now();
+  
+  if (change.remove) {
+    await worldRepository.deleteObject(spaceId, objectId, actorId, version);
     return;
   }
   
-  try {
-    await persistence.connect();
-    
-    // Get or create default space
-    const space = await persistence.getOrCreateSpace('main');
-    console.log(`✅ Connected to space: ${space.name}`);
-    
-    // Load cached or fresh world state
-    let loadedState = null;
+  // Removed since; its removal is pending too
+  const object = worldState.objects.get(objectId);
+  if (!object) return;
+  
+  if (change.store) {
+    await worldRepository.saveObject(spaceId, object, version);
+    return;
+  }
+  
+  if (change.transform) {
+    const transform = { position: object.position, rotation: object.rotation, scale: object.scale };
     
-    if (cache) {
-      loadedState = await cache.getCachedWorldState(space.id);
-      if (loadedState) {
-        console.log('✅ Loaded world state from cache');
+    if (batchProcessor) {
+      const queued = batchProcessor.add('objectUpdates', {
+        objectId,
+        ...transform,
+        updatedBy: actorId,
+        spaceId
+      });
+      if (!queued) {
+        throw new Error('batch queue is full');
       }
+    } else {
+      await worldRepository.updateObject(spaceId, objectId, transform, actorId, version);
     }
-    
-    if (!loadedState) {
-      loadedState = await persistence.loadWorldState(space.id);
-      console.log('✅ Loaded world state from database');
-      
-      // Cache for next time
-      if (cache) {
-        await cache.cacheWorldState(space.id, loadedState);
+  }
+  
+  if (change.permissions) {
+    await worldRepository.updateObjectPermissions(spaceId, objectId, {
+      locked: !!object.locked,
+      isPublic: !!object.isPublic
+    }, actorId, version);
+  }
+}
+
+// Write what changed in a space since the last flush. Failed writes stay
+// pending and are retried with the next flush.
+async function flushWorldState(worldState) {
+  if (worldState.changes.size === 0) return;
+  
+  // Without a database there is nowhere to write them
+  if (!PERSISTENCE_ENABLED || !persistence) {
+    worldState.changes.take();
+    return;
+  }
+  
+  // Keep them pending while the database catches up
+  if (batchProcessor && batchProcessor.isSaturated()) {
+    return;
+  }
+  
+  const { objects, chatMessages } = worldState.changes.take();
+  const failed = { objects: [], chatMessages: [] };
+  
+  for (const change of objects) {
+    try {
+      await writeObjectChange(worldState, change);
+    } catch (error) {
+      console.error(`❌ Failed to save object ${change.objectId}:`, error);
+      failed.objects.push(change);
+    }
+  }
+  
+  // Messages keep their id, so a retried one is not stored twice
+  for (const message of chatMessages) {
+    try {
+      if (batchProcessor) {
+        if (!batchProcessor.add('chatMessages', message)) {
+          failed.chatMessages.push(message);
+        }
+      } else {
+        await worldRepository.saveChatMessage(message);
       }
+    } catch (error) {
+      console.error('❌ Failed to save chat message:', error);
+      failed.chatMessages.push(message);
     }
-    
-    // Convert to in-memory format
-    if (loadedState.objects) {
-      worldState.objects = new Map(Object.entries(loadedState.objects));
+  }
+  
+  worldState.changes.restore(failed);
+}
+
+// Flush every loaded space
+async function flushWorldStates() {
+  for (const worldState of worldStates.values()) {
+    try {
+      await flushWorldState(worldState);
+    } catch (error) {
+      console.error(`❌ Failed to save world state for ${worldState.spaceName}:`, error);
+    }
+  }
+}
+
+// ==================== CLUSTER SYNC ====================
+
+// Tell the other instances about a change to a space's state (no-op when
+// running alone). Room broadcasts reach their sockets via the Redis adapter.
+function relay(worldState, channel, type, payload) {
+  if (!clusterSync) return;
+  
+  clusterSync.publish(channel, worldState.spaceName, type, payload)
+    .catch(error => console.error(`Failed to relay ${type}:`, error));
+}
+
+function isLocalUser(user) {
+  return user.instanceId === INSTANCE_ID;
+}
+
+// State of a space held by this instance, for a peer that just loaded it
+function buildSyncState(worldState) {
+  return {
+    objects: Object.fromEntries(worldState.objects),
+    uploadedModels: Object.fromEntries(worldState.uploadedModels),
+    users: Array.from(worldState.users.values()).filter(isLocalUser),
+    chatHistory: worldState.chatHistory,
+    sharedScreen: worldState.sharedScreen,
+    claims: worldState.claims.list()
+  };
+}
+
+// Peers hold newer state than cache/database (batched writes), and only
+// they know who is connected to them
+async function syncWorldStateFromPeers(worldState) {
+  if (!clusterSync) return worldState;
+  
+  const peers = await clusterSync.requestSpace(worldState.spaceName);
+  for (const peer of peers) {
+    for (const [objectId, object] of Object.entries(peer.objects)) {
+      worldState.objects.set(objectId, object);
     }
-    if (loadedState.uploadedModels) {
-      worldState.uploadedModels = new Map(Object.entries(loadedState.uploadedModels));
+    for (const [modelId, model] of Object.entries(peer.uploadedModels)) {
+      worldState.uploadedModels.set(modelId, model);
     }
-    if (loadedState.chatHistory) {
-      worldState.chatHistory = loadedState.chatHistory;
+    for (const user of peer.users) {
+      addRemoteUser(worldState, user);
     }
-    
-    console.log(`📊 Loaded ${worldState.objects.size} objects, ${worldState.uploadedModels.size} models`);
-    
-  } catch (error) {
-    console.error('❌ Failed to initialize world state:', error);
-    console.log('⚠️ Falling back to in-memory storage');
-    PERSISTENCE_ENABLED = false;
+    for (const claim of peer.claims) {
+      worldState.claims.set(claim);
+    }
+    if (peer.chatHistory.length > worldState.chatHistory.length) {
+      worldState.chatHistory = peer.chatHistory;
+    }
+    worldState.sharedScreen = worldState.sharedScreen || peer.sharedScreen;
+  }
+  
+  if (peers.length > 0) {
+    console.log(`🔄 Synced ${worldState.spaceName} from ${peers.length} peer instance(s)`);
   }
+  return worldState;
 }
 
-// Save world state periodically
-async function saveWorldState() {
-  if (!PERSISTENCE_ENABLED || !persistence) return;
-  
-  try {
-    const stateToSave = {
-      objects: Object.fromEntries(worldState.objects),
-      uploadedModels: Object.fromEntries(worldState.uploadedModels),
-      chatHistory: worldState.chatHistory.slice(-100) // Keep last 100 messages
-    };
-    
-    await persistence.saveWorldState(stateToSave);
+function addRemoteUser(worldState, user) {
+  worldState.users.set(user.id, user);
+  worldState.avatars.update(user.id, user.position, user.rotation);
+  worldState.interest.moveUser(user.id, user.position);
+}
+
+function removeRemoteUser(worldState, userId) {
+  worldState.users.delete(userId);
+  worldState.avatars.remove(userId);
+  worldState.interest.removeUser(userId);
+}
+
+// Apply a change made on another instance to this instance's copy. Clients
+// were already told through the adapter, except for per-viewer object moves.
+const clusterHandlers = {
+  'object-stored': (worldState, { object }) => {
+    worldState.objects.set(object.objectId, object);
+  },
+  'object-moved': (worldState, { move, position, senderId }) => {
+    const object = worldState.objects.get(move.objectId);
+    if (!object) return;
     
-    // Update cache
-    if (cache) {
-      await cache.cacheWorldState('main', stateToSave);
+    object.position = move.position;
+    object.rotation = move.rotation;
+    object.scale = move.scale;
+    deliverObjectMove(worldState, move, position, senderId);
+  },
+  'object-removed': (worldState, { objectId }) => {
+    worldState.objects.delete(objectId);
+    worldState.claims.delete(objectId);
+    worldState.interest.dropObject(objectId);
+  },
+  'object-claimed': (worldState, { claim }) => {
+    worldState.claims.set(claim);
+  },
+  'object-released': (worldState, { objectId }) => {
+    worldState.claims.delete(objectId);
+  },
+  'model-uploaded': (worldState, { model }) => {
+    worldState.uploadedModels.set(model.modelId, model);
+  },
+  'moderators-changed': (worldState, { added, removed }) => {
+    if (added) worldState.moderators.add(added);
+    if (removed) worldState.moderators.delete(removed);
+  },
+  'user-joined': (worldState, { user }) => {
+    addRemoteUser(worldState, user);
+  },
+  'user-left': (worldState, { userId }) => {
+    removeRemoteUser(worldState, userId);
+  },
+  'user-renamed': (worldState, { userId, newName }) => {
+    const user = worldState.users.get(userId);
+    if (user) {
+      user.username = newName;
+      user.displayName = newName;
+    }
+  },
+  'avatars': (worldState, { moves }) => {
+    for (const [userId, position, rotation] of moves) {
+      const user = worldState.users.get(userId);
+      if (!user) continue;
+      
+      user.position = position;
+      user.rotation = rotation;
+      worldState.avatars.update(userId, position, rotation);
+      worldState.interest.moveUser(userId, position);
+    }
+  },
+  'chat-message': (worldState, { message }) => {
+    worldState.chatHistory.push(message);
+    if (worldState.chatHistory.length > 100) {
+      worldState.chatHistory.shift();
+    }
+  },
+  'screen-share': (worldState, { sharedScreen }) => {
+    worldState.sharedScreen = sharedScreen;
+  }
+};
+
+// Drop the users and grabs of an instance that stopped answering. Every
+// instance cleans its copy; only the leader tells the clients.
+function removeInstanceUsers(instanceId) {
+  const announce = clusterSync.isLeader();
+  
+  for (const worldState of worldStates.values()) {
+    for (const user of Array.from(worldState.users.values())) {
+      if (user.instanceId !== instanceId) continue;
+      
+      removeRemoteUser(worldState, user.id);
+      const released = worldState.claims.releaseAll(user.socketId);
+      
+      if (worldState.sharedScreen && worldState.sharedScreen.userId === user.socketId) {
+        worldState.sharedScreen = null;
+        if (announce) io.to(worldState.spaceName).emit(EVENTS.SCREEN_SHARE_STOPPED, { userId: user.socketId });
+      }
+      
+      if (announce) {
+        for (const objectId of released) {
+          io.to(worldState.spaceName).emit(EVENTS.OBJECT_RELEASED, { objectId, userId: user.id });
+        }
+        io.to(worldState.spaceName).emit(EVENTS.USER_LEFT, { userId: user.id });
+        io.to(worldState.spaceName).emit(EVENTS.USER_COUNT_UPDATE, { count: worldState.users.size });
+      }
     }
-    
-    console.log('✅ World state saved');
-  } catch (error) {
-    console.error('❌ Failed to save world state:', error);
   }
+  
+  console.log(`⚠️ Instance ${instanceId} went away; removed its users`);
+}
+
+if (clusterSync) {
+  clusterSync.on('message', ({ spaceName, type, payload }) => {
+    const worldState = worldStates.get(spaceName);
+    const handler = clusterHandlers[type];
+    
+    // Spaces this instance has not loaded will sync when they are
+    if (worldState && handler) handler(worldState, payload);
+  });
+  
+  clusterSync.on('sync-request', ({ spaceName }, reply) => {
+    const worldState = worldStates.get(spaceName);
+    if (worldState) reply(buildSyncState(worldState));
+  });
+  
+  clusterSync.on('instance-down', removeInstanceUsers);
 }
 
 // ==================== SOCKET.IO CONNECTION HANDLING ====================
 
+// Reject clients speaking an unsupported protocol version
+io.use(protocol.createHandshakeMiddleware());
+
+// Attribute sockets carrying an access token to their account (guests have none)
+io.use(createSocketAuthMiddleware(authService));
+
 io.on('connection', async (socket) => {
   console.log('🔌 New connection:', socket.id);
   
+  // Adapt legacy event names and drop malformed payloads
+  socket.use(protocol.createPacketMiddleware(socket));
+  
   // Track connection in persistence
   let sessionId = null;
   let userId = null;
   
-  // Handle user spawn with persistence
-  socket.on('user-spawn', async (data) => {
-    console.log('👤 User spawned:', data.username || 'Anonymous');
-    
-    userId = data.userId || uuidv4();
-    const username = data.username || `User${Math.floor(Math.random() * 10000)}`;
-    
-    // Store user in world state
-    const userData = {
-      id: userId,
-      socketId: socket.id,
-      username: username,
-      displayName: data.displayName || username,
-      position: { x: 0, y: 0, z: 0 },
-      rotation: { x: 0, y: 0, z: 0 },
-      color: Math.random() * 0xffffff,
-      joinedAt: new Date()
+  // Signed-in account behind this socket; edits are attributed to it, or to
+  // an id of this connection's own for guests
+  const accountId = socket.user ? socket.user.id : null;
+  const guestId = uuidv4();
+  let actorId = null;
+  
+  // Progress of the account's model uploads
+  if (accountId) {
+    socket.join(uploadRoom(accountId));
+  }
+  
+  // World state of the space this socket joined
+  let worldState = null;
+  
+  // Who is editing, as seen by checkObjectPermission
+  function getActor() {
+    return {
+      accountId,
+      isAdmin: !!(socket.user && socket.user.isAdmin),
+      isModerator: !!accountId &&
+        (worldState.ownerId === accountId || worldState.moderators.has(accountId))
     };
+  }
+  
+  // Refused edits are answered with the authoritative object state so the
+  // client can roll back its optimistic change
+  function rejectObjectEdit(objectId, action, code, reason) {
+    const object = worldState.objects.get(objectId);
     
-    worldState.users.set(userId, userData);
+    socket.emit(EVENTS.OBJECT_EDIT_REJECTED, {
+      objectId,
+      action,
+      code,
+      reason,
+      state: object ? {
+        position: object.position,
+        rotation: object.rotation,
+        scale: object.scale,
+        ownerId: object.ownerId || null,
+        locked: !!object.locked,
+        isPublic: !!object.isPublic
+      } : null
+    });
+  }
+  
+  function authorizeObjectEdit(objectId, action) {
+    const permission = checkObjectPermission(worldState.objects.get(objectId), getActor(), action);
     
-    // Persist user session
-    if (persistence) {
-      try {
-        await persistence.upsertUser({
-          userId: userId,
-          username: username,
-          displayName: userData.displayName,
-          avatarUrl: data.avatarUrl
-        });
-        
-        const session = await persistence.createSession(userId, socket.id, 'main');
-        sessionId = session.id;
-      } catch (error) {
-        console.error('Failed to persist user session:', error);
-      }
+    if (!permission.allowed) {
+      rejectObjectEdit(objectId, action, permission.code, permission.reason);
     }
     
-    // Cache user session
-    if (cache) {
-      await cache.setUserSession(userId, userData);
+    return permission.allowed;
+  }
+  
+  // Shape-check and clamp a transform to the space's limits; malformed ones
+  // are rejected before they reach the database or other clients
+  function validateTransform(objectId, action, data, current) {
+    const result = validateObjectTransform(data, getObjectLimits(worldState.spaceName), current);
+    
+    if (!result.valid) {
+      rejectObjectEdit(objectId, action, TRANSFORM_ERRORS.INVALID, result.errors.join('; '));
     }
     
-    // Send world state to new user
-    const stateToSend = {
-      objects: Object.fromEntries(worldState.objects),
-      uploadedModels: Object.fromEntries(worldState.uploadedModels),
-      chatHistory: worldState.chatHistory.slice(-50),
-      users: Object.fromEntries(worldState.users),
-      sharedScreen: worldState.sharedScreen
+    return result;
+  }
+  
+  // ===== Object claims (soft locks while dragging) =====
+  
+  // Grab or renew an object for this connection; others hear about new grabs
+  function claimObject(objectId, action) {
+    const user = worldState.users.get(userId);
+    const { granted, renewed, claim } = worldState.claims.claim(objectId, {
+      socketId: socket.id,
+      userId,
+      username: user ? user.username : null
+    });
+    
+    if (!granted) {
+      rejectObjectEdit(objectId, action, CLAIM_ERRORS.HELD, `Held by ${claim.username || 'another user'}`);
+      return false;
+    }
+    
+    // Renewals are relayed too so other instances do not expire the grab early
+    relay(worldState, 'objectUpdates', 'object-claimed', { claim });
+    
+    if (!renewed) {
+      io.to(worldState.spaceName).emit(EVENTS.OBJECT_CLAIMED, claim);
+    }
+    return true;
+  }
+  
+  // Refuse edits to an object another connection is holding
+  function checkObjectClaim(objectId, action) {
+    const claim = worldState.claims.heldByOther(objectId, socket.id);
+    
+    if (claim) {
+      rejectObjectEdit(objectId, action, CLAIM_ERRORS.HELD, `Held by ${claim.username || 'another user'}`);
+      return false;
+    }
+    return true;
+  }
+  
+  // ===== Object storage shared by edits and undo/redo =====
+  
+  async function storeObject(objectData) {
+    worldState.objects.set(objectData.objectId, objectData);
+    worldState.changes.storeObject(objectData.objectId, actorId);
+    relay(worldState, 'objectUpdates', 'object-stored', { object: objectData });
+  }
+  
+  async function storeTransform(object, transform) {
+    object.position = transform.position;
+    object.rotation = transform.rotation;
+    object.scale = transform.scale;
+    worldState.changes.transformObject(object.objectId, actorId);
+  }
+  
+  async function removeObject(objectId) {
+    worldState.objects.delete(objectId);
+    worldState.claims.delete(objectId);
+    worldState.interest.dropObject(objectId);
+    worldState.changes.removeObject(objectId, actorId);
+    relay(worldState, 'objectUpdates', 'object-removed', { objectId });
+  }
+  
+  // Snapshot of an object for the undo history
+  function snapshotObject(object) {
+    return object ? { ...object } : null;
+  }
+  
+  // Signed-in users get back the edits they made in earlier sessions
+  async function loadObjectHistory() {
+    if (!persistence || !accountId || worldState.history.isLoaded(accountId)) return;
+    
+    try {
+      const operations = await persistence.getObjectHistory(
+        worldState.spaceId, accountId, worldState.history.maxEntries);
+      worldState.history.load(accountId, operations);
+    } catch (error) {
+      console.error('Failed to load object history:', error);
+    }
+  }
+  
+  // Apply an undo/redo operation; refusals are reported like any other edit
+  async function applyHistoryOperation(direction, operation) {
+    const { type, objectId } = operation;
+    const current = worldState.objects.get(objectId);
+    
+    if (type === HISTORY_OPERATIONS.ADD) {
+      if (current) {
+        rejectObjectEdit(objectId, direction, HISTORY_ERRORS.CONFLICT, 'Object already exists');
+        return false;
+      }
+      
+      await storeObject({ ...operation.after });
+      io.to(worldState.spaceName).emit(EVENTS.OBJECT_ADDED, { ...operation.after, addedBy: userId });
+      return true;
+    }
+    
+    if (!current) {
+      rejectObjectEdit(objectId, direction, HISTORY_ERRORS.CONFLICT, 'Object no longer exists');
+      return false;
+    }
+    
+    if (type === HISTORY_OPERATIONS.DELETE) {
+      if (!authorizeObjectEdit(objectId, OBJECT_ACTIONS.DELETE)) return false;
+      if (!checkObjectClaim(objectId, direction)) return false;
+      
+      await removeObject(objectId);
+      io.to(worldState.spaceName).emit(EVENTS.OBJECT_DELETED, { objectId, deletedBy: userId });
+      return true;
+    }
+    
+    if (!authorizeObjectEdit(objectId, OBJECT_ACTIONS.MOVE)) return false;
+    if (!checkObjectClaim(objectId, direction)) return false;
+    
+    const { valid, transform } = validateTransform(objectId, direction, operation.after, current);
+    if (!valid) return false;
+    
+    await storeTransform(current, transform);
+    broadcastObjectMove(worldState, { objectId, ...transform, movedBy: userId }, current.position, userId, socket.id);
+    return true;
+  }
+  
+  async function replayObjectHistory(direction) {
+    if (!worldState || !actorId) return;
+    
+    await loadObjectHistory();
+    
+    const apply = operation => applyHistoryOperation(direction, operation);
+    const { empty } = direction === 'undo'
+      ? await worldState.history.undo(actorId, apply)
+      : await worldState.history.redo(actorId, apply);
+    
+    if (empty) {
+      rejectObjectEdit(null, direction, HISTORY_ERRORS.EMPTY, `Nothing to ${direction}`);
+    }
+  }
+  
+  // Handle user spawn with persistence
+  socket.on(EVENTS.USER_SPAWN, async (data) => {
+    const spaceName = resolveSpaceName(data.spaceName);
+    console.log(`👤 User spawned in ${spaceName}:`, data.username || 'Anonymous');
+    
+    // Spawning again moves the connection: it leaves its old space first
+    if (worldState) {
+      await leaveSpace();
+    }
+    
+    worldState = await getWorldState(spaceName);
+    socket.join(spaceName);
+    
+    // Ids come from the connection, never from the client: the client knows
+    // itself (and addresses WebRTC peers) by socket id
+    userId = socket.id;
+    actorId = accountId || guestId;
+    const username = data.username ||
+      (socket.user && socket.user.displayName) ||
+      `User${Math.floor(Math.random() * 10000)}`;
+    
+    // Store user in world state
+    const userData = {
+      id: userId,
+      socketId: socket.id,
+      username: username,
+      displayName: data.displayName || username,
+      position: data.position || { x: 0, y: 0, z: 0 },
+      rotation: data.rotation || { x: 0, y: 0, z: 0 },
+      customAvatarUrl: data.customAvatarUrl || null,
+      accountId,
+      instanceId: INSTANCE_ID,
+      color: Math.random() * 0xffffff,
+      joinedAt: new Date()
     };
     
-    socket.emit('world-state', stateToSend);
+    worldState.users.set(userId, userData);
+    worldState.avatars.update(userId, userData.position, userData.rotation);
+    worldState.interest.addViewer(userId, socket.id, userData.position);
+    relay(worldState, 'userPresence', 'user-joined', { user: userData });
+    
+    if (socket.protocolVersion < 2) {
+      socket.join(legacyMovesRoom(spaceName));
+    }
+    
+    // Persist user session
+    if (persistence) {
+      try {
+        // Accounts keep their registered username; only the display name follows the client
+        await persistence.upsertUser({
+          userId: actorId,
+          username: accountId ? null : username,
+          displayName: userData.displayName,
+          avatarUrl: data.avatarUrl
+        });
+        
+        const session = await worldRepository.startSession(worldState.spaceId, {
+          userId,
+          actorId,
+          socketId: socket.id,
+          username,
+          position: userData.position,
+          rotation: userData.rotation
+        }, {
+          ipAddress: socket.handshake.address,
+          userAgent: socket.handshake.headers['user-agent']
+        });
+        sessionId = session.id;
+      } catch (error) {
+        console.error('Failed to persist user session:', error);
+      }
+    }
+    
+    await loadObjectHistory();
+    
+    // Send world state to new user
+    const stateToSend = protocol.buildWorldStatePayload({
+      spaceName,
+      objects: worldState.objects,
+      uploadedModels: worldState.uploadedModels,
+      chatHistory: worldState.chatHistory.slice(-50),
+      users: worldState.users,
+      sharedScreen: worldState.sharedScreen,
+      claims: worldState.claims.list()
+    });
+    
+    socket.emit(EVENTS.WORLD_STATE, stateToSend);
     
     // Notify other users
-    socket.broadcast.emit('user-joined', userData);
+    socket.to(spaceName).emit(EVENTS.USER_JOINED, userData);
+    io.to(spaceName).emit(EVENTS.USER_COUNT_UPDATE, { count: worldState.users.size });
     
     // Log event
     if (persistence) {
       await persistence.logEvent('user.join', { 
         userId, 
+        accountId,
         username, 
         socketId: socket.id 
-      });
+      }, accountId, worldState.spaceId);
     }
   });
   
   // Handle user movement with batch processing
-  socket.on('user-move', async (data) => {
-    if (!userId) return;
+  socket.on(EVENTS.USER_MOVE, (data) => {
+    if (!userId || !worldState) return;
     
     const user = worldState.users.get(userId);
     if (user) {
+      // Only the latest position per tick is broadcast and persisted
+      // (see broadcastAvatarSnapshots)
       user.position = data.position;
-      user.rotation = data.rotation;
-      
-      // Batch position updates
-      if (batchProcessor) {
-        batchProcessor.add('userPositions', {
-          userId,
-          position: data.position,
-          rotation: data.rotation,
-          spaceId: 'main'
+      user.rotation = data.rotation || user.rotation;
+      worldState.avatars.update(userId, user.position, user.rotation);
+      worldState.interest.moveUser(userId, user.position);
+    }
+  });
+  
+  // Handle user rename
+  socket.on(EVENTS.USER_NAME_CHANGE, async (data) => {
+    if (!worldState) return;
+    
+    const user = worldState.users.get(userId);
+    if (!user) return;
+    
+    const newName = data.newName.trim().substring(0, 20);
+    if (!newName || newName === user.username) return;
+    
+    const oldName = user.username;
+    user.username = newName;
+    user.displayName = newName;
+    relay(worldState, 'userPresence', 'user-renamed', { userId, newName });
+    
+    if (persistence) {
+      try {
+        await persistence.upsertUser({
+          userId: actorId,
+          username: accountId ? null : newName,
+          displayName: newName
         });
-      } else if (persistence) {
-        // Direct update if no batch processing
-        await persistence.updateUserPosition(userId, data.position, data.rotation);
+      } catch (error) {
+        console.error('Failed to persist user rename:', error);
       }
-      
-      // Broadcast to other users
-      socket.broadcast.emit('user-moved', {
-        userId,
-        position: data.position,
-        rotation: data.rotation
-      });
     }
+    
+    io.to(worldState.spaceName).emit(EVENTS.USER_NAME_CHANGED, { userId, oldName, newName });
   });
   
   // Handle object creation with persistence
-  socket.on('object-add', async (data) => {
-    console.log('➕ Object added:', data.name);
+  socket.on(EVENTS.OBJECT_ADD, async (data) => {
+    if (!worldState) return;
+    
+    console.log(`➕ Object added to ${worldState.spaceName}:`, data.name);
     
     const objectId = data.objectId || uuidv4();
+    
+    // Re-adding an existing id would overwrite it, so it counts as a move
+    // and keeps the original ownership
+    const existing = worldState.objects.get(objectId);
+    if (existing && !authorizeObjectEdit(objectId, OBJECT_ACTIONS.MOVE)) return;
+    if (existing && !checkObjectClaim(objectId, 'add')) return;
+    
+    const ownership = existing
+      ? {
+          createdBy: existing.createdBy,
+          ownerId: existing.ownerId,
+          locked: existing.locked,
+          isPublic: existing.isPublic,
+          createdAt: existing.createdAt
+        }
+      : { createdBy: actorId, ownerId: accountId, locked: false, isPublic: false, createdAt: new Date() };
+    
+    const { valid, transform } = validateTransform(objectId, 'add', data, existing);
+    if (!valid) return;
+    
     const objectData = {
       ...data,
       objectId,
-      createdBy: userId,
-      createdAt: new Date()
+      ...ownership,
+      ...transform
     };
     
-    worldState.objects.set(objectId, objectData);
-    
-    // Persist object
-    if (persistence) {
-      try {
-        await persistence.saveObject({
-          ...objectData,
-          spaceId: 'main'
-        });
-      } catch (error) {
-        console.error('Failed to persist object:', error);
-      }
-    }
+    worldState.history.record(actorId, {
+      type: existing ? HISTORY_OPERATIONS.MOVE : HISTORY_OPERATIONS.ADD,
+      objectId,
+      before: snapshotObject(existing),
+      after: snapshotObject(objectData)
+    });
     
-    // Cache object
-    if (cache) {
-      await cache.hset('object', 'main', objectId, objectData);
-    }
+    await storeObject(objectData);
     
-    // Broadcast to all users
-    io.emit('object-added', objectData);
+    // Broadcast to everyone in the space
+    io.to(worldState.spaceName).emit(EVENTS.OBJECT_ADDED, { ...objectData, addedBy: userId });
     
     // Log event
     if (persistence) {
@@ -369,70 +1264,115 @@ io.on('connection', async (socket) => {
         objectId, 
         userId, 
         objectType: data.type 
-      });
+      }, accountId, worldState.spaceId);
     }
   });
   
   // Handle object movement with batch processing
-  socket.on('object-move', async (data) => {
+  socket.on(EVENTS.OBJECT_MOVE, async (data) => {
+    if (!worldState) return;
+    
     const object = worldState.objects.get(data.objectId);
     if (object) {
-      object.position = data.position;
-      object.rotation = data.rotation;
-      object.scale = data.scale;
+      if (!authorizeObjectEdit(data.objectId, OBJECT_ACTIONS.MOVE)) return;
       
-      // Batch object updates
-      if (batchProcessor) {
-        batchProcessor.add('objectUpdates', {
-          objectId: data.objectId,
-          position: data.position,
-          rotation: data.rotation,
-          scale: data.scale,
-          updatedBy: userId,
-          spaceId: 'main'
-        });
-      } else if (persistence) {
-        // Direct update if no batch processing
-        await persistence.updateObject(data.objectId, {
-          position: data.position,
-          rotation: data.rotation,
-          scale: data.scale
-        }, userId);
-      }
+      // Moving grabs the object (or renews our grab) so concurrent drags
+      // by others are refused instead of overwriting each other
+      if (!claimObject(data.objectId, OBJECT_ACTIONS.MOVE)) return;
+      
+      const { valid, transform, clamped } = validateTransform(data.objectId, OBJECT_ACTIONS.MOVE, data, object);
+      if (!valid) return;
       
-      // Broadcast to other users
-      socket.broadcast.emit('object-moved', data);
+      const before = snapshotObject(object);
+      await storeTransform(object, transform);
+      
+      worldState.history.record(actorId, {
+        type: HISTORY_OPERATIONS.MOVE,
+        objectId: data.objectId,
+        before,
+        after: snapshotObject(object)
+      });
+      
+      // Broadcast to nearby users; a clamped move also goes back to the sender
+      broadcastObjectMove(
+        worldState,
+        { objectId: data.objectId, ...transform, movedBy: userId },
+        object.position,
+        userId,
+        clamped ? socket.id : null
+      );
     }
   });
   
   // Handle object deletion with persistence
-  socket.on('object-delete', async (data) => {
-    console.log('➖ Object deleted:', data.objectId);
+  socket.on(EVENTS.OBJECT_DELETE, async (data) => {
+    if (!worldState) return;
+    
+    console.log(`➖ Object deleted from ${worldState.spaceName}:`, data.objectId);
     
     if (worldState.objects.has(data.objectId)) {
-      worldState.objects.delete(data.objectId);
+      if (!authorizeObjectEdit(data.objectId, OBJECT_ACTIONS.DELETE)) return;
+      if (!checkObjectClaim(data.objectId, OBJECT_ACTIONS.DELETE)) return;
       
-      // Persist deletion
-      if (persistence) {
-        try {
-          await persistence.deleteObject(data.objectId, userId);
-        } catch (error) {
-          console.error('Failed to delete object:', error);
-        }
-      }
+      worldState.history.record(actorId, {
+        type: HISTORY_OPERATIONS.DELETE,
+        objectId: data.objectId,
+        before: snapshotObject(worldState.objects.get(data.objectId)),
+        after: null
+      });
       
-      // Remove from cache
-      if (cache) {
-        await cache.delete('object', data.objectId);
-      }
+      await removeObject(data.objectId);
       
-      // Broadcast to all users
-      io.emit('object-deleted', { objectId: data.objectId });
+      // Broadcast to everyone in the space
+      io.to(worldState.spaceName).emit(EVENTS.OBJECT_DELETED, { objectId: data.objectId, deletedBy: userId });
     }
   });
   
+  // Handle lock / public-edit changes (owner, moderators and admins only)
+  socket.on(EVENTS.OBJECT_PERMISSIONS_UPDATE, async (data) => {
+    if (!worldState) return;
+    if (!authorizeObjectEdit(data.objectId, OBJECT_ACTIONS.MANAGE)) return;
+    
+    const object = worldState.objects.get(data.objectId);
+    if (typeof data.locked === 'boolean') object.locked = data.locked;
+    if (typeof data.isPublic === 'boolean') object.isPublic = data.isPublic;
+    worldState.changes.updatePermissions(data.objectId, accountId);
+    
+    relay(worldState, 'objectUpdates', 'object-stored', { object });
+    io.to(worldState.spaceName).emit(EVENTS.OBJECT_PERMISSIONS_CHANGED, {
+      objectId: data.objectId,
+      ownerId: object.ownerId || null,
+      locked: !!object.locked,
+      isPublic: !!object.isPublic,
+      changedBy: userId
+    });
+  });
+  
+  // Grab an object on selection; only users who may move it can hold it
+  socket.on(EVENTS.OBJECT_CLAIM, (data) => {
+    if (!worldState || !userId) return;
+    if (!authorizeObjectEdit(data.objectId, OBJECT_ACTIONS.MOVE)) return;
+    
+    claimObject(data.objectId, 'claim');
+  });
+  
+  socket.on(EVENTS.OBJECT_RELEASE, (data) => {
+    if (!worldState) return;
+    
+    if (worldState.claims.release(data.objectId, socket.id)) {
+      relay(worldState, 'objectUpdates', 'object-released', { objectId: data.objectId });
+      io.to(worldState.spaceName).emit(EVENTS.OBJECT_RELEASED, { objectId: data.objectId, userId });
+    }
+  });
+  
+  // Revert (or re-apply) this user's own object edits, for everyone
+  socket.on(EVENTS.OBJECT_UNDO, () => replayObjectHistory('undo'));
+  socket.on(EVENTS.OBJECT_REDO, () => replayObjectHistory('redo'));
+  
   // Handle chat messages with persistence
-  socket.on('chat-message', async (data) => {
+  socket.on(EVENTS.CHAT_MESSAGE, async (data) => {
+    if (!worldState) return;
+    
     const user = worldState.users.get(userId);
     if (!user) return;
     
@@ -448,37 +1388,34 @@ io.on('connection', async (socket) => {
     if (worldState.chatHistory.length > 100) {
       worldState.chatHistory.shift();
     }
+    relay(worldState, 'chatMessages', 'chat-message', { message });
+    worldState.changes.addChatMessage({ ...message, userId: actorId, spaceId: worldState.spaceId });
     
-    // Batch chat messages
-    if (batchProcessor) {
-      batchProcessor.add('chatMessages', {
-        ...message,
-        spaceId: 'main'
-      });
-    } else if (persistence) {
-      // Direct save if no batch processing
-      await persistence.saveChatMessage(message);
-    }
-    
-    // Broadcast to all users
-    io.emit('chat-message', message);
+    // Broadcast to everyone in the space
+    io.to(worldState.spaceName).emit(EVENTS.CHAT_MESSAGE, message);
   });
   
   // Handle screen sharing with persistence
-  socket.on('screen-share-started', async (data) => {
-    console.log('🖥️ Screen share started by:', data.username);
+  socket.on(EVENTS.SCREEN_SHARE_START, async (data) => {
+    if (!worldState) return;
+    
+    const sharer = worldState.users.get(userId);
+    console.log('🖥️ Screen share started by:', sharer?.username);
     
+    // Peers connect to the sharer by socket id, so advertise that as userId
     worldState.sharedScreen = {
-      userId,
-      username: data.username,
-      shareType: data.shareType || 'screen'
+      userId: socket.id,
+      username: sharer?.username,
+      shareType: data.shareType || (data.isVideoFile ? 'video_file' : 'screen'),
+      streamId: data.streamId
     };
+    relay(worldState, 'screenShare', 'screen-share', { sharedScreen: worldState.sharedScreen });
     
     // Persist screen share session
     let shareId = null;
     if (persistence) {
       try {
-        const share = await persistence.startScreenShare(userId, data.shareType);
+        const share = await persistence.startScreenShare(actorId, worldState.sharedScreen.shareType, worldState.spaceId);
         shareId = share.id;
       } catch (error) {
         console.error('Failed to persist screen share:', error);
@@ -487,17 +1424,19 @@ io.on('connection', async (socket) => {
     
     // Cache screen share state
     if (cache) {
-      await cache.set('screenShare', 'main', worldState.sharedScreen, 300);
+      await cache.set('screenShare', worldState.spaceId, worldState.sharedScreen, 300);
     }
     
     // Store share ID for later
     socket.shareId = shareId;
     
-    // Notify all users
-    io.emit('screen-share-started', worldState.sharedScreen);
+    // Notify everyone else in the space
+    socket.to(worldState.spaceName).emit(EVENTS.SCREEN_SHARE_STARTED, worldState.sharedScreen);
   });
   
-  socket.on('screen-share-stopped', async () => {
+  socket.on(EVENTS.SCREEN_SHARE_STOP, async () => {
+    if (!worldState) return;
+    
     console.log('🖥️ Screen share stopped');
     
     // End screen share session in database
@@ -510,71 +1449,97 @@ io.on('connection', async (socket) => {
     }
     
     worldState.sharedScreen = null;
+    relay(worldState, 'screenShare', 'screen-share', { sharedScreen: null });
     
     // Clear from cache
     if (cache) {
-      await cache.delete('screenShare', 'main');
+      await cache.delete('screenShare', worldState.spaceId);
     }
     
-    io.emit('screen-share-stopped');
+    io.to(worldState.spaceName).emit(EVENTS.SCREEN_SHARE_STOPPED, { userId: socket.id });
   });
   
-  // Handle WebRTC signaling (unchanged)
-  socket.on('webrtc-offer', (data) => {
-    socket.to(data.to).emit('webrtc-offer', {
+  // Handle WebRTC signaling (peers are addressed by socket id)
+  socket.on(EVENTS.WEBRTC_OFFER, (data) => {
+    socket.to(data.to).emit(EVENTS.WEBRTC_OFFER, {
       from: socket.id,
       offer: data.offer
     });
   });
   
-  socket.on('webrtc-answer', (data) => {
-    socket.to(data.to).emit('webrtc-answer', {
+  socket.on(EVENTS.WEBRTC_ANSWER, (data) => {
+    socket.to(data.to).emit(EVENTS.WEBRTC_ANSWER, {
       from: socket.id,
       answer: data.answer
     });
   });
   
-  socket.on('webrtc-ice-candidate', (data) => {
-    socket.to(data.to).emit('webrtc-ice-candidate', {
+  socket.on(EVENTS.WEBRTC_ICE_CANDIDATE, (data) => {
+    socket.to(data.to).emit(EVENTS.WEBRTC_ICE_CANDIDATE, {
       from: socket.id,
       candidate: data.candidate
     });
   });
   
   // Handle disconnection with persistence
-  socket.on('disconnect', async () => {
+  // Shutdown waits for this before the database is closed
+  socket.on('disconnect', () => gracefulShutdown.track(onDisconnect()));
+  
+  async function onDisconnect() {
     console.log('🔌 Disconnected:', socket.id);
     
+    // Never spawned into a space
+    if (!worldState) return;
+    
+    await leaveSpace();
+  }
+  
+  // Take this connection out of its space: what it was holding or sharing
+  // is let go, its avatar and session end and the others are told
+  async function leaveSpace() {
+    socket.leave(worldState.spaceName);
+    socket.leave(legacyMovesRoom(worldState.spaceName));
+    
+    // Let go of anything this connection was holding
+    for (const objectId of worldState.claims.releaseAll(socket.id)) {
+      relay(worldState, 'objectUpdates', 'object-released', { objectId });
+      socket.to(worldState.spaceName).emit(EVENTS.OBJECT_RELEASED, { objectId, userId });
+    }
+    
+    // Guests cannot come back as the same actor, so their history goes too
+    if (!accountId) {
+      worldState.history.clear(actorId);
+    }
+    
     // Find and remove user
     let disconnectedUser = null;
     for (const [id, user] of worldState.users) {
       if (user.socketId === socket.id) {
         disconnectedUser = user;
         worldState.users.delete(id);
+        worldState.avatars.remove(id);
+        worldState.interest.removeUser(id);
+        relay(worldState, 'userPresence', 'user-left', { userId: id });
         
-        // End session in database
+        // End session in database and cache
         if (persistence) {
           try {
-            await persistence.endSession(socket.id);
+            await worldRepository.endSession(worldState.spaceId, id, socket.id);
           } catch (error) {
             console.error('Failed to end session:', error);
           }
         }
         
-        // Remove from cache
-        if (cache) {
-          await cache.removeUserSession(id);
-        }
-        
         // Notify other users
-        socket.broadcast.emit('user-left', { userId: id });
+        socket.to(worldState.spaceName).emit(EVENTS.USER_LEFT, { userId: id });
+        socket.to(worldState.spaceName).emit(EVENTS.USER_COUNT_UPDATE, { count: worldState.users.size });
         
         // Log event
         if (persistence) {
           await persistence.logEvent('user.leave', { 
             userId: id, 
             socketId: socket.id 
-          });
+          }, null, worldState.spaceId);
         }
         
         break;
@@ -582,11 +1547,15 @@ io.on('connection', async (socket) => {
     }
     
     // Clear screen share if this user was sharing
-    if (worldState.sharedScreen && worldState.sharedScreen.userId === userId) {
+    if (worldState.sharedScreen && worldState.sharedScreen.userId === socket.id) {
       worldState.sharedScreen = null;
-      io.emit('screen-share-stopped');
+      relay(worldState, 'screenShare', 'screen-share', { sharedScreen: null });
+      io.to(worldState.spaceName).emit(EVENTS.SCREEN_SHARE_STOPPED, { userId: socket.id });
     }
-  });
+    
+    worldState = null;
+    sessionId = null;
+  }
 });
 
 // ==================== REST API ENDPOINTS ====================
@@ -599,22 +1568,34 @@ app.get('/health', async (req, res) => {
     timestamp: new Date(),
     persistence: {
       enabled: PERSISTENCE_ENABLED,
+      driver: persistence ? persistence.driver : null,
       database: false,
       cache: false
     },
+    cluster: clusterSync ? {
+      instanceId: INSTANCE_ID,
+      peers: clusterSync.instances.size
+    } : null,
     worldState: {
-      users: worldState.users.size,
-      objects: worldState.objects.size,
-      models: worldState.uploadedModels.size,
-      messages: worldState.chatHistory.length
+      spaces: worldStates.size,
+      users: 0,
+      objects: 0,
+      models: 0,
+      messages: 0
     }
   };
   
+  for (const worldState of worldStates.values()) {
+    health.worldState.users += worldState.users.size;
+    health.worldState.objects += worldState.objects.size;
+    health.worldState.models += worldState.uploadedModels.size;
+    health.worldState.messages += worldState.chatHistory.length;
+  }
+  
   // Check database connection
   if (persistence) {
     try {
-      await persistence.pool.query('SELECT 1');
-      health.persistence.database = true;
+      health.persistence.database = await persistence.ping();
     } catch (error) {
       health.persistence.database = false;
     }
@@ -623,6 +1604,7 @@ app.get('/health', async (req, res) => {
   // Check cache connection
   if (cache) {
     health.persistence.cache = await cache.ping();
+    health.cache = cache.getMetrics();
   }
   
   // Get batch processor stats
@@ -633,9 +1615,74 @@ app.get('/health', async (req, res) => {
   res.json(health);
 });
 
-// Get world state snapshot
-app.get('/api/world-state', async (req, res) => {
+// Batches the BatchProcessor could not write; server admins only
+function authorizeDeadLetters(req, res) {
+  if (!batchProcessor) {
+    res.status(503).json({ error: 'Batch processing is disabled' });
+    return false;
+  }
+  
+  if (!req.user.isAdmin) {
+    res.status(403).json({ error: 'Only admins can manage dead letters' });
+    return false;
+  }
+  
+  return true;
+}
+
+// Optional list of dead letter ids; none means all of them
+function deadLetterIds(body) {
+  const ids = body && body.ids;
+  if (ids === undefined || ids === null) return null;
+  return Array.isArray(ids) && ids.every(id => typeof id === 'string') ? ids : undefined;
+}
+
+app.get('/api/admin/dead-letters', authenticateUser, async (req, res) => {
+  try {
+    if (!authorizeDeadLetters(req, res)) return;
+    
+    const entries = await batchProcessor.getDeadLetters();
+    res.json({ count: entries.length, entries });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/admin/dead-letters/replay', authenticateUser, async (req, res) => {
+  try {
+    if (!authorizeDeadLetters(req, res)) return;
+    
+    const ids = deadLetterIds(req.body);
+    if (ids === undefined) {
+      return res.status(400).json({ error: 'ids must be a list of dead letter ids' });
+    }
+    
+    res.json(await batchProcessor.replayDeadLetters(ids));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/admin/dead-letters/:id', authenticateUser, async (req, res) => {
+  try {
+    if (!authorizeDeadLetters(req, res)) return;
+    
+    const removed = await batchProcessor.discardDeadLetters([req.params.id]);
+    if (removed === 0) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get world state snapshot for a space
+app.get('/api/world-state/:spaceName?', async (req, res) => {
+  const worldState = await getWorldState(resolveSpaceName(req.params.spaceName));
+  
   const state = {
+    spaceName: worldState.spaceName,
     objects: Object.fromEntries(worldState.objects),
     users: Object.fromEntries(worldState.users),
     models: Object.fromEntries(worldState.uploadedModels),
@@ -647,8 +1694,8 @@ app.get('/api/world-state', async (req, res) => {
 });
 
 // Get space statistics
-app.get('/api/statistics/:spaceId?', async (req, res) => {
-  const spaceId = req.params.spaceId || 'main';
+app.get('/api/statistics/:spaceName?', async (req, res) => {
+  const worldState = await getWorldState(resolveSpaceName(req.params.spaceName));
   
   if (!persistence) {
     return res.json({
@@ -663,7 +1710,7 @@ app.get('/api/statistics/:spaceId?', async (req, res) => {
   }
   
   try {
-    const stats = await persistence.getSpaceStatistics(spaceId);
+    const stats = await persistence.getSpaceStatistics(worldState.spaceId);
     res.json(stats);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -682,59 +1729,53 @@ app.post('/api/upload-model',
         return res.status(400).json({ error: 'No file uploaded' });
       }
       
-      const modelId = uuidv4();
-      const key = `models/${modelId}.glb`;
-      
-      // Upload to R2
-      const uploadParams = {
-        Bucket: process.env.R2_BUCKET || '3d-world-models',
-        Key: key,
-        Body: file.buffer,
-        ContentType: 'model/gltf-binary',
-        Metadata: {
-          originalName: file.originalname,
-          uploadedBy: req.userId,
-          uploadedAt: new Date().toISOString()
-        }
-      };
-      
-      await r2.upload(uploadParams).promise();
+      const worldState = await getWorldState(resolveSpaceName(req.body.spaceName));
       
-      const publicUrl = `https://${process.env.R2_PUBLIC_URL || 'assets.3dworld.com'}/${key}`;
-      
-      // Store model info
-      const modelData = {
+      const modelId = uuidv4();
+      const key = modelKey(modelId);
+      const model = {
         modelId,
         name: req.body.name || file.originalname,
         originalFilename: file.originalname,
         r2Key: key,
-        publicUrl,
+        publicUrl: modelPublicUrl(key),
         fileSize: file.size,
         format: 'glb',
         uploadedBy: req.userId,
-        uploadedAt: new Date()
+        uploadedAt: new Date(),
+        spaceId: worldState.spaceId
       };
       
-      worldState.uploadedModels.set(modelId, modelData);
-      
-      // Persist model info
+      // Recorded now so the job can still be looked up after the queue has
+      // forgotten it; the model joins the space once it is stored
       if (persistence) {
-        await persistence.saveUploadedModel(modelData);
+        await persistence.saveUploadedModel({ ...model, processingStatus: 'queued' });
       }
       
-      // Cache model info
-      if (cache) {
-        await cache.hset('model', 'main', modelId, modelData);
+      let job;
+      try {
+        job = uploadJobs.add(modelId, {
+          userId: req.userId,
+          data: { buffer: file.buffer, key, model, spaceName: worldState.spaceName }
+        });
+      } catch (error) {
+        if (!(error instanceof UploadJobError)) throw error;
+        
+        if (persistence) {
+          await persistence.updateUploadedModel(modelId, { processingStatus: 'failed' });
+        }
+        return res.status(503).json(error.body);
       }
       
-      // Broadcast new model to all users
-      io.emit('model-uploaded', modelData);
-      
-      res.json({
+      // Validated, optimized and stored in the background; progress comes
+      // as upload-job-updated events and from the status URL
+      res.status(202).json({
         success: true,
+        jobId: modelId,
         modelId,
-        publicUrl,
-        message: 'Model uploaded successfully'
+        status: job.status,
+        statusUrl: `/api/upload-jobs/${modelId}`,
+        message: 'Model uploaded, processing'
       });
       
     } catch (error) {
@@ -744,16 +1785,691 @@ app.post('/api/upload-model',
   }
 );
 
-// Get uploaded models
-app.get('/api/models', async (req, res) => {
+// State of one of the user's model uploads
+app.get('/api/upload-jobs/:id', authenticateUser, async (req, res) => {
+  try {
+    const queued = uploadJobs.get(req.params.id);
+    if (queued) {
+      const { userId, ...job } = queued;
+      if (userId !== req.userId) {
+        return res.status(404).json({ error: 'Upload job not found' });
+      }
+      return res.json(job);
+    }
+    
+    // Finished a while ago or before a restart: the model record says how
+    const row = persistence ? await persistence.getUploadedModel(req.params.id) : null;
+    if (!row || row.uploaded_by !== req.userId) {
+      return res.status(404).json({ error: 'Upload job not found' });
+    }
+    
+    res.json(jobFromProcessingStatus(row.model_id, row.processing_status, uploadJobResult(mapModelRow(row))));
+  } catch (error) {
+    console.error('Error loading upload job:', error);
+    res.status(500).json({ error: 'Failed to load upload job' });
+  }
+});
+
+// Get uploaded models for a space
+app.get('/api/models/:spaceName?', async (req, res) => {
+  const worldState = await getWorldState(resolveSpaceName(req.params.spaceName));
   const models = Array.from(worldState.uploadedModels.values());
   res.json(models);
 });
 
+// ==================== SPACE MODERATORS ====================
+
+// Only the space owner and admins may appoint moderators
+async function authorizeSpaceManager(req, res) {
+  if (!persistence) {
+    res.status(503).json({ error: 'Moderators require persistence' });
+    return null;
+  }
+  
+  const worldState = await getWorldState(resolveSpaceName(req.params.spaceName));
+  if (!req.user.isAdmin && worldState.ownerId !== req.userId) {
+    res.status(403).json({ error: 'Only the space owner can manage moderators' });
+    return null;
+  }
+  
+  return worldState;
+}
+
+app.get('/api/spaces/:spaceName/moderators', authenticateUser, async (req, res) => {
+  try {
+    const worldState = await authorizeSpaceManager(req, res);
+    if (!worldState) return;
+    
+    res.json(await persistence.getSpaceModerators(worldState.spaceId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/spaces/:spaceName/moderators', authenticateUser, async (req, res) => {
+  try {
+    const worldState = await authorizeSpaceManager(req, res);
+    if (!worldState) return;
+    
+    const { userId } = req.body;
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    
+    await persistence.addSpaceModerator(worldState.spaceId, userId, req.userId);
+    worldState.moderators.add(userId);
+    relay(worldState, 'objectUpdates', 'moderators-changed', { added: userId });
+    res.status(201).json({ success: true, userId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/spaces/:spaceName/moderators/:userId', authenticateUser, async (req, res) => {
+  try {
+    const worldState = await authorizeSpaceManager(req, res);
+    if (!worldState) return;
+    
+    await persistence.removeSpaceModerator(worldState.spaceId, req.params.userId);
+    worldState.moderators.delete(req.params.userId);
+    relay(worldState, 'objectUpdates', 'moderators-changed', { removed: req.params.userId });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== SNAPSHOTS ====================
+
+// Space admins (owner, moderators and site admins) manage snapshots and
+// space bundles; `feature` names them in errors
+async function authorizeSpaceAdmin(req, res, feature = 'snapshots') {
+  if (!PERSISTENCE_ENABLED || !persistence) {
+    res.status(503).json({ error: `Persistence is required to manage ${feature}` });
+    return null;
+  }
+  
+  const worldState = await getWorldState(resolveSpaceName(req.params.spaceName));
+  const isSpaceAdmin = req.user.isAdmin ||
+    worldState.ownerId === req.userId ||
+    worldState.moderators.has(req.userId);
+  
+  if (!isSpaceAdmin) {
+    res.status(403).json({ error: `Only space admins can manage ${feature}` });
+    return null;
+  }
+  
+  return worldState;
+}
+
+// Store the current layout of a space
+function takeSnapshot(worldState, { name, kind = SNAPSHOT_KINDS.MANUAL, createdBy = null }) {
+  return persistence.saveSnapshot({
+    spaceId: worldState.spaceId,
+    name,
+    kind,
+    createdBy,
+    objects: Object.fromEntries(worldState.objects),
+    uploadedModels: Object.fromEntries(worldState.uploadedModels)
+  });
+}
+
+// A snapshot of this space, or null
+async function findSnapshot(worldState, snapshotId) {
+  if (!isUuid(snapshotId)) return null;
+  
+  const snapshot = await persistence.getSnapshot(snapshotId);
+  return snapshot && snapshot.space_id === worldState.spaceId ? snapshot : null;
+}
+
+function snapshotSummary(snapshot) {
+  const { objects, uploaded_models, ...summary } = snapshot;
+  return summary;
+}
+
+// Bring a space back to a snapshot's layout, for everyone. The layout it
+// replaces is kept as a pre-restore snapshot, so a restore can be undone by
+// restoring that one.
+async function restoreSnapshot(worldState, snapshot, actorId, backupName = `Before restoring "${snapshot.name}"`) {
+  const backup = await takeSnapshot(worldState, {
+    name: backupName,
+    kind: SNAPSHOT_KINDS.PRE_RESTORE,
+    createdBy: actorId
+  });
+  
+  const diff = diffObjects(worldState.objects, snapshot.objects);
+  const inPlace = diff.changed.filter(isInPlaceChange);
+  const replaced = diff.changed.filter(change => !isInPlaceChange(change));
+  const touched = new Set();
+  
+  // Objects that are gone in the snapshot, or that became another object
+  for (const object of [...diff.removed, ...replaced.map(change => change.before)]) {
+    const { objectId } = object;
+    
+    worldState.objects.delete(objectId);
+    worldState.interest.dropObject(objectId);
+    worldState.changes.removeObject(objectId, actorId);
+    relay(worldState, 'objectUpdates', 'object-removed', { objectId });
+    io.to(worldState.spaceName).emit(EVENTS.OBJECT_DELETED, { objectId, deletedBy: actorId });
+    touched.add(objectId);
+  }
+  
+  // A replaced object keeps its id; storing it writes the whole row over
+  // the old one, so its pending removal need not be written first
+  for (const object of [...diff.added, ...replaced.map(change => change.after)]) {
+    const restored = { ...object };
+    
+    worldState.objects.set(restored.objectId, restored);
+    worldState.changes.storeObject(restored.objectId, actorId);
+    relay(worldState, 'objectUpdates', 'object-stored', { object: restored });
+    io.to(worldState.spaceName).emit(EVENTS.OBJECT_ADDED, { ...restored, addedBy: actorId });
+    touched.add(restored.objectId);
+  }
+  
+  // Moved or re-locked objects are updated where they are
+  for (const { objectId, fields, after } of inPlace) {
+    const object = worldState.objects.get(objectId);
+    fields.forEach(field => { object[field] = after[field]; });
+    
+    if (fields.some(field => TRANSFORM_FIELDS.includes(field))) {
+      // Queued far moves of this object are stale now
+      worldState.interest.dropObject(objectId);
+      worldState.changes.transformObject(objectId, actorId);
+      io.to(worldState.spaceName).emit(EVENTS.OBJECT_MOVED, {
+        objectId,
+        position: object.position,
+        rotation: object.rotation,
+        scale: object.scale,
+        movedBy: actorId
+      });
+    }
+    
+    if (fields.some(field => PERMISSION_FIELDS.includes(field))) {
+      worldState.changes.updatePermissions(objectId, actorId);
+      io.to(worldState.spaceName).emit(EVENTS.OBJECT_PERMISSIONS_CHANGED, {
+        objectId,
+        ownerId: object.ownerId || null,
+        locked: !!object.locked,
+        isPublic: !!object.isPublic,
+        changedBy: actorId
+      });
+    }
+    
+    relay(worldState, 'objectUpdates', 'object-stored', { object });
+    touched.add(objectId);
+  }
+  
+  // Nobody keeps dragging an object the restore just put back
+  for (const objectId of touched) {
+    const claim = worldState.claims.get(objectId);
+    if (!claim) continue;
+    
+    worldState.claims.delete(objectId);
+    relay(worldState, 'objectUpdates', 'object-released', { objectId });
+    io.to(worldState.spaceName).emit(EVENTS.OBJECT_RELEASED, { objectId, userId: claim.userId });
+  }
+  
+  // Models are only ever added, so bring back the ones that are missing
+  for (const [modelId, model] of Object.entries(snapshot.uploaded_models || {})) {
+    if (worldState.uploadedModels.has(modelId)) continue;
+    
+    worldState.uploadedModels.set(modelId, model);
+    relay(worldState, 'objectUpdates', 'model-uploaded', { model });
+    await worldRepository.saveModel(worldState.spaceId, { ...model, modelId });
+    io.to(worldState.spaceName).emit(EVENTS.MODEL_UPLOADED, model);
+  }
+  
+  // Write the restored layout now rather than with the next flush
+  await flushWorldState(worldState);
+  
+  console.log(`🕘 ${worldState.spaceName} restored to snapshot "${snapshot.name}"`);
+  return { backup, diff: summarizeDiff(diff) };
+}
+
+// When the last scheduled run happened (minute number), so one minute of
+// the schedule is not run twice
+let lastScheduledSnapshotMinute = null;
+
+// Automatic snapshots of the loaded spaces on the backup schedule; automatic
+// and pre-restore snapshots are dropped after the retention period
+async function takeScheduledSnapshots(now = new Date()) {
+  if (!PERSISTENCE_ENABLED || !persistence || !config.features.backup) return;
+  
+  const minute = Math.floor(now.getTime() / 60000);
+  if (minute === lastScheduledSnapshotMinute || !isScheduleDue(config.backup.schedule, now)) return;
+  lastScheduledSnapshotMinute = minute;
+  
+  for (const worldState of worldStates.values()) {
+    try {
+      // Another instance with this space loaded may have taken it already
+      const recent = await persistence.getSnapshots(worldState.spaceId, 20);
+      const taken = recent.some(snapshot =>
+        snapshot.kind === SNAPSHOT_KINDS.AUTO && now - new Date(snapshot.created_at) < 60 * 1000
+      );
+      if (taken) continue;
+      
+      await takeSnapshot(worldState, {
+        name: `Automatic ${now.toISOString().slice(0, 16).replace('T', ' ')}`,
+        kind: SNAPSHOT_KINDS.AUTO
+      });
+    } catch (error) {
+      console.error(`❌ Failed to snapshot ${worldState.spaceName}:`, error);
+    }
+  }
+  
+  try {
+    const removed = await persistence.deleteOldSnapshots(config.backup.retentionDays);
+    console.log(`🕘 Automatic snapshots taken (${removed} expired removed)`);
+  } catch (error) {
+    console.error('❌ Failed to remove expired snapshots:', error);
+  }
+}
+
+app.get('/api/spaces/:spaceName/snapshots', authenticateUser, async (req, res) => {
+  try {
+    const worldState = await authorizeSpaceAdmin(req, res);
+    if (!worldState) return;
+    
+    res.json(await persistence.getSnapshots(worldState.spaceId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/spaces/:spaceName/snapshots', authenticateUser, async (req, res) => {
+  try {
+    const worldState = await authorizeSpaceAdmin(req, res);
+    if (!worldState) return;
+    
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: 'name is required (up to 100 characters)' });
+    }
+    
+    res.status(201).json(await takeSnapshot(worldState, { name, createdBy: req.userId }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// What restoring a snapshot would add, remove and change
+app.get('/api/spaces/:spaceName/snapshots/:snapshotId/diff', authenticateUser, async (req, res) => {
+  try {
+    const worldState = await authorizeSpaceAdmin(req, res);
+    if (!worldState) return;
+    
+    const snapshot = await findSnapshot(worldState, req.params.snapshotId);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    
+    res.json({
+      snapshot: snapshotSummary(snapshot),
+      ...summarizeDiff(diffObjects(worldState.objects, snapshot.objects))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/spaces/:spaceName/snapshots/:snapshotId/restore', authenticateUser, async (req, res) => {
+  try {
+    const worldState = await authorizeSpaceAdmin(req, res);
+    if (!worldState) return;
+    
+    const snapshot = await findSnapshot(worldState, req.params.snapshotId);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    
+    const { backup, diff } = await restoreSnapshot(worldState, snapshot, req.userId);
+    res.json({ success: true, backupSnapshotId: backup.id, ...diff });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== SPACE BUNDLES ====================
+
+// Room setup from spaces-config.js that travels with a bundle (the server
+// endpoint belongs to the deployment, not the room)
+function portableSpaceConfig(spaceName) {
+  const { serverEndpoint, ...roomConfig } = SPACES_CONFIG[spaceName] || SPACES_CONFIG['default'];
+  return roomConfig;
+}
+
+// Export a space as a .tar.gz bundle (see space-bundle.js). Models whose GLB
+// cannot be read are kept as references to their public URL.
+async function exportSpaceBundle(worldState, { includeChat, includeAssets }) {
+  const space = await persistence.getOrCreateSpace(worldState.spaceName);
+  const models = Array.from(worldState.uploadedModels.values());
+  const assets = {};
+  
+  if (includeAssets) {
+    for (const model of models) {
+      try {
+        assets[model.modelId] = await readModelFile(model.r2Key || modelKey(model.modelId));
+      } catch (error) {
+        console.warn(`⚠️ Exporting model ${model.modelId} without its file:`, error.message);
+      }
+    }
+  }
+  
+  const chat = includeChat
+    ? (await persistence.getChatHistory(worldState.spaceId, 1000)).map(row => ({
+        username: row.username,
+        message: row.message,
+        timestamp: row.created_at
+      }))
+    : null;
+  
+  const manifest = buildManifest({
+    space: {
+      name: worldState.spaceName,
+      config: portableSpaceConfig(worldState.spaceName),
+      settings: space.settings
+    },
+    objects: worldState.objects.values(),
+    models,
+    assets: new Set(Object.keys(assets)),
+    chat
+  });
+  
+  return createBundle(manifest, assets);
+}
+
+// Import a bundle into a space, for everyone. 'replace' swaps the space's
+// objects for the bundle's, 'merge' adds them next to the existing ones;
+// either way the previous layout is kept as a pre-restore snapshot. Model
+// files go through the upload queue and join the space once stored; the
+// result lists their jobs.
+async function importSpaceBundle(worldState, { manifest, assets }, { mode, includeChat, actorId }) {
+  const limits = getObjectLimits(worldState.spaceName);
+  const warnings = [];
+  
+  // Objects must fit this space before anything is stored
+  manifest.objects.forEach(object => {
+    const { valid, errors, transform } = validateObjectTransform(object, limits);
+    if (!valid) {
+      throw new BundleError(`Object ${object.objectId} has an invalid transform: ${errors.join('; ')}`, 'INVALID_TRANSFORM');
+    }
+    Object.assign(object, transform);
+  });
+  
+  // So must the model files, as if they were uploaded, and the upload queue
+  // must have room for all of them
+  const files = manifest.models.filter(model => assets[model.modelId]);
+  for (const model of files) {
+    const report = validateGLB(assets[model.modelId], config.models);
+    if (!report.valid) {
+      const { code, details } = glbErrorResponse(report);
+      throw new BundleError(`Model "${model.name || model.modelId}" is not an acceptable GLB: ${details}`, code);
+    }
+  }
+  uploadJobs.checkRoom(files.length);
+  
+  // Models get new ids. Their files are processed again and stored where
+  // the new id says; a model without a file keeps its original URL.
+  const models = {};
+  for (const model of manifest.models) {
+    const modelId = uuidv4();
+    const key = modelKey(modelId);
+    const data = assets[model.modelId];
+    
+    if (!data && !model.publicUrl) {
+      warnings.push(`Model "${model.name || model.modelId}" has no file or URL and was skipped`);
+      continue;
+    }
+    if (!data) {
+      warnings.push(`Model "${model.name || model.modelId}" still loads from ${model.publicUrl}`);
+    }
+    
+    models[model.modelId] = {
+      modelId,
+      name: model.name,
+      originalFilename: `${model.name || modelId}.glb`,
+      r2Key: data ? key : null,
+      publicUrl: data ? modelPublicUrl(key) : model.publicUrl,
+      mobileUrl: null,
+      thumbnailUrl: null,
+      variants: {},
+      processingStatus: null,
+      fileSize: data ? data.length : model.fileSize,
+      format: 'glb',
+      uploadedBy: actorId,
+      uploadedAt: new Date(),
+      spaceId: worldState.spaceId
+    };
+  }
+  
+  const imported = importObjects(manifest, models, { actorId, createId: uuidv4 });
+  const objects = mode === 'replace'
+    ? imported
+    : { ...Object.fromEntries(worldState.objects), ...imported };
+  
+  // Only models kept by URL are part of the space right away
+  const { backup } = await restoreSnapshot(
+    worldState,
+    {
+      name: `Import of "${manifest.space.name}"`,
+      objects,
+      uploaded_models: Object.fromEntries(Object.values(models)
+        .filter(model => !model.r2Key)
+        .map(model => [model.modelId, model]))
+    },
+    actorId,
+    `Before importing "${manifest.space.name}"`
+  );
+  
+  // The files are queued like uploads by the importer, who follows them
+  // over Socket.IO or the status URL
+  const jobs = [];
+  for (const source of files) {
+    const model = models[source.modelId];
+    await persistence.saveUploadedModel({ ...model, processingStatus: 'queued' });
+    
+    try {
+      uploadJobs.add(model.modelId, {
+        userId: actorId,
+        data: { buffer: assets[source.modelId], key: model.r2Key, model, spaceName: worldState.spaceName }
+      });
+    } catch (error) {
+      if (!(error instanceof UploadJobError)) throw error;
+      
+      await persistence.updateUploadedModel(model.modelId, { processingStatus: 'failed' });
+      warnings.push(`Model "${model.name || source.modelId}" was not processed: ${error.message}`);
+      continue;
+    }
+    jobs.push({ modelId: model.modelId, jobId: model.modelId, statusUrl: `/api/upload-jobs/${model.modelId}` });
+  }
+  
+  // Settings from the bundle; merging keeps the space's own where both set one
+  const space = await persistence.getOrCreateSpace(worldState.spaceName);
+  const settings = mode === 'replace'
+    ? manifest.space.settings
+    : { ...manifest.space.settings, ...space.settings };
+  await persistence.updateSpaceSettings(worldState.spaceId, settings || {});
+  
+  // Chat keeps its authors' names, but not their accounts
+  const chat = includeChat && manifest.chat ? manifest.chat : [];
+  for (const entry of chat) {
+    const timestamp = new Date(entry.timestamp);
+    const message = {
+      id: uuidv4(),
+      userId: null,
+      username: entry.username,
+      message: String(entry.message).substring(0, 200),
+      timestamp: isNaN(timestamp) ? new Date() : timestamp
+    };
+    
+    worldState.chatHistory.push(message);
+    relay(worldState, 'chatMessages', 'chat-message', { message });
+    worldState.changes.addChatMessage({ ...message, spaceId: worldState.spaceId });
+  }
+  worldState.chatHistory = worldState.chatHistory
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .slice(-100);
+  await flushWorldState(worldState);
+  
+  // The room itself is static client configuration
+  const roomConfig = portableSpaceConfig(worldState.spaceName);
+  if (JSON.stringify(roomConfig.roomModel) !== JSON.stringify(manifest.space.config && manifest.space.config.roomModel)) {
+    warnings.push('The bundle was made in a different room; set its roomModel in spaces-config.js to match');
+  }
+  
+  console.log(`📦 Imported "${manifest.space.name}" into ${worldState.spaceName} (${mode})`);
+  return {
+    mode,
+    backupSnapshotId: backup.id,
+    objects: Object.keys(imported).length,
+    models: Object.keys(models).length,
+    jobs,
+    chatMessages: chat.length,
+    spaceConfig: manifest.space.config,
+    warnings
+  };
+}
+
+const bundleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 200 * 1024 * 1024 } // 200MB limit
+});
+
+app.get('/api/spaces/:spaceName/export', authenticateUser, async (req, res) => {
+  try {
+    const worldState = await authorizeSpaceAdmin(req, res, 'space bundles');
+    if (!worldState) return;
+    
+    const bundle = await exportSpaceBundle(worldState, {
+      includeChat: req.query.chat === 'true',
+      includeAssets: req.query.assets !== 'false'
+    });
+    const date = new Date().toISOString().slice(0, 10);
+    
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="${worldState.spaceName}-${date}.space.tar.gz"`
+    });
+    res.send(bundle);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/spaces/:spaceName/import',
+  uploadLimiter,
+  authenticateUser,
+  bundleUpload.single('bundle'),
+  async (req, res) => {
+    try {
+      const worldState = await authorizeSpaceAdmin(req, res, 'space bundles');
+      if (!worldState) return;
+      
+      if (!req.file) {
+        return res.status(400).json({ error: 'No bundle uploaded' });
+      }
+      
+      const mode = req.body.mode || 'merge';
+      if (!['merge', 'replace'].includes(mode)) {
+        return res.status(400).json({ error: 'mode must be "merge" or "replace"' });
+      }
+      
+      const result = await importSpaceBundle(worldState, readBundle(req.file.buffer), {
+        mode,
+        includeChat: req.body.chat !== 'false',
+        actorId: req.userId
+      });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      if (error instanceof BundleError) {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+      if (error instanceof UploadJobError) {
+        return res.status(503).json(error.body);
+      }
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
 // ==================== PERIODIC TASKS ====================
 
-// Save world state every 5 minutes
-setInterval(saveWorldState, 5 * 60 * 1000);
+// Write changed objects and new chat messages
+const worldSaveTimer = setInterval(flushWorldStates, WORLD_SAVE_INTERVAL);
+
+// Check the backup schedule for automatic snapshots (twice a minute so no
+// scheduled minute is skipped)
+setInterval(takeScheduledSnapshots, 30 * 1000);
+
+// Send each user a snapshot of the avatars that moved since the last tick
+// (nearby ones every tick, far ones at the coarse rate) plus any due far
+// object moves, then persist the positions that changed
+function broadcastAvatarSnapshots() {
+  for (const worldState of worldStates.values()) {
+    for (const { socketId, snapshot, objectMoves } of worldState.interest.collect()) {
+      if (snapshot) io.to(socketId).emit(EVENTS.AVATAR_SNAPSHOT, snapshot);
+      for (const move of objectMoves) {
+        io.to(socketId).emit(EVENTS.OBJECT_MOVED, move);
+      }
+    }
+    
+    // The space-wide encode only tracks which avatars moved
+    if (!worldState.avatars.encode()) continue;
+    
+    // Each instance relays and persists its own users; users on other
+    // instances arrive here through the 'avatars' relay
+    const moves = [];
+    
+    for (const id of worldState.avatars.moved) {
+      const user = worldState.users.get(id);
+      if (!user || !isLocalUser(user)) continue;
+      
+      moves.push([id, user.position, user.rotation]);
+      
+      io.to(legacyMovesRoom(worldState.spaceName)).emit(EVENTS.USER_MOVED, {
+        userId: id,
+        position: user.position,
+        rotation: user.rotation
+      });
+      
+      // Batch position updates
+      if (batchProcessor) {
+        batchProcessor.add('userPositions', {
+          userId: user.accountId || id,
+          position: user.position,
+          rotation: user.rotation,
+          spaceId: worldState.spaceId
+        });
+      } else if (persistence) {
+        // Direct update if no batch processing
+        persistence.updateUserPosition(user.accountId || id, user.position, user.rotation)
+          .catch(error => console.error('Failed to persist user position:', error));
+      }
+    }
+    
+    if (moves.length > 0) {
+      relay(worldState, 'userPresence', 'avatars', { moves });
+    }
+  }
+}
+
+setInterval(broadcastAvatarSnapshots, 1000 / TICK_RATE);
+
+// Release object claims whose holders went idle
+setInterval(() => {
+  for (const worldState of worldStates.values()) {
+    for (const claim of worldState.claims.expire()) {
+      // Every instance expires its copy; the holder's instance announces it
+      if (clusterSync && !io.sockets.sockets.has(claim.socketId)) continue;
+      
+      io.to(worldState.spaceName).emit(EVENTS.OBJECT_RELEASED, {
+        objectId: claim.objectId,
+        userId: claim.userId,
+        expired: true
+      });
+    }
+  }
+}, 5000);
 
 // Refresh materialized views every hour
 if (persistence) {
@@ -774,6 +2490,16 @@ if (persistence) {
 const PORT = process.env.PORT || 3001;
 
 async function startServer() {
+  // Join the other instances before loading spaces so they can be synced
+  if (clusterSync) {
+    try {
+      await clusterSync.start();
+    } catch (error) {
+      console.error('❌ Failed to start cluster sync, running standalone:', error);
+      clusterSync = null;
+    }
+  }
+  
   // Initialize world state from database
   await initializeWorldState();
   
@@ -797,34 +2523,9 @@ async function startServer() {
   });
 }
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('📛 SIGTERM received, shutting down gracefully...');
-  
-  // Flush batch processor
-  if (batchProcessor) {
-    await batchProcessor.shutdown();
-  }
-  
-  // Save final world state
-  await saveWorldState();
-  
-  // Close database connection
-  if (persistence) {
-    await persistence.disconnect();
-  }
-  
-  // Close cache connection
-  if (cache) {
-    await cache.disconnect();
-  }
-  
-  // Close server
-  server.close(() => {
-    console.log('Server closed');
-    process.exit(0);
-  });
-});
+// Graceful shutdown (steps next to the Socket.IO setup)
+process.on('SIGTERM', () => gracefulShutdown.shutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown.shutdown('SIGINT'));
 
 // Start the server
 startServer().catch(error => {
@@ -0,0 +1,282 @@
+// Portable space bundles: a whole space (objects, uploaded models with their
+// GLB files, room configuration, settings and optionally chat) in one
+// .tar.gz, for moving rooms between servers and templating new spaces.
+//
+// Layout of the archive:
+//   manifest.json        - BUNDLE_FORMAT / BUNDLE_VERSION, space, objects,
+//                          models and chat
+//   assets/<modelId>.glb - the uploaded models that could be fetched
+//
+// Ids and users do not carry over between servers, so the manifest keeps
+// neither object ownership nor chat authors' ids, and importing gives
+// objects and models fresh ids.
+
+const zlib = require('zlib');
+
+const BUNDLE_FORMAT = 'space-bundle';
+const BUNDLE_VERSION = 1;
+const MANIFEST_PATH = 'manifest.json';
+
+// Unpacked bundles larger than this are refused
+const MAX_BUNDLE_SIZE = 512 * 1024 * 1024;
+
+// Object fields that only mean something on the server that wrote them
+const LOCAL_OBJECT_FIELDS = ['createdBy', 'ownerId', 'addedBy', 'createdAt', 'updatedAt'];
+
+// `code` tells clients why: INVALID_BUNDLE, or what refused an object or
+// model (INVALID_TRANSFORM, or the GLB validation code)
+class BundleError extends Error {
+  constructor(message, code = 'INVALID_BUNDLE') {
+    super(message);
+    this.name = 'BundleError';
+    this.code = code;
+  }
+}
+
+const assetPath = modelId => `assets/${modelId}.glb`;
+
+// ==================== TAR ====================
+
+const BLOCK = 512;
+
+function writeString(header, value, offset, length) {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+function writeOctal(header, value, offset, length) {
+  writeString(header, value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+}
+
+function headerChecksum(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK; i++) {
+    // The checksum field itself counts as spaces
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum;
+}
+
+// Plain files ({ name, data }) -> ustar archive
+function packTar(entries, mtime = new Date()) {
+  const blocks = [];
+
+  for (const { name, data } of entries) {
+    if (Buffer.byteLength(name) > 100) {
+      throw new BundleError(`Bundle entry name too long: ${name}`);
+    }
+
+    const header = Buffer.alloc(BLOCK);
+    writeString(header, name, 0, 100);
+    writeOctal(header, 0o644, 100, 8);
+    writeOctal(header, 0, 108, 8);
+    writeOctal(header, 0, 116, 8);
+    writeOctal(header, data.length, 124, 12);
+    writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+    header[156] = 0x30; // '0': regular file
+    writeString(header, 'ustar\u000000', 257, 8);
+    writeString(header, headerChecksum(header).toString(8).padStart(6, '0') + '\u0000 ', 148, 8);
+
+    blocks.push(header, data);
+    const padding = (BLOCK - (data.length % BLOCK)) % BLOCK;
+    if (padding) blocks.push(Buffer.alloc(padding));
+  }
+
+  // End of archive: two empty blocks
+  blocks.push(Buffer.alloc(BLOCK * 2));
+  return Buffer.concat(blocks);
+}
+
+function readString(buffer, offset, length) {
+  const field = buffer.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+// ustar archive -> Map of file name to contents (directories and other
+// entry types are skipped)
+function unpackTar(buffer) {
+  const files = new Map();
+  let offset = 0;
+
+  while (offset + BLOCK <= buffer.length) {
+    const header = buffer.subarray(offset, offset + BLOCK);
+    if (header.every(byte => byte === 0)) break;
+
+    const checksum = parseInt(readString(header, 148, 8).trim(), 8);
+    if (checksum !== headerChecksum(header)) {
+      throw new BundleError('Bundle archive is corrupt');
+    }
+
+    const prefix = readString(header, 345, 155);
+    const name = (prefix ? `${prefix}/` : '') + readString(header, 0, 100);
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const start = offset + BLOCK;
+
+    if (start + size > buffer.length) {
+      throw new BundleError('Bundle archive is truncated');
+    }
+    if (type === '0') {
+      files.set(name.replace(/^\.\//, ''), buffer.subarray(start, start + size));
+    }
+
+    offset = start + Math.ceil(size / BLOCK) * BLOCK;
+  }
+
+  return files;
+}
+
+// ==================== BUNDLES ====================
+
+// What an export writes to manifest.json. objects and models are the
+// space's world state entries; chat is a list of { username, message,
+// timestamp } or null to leave chat out; assets holds the model ids whose
+// GLB files are included.
+function buildManifest({ space, objects, models, assets = new Set(), chat = null, exportedAt = new Date() }) {
+  const portableObject = object => {
+    const copy = { ...object };
+    LOCAL_OBJECT_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+  };
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date(exportedAt).toISOString(),
+    space: {
+      name: space.name,
+      config: space.config || null,
+      settings: space.settings || {}
+    },
+    objects: Array.from(objects).map(portableObject),
+    models: Array.from(models).map(model => ({
+      modelId: model.modelId,
+      name: model.name || null,
+      publicUrl: model.publicUrl || null,
+      fileSize: model.fileSize || null,
+      asset: assets.has(model.modelId) ? assetPath(model.modelId) : null
+    }))
+  };
+
+  if (chat) {
+    manifest.chat = chat.map(({ username, message, timestamp }) => ({
+      username: username || null,
+      message,
+      timestamp: new Date(timestamp).toISOString()
+    }));
+  }
+
+  return manifest;
+}
+
+// Manifest plus { modelId: GLB buffer } -> .tar.gz buffer
+function createBundle(manifest, assets = {}) {
+  const entries = [{ name: MANIFEST_PATH, data: Buffer.from(JSON.stringify(manifest, null, 2)) }];
+
+  for (const model of manifest.models) {
+    if (model.asset) entries.push({ name: model.asset, data: assets[model.modelId] });
+  }
+
+  return zlib.gzipSync(packTar(entries, new Date(manifest.exportedAt)));
+}
+
+function validateManifest(manifest) {
+  if (!manifest || manifest.format !== BUNDLE_FORMAT) {
+    throw new BundleError('Not a space bundle');
+  }
+  if (manifest.version !== BUNDLE_VERSION) {
+    throw new BundleError(`Unsupported space bundle version ${manifest.version} (expected ${BUNDLE_VERSION})`);
+  }
+  if (!manifest.space || !Array.isArray(manifest.objects) || !Array.isArray(manifest.models)) {
+    throw new BundleError('Space bundle manifest is incomplete');
+  }
+  if (manifest.objects.some(object => !object || typeof object.objectId !== 'string')) {
+    throw new BundleError('Space bundle has objects without an objectId');
+  }
+  if (manifest.chat !== undefined && !Array.isArray(manifest.chat)) {
+    throw new BundleError('Space bundle chat must be a list');
+  }
+}
+
+// .tar.gz buffer -> { manifest, assets: { modelId: GLB buffer } }
+function readBundle(buffer) {
+  let files;
+  try {
+    files = unpackTar(zlib.gunzipSync(buffer, { maxOutputLength: MAX_BUNDLE_SIZE }));
+  } catch (error) {
+    if (error instanceof BundleError) throw error;
+    throw new BundleError('Bundle is not a valid .tar.gz archive');
+  }
+
+  if (!files.has(MANIFEST_PATH)) {
+    throw new BundleError(`Bundle has no ${MANIFEST_PATH}`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(files.get(MANIFEST_PATH).toString('utf8'));
+  } catch (error) {
+    throw new BundleError(`Bundle ${MANIFEST_PATH} is not valid JSON`);
+  }
+  validateManifest(manifest);
+
+  const assets = {};
+  for (const model of manifest.models) {
+    if (!model.asset) continue;
+
+    if (model.asset !== assetPath(model.modelId) || !files.has(model.asset)) {
+      throw new BundleError(`Bundle is missing ${model.asset}`);
+    }
+    assets[model.modelId] = files.get(model.asset);
+  }
+
+  return { manifest, assets };
+}
+
+// Bundle objects as they are placed by an import: fresh ids, owned by
+// nobody, created by the importer, and pointing at the imported copies of
+// their models. importedModels maps bundle modelId -> stored model entry.
+function importObjects(manifest, importedModels, { actorId, createId }) {
+  const byUrl = new Map();
+  manifest.models.forEach(model => {
+    if (model.publicUrl && importedModels[model.modelId]) {
+      byUrl.set(model.publicUrl, importedModels[model.modelId]);
+    }
+  });
+
+  const objects = {};
+  for (const object of manifest.objects) {
+    const model = importedModels[object.modelId] || byUrl.get(object.modelUrl);
+    const imported = {
+      ...object,
+      objectId: createId(),
+      createdBy: actorId,
+      ownerId: null,
+      locked: !!object.locked,
+      isPublic: !!object.isPublic,
+      createdAt: new Date()
+    };
+
+    if (model) {
+      imported.modelId = model.modelId;
+      imported.modelUrl = model.publicUrl;
+    }
+    objects[imported.objectId] = imported;
+  }
+
+  return objects;
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  MAX_BUNDLE_SIZE,
+  BundleError,
+  assetPath,
+  packTar,
+  unpackTar,
+  buildManifest,
+  createBundle,
+  readBundle,
+  importObjects
+};
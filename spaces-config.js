@@ -1,6 +1,26 @@
 // Space Configuration System
 // This file defines different 3D spaces with their own room models and settings
 
+// Where objects may be placed and how far they may be scaled. Servers clamp
+// every object transform to these limits; spaces can override them with
+// their own objectLimits.
+const DEFAULT_OBJECT_LIMITS = {
+  bounds: {
+    min: { x: -50, y: -5, z: -50 },
+    max: { x: 50, y: 30, z: 50 }
+  },
+  scale: { min: 0.05, max: 20 }
+};
+
+// Area of interest: avatars and object moves within `radius` of a user are
+// sent every tick, anything further only every `farUpdateInterval` ms.
+// cellSize is the spatial grid cell edge on the ground plane.
+const DEFAULT_INTEREST = {
+  radius: 25,
+  cellSize: 25,
+  farUpdateInterval: 1000
+};
+
 const SPACES_CONFIG = {
   // Default space (original room)
   'default': {
@@ -42,6 +62,18 @@ const SPACES_CONFIG = {
     themeColor: '#00ff88',
     cameraPosition: { x: 0, y: 5, z: 10 },
     mobileCameraPosition: { x: 0, y: 5, z: 10 },
+    // Open space environment, so objects may roam much further
+    objectLimits: {
+      bounds: {
+        min: { x: -200, y: -50, z: -200 },
+        max: { x: 200, y: 200, z: 200 }
+      },
+      scale: { min: 0.05, max: 50 }
+    },
+    interest: {
+      radius: 60,
+      cellSize: 40
+    },
     environment: {
       type: 'space',
       backgroundColor: '#000000',
@@ -131,7 +163,34 @@ function getCurrentSpaceConfig() {
   };
 }
 
+// Object placement limits for a space (unknown spaces use the defaults)
+function getObjectLimits(spaceId) {
+  const space = SPACES_CONFIG[spaceId] || SPACES_CONFIG['default'];
+  const limits = (space && space.objectLimits) || {};
+  return {
+    bounds: limits.bounds || DEFAULT_OBJECT_LIMITS.bounds,
+    scale: limits.scale || DEFAULT_OBJECT_LIMITS.scale
+  };
+}
+
+// Area-of-interest settings for a space (missing values use the defaults)
+function getInterestSettings(spaceId) {
+  const space = SPACES_CONFIG[spaceId] || SPACES_CONFIG['default'];
+  return {
+    ...DEFAULT_INTEREST,
+    ...((space && space.interest) || {})
+  };
+}
+
 // Export for use in main application
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { SPACES_CONFIG, detectSpace, getCurrentSpaceConfig };
+  module.exports = {
+    SPACES_CONFIG,
+    DEFAULT_OBJECT_LIMITS,
+    DEFAULT_INTEREST,
+    detectSpace,
+    getCurrentSpaceConfig,
+    getObjectLimits,
+    getInterestSettings
+  };
 }
\ No newline at end of file
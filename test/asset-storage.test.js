@@ -0,0 +1,162 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const fetch = require('node-fetch');
+
+const {
+  AssetNotFoundError,
+  R2AssetStorage,
+  LocalAssetStorage,
+  MemoryAssetStorage,
+  createAssetStorage
+} = require('../asset-storage');
+
+const MODEL = Buffer.from('glTF model bytes 0123456789');
+
+describe('Asset Storage', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'asset-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    sinon.restore();
+  });
+
+  // Serves the storage's handler at /assets; resolves with the base URL
+  // and a close function
+  function serve(storage) {
+    const app = express();
+    app.use('/assets', storage.handler());
+    return new Promise(resolve => {
+      const server = app.listen(0, '127.0.0.1', () => {
+        resolve({
+          base: `http://127.0.0.1:${server.address().port}/assets`,
+          close: () => new Promise(done => server.close(done))
+        });
+      });
+    });
+  }
+
+  for (const driver of ['local', 'memory']) {
+    describe(`${driver} driver`, () => {
+      const create = () => createAssetStorage({
+        driver,
+        localDir: dir,
+        publicUrl: 'http://localhost:3001/assets/',
+        maxAge: 600
+      });
+
+      it('should read back what was stored and refuse keys outside the storage', async () => {
+        const storage = create();
+        await storage.put('models/user-1/abc.glb', MODEL, { contentType: 'model/gltf-binary' });
+
+        expect((await storage.get('models/user-1/abc.glb')).equals(MODEL)).to.be.true;
+        expect(storage.url('models/user-1/abc.glb')).to.equal('http://localhost:3001/assets/models/user-1/abc.glb');
+        expect(storage.origin).to.equal('http://localhost:3001');
+
+        let missing;
+        try {
+          await storage.get('models/other.glb');
+        } catch (error) {
+          missing = error;
+        }
+        expect(missing).to.be.instanceOf(AssetNotFoundError);
+
+        for (const key of ['../escape.glb', '/models/a.glb', 'models//a.glb', 'models\\a.glb']) {
+          let refused;
+          try {
+            await storage.put(key, MODEL);
+          } catch (error) {
+            refused = error;
+          }
+          expect(refused.message, key).to.match(/Invalid asset key/);
+        }
+
+        await storage.delete('models/user-1/abc.glb');
+        expect(await storage.get('models/user-1/abc.glb').catch(error => error)).to.be.instanceOf(AssetNotFoundError);
+      });
+
+      it('should serve stored files with range requests and cache headers', async () => {
+        const storage = create();
+        await storage.put('models/abc.glb', MODEL, { contentType: 'model/gltf-binary' });
+        const { base, close } = await serve(storage);
+
+        try {
+          const whole = await fetch(`${base}/models/abc.glb`);
+          expect(whole.status).to.equal(200);
+          expect(whole.headers.get('content-type')).to.equal('model/gltf-binary');
+          expect(whole.headers.get('accept-ranges')).to.equal('bytes');
+          expect(whole.headers.get('cache-control')).to.equal('public, max-age=600, immutable');
+          expect(whole.headers.get('cross-origin-resource-policy')).to.equal('cross-origin');
+          expect((await whole.buffer()).equals(MODEL)).to.be.true;
+
+          const part = await fetch(`${base}/models/abc.glb`, { headers: { Range: 'bytes=5-9' } });
+          expect(part.status).to.equal(206);
+          expect(part.headers.get('content-range')).to.equal(`bytes 5-9/${MODEL.length}`);
+          expect(await part.text()).to.equal('model');
+
+          const cached = await fetch(`${base}/models/abc.glb`, {
+            headers: { 'If-None-Match': whole.headers.get('etag') }
+          });
+          expect(cached.status).to.equal(304);
+
+          const beyond = await fetch(`${base}/models/abc.glb`, { headers: { Range: 'bytes=1000-' } });
+          expect(beyond.status).to.equal(416);
+
+          expect((await fetch(`${base}/models/missing.glb`)).status).to.equal(404);
+        } finally {
+          await close();
+        }
+      });
+    });
+  }
+
+  it('should not leave partly written files for the local driver to serve', async () => {
+    const storage = new LocalAssetStorage({ dir, publicUrl: 'http://localhost/assets', maxAge: 60 });
+    await storage.put('models/abc.glb', MODEL);
+    await storage.put('models/abc.glb', Buffer.from('replaced'));
+
+    expect(fs.readdirSync(path.join(dir, 'models'))).to.deep.equal(['abc.glb']);
+    expect(fs.readFileSync(path.join(dir, 'models', 'abc.glb'), 'utf8')).to.equal('replaced');
+  });
+
+  it('should keep files in an R2 bucket and hand out its public URL', async () => {
+    const request = result => ({ promise: async () => result });
+    const client = {
+      upload: sinon.stub().returns(request({})),
+      getObject: sinon.stub().returns(request({ Body: MODEL })),
+      deleteObject: sinon.stub().returns(request({}))
+    };
+    const storage = new R2AssetStorage({ bucket: 'models', publicUrl: 'assets.example.org', client });
+
+    await storage.put('models/abc.thumbnail.png', MODEL, { contentType: 'image/png', metadata: { variant: 'thumbnail' } });
+    expect(client.upload.firstCall.args[0]).to.deep.equal({
+      Bucket: 'models',
+      Key: 'models/abc.thumbnail.png',
+      Body: MODEL,
+      ContentType: 'image/png',
+      Metadata: { variant: 'thumbnail' }
+    });
+    expect(await storage.get('models/abc.glb')).to.equal(MODEL);
+    expect(storage.url('models/abc.glb')).to.equal('https://assets.example.org/models/abc.glb');
+    expect(storage.handler()).to.be.null;
+
+    client.getObject.returns({ promise: async () => { throw Object.assign(new Error('gone'), { code: 'NoSuchKey' }); } });
+    expect(await storage.get('models/abc.glb').catch(error => error)).to.be.instanceOf(AssetNotFoundError);
+
+    expect(() => new R2AssetStorage({ bucket: 'models', client })).to.throw(/R2_PUBLIC_URL/);
+  });
+
+  it('should refuse an unknown driver', () => {
+    expect(() => createAssetStorage({ driver: 's4' })).to.throw(/Unknown asset storage driver "s4"/);
+    expect(createAssetStorage({ driver: 'memory', publicUrl: 'http://localhost/assets', maxAge: 1 }))
+      .to.be.instanceOf(MemoryAssetStorage);
+  });
+});
@@ -0,0 +1,199 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const AuthService = require('../auth/AuthService');
+const { AuthError } = AuthService;
+const PersistenceLayer = require('../persistence/PersistenceLayer');
+const { createAuthenticateUser, createSocketAuthMiddleware } = require('../auth/middleware');
+
+describe('Authentication', () => {
+  let storage;
+  let auth;
+
+  const account = {
+    id: '5d1f6a4e-8a4b-4f51-9a0b-3c2e8e1d7f00',
+    username: 'builder',
+    display_name: 'Builder',
+    is_admin: false,
+    is_active: true
+  };
+
+  // Accounts on the in-memory backend; every adapter implements the same
+  // account methods (see storage-adapters.test.js)
+  beforeEach(() => {
+    storage = new PersistenceLayer({ driver: 'memory' });
+    auth = new AuthService({ storage, jwtSecret: 'test-secret', tokenExpiry: '1h' });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('passwords', () => {
+    it('should verify a password against its own hash only', async () => {
+      const hash = await auth.hashPassword('correct horse');
+
+      expect(hash).to.match(/^scrypt:/);
+      expect(await auth.verifyPassword('correct horse', hash)).to.be.true;
+      expect(await auth.verifyPassword('wrong horse', hash)).to.be.false;
+    });
+  });
+
+  describe('tokens', () => {
+    it('should round-trip an access token', () => {
+      const user = auth.verifyAccessToken(auth.issueAccessToken(account));
+
+      expect(user.id).to.equal(account.id);
+      expect(user.username).to.equal('builder');
+      expect(user.displayName).to.equal('Builder');
+    });
+
+    it('should refuse to run without a secret', () => {
+      sinon.stub(process, 'env').value({});
+
+      expect(() => new AuthService({ storage })).to.throw('AuthService requires a JWT secret (JWT_SECRET)');
+    });
+
+    it('should reject tokens signed with another secret', () => {
+      const other = new AuthService({ jwtSecret: 'other-secret' });
+      const token = other.issueAccessToken(account);
+
+      expect(() => auth.verifyAccessToken(token)).to.throw(AuthError, 'Invalid token');
+    });
+
+    it('should rotate refresh tokens and revoke the old one', async () => {
+      const { user, refreshToken } = await auth.register({ username: 'builder', password: 'long enough' });
+
+      const result = await auth.refresh(refreshToken);
+
+      expect(result.user.id).to.equal(user.id);
+      expect(auth.verifyAccessToken(result.accessToken).id).to.equal(user.id);
+      const old = await storage.getRefreshToken(auth.hashToken(refreshToken));
+      const next = await storage.getRefreshToken(auth.hashToken(result.refreshToken));
+      expect(old.revoked_at).to.be.an.instanceOf(Date);
+      expect(storage.adapter.tables.refreshTokens.get(auth.hashToken(refreshToken)).replaced_by)
+        .to.equal(next.token_id);
+    });
+
+    it('should revoke every session when a revoked refresh token is reused', async () => {
+      const { refreshToken } = await auth.register({ username: 'builder', password: 'long enough' });
+      const { refreshToken: rotated } = await auth.refresh(refreshToken);
+
+      try {
+        await auth.refresh(refreshToken);
+        expect.fail('refresh should have been refused');
+      } catch (error) {
+        expect(error.code).to.equal('TOKEN_REUSED');
+      }
+      expect((await storage.getRefreshToken(auth.hashToken(rotated))).revoked_at).to.be.an.instanceOf(Date);
+    });
+  });
+
+  describe('accounts', () => {
+    it('should validate registration input before touching the database', async () => {
+      const createAccount = sinon.spy(storage, 'createAccount');
+
+      try {
+        await auth.register({ username: 'x', password: 'long enough' });
+        expect.fail('register should have been refused');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthError);
+        expect(error.status).to.equal(400);
+      }
+      expect(createAccount.called).to.be.false;
+    });
+
+    it('should report duplicate accounts as a conflict', async () => {
+      await auth.register({ username: 'builder', password: 'long enough', email: 'b@example.com' });
+
+      for (const duplicate of [{ username: 'builder' }, { username: 'other', email: 'b@example.com' }]) {
+        try {
+          await auth.register({ ...duplicate, password: 'long enough' });
+          expect.fail('register should have been refused');
+        } catch (error) {
+          expect(error.status).to.equal(409);
+        }
+      }
+    });
+
+    it('should log in by username or email and refuse the wrong password', async () => {
+      await auth.register({ username: 'builder', password: 'right password', email: 'Builder@example.com' });
+
+      expect((await auth.login({ username: 'builder@example.com', password: 'right password' })).user.username)
+        .to.equal('builder');
+      try {
+        await auth.login({ username: 'builder', password: 'wrong password' });
+        expect.fail('login should have been refused');
+      } catch (error) {
+        expect(error.code).to.equal('INVALID_CREDENTIALS');
+      }
+    });
+
+    it('should check a password even when no account matches', async () => {
+      const verifyPassword = sinon.spy(auth, 'verifyPassword');
+
+      try {
+        await auth.login({ username: 'nobody', password: 'any password' });
+        expect.fail('login should have been refused');
+      } catch (error) {
+        expect(error.code).to.equal('INVALID_CREDENTIALS');
+      }
+      expect(verifyPassword.calledOnce).to.be.true;
+      expect(verifyPassword.firstCall.args[1]).to.match(/^scrypt:/);
+    });
+
+    it('should be unavailable without a database', async () => {
+      const offline = new AuthService({ jwtSecret: 'test-secret' });
+
+      try {
+        await offline.login({ username: 'builder', password: 'whatever1' });
+        expect.fail('login should have been refused');
+      } catch (error) {
+        expect(error.status).to.equal(503);
+      }
+    });
+  });
+
+  describe('middleware', () => {
+    it('should require a bearer token on protected routes', () => {
+      const middleware = createAuthenticateUser(auth);
+      const res = { status: sinon.stub().returnsThis(), json: sinon.stub() };
+      const next = sinon.spy();
+
+      middleware({ headers: { 'x-user-id': account.id } }, res, next);
+
+      expect(next.called).to.be.false;
+      expect(res.status.calledWith(401)).to.be.true;
+    });
+
+    it('should attach the account to authenticated requests', () => {
+      const middleware = createAuthenticateUser(auth);
+      const req = { headers: { authorization: `Bearer ${auth.issueAccessToken(account)}` } };
+      const next = sinon.spy();
+
+      middleware(req, {}, next);
+
+      expect(next.calledOnce).to.be.true;
+      expect(req.userId).to.equal(account.id);
+    });
+
+    it('should admit guests and authenticated sockets but refuse bad tokens', () => {
+      const middleware = createSocketAuthMiddleware(auth);
+
+      const guest = { handshake: { auth: {} } };
+      middleware(guest, (error) => expect(error).to.be.undefined);
+      expect(guest.user).to.be.null;
+
+      const member = { handshake: { auth: { token: auth.issueAccessToken(account) } } };
+      middleware(member, (error) => expect(error).to.be.undefined);
+      expect(member.user.id).to.equal(account.id);
+
+      const forged = { handshake: { auth: { token: 'not-a-jwt' } } };
+      middleware(forged, (error) => {
+        expect(error).to.be.an('error');
+        expect(error.data.code).to.equal('TOKEN_INVALID');
+      });
+    });
+  });
+});
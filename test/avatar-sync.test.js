@@ -0,0 +1,87 @@
+const { describe, it, beforeEach } = require('mocha');
+const { expect } = require('chai');
+
+const {
+  quantizeTransform,
+  dequantizeTransform,
+  AvatarSnapshotEncoder,
+  AvatarSnapshotDecoder
+} = require('../avatar-sync');
+
+describe('Avatar Sync', () => {
+  const origin = { x: 0, y: 0, z: 0 };
+
+  describe('quantization', () => {
+    it('should round-trip to centimetres and milliradians', () => {
+      const values = quantizeTransform({ x: 1.234, y: -0.5, z: 10 }, { x: 0, y: 3.14159, z: 0 });
+
+      expect(values).to.deep.equal([123, -50, 1000, 0, 3142, 0]);
+      expect(dequantizeTransform(values).position).to.deep.equal({ x: 1.23, y: -0.5, z: 10 });
+    });
+  });
+
+  describe('encoder', () => {
+    let encoder;
+
+    beforeEach(() => {
+      encoder = new AvatarSnapshotEncoder({ keyframeInterval: 3 });
+    });
+
+    it('should send each avatar in full the first time', () => {
+      encoder.update('user_a', { x: 1, y: 0, z: 0 }, origin);
+
+      const snapshot = encoder.encode();
+      expect(snapshot.users).to.deep.equal([['user_a', 0b111111, 100, 0, 0, 0, 0, 0]]);
+      expect(encoder.moved).to.deep.equal(['user_a']);
+    });
+
+    it('should only send the axes that changed, and nothing when idle', () => {
+      encoder = new AvatarSnapshotEncoder({ keyframeInterval: 10 });
+      encoder.update('user_a', origin, origin);
+      encoder.encode();
+
+      encoder.update('user_a', { x: 0, y: 0, z: 2 }, origin);
+      encoder.update('user_a', { x: 0, y: 0, z: 3 }, origin);
+      expect(encoder.encode().users).to.deep.equal([['user_a', 0b000100, 300]]);
+
+      expect(encoder.encode()).to.be.null;
+    });
+
+    it('should resend everything on keyframes without reporting it as movement', () => {
+      encoder.update('user_a', origin, origin);
+      encoder.encode();
+      encoder.encode();
+
+      const keyframe = encoder.encode();
+      expect(keyframe.keyframe).to.be.true;
+      expect(keyframe.users[0][1]).to.equal(0b111111);
+      expect(encoder.moved).to.be.empty;
+    });
+  });
+
+  describe('decoder', () => {
+    it('should rebuild full transforms from deltas', () => {
+      const encoder = new AvatarSnapshotEncoder();
+      const decoder = new AvatarSnapshotDecoder();
+
+      encoder.update('user_a', { x: 1, y: 2, z: 3 }, origin);
+      decoder.apply(encoder.encode());
+
+      encoder.update('user_a', { x: 1, y: 2, z: 4 }, { x: 0, y: 1, z: 0 });
+      const [moved] = decoder.apply(encoder.encode());
+
+      expect(moved.userId).to.equal('user_a');
+      expect(moved.position).to.deep.equal({ x: 1, y: 2, z: 4 });
+      expect(moved.rotation.y).to.equal(1);
+    });
+
+    it('should skip partial updates for avatars it has no base for', () => {
+      const decoder = new AvatarSnapshotDecoder();
+
+      expect(decoder.apply({ tick: 1, keyframe: false, users: [['user_a', 0b000001, 5]] })).to.be.empty;
+
+      decoder.set('user_a', origin, origin);
+      expect(decoder.apply({ tick: 2, keyframe: false, users: [['user_a', 0b000001, 5]] })).to.have.lengthOf(1);
+    });
+  });
+});
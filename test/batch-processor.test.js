@@ -0,0 +1,192 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BatchProcessor = require('../persistence/BatchProcessor');
+const { RedisDeadLetterStore, FileDeadLetterStore } = require('../persistence/DeadLetterStore');
+
+// Just the list commands the Redis store uses
+function createFakeRedis() {
+  const lists = new Map();
+  const list = key => lists.get(key) || lists.set(key, []).get(key);
+
+  return {
+    rpush: async (key, value) => list(key).push(value),
+    lrange: async key => list(key).slice(),
+    llen: async key => list(key).length,
+    lrem: async (key, count, value) => {
+      const index = list(key).indexOf(value);
+      if (index === -1) return 0;
+      list(key).splice(index, 1);
+      return 1;
+    }
+  };
+}
+
+describe('BatchProcessor', () => {
+  let persistence;
+  let cache;
+  let store;
+  let processor;
+
+  const createProcessor = (options = {}) => new BatchProcessor(persistence, cache, {
+    batchSize: 10,
+    flushInterval: 60000,
+    retryAttempts: 1,
+    retryDelay: 1,
+    deadLetterStore: store,
+    ...options
+  });
+
+  const event = i => ({ eventType: 'test.event', userId: `user-${i}`, payload: { i } });
+
+  beforeEach(() => {
+    persistence = { logEvent: sinon.stub().resolves() };
+    cache = { redis: createFakeRedis(), publish: sinon.stub().resolves() };
+    store = new RedisDeadLetterStore(cache.redis);
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'warn');
+    sinon.stub(console, 'error');
+  });
+
+  afterEach(async () => {
+    if (processor) await processor.shutdown();
+    processor = null;
+    sinon.restore();
+  });
+
+  it('should move batches that keep failing to the dead-letter store', async () => {
+    persistence.logEvent.rejects(new Error('connection refused'));
+    processor = createProcessor();
+
+    processor.add('events', event(1));
+    processor.add('events', event(2));
+    await processor.flush('events');  // fails, retried once
+    await processor.flush('events');  // fails again, dead-lettered
+
+    const [entry] = await processor.getDeadLetters();
+    expect(entry).to.include({ type: 'events', error: 'connection refused' });
+    expect(entry.operations.map(op => op.payload.i)).to.deep.equal([1, 2]);
+    expect(processor.getStats()).to.include({ failed: 2, deadLettered: 2, retried: 2 });
+  });
+
+  it('should replay dead letters into their queues', async () => {
+    persistence.logEvent.onFirstCall().rejects(new Error('connection refused'));
+    persistence.logEvent.onSecondCall().rejects(new Error('connection refused'));
+    processor = createProcessor();
+
+    processor.add('events', event(1));
+    await processor.flush('events');
+    await processor.flush('events');
+    const [entry] = await processor.getDeadLetters();
+
+    const result = await processor.replayDeadLetters([entry.id]);
+    expect(result).to.deep.equal({ replayed: [entry.id], skipped: [] });
+    expect(await store.size()).to.equal(0);
+
+    await processor.flush('events');
+    expect(persistence.logEvent.lastCall.args[0]).to.equal('test.event');
+    expect(processor.getStats().processed).to.equal(1);
+  });
+
+  it('should keep dead letters that do not fit their queue', async () => {
+    processor = createProcessor({ maxQueueSize: 2 });
+    await store.push({ type: 'events', operations: [event(1), event(2), event(3)], error: 'x' });
+    const [entry] = await store.list();
+
+    const result = await processor.replayDeadLetters();
+
+    expect(result.skipped).to.deep.equal([entry.id]);
+    expect((await store.list()).map(e => e.id)).to.deep.equal([entry.id]);
+    expect(processor.getStats().queues.events).to.equal(0);
+  });
+
+  it('should signal backpressure instead of dropping operations', async () => {
+    processor = createProcessor({ maxQueueSize: 4, batchSize: 2 });
+    const backpressure = sinon.spy();
+    const drain = sinon.spy();
+    processor.on('backpressure', backpressure);
+    processor.on('drain', drain);
+    processor.flush = sinon.stub().resolves(); // keep everything queued
+
+    [1, 2, 3, 4].forEach(i => expect(processor.add('events', event(i))).to.be.true);
+    expect(processor.add('events', event(5))).to.be.false;
+    expect(processor.add('events', event(6))).to.be.false;
+
+    expect(backpressure.calledOnceWith({ type: 'events', size: 4 })).to.be.true;
+    expect(processor.isSaturated()).to.be.true;
+    expect(processor.getStats()).to.include({ rejected: 2, failed: 0 });
+
+    delete processor.flush;
+    await processor.flush('events');
+    expect(drain.calledOnceWith({ type: 'events' })).to.be.true;
+    expect(processor.isSaturated('events')).to.be.false;
+    expect(processor.add('events', event(7))).to.be.true;
+  });
+
+  it('should dead-letter what cannot be written on shutdown', async () => {
+    persistence.logEvent.rejects(new Error('database is gone'));
+    processor = createProcessor({ retryAttempts: 5, retryDelay: 60000 });
+
+    processor.add('events', event(1));
+    await processor.shutdown();
+
+    expect((await store.list()).map(entry => entry.operations.length)).to.deep.equal([1]);
+    expect(processor.getStats().totalQueued).to.equal(0);
+    processor = null;
+  });
+
+  it('should stop draining when the shutdown timeout runs out', async () => {
+    persistence.logEvent.returns(new Promise(() => {}));  // database hangs
+    processor = createProcessor({ batchSize: 2 });
+    processor.flush = sinon.stub().resolves();
+    [1, 2, 3].forEach(i => processor.add('events', event(i)));
+    delete processor.flush;
+
+    await processor.shutdown(20);
+
+    // The batch being written when time ran out is not the processor's anymore
+    const [entry] = await store.list();
+    expect(entry.operations.map(op => op.payload.i)).to.deep.equal([3]);
+    expect(entry.error).to.equal('not written before shutdown');
+    processor = null;
+  });
+
+  describe('FileDeadLetterStore', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dead-letters-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should keep entries across instances and take them once', async () => {
+      const filePath = path.join(dir, 'data', 'dead-letters.jsonl');
+      const first = await new FileDeadLetterStore(filePath).push({ type: 'events', operations: [event(1)] });
+      await new FileDeadLetterStore(filePath).push({ type: 'chatMessages', operations: [] });
+
+      const reopened = new FileDeadLetterStore(filePath);
+      expect((await reopened.list()).map(entry => entry.type)).to.deep.equal(['events', 'chatMessages']);
+
+      const taken = await reopened.take([first.id]);
+      expect(taken.map(entry => entry.id)).to.deep.equal([first.id]);
+      expect(await reopened.take([first.id])).to.be.empty;
+      expect(await reopened.size()).to.equal(1);
+    });
+
+    it('should skip a partially written last line', async () => {
+      const filePath = path.join(dir, 'dead-letters.jsonl');
+      const store = new FileDeadLetterStore(filePath);
+      await store.push({ type: 'events', operations: [] });
+      fs.appendFileSync(filePath, '{"type":"ev');
+
+      expect(await store.list()).to.have.lengthOf(1);
+    });
+  });
+});
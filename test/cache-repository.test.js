@@ -0,0 +1,244 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const EventEmitter = require('events');
+
+const CacheManager = require('../persistence/CacheManager');
+const CacheRepository = require('../persistence/CacheRepository');
+const BatchProcessor = require('../persistence/BatchProcessor');
+
+// The hash and string commands the repository uses, on a connection that is
+// ready. Commands from defineCommand go through eval, which runs the
+// versioned write the way the Lua script does.
+function createFakeRedis() {
+  const hashes = new Map();
+  const strings = new Map();
+  const hash = key => hashes.get(key) || hashes.set(key, {}).get(key);
+
+  const redis = Object.assign(new EventEmitter(), {
+    status: 'ready',
+    hashes,
+    scripts: {},
+    defineCommand: (name, { numberOfKeys, lua }) => {
+      redis.scripts[name] = lua;
+      redis[name] = (...args) => redis.eval(lua, numberOfKeys, ...args);
+    },
+    eval: async (script, keyCount, key, field, version, entry) => {
+      const current = hash(key)[field];
+      if (current && JSON.parse(current).v > Number(version)) return 0;
+      hash(key)[field] = entry;
+      return 1;
+    },
+    hget: async (key, field) => (hashes.has(key) ? hash(key)[field] : undefined) || null,
+    hset: async (key, field, value) => { hash(key)[field] = String(value); },
+    hsetnx: async (key, field, value) => {
+      if (field in hash(key)) return 0;
+      hash(key)[field] = value;
+      return 1;
+    },
+    hgetall: async key => ({ ...hashes.get(key) }),
+    hdel: async (key, ...fields) => fields.forEach(field => delete hash(key)[field]),
+    hlen: async key => Object.keys(hash(key)).length,
+    exists: async (...keys) => keys.filter(key => hashes.has(key) || strings.has(key)).length,
+    del: async (...keys) => keys.forEach(key => hashes.delete(key) || strings.delete(key)),
+    expire: async () => 1,
+    get: async key => strings.get(key) || null,
+    set: async (key, value) => { strings.set(key, value); },
+    publish: async () => 0,
+    multi: () => {
+      const queued = [];
+      const chain = new Proxy({}, {
+        get: (target, command) => command === 'exec'
+          ? async () => { for (const [name, args] of queued) await redis[name](...args); }
+          : (...args) => { queued.push([command, args]); return chain; }
+      });
+      return chain;
+    }
+  });
+  return redis;
+}
+
+// Every case runs against Redis and against the in-process LRU cache
+const BACKENDS = {
+  redis: () => new CacheManager({ client: createFakeRedis() }),
+  memory: () => new CacheManager({ driver: 'memory' })
+};
+
+for (const [backend, createCache] of Object.entries(BACKENDS)) {
+  describe(`CacheRepository (${backend})`, () => {
+    let cache;
+    let persistence;
+    let repository;
+
+    const object = (id, x) => ({ objectId: id, position: { x, y: 0, z: 0 } });
+
+    beforeEach(() => {
+      cache = createCache();
+      persistence = {
+        loadWorldState: sinon.stub().resolves({
+          objects: { a: object('a', 1) },
+          uploadedModels: {},
+          chatHistory: [{ id: 'm1', message: 'hi', timestamp: '2026-01-01T00:00:00Z' }]
+        }),
+        saveObject: sinon.stub().resolves({}),
+        updateObject: sinon.stub().resolves({}),
+        deleteObject: sinon.stub().resolves(true),
+        saveChatMessage: sinon.stub().resolves({}),
+        getChatHistory: sinon.stub().resolves([])
+      };
+      repository = new CacheRepository(persistence, cache);
+      sinon.stub(console, 'log');
+      sinon.stub(console, 'error');
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('should read a space through the cache and count misses per type', async () => {
+      const first = await repository.loadWorldState('space-1');
+      const second = await repository.loadWorldState('space-1');
+
+      expect(first.fromCache).to.be.false;
+      expect(second.fromCache).to.be.true;
+      expect(second.objects).to.deep.equal({ a: object('a', 1) });
+      expect(second.chatHistory.map(message => message.id)).to.deep.equal(['m1']);
+      expect(persistence.loadWorldState.calledOnce).to.be.true;
+      expect(cache.backend).to.equal(backend);
+      expect(cache.getMetrics().byType.worldState).to.deep.equal({ hits: 1, misses: 1, hitRate: 0.5 });
+    });
+
+    it('should refuse a write older than the cached one', async () => {
+      await repository.loadWorldState('space-1');
+
+      await repository.saveObject('space-1', object('a', 3), 200);
+      await repository.saveObject('space-1', object('a', 2), 100);  // late retry
+
+      const { objects } = await repository.loadWorldState('space-1');
+      expect(objects.a.position.x).to.equal(3);
+      expect(persistence.saveObject.calledTwice).to.be.true;
+      expect(cache.getMetrics().staleWrites).to.equal(1);
+    });
+
+    it('should keep a removed object from coming back with an older fill', async () => {
+      await repository.deleteObject('space-1', 'a', 'user-1', 300);
+      await repository.updateObject('space-1', 'a', { position: { x: 9, y: 0, z: 0 } }, 'user-1', 200);
+
+      // A database read from before the delete fills the cache
+      await cache.cacheWorldState('space-1', await persistence.loadWorldState());
+
+      const { objects, fromCache } = await repository.loadWorldState('space-1');
+      expect(fromCache).to.be.true;
+      expect(objects).to.deep.equal({});
+    });
+
+    it('should reload from the database after updating an object that is not cached', async () => {
+      await repository.loadWorldState('space-1');
+      await cache.redis.hdel('space:space-1:objects', 'a');
+
+      await repository.updateObject('space-1', 'a', { position: { x: 5, y: 0, z: 0 } }, 'user-1', 100);
+
+      expect((await repository.loadWorldState('space-1')).fromCache).to.be.false;
+      expect(persistence.loadWorldState.calledTwice).to.be.true;
+    });
+
+    it('should add saved chat messages to the cached history in order', async () => {
+      persistence.getChatHistory.resolves([
+        { id: 'm2', message: 'second', timestamp: '2026-01-01T00:00:02Z' },
+        { id: 'm1', message: 'first', timestamp: '2026-01-01T00:00:01Z' }
+      ]);
+
+      await repository.getChatHistory('space-1');
+      await repository.saveChatMessage({ id: 'm3', spaceId: 'space-1', message: 'third', timestamp: '2026-01-01T00:00:03Z' });
+
+      const history = await repository.getChatHistory('space-1', 2);
+      expect(history.map(message => message.id)).to.deep.equal(['m2', 'm3']);
+      expect(persistence.getChatHistory.calledOnce).to.be.true;
+    });
+
+    it('should cache batched transforms by space and skip those without one', async () => {
+      await repository.loadWorldState('space-1');
+      const processor = new BatchProcessor(persistence, cache, { repository, flushInterval: 60000 });
+
+      await processor.updateObjectCache([
+        { objectId: 'a', spaceId: 'space-1', position: { x: 7, y: 0, z: 0 }, timestamp: 100 },
+        { objectId: 'b', position: { x: 1, y: 0, z: 0 }, timestamp: 100 }
+      ]);
+      await processor.shutdown();
+
+      const { objects } = await repository.loadWorldState('space-1');
+      expect(objects.a.position.x).to.equal(7);
+      expect(await cache.redis.exists('space:main:objects')).to.equal(0);
+    });
+
+    it('should write to the database only without a cache', async () => {
+      repository = new CacheRepository(persistence);
+
+      const state = await repository.loadWorldState('space-1');
+      await repository.saveObject('space-1', object('a', 2));
+      await repository.deleteObject('space-1', 'a', 'user-1');
+
+      expect(state.fromCache).to.be.false;
+      expect(persistence.saveObject.firstCall.args[0]).to.include({ objectId: 'a', spaceId: 'space-1' });
+      expect(persistence.deleteObject.calledOnceWith('a', 'user-1', 'space-1')).to.be.true;
+    });
+  });
+}
+
+describe('CacheRepository (Redis outage)', () => {
+  let redis;
+  let cache;
+  let persistence;
+  let repository;
+
+  const object = (id, x) => ({ objectId: id, position: { x, y: 0, z: 0 } });
+
+  beforeEach(() => {
+    redis = createFakeRedis();
+    cache = new CacheManager({ client: redis });
+    persistence = {
+      loadWorldState: sinon.stub().resolves({ objects: { a: object('a', 1) }, uploadedModels: {}, chatHistory: [] }),
+      saveObject: sinon.stub().resolves({})
+    };
+    repository = new CacheRepository(persistence, cache);
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'warn');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should guard versioned writes with the Lua script on Redis', async () => {
+    expect(redis.scripts.setVersioned).to.match(/tonumber\(cjson\.decode\(current\)\.v\) > tonumber\(ARGV\[2\]\)/);
+
+    await repository.loadWorldState('space-1');
+    await repository.saveObject('space-1', object('a', 3), 200);
+    await repository.saveObject('space-1', object('a', 2), 100);
+
+    expect(JSON.parse(redis.hashes.get('space:space-1:objects').a)).to.deep.equal({ v: 200, d: object('a', 3) });
+    expect(cache.getMetrics().staleWrites).to.equal(1);
+  });
+
+  it('should serve the space from the LRU cache while Redis is down and reload it after', async () => {
+    await repository.loadWorldState('space-1');
+
+    redis.emit('close');
+    expect((await repository.loadWorldState('space-1')).fromCache).to.be.false;
+    await repository.saveObject('space-1', object('a', 5), 200);
+
+    const during = await repository.loadWorldState('space-1');
+    expect(during.fromCache).to.be.true;
+    expect(during.objects.a.position.x).to.equal(5);
+    expect(redis.hashes.get('space:space-1:objects').a).to.not.include('"x":5');
+
+    redis.emit('ready');
+    await new Promise(resolve => setImmediate(resolve));
+
+    // Redis missed the write, so its copy is dropped rather than served
+    const after = await repository.loadWorldState('space-1');
+    expect(after.fromCache).to.be.false;
+    expect(persistence.loadWorldState.calledThrice).to.be.true;
+    expect(cache.local.size).to.equal(0);
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it, beforeEach } = require('mocha');
+const { expect } = require('chai');
+
+const ChangeTracker = require('../persistence/ChangeTracker');
+
+describe('ChangeTracker', () => {
+  let changes;
+
+  beforeEach(() => {
+    changes = new ChangeTracker();
+  });
+
+  it('should keep one pending change per object', () => {
+    changes.transformObject('obj-1', 'user-1');
+    changes.transformObject('obj-1', 'user-2');
+    changes.updatePermissions('obj-1', 'user-2');
+
+    expect(changes.take().objects).to.deep.equal([
+      { objectId: 'obj-1', actorId: 'user-2', transform: true, permissions: true }
+    ]);
+    expect(changes.size).to.equal(0);
+  });
+
+  it('should let a store or removal replace earlier changes', () => {
+    changes.transformObject('obj-1', 'user-1');
+    changes.storeObject('obj-1', 'user-1');
+    changes.transformObject('obj-2', 'user-1');
+    changes.removeObject('obj-2', 'user-1');
+    changes.transformObject('obj-2', 'user-1');
+
+    expect(changes.take().objects).to.deep.equal([
+      { objectId: 'obj-1', actorId: 'user-1', store: true },
+      { objectId: 'obj-2', actorId: 'user-1', remove: true }
+    ]);
+  });
+
+  it('should hand over each chat message once', () => {
+    changes.addChatMessage({ id: 'm1' });
+    changes.addChatMessage({ id: 'm2' });
+
+    expect(changes.take().chatMessages.map(m => m.id)).to.deep.equal(['m1', 'm2']);
+    expect(changes.take().chatMessages).to.deep.equal([]);
+  });
+
+  it('should put failed changes back without overriding newer ones', () => {
+    changes.transformObject('moved', 'user-1');
+    changes.transformObject('removed', 'user-1');
+    changes.addChatMessage({ id: 'm1' });
+    const failed = changes.take();
+
+    changes.updatePermissions('moved', 'user-2');
+    changes.removeObject('removed', 'user-2');
+    changes.addChatMessage({ id: 'm2' });
+    changes.restore(failed);
+
+    const { objects, chatMessages } = changes.take();
+    expect(objects).to.deep.include({ objectId: 'moved', actorId: 'user-2', transform: true, permissions: true });
+    expect(objects).to.deep.include({ objectId: 'removed', actorId: 'user-2', remove: true });
+    expect(chatMessages.map(m => m.id)).to.deep.equal(['m1', 'm2']);
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const ClusterSync = require('../persistence/ClusterSync');
+
+// Stand-in for CacheManager pub/sub: every subscriber sees every message
+function createBus() {
+  const handlers = [];
+
+  return {
+    createCache() {
+      return {
+        channels: {
+          objectUpdates: 'world:objects:updates',
+          userPresence: 'world:users:presence'
+        },
+        publish: sinon.spy(async (channel, data) => {
+          const message = JSON.parse(JSON.stringify({ timestamp: Date.now(), data }));
+          setImmediate(() => handlers.forEach(handler => handler(channel, message)));
+          return true;
+        }),
+        createSubscriber(handler) {
+          handlers.push(handler);
+          return { subscribe: sinon.stub().resolves(), quit: sinon.stub().resolves() };
+        }
+      };
+    }
+  };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ClusterSync', () => {
+  let bus;
+  let a;
+  let b;
+
+  beforeEach(async () => {
+    bus = createBus();
+    a = new ClusterSync(bus.createCache(), { instanceId: 'a', syncTimeout: 20 });
+    b = new ClusterSync(bus.createCache(), { instanceId: 'b', syncTimeout: 20 });
+    sinon.stub(console, 'log');
+    await a.start();
+    await b.start();
+    console.log.restore();
+    await flush();
+  });
+
+  afterEach(async () => {
+    await a.stop();
+    await b.stop();
+  });
+
+  it('should deliver changes to other instances but not back to the sender', async () => {
+    const receivedByA = sinon.spy();
+    const receivedByB = sinon.spy();
+    a.on('message', receivedByA);
+    b.on('message', receivedByB);
+
+    await a.publishObject('main', 'object-removed', { objectId: 'obj-1' });
+    await flush();
+
+    expect(receivedByA.called).to.be.false;
+    expect(receivedByB.calledOnce).to.be.true;
+    expect(receivedByB.firstCall.args[0]).to.deep.equal({
+      instanceId: 'a',
+      spaceName: 'main',
+      type: 'object-removed',
+      payload: { objectId: 'obj-1' }
+    });
+  });
+
+  it('should ignore other traffic on the shared channels', () => {
+    const received = sinon.spy();
+    a.on('message', received);
+
+    a.receive('world:chat:messages', { timestamp: Date.now(), data: [{ message: 'hi' }] });
+
+    expect(received.called).to.be.false;
+    expect(a.instances.has(undefined)).to.be.false;
+  });
+
+  it('should collect the state of a space from its peers', async () => {
+    b.on('sync-request', ({ spaceName }, reply) => reply({ spaceName, users: ['u1'] }));
+
+    const states = await a.requestSpace('main');
+
+    expect(states).to.deep.equal([{ spaceName: 'main', users: ['u1'] }]);
+  });
+
+  it('should not wait for replies when alone', async () => {
+    const alone = new ClusterSync(createBus().createCache(), { syncTimeout: 1000 });
+
+    expect(await alone.requestSpace('main')).to.deep.equal([]);
+  });
+
+  it('should report instances that stop sending heartbeats', () => {
+    const down = sinon.spy();
+    a.on('instance-down', down);
+
+    expect(a.instances.has('b')).to.be.true;
+    a.expireInstances(Date.now() + a.config.instanceTimeout + 1);
+
+    expect(down.calledOnceWith('b')).to.be.true;
+    expect(a.instances.size).to.equal(0);
+  });
+
+  it('should elect the lowest instance id as leader', () => {
+    expect(a.isLeader()).to.be.true;
+    expect(b.isLeader()).to.be.false;
+  });
+});
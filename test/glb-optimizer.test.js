@@ -0,0 +1,110 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const path = require('path');
+
+const { GLBOptimizer, PROCESSING_STATUS, variantKey } = require('../glb-optimizer');
+
+const MODEL = fs.readFileSync(path.join(__dirname, '..', 'models', '2-SMILE.glb'));
+
+describe('GLB Optimizer', () => {
+  let optimizer;
+  let commands;
+
+  // Stands in for the command line tools: every step copies its input file
+  // to its output file unless `outputs` says what the step writes
+  function fakeTools(target, { missing = [], outputs = {} } = {}) {
+    commands = [];
+    sinon.stub(target, 'run').callsFake(async (command, args) => {
+      if (missing.includes(command)) throw new Error(`spawn ${command} ENOENT`);
+      if (args[0] === '--version') return { stdout: '1.0.0' };
+
+      commands.push([command, ...args]);
+      const files = args.filter(arg => arg.endsWith('.glb'));
+      const output = outputs[command === 'gltf-pipeline' ? 'draco' : args[0]];
+      fs.writeFileSync(files[1], output || fs.readFileSync(files[0]));
+      return { stdout: '' };
+    });
+  }
+
+  // [tool, step, ...options] without the temporary file names
+  const steps = () => commands.map(args => args.filter(arg => !arg.endsWith('.glb')));
+
+  beforeEach(() => {
+    optimizer = new GLBOptimizer();
+    sinon.stub(console, 'warn');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should run the steps of each variant in order, compression last', async () => {
+    fakeTools(optimizer);
+    const progress = sinon.spy();
+
+    const result = await optimizer.optimize(MODEL, progress);
+
+    expect(steps()).to.deep.equal([
+      ['gltf-transform', 'dedup'],
+      ['gltf-transform', 'resize', '--width', '4096', '--height', '4096'],
+      ['gltf-transform', 'webp'],
+      ['gltf-pipeline', '-i', '-o', '-d'],
+      ['gltf-transform', 'dedup'],
+      ['gltf-transform', 'weld'],
+      ['gltf-transform', 'simplify', '--ratio', '0.5', '--error', '0.001'],
+      ['gltf-transform', 'resize', '--width', '1024', '--height', '1024'],
+      ['gltf-transform', 'jpeg'],
+      ['gltf-pipeline', '-i', '-o', '-d']
+    ]);
+    expect(result.status).to.equal(PROCESSING_STATUS.OPTIMIZED);
+    expect(result.variants.mobile.steps).to.deep.equal(['dedup', 'weld', 'simplify', 'resize', 'jpeg', 'draco']);
+    expect(result.variants.desktop.buffer.equals(MODEL)).to.be.true;
+    expect(progress.args.map(([fraction]) => fraction)).to.deep.equal([0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1]);
+  });
+
+  it('should skip the steps of a tool that is not installed', async () => {
+    fakeTools(optimizer, { missing: ['gltf-pipeline'] });
+
+    const result = await optimizer.optimize(MODEL);
+
+    expect(result.status).to.equal(PROCESSING_STATUS.PARTIAL);
+    expect(result.variants.desktop.steps).to.deep.equal(['dedup', 'resize', 'webp']);
+    expect(result.skipped).to.deep.include({ variant: 'mobile', step: 'draco', reason: 'gltf-pipeline is not installed' });
+  });
+
+  it('should keep the upload when a variant comes out invalid', async () => {
+    optimizer = new GLBOptimizer({ compression: 'meshopt', variants: { mobile: { textureFormat: 'webp' } } });
+    fakeTools(optimizer, { outputs: { meshopt: Buffer.from('not a model') } });
+
+    const result = await optimizer.optimize(MODEL);
+
+    expect(result.status).to.equal(PROCESSING_STATUS.ORIGINAL);
+    expect(result.variants.mobile.buffer.equals(MODEL)).to.be.true;
+    expect(result.variants.mobile.steps).to.be.empty;
+    expect(result.skipped.map(({ variant, step }) => `${variant} ${step}`)).to.deep.equal(['desktop validate', 'mobile validate']);
+  });
+
+  it('should store the upload as every variant when disabled', async () => {
+    optimizer = new GLBOptimizer({ enabled: false });
+    fakeTools(optimizer);
+
+    const result = await optimizer.optimize(MODEL);
+
+    expect(commands).to.be.empty;
+    expect(result.status).to.equal(PROCESSING_STATUS.ORIGINAL);
+    expect(Object.keys(result.variants)).to.deep.equal(['desktop', 'mobile']);
+  });
+
+  it('should refuse unknown compressions and texture formats', () => {
+    expect(() => new GLBOptimizer({ compression: 'zip' })).to.throw(/Unknown model compression "zip"/);
+    expect(() => new GLBOptimizer({ variants: { mobile: { textureFormat: 'gif' } } }))
+      .to.throw(/Unknown mobile texture format "gif"/);
+  });
+
+  it('should store variants next to the desktop file', () => {
+    expect(variantKey('models/abc.glb', 'desktop')).to.equal('models/abc.glb');
+    expect(variantKey('models/user-1/abc.glb', 'mobile')).to.equal('models/user-1/abc.mobile.glb');
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const { GLBThumbnailer, THUMBNAIL_METHODS, renderThumbnail, thumbnailKey } = require('../glb-thumbnail');
+const { buildGLB } = require('./helpers/glb');
+
+const MODEL = fs.readFileSync(path.join(__dirname, '..', 'models', '2-SMILE.glb'));
+
+// A red unit square (two triangles) facing +Z
+function squareModel() {
+  const positions = Buffer.alloc(48);
+  [0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 1, 0].forEach((value, i) => positions.writeFloatLE(value, i * 4));
+  const indices = Buffer.alloc(12);
+  [0, 1, 2, 2, 1, 3].forEach((value, i) => indices.writeUInt16LE(value, i * 2));
+
+  const json = {
+    asset: { version: '2.0' },
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0 }],
+    buffers: [{ byteLength: 60 }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: 48 },
+      { buffer: 0, byteOffset: 48, byteLength: 12 }
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 4, type: 'VEC3', min: [0, 0, 0], max: [1, 1, 0] },
+      { bufferView: 1, componentType: 5123, count: 6, type: 'SCALAR' }
+    ],
+    materials: [{ pbrMetallicRoughness: { baseColorFactor: [1, 0, 0, 1] } }],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0 }, indices: 1, material: 0 }] }]
+  };
+  return { json, bin: Buffer.concat([positions, indices]) };
+}
+
+// Width, height and RGBA rows of a PNG written by the renderer (filter 0)
+function decodePNG(png) {
+  expect(png.subarray(0, 8).toString('hex')).to.equal('89504e470d0a1a0a');
+  const width = png.readUInt32BE(16);
+  const height = png.readUInt32BE(20);
+  const idat = png.indexOf('IDAT');
+  const raw = zlib.inflateSync(png.subarray(idat + 4, idat + 4 + png.readUInt32BE(idat - 4)));
+  const pixel = (x, y) => Array.from(raw.subarray(y * (width * 4 + 1) + 1 + x * 4, y * (width * 4 + 1) + 5 + x * 4));
+  return { width, height, pixel };
+}
+
+describe('GLB Thumbnails', () => {
+  it('should draw the triangles in their material color on a transparent background', () => {
+    const { json, bin } = squareModel();
+    const thumbnail = renderThumbnail(buildGLB(json, bin), 64);
+
+    expect(thumbnail.method).to.equal(THUMBNAIL_METHODS.GEOMETRY);
+    const { width, height, pixel } = decodePNG(thumbnail.png);
+    expect([width, height]).to.deep.equal([64, 64]);
+
+    const [r, g, b, a] = pixel(32, 32);
+    expect(r).to.be.above(100);
+    expect([g, b, a]).to.deep.equal([0, 0, 255]);
+    expect(pixel(0, 0)[3]).to.equal(0);
+  });
+
+  it('should draw compressed geometry as its bounding box', () => {
+    const { json, bin } = squareModel();
+    json.meshes[0].primitives[0].extensions = { KHR_draco_mesh_compression: { bufferView: 0, attributes: { POSITION: 0 } } };
+    json.accessors[0].max = [1, 1, 1];
+
+    const thumbnail = renderThumbnail(buildGLB(json, bin), 32);
+
+    expect(thumbnail.method).to.equal(THUMBNAIL_METHODS.BOUNDS);
+    expect(decodePNG(thumbnail.png).pixel(16, 16)[3]).to.equal(255);
+  });
+
+  it('should have nothing to draw without triangles', () => {
+    const { json, bin } = squareModel();
+    json.meshes[0].primitives[0].mode = 1; // lines
+
+    expect(renderThumbnail(buildGLB(json, bin))).to.be.null;
+  });
+
+  it('should render in a worker thread and give up after the timeout', async () => {
+    const thumbnail = await new GLBThumbnailer({ size: 48 }).render(MODEL);
+
+    expect(decodePNG(thumbnail.png).width).to.equal(48);
+    expect(await new GLBThumbnailer({ enabled: false }).render(MODEL)).to.be.null;
+
+    let error;
+    try {
+      await new GLBThumbnailer({ timeout: 1 }).render(MODEL);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/took longer than 1 ms/);
+  });
+
+  it('should store thumbnails next to the model', () => {
+    expect(thumbnailKey('models/user-1/abc.glb')).to.equal('models/user-1/abc.thumbnail.png');
+  });
+});
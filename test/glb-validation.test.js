@@ -0,0 +1,145 @@
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+
+const { GLB_ERRORS, validateGLB, glbErrorResponse } = require('../glb-validation');
+const { buildGLB } = require('./helpers/glb');
+
+// Signature and IHDR are all the validator reads
+function pngHeader(width, height) {
+  const png = Buffer.alloc(24);
+  png.writeUInt32BE(0x89504E47, 0);
+  png.writeUInt32BE(0x0D0A1A0A, 4);
+  png.writeUInt32BE(13, 8);
+  png.write('IHDR', 12, 'latin1');
+  png.writeUInt32BE(width, 16);
+  png.writeUInt32BE(height, 20);
+  return png;
+}
+
+// One triangle (3 positions, 3 indices) and a 24-byte PNG header
+function triangleModel({ indices = [0, 1, 2], textureSize = 256 } = {}) {
+  const positions = Buffer.alloc(36);
+  [0, 0, 0, 1, 0, 0, 0, 1, 0].forEach((value, i) => positions.writeFloatLE(value, i * 4));
+  const indexData = Buffer.alloc(8);
+  indices.forEach((value, i) => indexData.writeUInt16LE(value, i * 2));
+  const image = pngHeader(textureSize, textureSize);
+  const bin = Buffer.concat([positions, indexData, image]);
+
+  const json = {
+    asset: { version: '2.0', generator: 'test' },
+    buffers: [{ byteLength: bin.length }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: 36 },
+      { buffer: 0, byteOffset: 36, byteLength: 6 },
+      { buffer: 0, byteOffset: 44, byteLength: 24 }
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 3, type: 'VEC3' },
+      { bufferView: 1, componentType: 5123, count: 3, type: 'SCALAR' }
+    ],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0 }, indices: 1 }] }],
+    images: [{ bufferView: 2, mimeType: 'image/png' }],
+    textures: [{ source: 0 }]
+  };
+  return { json, bin };
+}
+
+describe('GLB Validation', () => {
+  it('should accept a well-formed model and report what it contains', () => {
+    const { json, bin } = triangleModel();
+    const report = validateGLB(buildGLB(json, bin));
+
+    expect(report.valid).to.be.true;
+    expect(report.errors).to.be.empty;
+    expect(report.stats).to.include({ meshes: 1, primitives: 1, vertices: 3, triangles: 1, maxTextureSize: 256 });
+    expect(report.stats.textures).to.deep.equal([{ index: 0, mimeType: 'image/png', width: 256, height: 256 }]);
+  });
+
+  it('should refuse a broken container before reading the JSON', () => {
+    const { json, bin } = triangleModel();
+    const glb = buildGLB(json, bin);
+
+    const truncated = validateGLB(glb.subarray(0, glb.length - 4));
+    expect(truncated.errors).to.have.lengthOf(1);
+    expect(truncated.errors[0]).to.include({ code: GLB_ERRORS.INVALID });
+    expect(truncated.errors[0].message).to.match(/does not match the file size/);
+
+    // BIN chunk first
+    const swapped = Buffer.from(glb);
+    swapped.writeUInt32LE(0x004E4942, 16);
+    expect(validateGLB(swapped).errors[0].message).to.match(/First chunk must be the JSON chunk/);
+  });
+
+  it('should check bufferViews, accessors and indices against the binary data', () => {
+    const { json, bin } = triangleModel({ indices: [0, 1, 7] });
+    json.bufferViews.push({ buffer: 0, byteOffset: 60, byteLength: 40 });
+    json.accessors.push({ bufferView: 0, byteOffset: 12, componentType: 5126, count: 3, type: 'VEC3' });
+
+    const report = validateGLB(buildGLB(json, bin));
+
+    expect(report.valid).to.be.false;
+    expect(report.errors.map(error => error.path)).to.have.members([
+      'bufferViews[3]',
+      'accessors[2]',
+      'meshes[0].primitives[0].indices'
+    ]);
+  });
+
+  it('should report every limit that is exceeded with the limit and actual value', () => {
+    const { json, bin } = triangleModel({ textureSize: 8192 });
+    const report = validateGLB(buildGLB(json, bin), { maxTriangles: 0, maxVertices: 2 });
+
+    expect(report.errors.map(({ code, limit, actual }) => ({ code, limit, actual }))).to.deep.equal([
+      { code: GLB_ERRORS.LIMIT_EXCEEDED, limit: 4096, actual: 8192 },
+      { code: GLB_ERRORS.LIMIT_EXCEEDED, limit: 2, actual: 3 },
+      { code: GLB_ERRORS.LIMIT_EXCEEDED, limit: 0, actual: 1 }
+    ]);
+
+    const response = glbErrorResponse(report);
+    expect(response.code).to.equal(GLB_ERRORS.LIMIT_EXCEEDED);
+    expect(response.details).to.equal(
+      'Texture size of images[0]: 8192 (max 4096); Too many vertices: 3 (max 2); Too many triangles: 1 (max 0)'
+    );
+  });
+
+  it('should refuse external URIs and scripts in extras', () => {
+    const { json, bin } = triangleModel();
+    json.images.push({ uri: 'https://example.com/texture.png' });
+    json.nodes = [{ mesh: 0, extras: { note: 'fine', label: '<img src=x onerror=alert(1)>' } }];
+    json.extras = { links: ['javascript:alert(1)'] };
+
+    const report = validateGLB(buildGLB(json, bin));
+
+    expect(report.errors.map(({ code, path }) => ({ code, path }))).to.deep.equal([
+      { code: GLB_ERRORS.EXTERNAL_URI, path: 'images[1].uri' },
+      { code: GLB_ERRORS.UNSAFE_CONTENT, path: 'nodes[0].extras.label' },
+      { code: GLB_ERRORS.UNSAFE_CONTENT, path: 'extras.links[0]' }
+    ]);
+  });
+
+  it('should accept meshopt compressed bufferViews without decoding them', () => {
+    const { json, bin } = triangleModel();
+    json.buffers.push({ byteLength: 36, extensions: { EXT_meshopt_compression: { fallback: true } } });
+    json.bufferViews[0] = {
+      buffer: 1,
+      byteLength: 36,
+      byteStride: 12,
+      extensions: { EXT_meshopt_compression: { buffer: 0, byteLength: 36, byteStride: 12, count: 3, mode: 'ATTRIBUTES' } }
+    };
+
+    expect(validateGLB(buildGLB(json, bin)).valid).to.be.true;
+
+    json.bufferViews[0].extensions.EXT_meshopt_compression.byteOffset = 64;
+    expect(validateGLB(buildGLB(json, bin)).errors[0].message).to.equal('bufferViews[0] has compressed data outside its buffer');
+  });
+
+  it('should read textures embedded as data URIs', () => {
+    const { json, bin } = triangleModel();
+    json.images = [{ uri: `data:image/png;base64,${pngHeader(512, 128).toString('base64')}` }];
+
+    const report = validateGLB(buildGLB(json, bin));
+
+    expect(report.valid).to.be.true;
+    expect(report.stats.textures[0]).to.include({ width: 512, height: 128 });
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const { EVENTS } = require('../protocol');
+const { SHUTDOWN_ERRORS, createGracefulShutdown } = require('../graceful-shutdown');
+
+describe('Graceful Shutdown', () => {
+  let io;
+  let exit;
+  let order;
+
+  const step = (name, run = async () => {}) => ({
+    name,
+    run: async () => {
+      order.push(name);
+      await run();
+    }
+  });
+
+  const create = (options = {}) => createGracefulShutdown({
+    io,
+    exit,
+    noticeDelay: 0,
+    reconnectIn: 3000,
+    ...options
+  });
+
+  beforeEach(() => {
+    order = [];
+    io = {
+      middleware: [],
+      use: fn => io.middleware.push(fn),
+      local: { emit: sinon.spy((event, payload) => order.push(`emit ${event} ${payload.reconnectIn}`)) },
+      close: sinon.spy(done => {
+        order.push('io closed');
+        done();
+      })
+    };
+    exit = sinon.stub();
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'warn');
+    sinon.stub(console, 'error');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should notify clients, close connections and then run the steps in order', async () => {
+    const shutdown = create({ steps: [step('flush'), step('database')] });
+
+    await shutdown.shutdown('SIGTERM');
+
+    expect(order).to.deep.equal([
+      `emit ${EVENTS.SERVER_SHUTDOWN} 3000`,
+      'io closed',
+      'flush',
+      'database'
+    ]);
+    expect(exit.calledOnceWith(0)).to.be.true;
+  });
+
+  it('should refuse new connections and requests once shutting down', async () => {
+    const shutdown = create();
+    const [middleware] = io.middleware;
+
+    const before = sinon.spy();
+    middleware({}, before);
+    expect(before.calledOnceWithExactly()).to.be.true;
+
+    const done = shutdown.shutdown('SIGTERM');
+    const after = sinon.spy();
+    middleware({}, after);
+    expect(after.firstCall.args[0].data).to.deep.equal({
+      code: SHUTDOWN_ERRORS.SHUTTING_DOWN,
+      reconnectIn: 3000
+    });
+
+    const res = { set: sinon.stub(), status: sinon.stub(), json: sinon.stub() };
+    res.status.returns(res);
+    const next = sinon.spy();
+    shutdown.httpMiddleware({}, res, next);
+    expect(next.called).to.be.false;
+    expect(res.status.calledWith(503)).to.be.true;
+    expect(res.set.calledWith('Retry-After', '3')).to.be.true;
+
+    await done;
+  });
+
+  it('should run the remaining steps when one fails or times out', async () => {
+    const shutdown = create({
+      stepTimeout: 20,
+      steps: [
+        step('flush', async () => { throw new Error('database is down'); }),
+        step('drain', () => new Promise(() => {})),
+        step('database')
+      ]
+    });
+
+    await shutdown.shutdown('SIGTERM');
+
+    expect(order.slice(2)).to.deep.equal(['flush', 'drain', 'database']);
+    expect(exit.calledOnceWith(1)).to.be.true;
+    expect(console.error.calledWith(sinon.match(/drain failed/), sinon.match(/within 20ms/))).to.be.true;
+  });
+
+  it('should wait for tracked work before running the steps', async () => {
+    const shutdown = create({ steps: [step('database')] });
+    let finishDisconnect;
+    shutdown.track(new Promise(resolve => { finishDisconnect = resolve; }).then(() => order.push('disconnected')));
+
+    const done = shutdown.shutdown('SIGTERM');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    expect(order).to.not.include('database');
+
+    finishDisconnect();
+    await done;
+    expect(order.slice(-2)).to.deep.equal(['disconnected', 'database']);
+  });
+
+  it('should exit straight away on a second signal', async () => {
+    let finishFlush;
+    const shutdown = create({
+      steps: [step('flush', () => new Promise(resolve => { finishFlush = resolve; }))]
+    });
+
+    const first = shutdown.shutdown('SIGINT');
+    shutdown.shutdown('SIGINT');
+    expect(exit.calledOnceWith(1)).to.be.true;
+    expect(shutdown.isShuttingDown()).to.be.true;
+
+    while (!finishFlush) {
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+    finishFlush();
+    await first;
+  });
+});
@@ -0,0 +1,25 @@
+// Builds GLB files for the model tests
+
+function chunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32LE(data.length, 0);
+  header.writeUInt32LE(type, 4);
+  return Buffer.concat([header, data]);
+}
+
+// Chunks are 4-byte aligned: JSON padded with spaces, BIN with zeros
+const pad = (buffer, fill) => Buffer.concat([buffer, Buffer.alloc((4 - buffer.length % 4) % 4, fill)]);
+
+// GLB from a glTF JSON object and the BIN chunk contents
+function buildGLB(json, bin = null) {
+  const chunks = [chunk(0x4E4F534A, pad(Buffer.from(JSON.stringify(json)), 0x20))];
+  if (bin) chunks.push(chunk(0x004E4942, pad(bin, 0)));
+
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(0x46546C67, 0);
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(12 + chunks.reduce((sum, c) => sum + c.length, 0), 8);
+  return Buffer.concat([header, ...chunks]);
+}
+
+module.exports = { chunk, pad, buildGLB };
@@ -0,0 +1,140 @@
+const { describe, it, beforeEach } = require('mocha');
+const { expect } = require('chai');
+
+const { SpatialGrid, InterestManager } = require('../interest-management');
+const { AvatarSnapshotEncoder } = require('../avatar-sync');
+const { getInterestSettings, DEFAULT_INTEREST } = require('../spaces-config');
+
+describe('Interest Management', () => {
+  describe('SpatialGrid', () => {
+    let grid;
+
+    beforeEach(() => {
+      grid = new SpatialGrid(10);
+    });
+
+    it('should find ids within the radius across cells', () => {
+      grid.update('a', { x: 0, z: 0 });
+      grid.update('b', { x: 12, z: 0 });
+      grid.update('c', { x: 40, z: 40 });
+
+      expect(Array.from(grid.query({ x: 1, z: 1 }, 15))).to.have.members(['a', 'b']);
+    });
+
+    it('should use the exact distance, not just the cell', () => {
+      grid.update('corner', { x: 9, z: 9 });
+
+      expect(grid.query({ x: 0, z: 0 }, 10).has('corner')).to.be.false;
+    });
+
+    it('should move ids between cells and drop empty ones', () => {
+      grid.update('a', { x: 0, z: 0 });
+      grid.update('a', { x: 55, z: 0 });
+
+      expect(grid.query({ x: 0, z: 0 }, 5).size).to.equal(0);
+      expect(grid.query({ x: 55, z: 0 }, 5).has('a')).to.be.true;
+      expect(grid.cells.size).to.equal(1);
+
+      grid.remove('a');
+      expect(grid.cells.size).to.equal(0);
+    });
+  });
+
+  describe('InterestManager', () => {
+    let avatars;
+    let interest;
+
+    const place = (userId, x, z) => {
+      avatars.update(userId, { x, y: 0, z }, null);
+      if (interest.viewers.has(userId)) {
+        interest.moveUser(userId, { x, z });
+      } else {
+        interest.addViewer(userId, `socket-${userId}`, { x, z });
+      }
+    };
+
+    const snapshotFor = (updates, userId) => {
+      const update = updates.find(u => u.socketId === `socket-${userId}`);
+      return update && update.snapshot;
+    };
+
+    beforeEach(() => {
+      avatars = new AvatarSnapshotEncoder();
+      interest = new InterestManager({ radius: 10, cellSize: 10, farUpdateInterval: 500 }, avatars.latest);
+      place('near', 0, 0);
+      place('close', 5, 0);
+      place('far', 100, 0);
+    });
+
+    it('should send nearby avatars every tick and far ones at the coarse rate', () => {
+      const first = snapshotFor(interest.collect(), 'near');
+      expect(first.users.map(entry => entry[0])).to.deep.equal(['close']);
+
+      // farUpdateInterval 500ms at 10Hz is every 5th tick
+      let seenFar = 0;
+      for (let i = 2; i <= 5; i++) {
+        place('far', 100 + i, 0);
+        const snapshot = snapshotFor(interest.collect(), 'near');
+        if (snapshot && snapshot.users.some(entry => entry[0] === 'far')) seenFar = i;
+      }
+      expect(seenFar).to.equal(5);
+    });
+
+    it('should never include the viewer itself', () => {
+      const updates = interest.collect();
+
+      expect(snapshotFor(updates, 'near').users.map(entry => entry[0])).to.not.include('near');
+      expect(snapshotFor(updates, 'far')).to.be.undefined;
+    });
+
+    it('should count users that are not viewers here (other instances) as nearby avatars', () => {
+      avatars.update('remote', { x: 3, y: 0, z: 0 }, null);
+      interest.moveUser('remote', { x: 3, z: 0 });
+
+      const ids = snapshotFor(interest.collect(), 'near').users.map(entry => entry[0]);
+      expect(ids).to.have.members(['close', 'remote']);
+    });
+
+    it('should route object moves to nearby viewers and queue the rest', () => {
+      const payload = { objectId: 'obj', position: { x: 1, y: 0, z: 1 } };
+      const socketIds = interest.routeObjectMove(payload, payload.position, 'near');
+
+      expect(socketIds).to.deep.equal(['socket-close']);
+
+      let delivered = [];
+      for (let i = 0; i < 5; i++) {
+        const update = interest.collect().find(u => u.socketId === 'socket-far');
+        if (update && update.objectMoves.length) delivered = update.objectMoves;
+      }
+      expect(delivered).to.deep.equal([payload]);
+    });
+
+    it('should only deliver the latest queued move and drop deleted objects', () => {
+      interest.routeObjectMove({ objectId: 'a', step: 1 }, { x: 0, z: 0 });
+      interest.routeObjectMove({ objectId: 'a', step: 2 }, { x: 0, z: 0 });
+      interest.routeObjectMove({ objectId: 'b', step: 1 }, { x: 0, z: 0 });
+      interest.dropObject('b');
+
+      expect(Array.from(interest.viewers.get('far').objectMoves.values()))
+        .to.deep.equal([{ objectId: 'a', step: 2 }]);
+    });
+
+    it('should resend a full entry after a user leaves and rejoins', () => {
+      interest.collect();
+
+      avatars.remove('close');
+      interest.removeUser('close');
+      place('close', 5, 0);
+
+      const entry = snapshotFor(interest.collect(), 'near').users.find(e => e[0] === 'close');
+      expect(entry[1]).to.equal(63);
+    });
+  });
+
+  describe('settings', () => {
+    it('should merge space overrides with the defaults', () => {
+      expect(getInterestSettings('default')).to.deep.equal(DEFAULT_INTEREST);
+      expect(getInterestSettings('Game-Room')).to.include({ radius: 60, farUpdateInterval: 1000 });
+    });
+  });
+});
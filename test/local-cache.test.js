@@ -0,0 +1,100 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const CacheManager = require('../persistence/CacheManager');
+const LocalCache = require('../persistence/LocalCache');
+
+describe('LocalCache', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should evict the least recently used keys', async () => {
+    const local = new LocalCache({ maxKeys: 2 });
+
+    await local.set('a', '1');
+    await local.hset('b', 'field', '2');
+    await local.get('a');
+    await local.set('c', '3');
+
+    expect(await local.keys('*')).to.have.members(['a', 'c']);
+    expect(local.evictions).to.equal(1);
+  });
+
+  it('should expire keys like Redis', async () => {
+    const clock = sinon.useFakeTimers();
+    const local = new LocalCache();
+
+    await local.setex('session', 2, 'data');
+    expect(await local.ttl('session')).to.equal(2);
+
+    clock.tick(2000);
+    expect(await local.get('session')).to.be.null;
+    expect(await local.ttl('session')).to.equal(-2);
+  });
+
+  it('should run queued commands on exec and reply like ioredis', async () => {
+    const local = new LocalCache();
+    await local.set('name', 'text');
+
+    const results = await local.multi().hset('hash', 'a', '1').expire('hash', 60).hget('name', 'a').exec();
+
+    expect(results[0]).to.deep.equal([null, 1]);
+    expect(results[1]).to.deep.equal([null, 1]);
+    expect(results[2][0].message).to.match(/^WRONGTYPE/);
+  });
+
+  describe('CacheManager fallback', () => {
+    let redis;
+    let cache;
+
+    // Another LocalCache plays the Redis server
+    beforeEach(() => {
+      redis = new LocalCache();
+      redis.defineCommand = () => {};
+      cache = new CacheManager({ client: redis });
+      sinon.stub(console, 'log');
+      sinon.stub(console, 'warn');
+    });
+
+    it('should cache in process while Redis is down and invalidate on its return', async () => {
+      await cache.set('object', '1', { x: 1 });
+      expect(await redis.get('object:1')).to.equal('{"x":1}');
+
+      redis.emit('close');
+      expect(cache.getMetrics()).to.include({ backend: 'memory', fallbacks: 1 });
+
+      await cache.set('object', '1', { x: 2 });
+      expect(await cache.get('object', '1')).to.deep.equal({ x: 2 });
+
+      redis.emit('ready');
+      await new Promise(resolve => setImmediate(resolve));
+
+      // Redis held the older copy, so it is dropped rather than served
+      expect(cache.backend).to.equal('redis');
+      expect(await redis.get('object:1')).to.be.null;
+      expect(cache.local.size).to.equal(0);
+    });
+
+    it('should keep the whole interface working without Redis', async () => {
+      cache = new CacheManager({ driver: 'memory' });
+      const received = [];
+      const subscriber = cache.createSubscriber((channel, message) => received.push([channel, message.data]));
+      await subscriber.subscribe('world:chat:messages');
+
+      await cache.hset('model', 'space-1', 'm1', { name: 'chair' });
+      const limits = [];
+      for (let i = 0; i < 3; i++) {
+        limits.push((await cache.checkRateLimit('user-1', 'chat', 2)).allowed);
+      }
+      await cache.publish('world:chat:messages', 'hi');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(await cache.hget('model', 'space-1', 'm1')).to.deep.equal({ name: 'chair' });
+      expect(limits).to.deep.equal([true, true, false]);
+      expect(received).to.deep.equal([['world:chat:messages', 'hi']]);
+      expect(await cache.ping()).to.be.true;
+    });
+  });
+});
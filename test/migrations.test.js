@@ -0,0 +1,212 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const runMigrations = require('../migrations/run-migrations');
+const {
+  MigrationError,
+  checksum,
+  loadMigrations,
+  migrationStatus,
+  planMigrations,
+  parseArgs
+} = runMigrations;
+
+describe('Migrations', () => {
+  let dir;
+
+  const write = (file, sql) => fs.writeFileSync(path.join(dir, file), sql);
+
+  // Applied rows as the migrations table returns them
+  const appliedRow = (migration, overrides = {}) => ({
+    filename: migration.filename,
+    checksum: migration.checksum,
+    executed_at: new Date('2025-01-01T00:00:00Z'),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    write('001_first.sql', 'CREATE TABLE a (id INT);');
+    write('001_first.down.sql', 'DROP TABLE a;');
+    write('002_second.sql', 'CREATE TABLE b (id INT);');
+    write('002_second.down.sql', 'DROP TABLE b;');
+    write('010_third.sql', 'CREATE TABLE c (id INT);');
+    write('010_third.down.sql', 'DROP TABLE c;');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    sinon.restore();
+  });
+
+  it('should have a down migration for every migration in the repository', async () => {
+    const migrations = await loadMigrations();
+
+    expect(migrations).to.not.be.empty;
+    migrations.forEach(migration => expect(migration.downSql, migration.filename).to.be.a('string'));
+  });
+
+  it('should ignore line endings in checksums', () => {
+    expect(checksum('SELECT 1;\r\nSELECT 2;\r\n')).to.equal(checksum('SELECT 1;\nSELECT 2;\n'));
+    expect(checksum('SELECT 1;')).to.not.equal(checksum('SELECT 2;'));
+  });
+
+  describe('loadMigrations', () => {
+    it('should pair up and down files in version order', async () => {
+      const migrations = await loadMigrations(dir);
+
+      expect(migrations.map(m => m.version)).to.deep.equal(['001', '002', '010']);
+      expect(migrations[0]).to.include({
+        filename: '001_first.sql',
+        downFilename: '001_first.down.sql',
+        downSql: 'DROP TABLE a;',
+        checksum: checksum('CREATE TABLE a (id INT);')
+      });
+    });
+
+    it('should refuse stray and badly named files', async () => {
+      write('003_orphan.down.sql', 'DROP TABLE d;');
+      let error = await loadMigrations(dir).catch(e => e);
+      expect(error).to.be.instanceOf(MigrationError);
+      expect(error.message).to.match(/003_orphan.down.sql has no matching up migration/);
+
+      fs.unlinkSync(path.join(dir, '003_orphan.down.sql'));
+      write('fixes.sql', 'SELECT 1;');
+      error = await loadMigrations(dir).catch(e => e);
+      expect(error.message).to.match(/fixes.sql is not named/);
+    });
+  });
+
+  describe('migrationStatus', () => {
+    it('should flag edited, deleted and unverified migrations', async () => {
+      const [first, second] = await loadMigrations(dir);
+
+      const status = migrationStatus([first, second], [
+        appliedRow(first, { checksum: null }),
+        appliedRow(second, { checksum: 'edited' }),
+        { filename: '005_gone.sql', checksum: 'x', executed_at: new Date() }
+      ]);
+
+      expect(status.map(entry => [entry.filename, entry.state])).to.deep.equal([
+        ['001_first.sql', 'applied'],
+        ['002_second.sql', 'changed'],
+        ['005_gone.sql', 'missing']
+      ]);
+      expect(status[0].unverified).to.be.true;
+      expect(status[1].reversible).to.be.true;
+    });
+  });
+
+  describe('planMigrations', () => {
+    it('should apply pending migrations, optionally up to a version', async () => {
+      const migrations = await loadMigrations(dir);
+      const applied = [appliedRow(migrations[0])];
+
+      expect(planMigrations('up', migrations, applied).map(m => m.version)).to.deep.equal(['002', '010']);
+      expect(planMigrations('up', migrations, applied, { to: '2' }).map(m => m.version)).to.deep.equal(['002']);
+    });
+
+    it('should roll back the latest migration, n steps or down to a version', async () => {
+      const migrations = await loadMigrations(dir);
+      const applied = migrations.map(migration => appliedRow(migration));
+
+      expect(planMigrations('down', migrations, applied).map(m => m.version)).to.deep.equal(['010']);
+      expect(planMigrations('down', migrations, applied, { steps: 2 }).map(m => m.version))
+        .to.deep.equal(['010', '002']);
+      expect(planMigrations('down', migrations, applied, { to: '001' }).map(m => m.version))
+        .to.deep.equal(['010', '002']);
+    });
+
+    it('should refuse to migrate past edited or irreversible migrations', async () => {
+      const migrations = await loadMigrations(dir);
+      const applied = migrations.map(migration => appliedRow(migration));
+
+      expect(() => planMigrations('up', migrations, [appliedRow(migrations[0], { checksum: 'edited' })]))
+        .to.throw(MigrationError, /001_first.sql/);
+      expect(() => planMigrations('up', migrations, [], { to: '004' })).to.throw(MigrationError, /No migration 004/);
+
+      migrations[2].downSql = null;
+      expect(() => planMigrations('down', migrations, applied)).to.throw(MigrationError, /No down migration for 010_third.sql/);
+    });
+  });
+
+  describe('runMigrations', () => {
+    let client;
+    let pool;
+    let applied;
+
+    beforeEach(() => {
+      applied = [];
+      client = {
+        query: sinon.stub().callsFake(async sql => (
+          sql.startsWith('SELECT filename') ? { rows: applied } : { rows: [] }
+        )),
+        release: sinon.stub()
+      };
+      pool = { connect: sinon.stub().resolves(client), end: sinon.stub().resolves() };
+      sinon.stub(console, 'log');
+    });
+
+    const statements = () => client.query.getCalls().map(call => call.args[0].trim());
+
+    it('should run each migration in its own transaction and record it', async () => {
+      const plan = await runMigrations('up', { pool, dir, to: '002' });
+
+      expect(plan.map(m => m.filename)).to.deep.equal(['001_first.sql', '002_second.sql']);
+      const first = statements().indexOf('CREATE TABLE a (id INT);');
+      expect(statements().slice(first - 1, first + 3)).to.deep.equal([
+        'BEGIN',
+        'CREATE TABLE a (id INT);',
+        'INSERT INTO migrations (filename, checksum) VALUES ($1, $2)',
+        'COMMIT'
+      ]);
+      expect(client.query.calledWith(sinon.match(/INSERT/), ['001_first.sql', plan[0].checksum])).to.be.true;
+      expect(client.release.calledOnce).to.be.true;
+      expect(pool.end.called).to.be.false;
+    });
+
+    it('should roll back a failing migration and stop', async () => {
+      client.query.withArgs('CREATE TABLE b (id INT);').rejects(new Error('relation "b" already exists'));
+
+      const error = await runMigrations('up', { pool, dir }).catch(e => e);
+
+      expect(error).to.be.instanceOf(MigrationError);
+      expect(error.message).to.match(/002_second.sql failed and was rolled back: relation "b" already exists/);
+      expect(statements()).to.include('ROLLBACK');
+      expect(statements()).to.not.include('CREATE TABLE c (id INT);');
+      expect(client.query.calledWith(sinon.match(/pg_advisory_unlock/))).to.be.true;
+    });
+
+    it('should run down migrations and forget them', async () => {
+      const migrations = await loadMigrations(dir);
+      applied = migrations.map(migration => appliedRow(migration));
+
+      await runMigrations('down', { pool, dir });
+
+      expect(statements()).to.include('DROP TABLE c;');
+      expect(client.query.calledWith('DELETE FROM migrations WHERE filename = $1', ['010_third.sql'])).to.be.true;
+      expect(statements()).to.not.include('DROP TABLE b;');
+    });
+
+    it('should change nothing in a dry run', async () => {
+      const plan = await runMigrations('up', { pool, dir, dryRun: true });
+
+      expect(plan).to.have.length(3);
+      expect(statements().some(sql => sql.startsWith('CREATE TABLE') && !sql.includes('migrations'))).to.be.false;
+      expect(statements()).to.not.include('BEGIN');
+    });
+  });
+
+  it('should parse command line options', () => {
+    expect(parseArgs(['down', '--steps', '2', '--dry-run'])).to.deep.equal({
+      command: 'down', dryRun: true, to: null, steps: 2
+    });
+    expect(parseArgs([])).to.include({ command: 'up' });
+    expect(() => parseArgs(['--steps', 'x'])).to.throw(MigrationError);
+    expect(() => parseArgs(['--force'])).to.throw(MigrationError, /Unknown option --force/);
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it, beforeEach } = require('mocha');
+const { expect } = require('chai');
+
+const { ObjectClaims } = require('../object-claims');
+
+describe('Object Claims', () => {
+  const alice = { socketId: 'socket_a', userId: 'user_a', username: 'Alice' };
+  const bob = { socketId: 'socket_b', userId: 'user_b', username: 'Bob' };
+  let claims;
+
+  beforeEach(() => {
+    claims = new ObjectClaims({ timeout: 1000 });
+  });
+
+  it('should grant a free object and refuse it to others while held', () => {
+    expect(claims.claim('obj_1', alice, 0)).to.include({ granted: true, renewed: false });
+
+    const refused = claims.claim('obj_1', bob, 500);
+    expect(refused.granted).to.be.false;
+    expect(refused.claim.username).to.equal('Alice');
+    expect(claims.heldByOther('obj_1', bob.socketId, 500)).to.not.be.null;
+    expect(claims.heldByOther('obj_1', alice.socketId, 500)).to.be.null;
+  });
+
+  it('should renew the holder\'s claim', () => {
+    claims.claim('obj_1', alice, 0);
+    const renewed = claims.claim('obj_1', alice, 800);
+
+    expect(renewed).to.include({ granted: true, renewed: true });
+    expect(claims.get('obj_1', 1500)).to.not.be.null;
+  });
+
+  it('should let the object go once the claim times out', () => {
+    claims.claim('obj_1', alice, 0);
+
+    expect(claims.claim('obj_1', bob, 1000).granted).to.be.true;
+  });
+
+  it('should only release for the holder', () => {
+    claims.claim('obj_1', alice, 0);
+
+    expect(claims.release('obj_1', bob.socketId)).to.be.false;
+    expect(claims.release('obj_1', alice.socketId)).to.be.true;
+    expect(claims.get('obj_1', 0)).to.be.null;
+  });
+
+  it('should release everything a connection holds', () => {
+    claims.claim('obj_1', alice, 0);
+    claims.claim('obj_2', alice, 0);
+    claims.claim('obj_3', bob, 0);
+
+    expect(claims.releaseAll(alice.socketId)).to.have.members(['obj_1', 'obj_2']);
+    expect(claims.list(0).map(claim => claim.objectId)).to.deep.equal(['obj_3']);
+  });
+
+  it('should report expired claims once', () => {
+    claims.claim('obj_1', alice, 0);
+    claims.claim('obj_2', bob, 600);
+
+    expect(claims.expire(1200).map(claim => claim.objectId)).to.deep.equal(['obj_1']);
+    expect(claims.expire(1200)).to.be.empty;
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const { ObjectHistory, HISTORY_OPERATIONS, invertOperation } = require('../object-history');
+
+describe('Object History', () => {
+  const at = (x) => ({ objectId: 'obj_1', position: { x, y: 0, z: 0 } });
+  let history;
+
+  beforeEach(() => {
+    history = new ObjectHistory({ maxEntries: 3, mergeWindow: 1000 });
+  });
+
+  describe('invertOperation', () => {
+    it('should turn adds into deletes and swap move snapshots', () => {
+      const add = { type: HISTORY_OPERATIONS.ADD, objectId: 'obj_1', before: null, after: at(1) };
+      expect(invertOperation(add)).to.deep.equal({
+        type: HISTORY_OPERATIONS.DELETE, objectId: 'obj_1', before: at(1), after: null
+      });
+
+      const move = { type: HISTORY_OPERATIONS.MOVE, objectId: 'obj_1', before: at(1), after: at(2) };
+      expect(invertOperation(move).after).to.deep.equal(at(1));
+    });
+  });
+
+  describe('undo / redo', () => {
+    it('should apply the inverse and move the entry to the redo stack', async () => {
+      history.record('user_a', { type: HISTORY_OPERATIONS.DELETE, objectId: 'obj_1', before: at(1), after: null });
+      const apply = sinon.stub().resolves(true);
+
+      const result = await history.undo('user_a', apply);
+
+      expect(result).to.deep.equal({ applied: true, empty: false });
+      expect(apply.firstCall.args[0].type).to.equal(HISTORY_OPERATIONS.ADD);
+      expect(history.getDepth('user_a')).to.deep.equal({ undo: 0, redo: 1 });
+
+      await history.redo('user_a', apply);
+      expect(apply.secondCall.args[0].type).to.equal(HISTORY_OPERATIONS.DELETE);
+      expect(history.getDepth('user_a')).to.deep.equal({ undo: 1, redo: 0 });
+    });
+
+    it('should report an empty stack without calling apply', async () => {
+      const apply = sinon.stub().resolves(true);
+
+      expect(await history.undo('user_a', apply)).to.deep.equal({ applied: false, empty: true });
+      expect(apply.called).to.be.false;
+    });
+
+    it('should drop entries that can no longer be applied', async () => {
+      history.record('user_a', { type: HISTORY_OPERATIONS.MOVE, objectId: 'obj_1', before: at(1), after: at(2) });
+
+      await history.undo('user_a', sinon.stub().resolves(false));
+
+      expect(history.getDepth('user_a')).to.deep.equal({ undo: 0, redo: 0 });
+    });
+
+    it('should keep each user\'s history separate', async () => {
+      history.record('user_a', { type: HISTORY_OPERATIONS.ADD, objectId: 'obj_1', before: null, after: at(1) });
+
+      expect((await history.undo('user_b', sinon.stub().resolves(true))).empty).to.be.true;
+      expect(history.getDepth('user_a').undo).to.equal(1);
+    });
+  });
+
+  describe('record', () => {
+    it('should merge rapid moves of the same object into one entry', () => {
+      history.record('user_a', { type: HISTORY_OPERATIONS.MOVE, objectId: 'obj_1', before: at(0), after: at(1) }, 1000);
+      history.record('user_a', { type: HISTORY_OPERATIONS.MOVE, objectId: 'obj_1', before: at(1), after: at(2) }, 1500);
+      history.record('user_a', { type: HISTORY_OPERATIONS.MOVE, objectId: 'obj_1', before: at(2), after: at(3) }, 5000);
+
+      const [first] = history.getStacks('user_a').undo;
+      expect(history.getDepth('user_a').undo).to.equal(2);
+      expect(first.before).to.deep.equal(at(0));
+      expect(first.after).to.deep.equal(at(2));
+    });
+
+    it('should cap the stack and clear redo on a new edit', async () => {
+      for (let i = 0; i < 5; i++) {
+        history.record('user_a', { type: HISTORY_OPERATIONS.ADD, objectId: `obj_${i}`, before: null, after: at(i) });
+      }
+      expect(history.getDepth('user_a').undo).to.equal(3);
+
+      await history.undo('user_a', sinon.stub().resolves(true));
+      history.record('user_a', { type: HISTORY_OPERATIONS.ADD, objectId: 'obj_9', before: null, after: at(9) });
+
+      expect(history.getDepth('user_a').redo).to.equal(0);
+    });
+  });
+
+  describe('load', () => {
+    it('should place stored operations beneath newer ones', () => {
+      history.record('user_a', { type: HISTORY_OPERATIONS.ADD, objectId: 'obj_new', before: null, after: at(5) });
+      history.load('user_a', [
+        { type: HISTORY_OPERATIONS.ADD, objectId: 'obj_old', before: null, after: at(1) }
+      ]);
+
+      const ids = history.getStacks('user_a').undo.map(entry => entry.objectId);
+      expect(ids).to.deep.equal(['obj_old', 'obj_new']);
+      expect(history.isLoaded('user_a')).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+
+const { OBJECT_ACTIONS, PERMISSION_ERRORS, checkObjectPermission } = require('../auth/permissions');
+
+describe('Object Permissions', () => {
+  const owner = { accountId: 'owner-1' };
+  const stranger = { accountId: 'user-2' };
+  const guest = { accountId: null };
+  const moderator = { accountId: 'mod-3', isModerator: true };
+
+  const owned = (flags = {}) => ({ objectId: 'obj_1', ownerId: 'owner-1', ...flags });
+
+  it('should let owners move, delete and manage their objects', () => {
+    for (const action of Object.values(OBJECT_ACTIONS)) {
+      expect(checkObjectPermission(owned(), owner, action).allowed).to.be.true;
+    }
+  });
+
+  it('should refuse edits to objects owned by someone else', () => {
+    const result = checkObjectPermission(owned(), stranger, OBJECT_ACTIONS.MOVE);
+
+    expect(result.allowed).to.be.false;
+    expect(result.code).to.equal(PERMISSION_ERRORS.NOT_OWNER);
+  });
+
+  it('should let anyone move public objects but not delete them', () => {
+    const object = owned({ isPublic: true });
+
+    expect(checkObjectPermission(object, guest, OBJECT_ACTIONS.MOVE).allowed).to.be.true;
+    expect(checkObjectPermission(object, guest, OBJECT_ACTIONS.DELETE).allowed).to.be.false;
+  });
+
+  it('should block everyone but moderators from locked objects', () => {
+    const object = owned({ locked: true, isPublic: true });
+
+    expect(checkObjectPermission(object, owner, OBJECT_ACTIONS.MOVE).code).to.equal(PERMISSION_ERRORS.LOCKED);
+    expect(checkObjectPermission(object, stranger, OBJECT_ACTIONS.MOVE).allowed).to.be.false;
+    expect(checkObjectPermission(object, moderator, OBJECT_ACTIONS.DELETE).allowed).to.be.true;
+  });
+
+  it('should let the owner unlock a locked object', () => {
+    expect(checkObjectPermission(owned({ locked: true }), owner, OBJECT_ACTIONS.MANAGE).allowed).to.be.true;
+  });
+
+  it('should treat ownerless objects as open unless locked', () => {
+    expect(checkObjectPermission({ objectId: 'legacy' }, guest, OBJECT_ACTIONS.DELETE).allowed).to.be.true;
+    expect(checkObjectPermission({ objectId: 'legacy', locked: true }, guest, OBJECT_ACTIONS.MOVE).allowed).to.be.false;
+    expect(checkObjectPermission({ objectId: 'legacy' }, guest, OBJECT_ACTIONS.MANAGE).code)
+      .to.equal(PERMISSION_ERRORS.AUTH_REQUIRED);
+  });
+
+  it('should report unknown objects', () => {
+    expect(checkObjectPermission(undefined, owner, OBJECT_ACTIONS.MOVE).code).to.equal(PERMISSION_ERRORS.NOT_FOUND);
+  });
+});
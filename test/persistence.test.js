@@ -550,6 +550,25 @@ describe('Persistence System Tests', () => {
       }, 200);
     });
     
+    it('should keep only the latest update per object', () => {
+      const objectId = uuidv4();
+      const move = (x, timestamp) => ({
+        objectId,
+        position: { x, y: 0, z: 0 },
+        timestamp
+      });
+      
+      const updates = batchProcessor.collapseObjectUpdates([
+        move(1, 100),
+        { ...move(0, 100), objectId: 'other' },
+        move(3, 300),
+        move(2, 200)
+      ]);
+      
+      expect(updates).to.have.lengthOf(2);
+      expect(updates.find(u => u.objectId === objectId).position.x).to.equal(3);
+    });
+    
     it('should batch chat messages', async (done) => {
       // Add messages to batch
       for (let i = 0; i < 12; i++) {
@@ -0,0 +1,154 @@
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+
+const protocol = require('../protocol');
+const { EVENTS, PROTOCOL_VERSION, PROTOCOL_ERRORS } = protocol;
+
+describe('Socket.IO Protocol', () => {
+  describe('validatePayload', () => {
+    it('should accept a well-formed object-move', () => {
+      const result = protocol.validatePayload(EVENTS.OBJECT_MOVE, {
+        objectId: 'obj_1',
+        position: { x: 1, y: 2, z: 3 }
+      });
+
+      expect(result.valid).to.be.true;
+      expect(result.errors).to.be.empty;
+    });
+
+    it('should report missing required fields and wrong types', () => {
+      const result = protocol.validatePayload(EVENTS.OBJECT_MOVE, {
+        position: { x: 1, y: 'up', z: 3 }
+      });
+
+      expect(result.valid).to.be.false;
+      expect(result.errors).to.include('objectId is required');
+      expect(result.errors).to.include('position must be vector3');
+    });
+
+    it('should reject unknown events and non-object payloads', () => {
+      expect(protocol.validatePayload('no-such-event', {}).valid).to.be.false;
+      expect(protocol.validatePayload(EVENTS.CHAT_MESSAGE, 'hello').valid).to.be.false;
+    });
+
+    it('should reject non-finite coordinates', () => {
+      const result = protocol.validatePayload(EVENTS.OBJECT_MOVE, {
+        objectId: 'obj_1',
+        position: { x: Infinity, y: 0, z: NaN }
+      });
+
+      expect(result.valid).to.be.false;
+    });
+
+    it('should treat a missing payload as empty', () => {
+      expect(protocol.validatePayload(EVENTS.SCREEN_SHARE_STOP).valid).to.be.true;
+    });
+  });
+
+  describe('negotiateVersion', () => {
+    it('should accept the current version', () => {
+      const result = protocol.negotiateVersion(PROTOCOL_VERSION);
+
+      expect(result.accepted).to.be.true;
+      expect(result.legacy).to.be.false;
+    });
+
+    it('should treat a missing version as legacy', () => {
+      const result = protocol.negotiateVersion(undefined);
+
+      expect(result.accepted).to.be.true;
+      expect(result.version).to.equal(0);
+      expect(result.legacy).to.be.true;
+    });
+
+    it('should reject versions newer than the server', () => {
+      const result = protocol.negotiateVersion(PROTOCOL_VERSION + 1);
+
+      expect(result.accepted).to.be.false;
+      expect(result.serverVersion).to.equal(PROTOCOL_VERSION);
+    });
+
+    it('should be the version the client loads the shared scripts with', () => {
+      const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+
+      ['protocol.js', 'avatar-sync.js'].forEach(script => {
+        expect(html).to.include(`<script src="./${script}?v=${PROTOCOL_VERSION}"></script>`);
+      });
+    });
+  });
+
+  describe('adaptLegacyPacket', () => {
+    it('should rename legacy events', () => {
+      expect(protocol.adaptLegacyPacket('join-world', {}).event).to.equal(EVENTS.USER_SPAWN);
+      expect(protocol.adaptLegacyPacket('screen-share-started', {}).event).to.equal(EVENTS.SCREEN_SHARE_START);
+    });
+
+    it('should normalize serialized three.js vectors', () => {
+      const { payload } = protocol.adaptLegacyPacket(EVENTS.OBJECT_ADD, {
+        rotation: { _x: 0.5, _y: 1, _z: 0, _order: 'XYZ' }
+      });
+
+      expect(payload.rotation).to.deep.equal({ x: 0.5, y: 1, z: 0 });
+    });
+
+    it('should map targetUserId to to for WebRTC relays', () => {
+      const { payload } = protocol.adaptLegacyPacket(EVENTS.WEBRTC_OFFER, {
+        targetUserId: 'peer', offer: {}
+      });
+
+      expect(payload.to).to.equal('peer');
+    });
+  });
+
+  describe('middleware', () => {
+    it('should refuse unsupported handshakes with an error code', (done) => {
+      const middleware = protocol.createHandshakeMiddleware();
+      const socket = { handshake: { auth: { protocolVersion: PROTOCOL_VERSION + 1 } } };
+
+      middleware(socket, (error) => {
+        expect(error).to.be.an('error');
+        expect(error.data.code).to.equal(PROTOCOL_ERRORS.UNSUPPORTED_VERSION);
+        done();
+      });
+    });
+
+    it('should adapt legacy packets and drop malformed ones', () => {
+      const emitted = [];
+      const socket = {
+        protocolVersion: 0,
+        emit: (event, data) => emitted.push({ event, data })
+      };
+      const middleware = protocol.createPacketMiddleware(socket);
+
+      const packet = ['join-world', { username: 'legacy' }];
+      let passed = false;
+      middleware(packet, () => { passed = true; });
+      expect(passed).to.be.true;
+      expect(packet[0]).to.equal(EVENTS.USER_SPAWN);
+
+      passed = false;
+      middleware([EVENTS.OBJECT_DELETE, {}], () => { passed = true; });
+      expect(passed).to.be.false;
+      expect(emitted[0].event).to.equal(EVENTS.PROTOCOL_ERROR);
+      expect(emitted[0].data.code).to.equal(PROTOCOL_ERRORS.INVALID_PAYLOAD);
+    });
+  });
+
+  describe('buildWorldStatePayload', () => {
+    it('should send collections as entry arrays', () => {
+      const payload = protocol.buildWorldStatePayload({
+        objects: new Map([['a', { objectId: 'a' }]]),
+        uploadedModels: { m: { modelId: 'm' } },
+        users: new Map()
+      });
+
+      expect(payload.protocolVersion).to.equal(PROTOCOL_VERSION);
+      expect(payload.objects).to.deep.equal([['a', { objectId: 'a' }]]);
+      expect(payload.uploadedModels).to.deep.equal([['m', { modelId: 'm' }]]);
+      expect(payload.users).to.deep.equal([]);
+      expect(payload.chatHistory).to.deep.equal([]);
+    });
+  });
+});
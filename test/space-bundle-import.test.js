@@ -0,0 +1,147 @@
+const { describe, it, before, after } = require('mocha');
+const { expect } = require('chai');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const AuthService = require('../auth/AuthService');
+const { buildManifest, createBundle } = require('../space-bundle');
+
+const ROOT = path.join(__dirname, '..');
+const MODEL = fs.readFileSync(path.join(ROOT, 'models', '2-SMILE.glb'));
+const JWT_SECRET = 'bundle-import-secret';
+
+// A port nothing listens on right now
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Runs the persistent server end to end: it is started as its own process on
+// in-memory storage, and a bundle with a model is imported over HTTP
+describe('Space Bundle Import (server)', function () {
+  this.timeout(30000);
+
+  let server;
+  let output = '';
+  let base;
+
+  const admin = new AuthService({ jwtSecret: JWT_SECRET }).issueAccessToken({
+    id: '2f3c9a51-7d0e-4b6a-9c1d-5e8f0a2b4c6d',
+    username: 'admin',
+    is_admin: true
+  });
+
+  before(async () => {
+    const port = await freePort();
+    base = `http://127.0.0.1:${port}`;
+
+    server = spawn(process.execPath, ['signaling-server-persistent.js'], {
+      cwd: ROOT,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: {
+        ...process.env,
+        PORT: String(port),
+        JWT_SECRET,
+        STORAGE_DRIVER: 'memory',
+        CACHE_DRIVER: 'memory',
+        CLUSTER_ENABLED: 'false',
+        ASSET_STORAGE_DRIVER: 'memory',
+        ASSET_PUBLIC_URL: `${base}/assets`,
+        MODEL_OPTIMIZE: 'false',
+        MODEL_THUMBNAILS: 'false'
+      }
+    });
+    server.stdout.on('data', data => { output += data; });
+    server.stderr.on('data', data => { output += data; });
+
+    const deadline = Date.now() + 25000;
+    while (Date.now() < deadline) {
+      if (server.exitCode !== null) break;
+      try {
+        if ((await fetch(`${base}/health`)).ok) return;
+      } catch (error) {
+        // not listening yet
+      }
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error(`Server did not start:\n${output}`);
+  });
+
+  after(async () => {
+    if (!server || server.exitCode !== null) return;
+    const exited = new Promise(resolve => server.once('exit', resolve));
+    server.kill('SIGTERM');
+    await exited;
+  });
+
+  it('should store the models of an imported bundle and add its objects', async () => {
+    const manifest = buildManifest({
+      space: { name: 'lobby' },
+      objects: [{ objectId: 'smile-1', name: 'Smile', type: 'model', modelId: 'smile', position: { x: 1, y: 0, z: 2 } }],
+      models: [{ modelId: 'smile', name: 'Smile' }],
+      assets: new Set(['smile'])
+    });
+    const form = new FormData();
+    form.append('bundle', new Blob([createBundle(manifest, { smile: MODEL })]), 'lobby.space.tar.gz');
+    form.append('mode', 'replace');
+
+    const response = await fetch(`${base}/api/spaces/main-world/import`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${admin}` },
+      body: form
+    });
+    const result = await response.json();
+
+    expect(response.status, JSON.stringify(result)).to.equal(200);
+    expect(result).to.include({ success: true, mode: 'replace', objects: 1, models: 1 });
+    expect(result.jobs).to.have.lengthOf(1);
+
+    // The model joins the space once its upload job is done
+    const [{ statusUrl }] = result.jobs;
+    let job;
+    const deadline = Date.now() + 20000;
+    do {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      job = await (await fetch(`${base}${statusUrl}`, { headers: { Authorization: `Bearer ${admin}` } })).json();
+    } while (!['completed', 'failed'].includes(job.status) && Date.now() < deadline);
+    expect(job.status, JSON.stringify(job)).to.equal('completed');
+
+    const models = await (await fetch(`${base}/api/models/main-world`)).json();
+    expect(models).to.have.lengthOf(1);
+    const stored = await fetch(models[0].publicUrl);
+    expect(Buffer.from(await stored.arrayBuffer()).equals(MODEL)).to.be.true;
+
+    const state = await (await fetch(`${base}/api/world-state/main-world`)).json();
+    const [object] = Object.values(state.objects);
+    expect(object).to.include({ name: 'Smile', modelId: models[0].modelId });
+  });
+
+  it('should refuse a bundle whose model is not a valid GLB', async () => {
+    const manifest = buildManifest({
+      space: { name: 'lobby' },
+      objects: [],
+      models: [{ modelId: 'broken', name: 'Broken' }],
+      assets: new Set(['broken'])
+    });
+    const form = new FormData();
+    form.append('bundle', new Blob([createBundle(manifest, { broken: Buffer.from('not a model') })]), 'broken.space.tar.gz');
+
+    const response = await fetch(`${base}/api/spaces/main-world/import`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${admin}` },
+      body: form
+    });
+    const result = await response.json();
+
+    expect(response.status, JSON.stringify(result)).to.equal(400);
+    expect(result.code).to.equal('GLB_INVALID');
+    expect(result.error).to.match(/^Model "Broken" is not an acceptable GLB/);
+  });
+});
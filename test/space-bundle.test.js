@@ -0,0 +1,126 @@
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+const zlib = require('zlib');
+
+const {
+  BUNDLE_VERSION,
+  BundleError,
+  packTar,
+  unpackTar,
+  buildManifest,
+  createBundle,
+  readBundle,
+  importObjects
+} = require('../space-bundle');
+
+describe('Space Bundles', () => {
+  const glb = Buffer.from('glTF\u0002\u0000\u0000\u0000 fake model body');
+
+  const manifestFor = (overrides = {}) => buildManifest({
+    space: { name: 'lobby', config: { roomModel: { desktop: './models/room.glb' } }, settings: { theme: 'dark' } },
+    objects: [
+      {
+        objectId: 'chair-1',
+        name: 'Chair',
+        modelId: 'model-1',
+        modelUrl: 'https://cdn/model-1.glb',
+        position: { x: 1, y: 0, z: 2 },
+        createdBy: 'user-1',
+        ownerId: 'user-1',
+        addedBy: 'user-1',
+        locked: true
+      },
+      { objectId: 'box-1', name: 'Box', type: 'box', position: { x: 0, y: 0, z: 0 } }
+    ],
+    models: [
+      { modelId: 'model-1', name: 'Chair', publicUrl: 'https://cdn/model-1.glb', uploaderName: 'alice' },
+      { modelId: 'model-2', name: 'Lamp', publicUrl: 'https://cdn/model-2.glb' }
+    ],
+    assets: new Set(['model-1']),
+    chat: [{ userId: 'user-1', username: 'alice', message: 'hi', timestamp: new Date('2025-01-01T10:00:00Z') }],
+    exportedAt: new Date('2025-02-01T00:00:00Z'),
+    ...overrides
+  });
+
+  describe('tar', () => {
+    it('should round-trip files, padding included', () => {
+      const files = unpackTar(packTar([
+        { name: 'manifest.json', data: Buffer.from('{}') },
+        { name: 'assets/a.glb', data: Buffer.alloc(1000, 7) }
+      ]));
+
+      expect(Array.from(files.keys())).to.deep.equal(['manifest.json', 'assets/a.glb']);
+      expect(files.get('manifest.json').toString()).to.equal('{}');
+      expect(files.get('assets/a.glb').equals(Buffer.alloc(1000, 7))).to.be.true;
+    });
+
+    it('should reject corrupt archives', () => {
+      const archive = packTar([{ name: 'manifest.json', data: Buffer.from('{}') }]);
+      archive[0] = 'x'.charCodeAt(0);
+
+      expect(() => unpackTar(archive)).to.throw(BundleError, /corrupt/);
+    });
+  });
+
+  it('should leave server-specific fields out of the manifest', () => {
+    const manifest = manifestFor();
+
+    expect(manifest.version).to.equal(BUNDLE_VERSION);
+    expect(manifest.space).to.deep.equal({
+      name: 'lobby',
+      config: { roomModel: { desktop: './models/room.glb' } },
+      settings: { theme: 'dark' }
+    });
+    expect(manifest.objects[0]).to.not.have.any.keys('createdBy', 'ownerId', 'addedBy');
+    expect(manifest.objects[0].locked).to.be.true;
+    expect(manifest.models.map(model => model.asset)).to.deep.equal(['assets/model-1.glb', null]);
+    expect(manifest.chat).to.deep.equal([
+      { username: 'alice', message: 'hi', timestamp: '2025-01-01T10:00:00.000Z' }
+    ]);
+    expect(manifestFor({ chat: null })).to.not.have.property('chat');
+  });
+
+  it('should read back what it writes', () => {
+    const manifest = manifestFor();
+
+    const bundle = readBundle(createBundle(manifest, { 'model-1': glb }));
+
+    expect(bundle.manifest).to.deep.equal(manifest);
+    expect(Object.keys(bundle.assets)).to.deep.equal(['model-1']);
+    expect(bundle.assets['model-1'].equals(glb)).to.be.true;
+  });
+
+  it('should refuse bundles it cannot import', () => {
+    const pack = manifest => zlib.gzipSync(packTar([
+      { name: 'manifest.json', data: Buffer.from(JSON.stringify(manifest)) }
+    ]));
+
+    expect(() => readBundle(Buffer.from('not a bundle'))).to.throw(BundleError, /not a valid/);
+    expect(() => readBundle(pack({ format: 'other' }))).to.throw(BundleError, /Not a space bundle/);
+    expect(() => readBundle(pack({ ...manifestFor(), version: 99 }))).to.throw(BundleError, /version 99/);
+    expect(() => readBundle(pack(manifestFor()))).to.throw(BundleError, /missing assets\/model-1.glb/);
+    expect(() => readBundle(pack({ ...manifestFor(), objects: [{ name: 'no id' }] })))
+      .to.throw(BundleError, /without an objectId/);
+  });
+
+  it('should give imported objects new ids, the importer and the imported models', () => {
+    let next = 0;
+    const imported = importObjects(
+      manifestFor(),
+      { 'model-1': { modelId: 'copy-1', publicUrl: 'https://cdn/copy-1.glb' } },
+      { actorId: 'admin-1', createId: () => `new-${++next}` }
+    );
+
+    expect(Object.keys(imported)).to.deep.equal(['new-1', 'new-2']);
+    expect(imported['new-1']).to.deep.include({
+      objectId: 'new-1',
+      modelId: 'copy-1',
+      modelUrl: 'https://cdn/copy-1.glb',
+      createdBy: 'admin-1',
+      ownerId: null,
+      locked: true,
+      isPublic: false
+    });
+    expect(imported['new-2']).to.not.have.property('modelId');
+  });
+});
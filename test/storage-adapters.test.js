@@ -0,0 +1,435 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const PersistenceLayer = require('../persistence/PersistenceLayer');
+const { ADAPTERS, STORAGE_METHODS } = require('../persistence/PersistenceLayer');
+
+// Behaviour every backend must share; runs against the ones that need no
+// server (PostgreSQL is covered by persistence.test.js)
+const HERMETIC_BACKENDS = {
+  memory: {},
+  sqlite: { sqlitePath: ':memory:' }
+};
+
+describe('Storage Adapters', () => {
+  it('should implement the whole storage interface in every adapter', () => {
+    Object.entries(ADAPTERS).forEach(([driver, Adapter]) => {
+      STORAGE_METHODS.forEach(method => {
+        expect(Adapter.prototype[method], `${driver}.${method}`).to.be.a('function');
+      });
+    });
+  });
+
+  it('should reject unknown drivers', () => {
+    expect(() => new PersistenceLayer({ driver: 'mongo' })).to.throw(/Unknown storage driver "mongo"/);
+  });
+
+  it('should only expose a pool for PostgreSQL', () => {
+    expect(new PersistenceLayer({ driver: 'memory' }).pool).to.be.null;
+    expect(new PersistenceLayer({ driver: 'postgres', databaseUrl: 'postgresql://localhost/none' }).pool)
+      .to.not.be.null;
+  });
+
+  Object.entries(HERMETIC_BACKENDS).forEach(([driver, options]) => {
+    describe(driver, () => {
+      let persistence;
+      let spaceId;
+
+      const object = (objectId, x = 0) => ({
+        objectId,
+        name: 'Cube',
+        type: 'box',
+        position: { x, y: 0, z: 0 },
+        rotation: { x: 0, y: 0, z: 0 },
+        scale: { x: 1, y: 1, z: 1 },
+        createdBy: 'user-1',
+        spaceId
+      });
+
+      beforeEach(async () => {
+        sinon.stub(console, 'log');
+        persistence = new PersistenceLayer({ driver, ...options });
+        await persistence.connect();
+        spaceId = (await persistence.getOrCreateSpace('lobby')).id;
+      });
+
+      afterEach(async () => {
+        await persistence.disconnect();
+        console.log.restore();
+      });
+
+      it('should create a space once', async () => {
+        const again = await persistence.getOrCreateSpace('lobby');
+
+        expect(again.id).to.equal(spaceId);
+        expect(again.name).to.equal('lobby');
+        expect(await persistence.ping()).to.be.true;
+      });
+
+      it('should round-trip objects through loadWorldState', async () => {
+        await persistence.saveObject({ ...object('obj-1'), properties: { color: 'red' }, locked: true });
+        await persistence.updateObject('obj-1', { position: { x: 5, y: 0, z: 0 } }, 'user-2');
+
+        const state = await persistence.loadWorldState(spaceId);
+
+        expect(state.space.name).to.equal('lobby');
+        expect(state.objects['obj-1']).to.deep.include({
+          objectId: 'obj-1',
+          position: { x: 5, y: 0, z: 0 },
+          scale: { x: 1, y: 1, z: 1 },
+          properties: { color: 'red' },
+          createdBy: 'user-1',
+          locked: true,
+          isPublic: false
+        });
+      });
+
+      it('should return rows with PostgreSQL column names and types', async () => {
+        const row = await persistence.saveObject(object('obj-1'));
+
+        expect(row.object_id).to.equal('obj-1');
+        expect(row.position).to.deep.equal({ x: 0, y: 0, z: 0 });
+        expect(row.locked).to.equal(false);
+        expect(row.created_at).to.be.instanceOf(Date);
+      });
+
+      it('should keep objects of other spaces apart', async () => {
+        const other = await persistence.getOrCreateSpace('other');
+        await persistence.saveObject(object('here'));
+        await persistence.saveObject({ ...object('there'), spaceId: other.id });
+
+        const state = await persistence.loadWorldState(spaceId);
+        expect(Object.keys(state.objects)).to.deep.equal(['here']);
+      });
+
+      it('should delete objects', async () => {
+        await persistence.saveObject(object('obj-1'));
+
+        const deleted = await persistence.deleteObject('obj-1', 'user-1', spaceId);
+
+        expect(deleted.object_id).to.equal('obj-1');
+        expect((await persistence.loadWorldState(spaceId)).objects).to.deep.equal({});
+        expect(await persistence.deleteObject('obj-1', 'user-1', spaceId)).to.be.undefined;
+      });
+
+      it('should store an object in full over one with the same id', async () => {
+        await persistence.saveObject({ ...object('obj-1'), modelId: 'model-1', properties: { color: 'red' } });
+        await persistence.saveObject({
+          ...object('obj-1', 3),
+          name: 'Chair',
+          type: 'model',
+          modelId: 'model-2',
+          modelUrl: 'https://assets.example.org/models/model-2.glb',
+          properties: {},
+          createdBy: 'user-2'
+        });
+
+        const row = (await persistence.getObjects(spaceId)).find(stored => stored.object_id === 'obj-1');
+        expect(row).to.include({ name: 'Chair', type: 'model', model_id: 'model-2', created_by: 'user-1', updated_by: 'user-2' });
+        expect(row.properties).to.deep.equal({});
+        expect(row.position).to.deep.equal({ x: 3, y: 0, z: 0 });
+      });
+
+      it('should keep the owner and lock when saving over an object without them', async () => {
+        await persistence.saveObject({ ...object('obj-1'), ownerId: 'user-1', locked: true });
+        await persistence.saveObject({ ...object('obj-1', 3), createdBy: 'user-2' });
+
+        const row = (await persistence.getObjects(spaceId)).find(stored => stored.object_id === 'obj-1');
+        expect(row).to.include({ owner_id: 'user-1', locked: true });
+        expect(row.position).to.deep.equal({ x: 3, y: 0, z: 0 });
+      });
+
+      it('should refuse to save over an object of another space', async () => {
+        const other = await persistence.getOrCreateSpace('other');
+        await persistence.saveObject({ ...object('obj-1'), ownerId: 'user-1' });
+
+        try {
+          await persistence.saveObject({ ...object('obj-1', 3), spaceId: other.id, ownerId: 'user-2' });
+          expect.fail('the object should not have been saved');
+        } catch (error) {
+          expect(error.message).to.equal('Object obj-1 belongs to another space');
+        }
+        const row = (await persistence.getObjects(spaceId)).find(stored => stored.object_id === 'obj-1');
+        expect(row).to.include({ owner_id: 'user-1' });
+        expect(row.position).to.deep.equal({ x: 0, y: 0, z: 0 });
+      });
+
+      it('should update permissions only where given', async () => {
+        await persistence.saveObject({ ...object('obj-1'), isPublic: true });
+
+        const row = await persistence.updateObjectPermissions('obj-1', { locked: true }, 'user-1');
+
+        expect(row.locked).to.be.true;
+        expect(row.is_public).to.be.true;
+      });
+
+      it('should keep an undo history of transform changes per user', async () => {
+        await persistence.saveObject(object('obj-1'));
+        await persistence.updateObject('obj-1', { position: { x: 3, y: 0, z: 0 } }, 'user-1');
+        await persistence.updateObjectPermissions('obj-1', { locked: true }, 'user-1');
+        await persistence.deleteObject('obj-1', 'user-1', spaceId);
+        await persistence.saveObject({ ...object('obj-2'), createdBy: 'user-2' });
+
+        const history = await persistence.getObjectHistory(spaceId, 'user-1');
+
+        expect(history.map(operation => operation.type)).to.deep.equal(['add', 'move', 'delete']);
+        expect(history[1].before.position).to.deep.equal({ x: 0, y: 0, z: 0 });
+        expect(history[1].after.position).to.deep.equal({ x: 3, y: 0, z: 0 });
+        expect(history[2].after).to.be.null;
+        expect(await persistence.getObjectHistory(spaceId, 'user-1', 1)).to.have.length(1);
+      });
+
+      it('should store chat in order and skip known messages when saving the world', async () => {
+        await persistence.upsertUser({ userId: 'user-1', username: 'alice', avatarUrl: 'a.png' });
+        const first = await persistence.saveChatMessage({
+          userId: 'user-1', username: 'alice', message: 'one', spaceId
+        });
+        await persistence.saveChatMessage({ userId: 'user-1', username: 'alice', message: 'two', spaceId });
+
+        await persistence.saveWorldState({ chatHistory: [first] }, spaceId);
+
+        const history = await persistence.getChatHistory(spaceId);
+        expect(history.map(row => row.message)).to.deep.equal(['one', 'two']);
+        expect(history[0].avatar_url).to.equal('a.png');
+      });
+
+      it('should store a chat message sent with an id only once', async () => {
+        const message = {
+          id: '6f1c2a9e-8d0b-4c47-9a51-3b2f7e4d1c08',
+          userId: 'user-1',
+          username: 'alice',
+          message: 'hello',
+          timestamp: new Date('2025-01-01T10:00:00Z'),
+          spaceId
+        };
+
+        const row = await persistence.saveChatMessage(message);
+        expect(row.id).to.equal(message.id);
+        expect(row.created_at.toISOString()).to.equal('2025-01-01T10:00:00.000Z');
+
+        expect(await persistence.saveChatMessage(message)).to.be.undefined;
+        expect(await persistence.getChatHistory(spaceId)).to.have.length(1);
+      });
+
+      it('should track sessions and active users', async () => {
+        await persistence.upsertUser({ userId: 'user-1', username: 'alice' });
+        await persistence.createSession('user-1', 'socket-1', spaceId);
+        await persistence.updateUserPosition('user-1', { x: 1, y: 2, z: 3 }, { x: 0, y: 0, z: 0 });
+
+        const active = await persistence.getActiveUsers(spaceId);
+        expect(active).to.have.length(1);
+        expect(active[0]).to.deep.include({ id: 'user-1', socket_id: 'socket-1', position: { x: 1, y: 2, z: 3 } });
+
+        const ended = await persistence.endSession('socket-1');
+        expect(ended.is_active).to.be.false;
+        expect(await persistence.getActiveUsers(spaceId)).to.deep.equal([]);
+      });
+
+      it('should remember where a session connected from', async () => {
+        await persistence.upsertUser({ userId: 'user-1', username: 'alice' });
+        const session = await persistence.createSession('user-1', 'socket-1', spaceId, {
+          ipAddress: '127.0.0.1',
+          userAgent: 'Mocha'
+        });
+
+        expect(session).to.include({ ip_address: '127.0.0.1', user_agent: 'Mocha' });
+      });
+
+      it('should count visitors and visits per space', async () => {
+        const otherSpaceId = (await persistence.getOrCreateSpace('garden')).id;
+
+        expect((await persistence.trackVisitor({ visitorId: 'visitor-1', spaceId })).visit_count).to.equal(1);
+        expect((await persistence.trackVisitor({ visitorId: 'visitor-1', spaceId })).visit_count).to.equal(2);
+        await persistence.trackVisitor({ visitorId: 'visitor-2', spaceId });
+        expect((await persistence.trackVisitor({ visitorId: 'visitor-1', spaceId: otherSpaceId })).visit_count)
+          .to.equal(1);
+
+        expect(await persistence.getVisitorStats(spaceId)).to.deep.equal({
+          unique_visitors: 2,
+          total_visits: 3,
+          recent_visitors: 2
+        });
+        expect(await persistence.getVisitorStats(otherSpaceId)).to.deep.include({ unique_visitors: 1, total_visits: 1 });
+      });
+
+      it('should replace space settings', async () => {
+        expect((await persistence.getOrCreateSpace('lobby')).settings).to.deep.equal({});
+
+        const row = await persistence.updateSpaceSettings(spaceId, { screen: { autoplay: true } });
+
+        expect(row.settings).to.deep.equal({ screen: { autoplay: true } });
+        expect((await persistence.getOrCreateSpace('lobby')).settings).to.deep.equal({ screen: { autoplay: true } });
+      });
+
+      it('should manage moderators', async () => {
+        await persistence.upsertUser({ userId: 'mod-1', username: 'mod' });
+        await persistence.addSpaceModerator(spaceId, 'mod-1', 'owner');
+
+        expect(await persistence.addSpaceModerator(spaceId, 'mod-1', 'owner')).to.be.undefined;
+        expect((await persistence.getSpaceModerators(spaceId)).map(m => m.username)).to.deep.equal(['mod']);
+
+        await persistence.removeSpaceModerator(spaceId, 'mod-1');
+        expect(await persistence.getSpaceModerators(spaceId)).to.deep.equal([]);
+      });
+
+      it('should keep local accounts and refuse taken usernames or emails', async () => {
+        const account = { username: 'builder', displayName: 'Builder', email: 'Builder@example.com', passwordHash: 'scrypt:a:b' };
+        const user = await persistence.createAccount(account);
+
+        expect(user).to.include({ username: 'builder', auth_provider: 'local', is_active: true, is_admin: false });
+        expect(await persistence.createAccount({ ...account, email: null })).to.not.be.ok;
+        expect(await persistence.createAccount({ ...account, username: 'other' })).to.not.be.ok;
+        expect((await persistence.findLocalAccount('builder@example.com')).id).to.equal(user.id);
+        expect(await persistence.findLocalAccount('nobody')).to.not.be.ok;
+
+        // Joining the world as that account keeps its credentials
+        await persistence.upsertUser({ userId: user.id, displayName: 'Renamed' });
+        await persistence.markAccountSeen(user.id);
+        expect(await persistence.getAccount(user.id)).to.include({ display_name: 'Renamed', password_hash: 'scrypt:a:b' });
+      });
+
+      it('should rotate and revoke refresh tokens', async () => {
+        const user = await persistence.createAccount({ username: 'builder', displayName: 'Builder', passwordHash: 'x' });
+        const expiresAt = new Date(Date.now() + 60000);
+        const first = await persistence.saveRefreshToken({ userId: user.id, tokenHash: 'hash-1', expiresAt });
+        const second = await persistence.saveRefreshToken({ userId: user.id, tokenHash: 'hash-2', expiresAt, userAgent: 'test' });
+
+        const stored = await persistence.getRefreshToken('hash-1');
+        expect(stored).to.include({ token_id: first.id, id: user.id, username: 'builder', revoked_at: null });
+        expect(await persistence.getRefreshToken('unknown')).to.not.be.ok;
+
+        await persistence.rotateRefreshToken(first.id, second.id);
+        expect((await persistence.getRefreshToken('hash-1')).revoked_at).to.be.an.instanceOf(Date);
+        expect((await persistence.getRefreshToken('hash-2')).revoked_at).to.be.null;
+
+        await persistence.revokeRefreshToken('hash-2');
+        expect((await persistence.getRefreshToken('hash-2')).revoked_at).to.be.an.instanceOf(Date);
+
+        await persistence.saveRefreshToken({ userId: user.id, tokenHash: 'hash-3', expiresAt });
+        await persistence.revokeUserRefreshTokens(user.id);
+        expect((await persistence.getRefreshToken('hash-3')).revoked_at).to.be.an.instanceOf(Date);
+      });
+
+      it('should report the active screen share in the world state', async () => {
+        await persistence.upsertUser({ userId: 'user-1', username: 'alice' });
+        const share = await persistence.startScreenShare('user-1', 'window', spaceId);
+
+        expect((await persistence.loadWorldState(spaceId)).sharedScreen)
+          .to.deep.equal({ userId: 'user-1', username: 'alice', shareType: 'window' });
+
+        await persistence.endScreenShare(share.id);
+        expect((await persistence.loadWorldState(spaceId)).sharedScreen).to.be.null;
+      });
+
+      it('should list uploaded models and count reuse', async () => {
+        const model = { modelId: 'model-1', name: 'Chair', publicUrl: 'https://cdn/chair.glb', uploadedBy: 'user-1', spaceId };
+        await persistence.saveUploadedModel(model);
+        const reused = await persistence.saveUploadedModel(model);
+
+        expect(reused.usage_count).to.equal(1);
+        expect((await persistence.loadWorldState(spaceId)).uploadedModels['model-1'])
+          .to.include({ modelId: 'model-1', publicUrl: 'https://cdn/chair.glb' });
+      });
+
+      it('should keep the desktop and mobile variants and thumbnail of a model', async () => {
+        const variants = {
+          desktop: { key: 'models/model-1.glb', url: 'https://cdn/chair.glb', fileSize: 900, steps: ['dedup', 'draco'] },
+          mobile: { key: 'models/model-1.mobile.glb', url: 'https://cdn/chair.mobile.glb', fileSize: 300, steps: ['dedup'] }
+        };
+        const saved = await persistence.saveUploadedModel({
+          modelId: 'model-1', name: 'Chair', publicUrl: variants.desktop.url, uploadedBy: 'user-1', spaceId,
+          mobileUrl: variants.mobile.url, variants, processingStatus: 'partial', processedAt: new Date(),
+          thumbnailUrl: 'https://cdn/chair.thumbnail.png'
+        });
+
+        expect(saved.processed_at).to.be.an.instanceOf(Date);
+        expect((await persistence.loadWorldState(spaceId)).uploadedModels['model-1']).to.deep.include({
+          mobileUrl: 'https://cdn/chair.mobile.glb',
+          thumbnailUrl: 'https://cdn/chair.thumbnail.png',
+          variants,
+          processingStatus: 'partial'
+        });
+      });
+
+      it('should update a model saved before it was processed', async () => {
+        await persistence.upsertUser({ userId: 'user-1', username: 'alice' });
+        await persistence.saveUploadedModel({
+          modelId: 'model-1', name: 'Chair', r2Key: 'models/model-1.glb', publicUrl: 'https://cdn/model-1.glb',
+          uploadedBy: 'user-1', spaceId, processingStatus: 'queued'
+        });
+        expect((await persistence.getUploadedModel('model-1')).processed_at).to.be.null;
+
+        await persistence.updateUploadedModel('model-1', { processingStatus: 'optimizing' });
+        await persistence.updateUploadedModel('model-1', {
+          mobileUrl: 'https://cdn/model-1.mobile.glb',
+          variants: { mobile: { key: 'models/model-1.mobile.glb' } },
+          processingStatus: 'optimized',
+          processedAt: new Date()
+        });
+
+        const model = await persistence.getUploadedModel('model-1');
+        expect(model).to.include({
+          name: 'Chair',
+          public_url: 'https://cdn/model-1.glb',
+          mobile_url: 'https://cdn/model-1.mobile.glb',
+          processing_status: 'optimized',
+          uploader_name: 'alice'
+        });
+        expect(model.variants).to.deep.equal({ mobile: { key: 'models/model-1.mobile.glb' } });
+        expect(model.processed_at).to.be.an.instanceOf(Date);
+        expect(await persistence.getUploadedModel('model-2')).to.be.undefined;
+      });
+
+      it('should save, list and remove snapshots of a space', async () => {
+        await persistence.upsertUser({ userId: 'user-1', username: 'alice' });
+        const layout = { objects: { 'obj-1': object('obj-1') }, uploadedModels: {} };
+
+        const saved = await persistence.saveSnapshot({ spaceId, name: 'Before party', createdBy: 'user-1', ...layout });
+        await persistence.saveSnapshot({ spaceId, name: 'Nightly', kind: 'auto', ...layout });
+
+        expect(saved).to.include({ name: 'Before party', kind: 'manual', object_count: 1 });
+        expect(saved).to.not.have.property('objects');
+        expect((await persistence.getSnapshots(spaceId)).map(s => s.name)).to.have.members(['Before party', 'Nightly']);
+
+        const snapshot = await persistence.getSnapshot(saved.id);
+        expect(snapshot.space_id).to.equal(spaceId);
+        expect(snapshot.objects['obj-1'].position).to.deep.equal({ x: 0, y: 0, z: 0 });
+        expect(snapshot.uploaded_models).to.deep.equal({});
+
+        expect(await persistence.deleteSnapshot(saved.id)).to.be.true;
+        expect(await persistence.getSnapshot(saved.id)).to.be.undefined;
+        expect(await persistence.deleteSnapshot(saved.id)).to.be.false;
+      });
+
+      it('should only expire automatic snapshots', async () => {
+        const layout = { objects: {}, uploadedModels: {} };
+        await persistence.saveSnapshot({ spaceId, name: 'Kept', ...layout });
+        await persistence.saveSnapshot({ spaceId, name: 'Old', kind: 'auto', ...layout });
+
+        const clock = sinon.useFakeTimers({ now: Date.now() + 2 * 24 * 60 * 60 * 1000, toFake: ['Date'] });
+        try {
+          expect(await persistence.deleteOldSnapshots(1)).to.equal(1);
+        } finally {
+          clock.restore();
+        }
+        expect((await persistence.getSnapshots(spaceId)).map(s => s.name)).to.deep.equal(['Kept']);
+      });
+
+      it('should apply batch updates and count statistics', async () => {
+        await persistence.saveObject(object('obj-1'));
+        await persistence.saveObject(object('obj-2'));
+
+        await persistence.batchUpdateObjects([
+          { objectId: 'obj-1', data: { position: { x: 9, y: 0, z: 0 } }, updatedBy: 'user-1' },
+          { objectId: 'obj-2', data: { scale: { x: 2, y: 2, z: 2 } }, updatedBy: 'user-1' }
+        ]);
+
+        const objects = (await persistence.loadWorldState(spaceId)).objects;
+        expect(objects['obj-1'].position.x).to.equal(9);
+        expect(objects['obj-2'].scale.x).to.equal(2);
+        expect(Number((await persistence.getSpaceStatistics(spaceId)).total_objects)).to.equal(2);
+      });
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+
+const { validateObjectTransform, DEFAULT_TRANSFORM } = require('../transform-validation');
+const { getObjectLimits, DEFAULT_OBJECT_LIMITS } = require('../spaces-config');
+
+describe('Transform Validation', () => {
+  const limits = getObjectLimits('default');
+
+  it('should pass transforms inside the limits through unchanged', () => {
+    const data = {
+      position: { x: 1, y: 2, z: 3 },
+      rotation: { x: 0, y: 1.5, z: 0 },
+      scale: { x: 2, y: 2, z: 2 }
+    };
+    const result = validateObjectTransform(data, limits);
+
+    expect(result.valid).to.be.true;
+    expect(result.clamped).to.be.false;
+    expect(result.transform).to.deep.equal(data);
+  });
+
+  it('should clamp positions to the space bounds and scale to its limits', () => {
+    const result = validateObjectTransform({
+      position: { x: 1e9, y: -1e9, z: 0 },
+      scale: { x: 0, y: 500, z: 1 }
+    }, limits);
+
+    expect(result.valid).to.be.true;
+    expect(result.clamped).to.be.true;
+    expect(result.transform.position).to.deep.equal({
+      x: DEFAULT_OBJECT_LIMITS.bounds.max.x,
+      y: DEFAULT_OBJECT_LIMITS.bounds.min.y,
+      z: 0
+    });
+    expect(result.transform.scale).to.deep.equal({
+      x: DEFAULT_OBJECT_LIMITS.scale.min,
+      y: DEFAULT_OBJECT_LIMITS.scale.max,
+      z: 1
+    });
+  });
+
+  it('should wrap rotations without reporting a clamp', () => {
+    const result = validateObjectTransform({ rotation: { x: 4 * Math.PI + 1, y: -Math.PI, z: 0 } }, limits);
+
+    expect(result.clamped).to.be.false;
+    expect(result.transform.rotation.x).to.be.closeTo(1, 1e-9);
+    expect(result.transform.rotation.y).to.be.closeTo(Math.PI, 1e-9);
+  });
+
+  it('should reject non-finite and malformed vectors', () => {
+    const result = validateObjectTransform({
+      position: { x: NaN, y: 0, z: 0 },
+      scale: { x: Infinity, y: 1, z: 1 },
+      rotation: [0, 0, 0]
+    }, limits);
+
+    expect(result.valid).to.be.false;
+    expect(result.errors).to.have.length(3);
+    expect(result.transform).to.be.null;
+  });
+
+  it('should keep the current value for fields a move leaves out', () => {
+    const current = {
+      position: { x: 5, y: 1, z: 5 },
+      rotation: { x: 0, y: 0, z: 0 },
+      scale: { x: 3, y: 3, z: 3 }
+    };
+    const result = validateObjectTransform({ position: { x: 6, y: 1, z: 5 } }, limits, current);
+
+    expect(result.transform.scale).to.deep.equal(current.scale);
+    expect(validateObjectTransform({}, limits).transform).to.deep.equal(DEFAULT_TRANSFORM);
+  });
+
+  it('should use per-space limits from spaces-config', () => {
+    const gameRoom = getObjectLimits('Game-Room');
+    const result = validateObjectTransform({ position: { x: 150, y: 0, z: 0 } }, gameRoom);
+
+    expect(result.clamped).to.be.false;
+    expect(getObjectLimits('no-such-space')).to.deep.equal(limits);
+  });
+});
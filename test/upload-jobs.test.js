@@ -0,0 +1,164 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const {
+  UPLOAD_JOB_ERRORS,
+  UploadJobError,
+  UploadJobQueue,
+  processingStatusOf,
+  isUnfinishedUpload,
+  jobFromProcessingStatus
+} = require('../upload-jobs');
+
+describe('Upload Jobs', () => {
+  let queue;
+  let saved;
+
+  // Resolves with the job once it has completed or failed
+  const finished = id => new Promise(resolve => {
+    queue.on('update', job => {
+      if (job.id === id && (job.status === 'completed' || job.status === 'failed')) resolve(job);
+    });
+  });
+
+  function createQueue(stages, options = {}) {
+    saved = [];
+    queue = new UploadJobQueue({
+      stages,
+      persist: async job => { saved.push(processingStatusOf(job)); },
+      ...options
+    });
+    return queue;
+  }
+
+  beforeEach(() => {
+    sinon.stub(console, 'error');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should run the stages in order and persist each status', async () => {
+    const updates = [];
+    createQueue({
+      validate: async (job) => { job.data.checked = true; },
+      optimize: async (job, progress) => {
+        progress(0.5);
+        progress(1);
+      },
+      store: async (job) => {
+        job.result = { modelId: job.id, checked: job.data.checked, processingStatus: 'optimized' };
+      }
+    });
+    queue.on('update', job => updates.push(`${job.status} ${job.stage} ${job.progress}`));
+
+    queue.add('model-1', { userId: 'user-1', data: {} });
+    const job = await finished('model-1');
+
+    expect(job.result).to.deep.equal({ modelId: 'model-1', checked: true, processingStatus: 'optimized' });
+    expect(updates).to.deep.equal([
+      'queued null 0',
+      'processing validate 0',
+      'processing optimize 0.25',
+      'processing optimize 0.375',
+      'processing optimize 0.5',
+      'processing thumbnail 0.5',
+      'processing store 0.75',
+      'completed null 1'
+    ]);
+    await queue.close();
+    expect(saved).to.deep.equal(['queued', 'validating', 'optimizing', 'rendering', 'storing', 'optimized']);
+  });
+
+  it('should stop at a failed stage and keep only what the uploader may see', async () => {
+    const store = sinon.spy();
+    createQueue({
+      validate: async (job) => {
+        if (job.data.refuse) {
+          throw new UploadJobError({ error: 'Invalid GLB file', code: 'GLB_INVALID', details: 'Bad magic' });
+        }
+      },
+      optimize: async () => { throw new Error('disk full'); },
+      store
+    });
+
+    queue.add('model-1', { userId: 'user-1', data: { refuse: true } });
+    const refused = await finished('model-1');
+    queue.add('model-2', { userId: 'user-1', data: {} });
+    const broken = await finished('model-2');
+
+    expect(store.called).to.be.false;
+    expect(refused).to.include({ status: 'failed', stage: 'validate' });
+    expect(refused.error).to.deep.equal({ error: 'Invalid GLB file', code: 'GLB_INVALID', details: 'Bad magic' });
+    expect(broken).to.include({ stage: 'optimize', result: null });
+    expect(broken.error).to.deep.equal({ error: 'Failed to process model', code: UPLOAD_JOB_ERRORS.FAILED });
+  });
+
+  it('should process as many jobs at a time as configured and refuse more than fit', async () => {
+    const release = [];
+    createQueue({
+      validate: () => new Promise(resolve => release.push(resolve))
+    }, { concurrency: 1, maxQueued: 1 });
+
+    queue.add('model-1', { userId: 'user-1', data: {} });
+    await new Promise(resolve => setImmediate(resolve));
+    queue.add('model-2', { userId: 'user-1', data: {} });
+
+    expect(release).to.have.lengthOf(1);
+    expect(() => queue.add('model-3', { userId: 'user-1', data: {} }))
+      .to.throw(UploadJobError)
+      .with.property('code', UPLOAD_JOB_ERRORS.QUEUE_FULL);
+
+    release[0]();
+    await finished('model-1');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(release).to.have.lengthOf(2);
+    expect(queue.get('model-2')).to.include({ status: 'processing', stage: 'validate' });
+    release[1]();
+    await finished('model-2');
+  });
+
+  it('should tell whether a number of jobs still fits', async () => {
+    createQueue({}, { maxQueued: 2 });
+
+    queue.checkRoom(2);
+    queue.add('model-1', { userId: 'user-1', data: {} });
+
+    expect(() => queue.checkRoom(2))
+      .to.throw(UploadJobError)
+      .with.property('code', UPLOAD_JOB_ERRORS.QUEUE_FULL);
+    await finished('model-1');
+  });
+
+  it('should fail waiting jobs on close and let the running one finish', async () => {
+    let release;
+    createQueue({
+      validate: () => new Promise(resolve => { release = resolve; })
+    });
+
+    queue.add('model-1', { userId: 'user-1', data: {} });
+    await new Promise(resolve => setImmediate(resolve));
+    queue.add('model-2', { userId: 'user-1', data: {} });
+
+    const closing = queue.close(1000);
+    setTimeout(() => release(), 10);
+    await closing;
+
+    expect(queue.get('model-1').status).to.equal('completed');
+    expect(queue.get('model-2').error.code).to.equal(UPLOAD_JOB_ERRORS.SHUTTING_DOWN);
+    expect(() => queue.add('model-3', { userId: 'user-1', data: {} }))
+      .to.throw(UploadJobError, /shutting down/);
+  });
+
+  it('should tell unfinished uploads apart from stored models', () => {
+    expect(['queued', 'optimizing', 'failed'].map(isUnfinishedUpload)).to.deep.equal([true, true, true]);
+    expect(['optimized', 'original', 'pending', null].map(isUnfinishedUpload)).to.deep.equal([false, false, false, false]);
+
+    const result = { modelId: 'model-1', processingStatus: 'partial' };
+    expect(jobFromProcessingStatus('model-1', 'partial', result)).to.include({ status: 'completed', progress: 1, result });
+    expect(jobFromProcessingStatus('model-1', 'storing', result)).to.include({ status: 'failed', stage: 'store', result: null });
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+
+const { diffObjects, isInPlaceChange, summarizeDiff, isScheduleDue } = require('../world-snapshots');
+
+describe('World Snapshots', () => {
+  const object = (objectId, overrides = {}) => ({
+    objectId,
+    name: `Object ${objectId}`,
+    type: 'box',
+    position: { x: 0, y: 0, z: 0 },
+    rotation: { x: 0, y: 0, z: 0 },
+    scale: { x: 1, y: 1, z: 1 },
+    locked: false,
+    isPublic: false,
+    ...overrides
+  });
+
+  describe('diffObjects', () => {
+    it('should find what a restore adds, removes and changes', () => {
+      const current = new Map([
+        ['kept', object('kept')],
+        ['moved', object('moved', { position: { x: 5, y: 0, z: 0 } })],
+        ['new', object('new')]
+      ]);
+      const snapshot = {
+        kept: object('kept'),
+        moved: object('moved'),
+        gone: object('gone')
+      };
+
+      const diff = diffObjects(current, snapshot);
+
+      expect(diff.added.map(o => o.objectId)).to.deep.equal(['gone']);
+      expect(diff.removed.map(o => o.objectId)).to.deep.equal(['new']);
+      expect(diff.changed).to.have.length(1);
+      expect(diff.changed[0]).to.include({ objectId: 'moved' });
+      expect(diff.changed[0].fields).to.deep.equal(['position']);
+      expect(diff.changed[0].after.position).to.deep.equal({ x: 0, y: 0, z: 0 });
+    });
+
+    it('should ignore timestamps and who added an object', () => {
+      const diff = diffObjects(
+        { a: object('a', { createdAt: new Date(1), addedBy: 'user-1' }) },
+        { a: object('a', { createdAt: '1970-01-01T00:00:00.002Z' }) }
+      );
+
+      expect(diff).to.deep.equal({ added: [], removed: [], changed: [] });
+    });
+  });
+
+  describe('isInPlaceChange', () => {
+    it('should apply moves and permission changes in place', () => {
+      const [change] = diffObjects(
+        { a: object('a') },
+        { a: object('a', { scale: { x: 2, y: 2, z: 2 }, locked: true }) }
+      ).changed;
+
+      expect(isInPlaceChange(change)).to.be.true;
+    });
+
+    it('should replace objects whose model changed', () => {
+      const [change] = diffObjects(
+        { a: object('a') },
+        { a: object('a', { type: 'sphere', position: { x: 1, y: 0, z: 0 } }) }
+      ).changed;
+
+      expect(change.fields).to.have.members(['type', 'position']);
+      expect(isInPlaceChange(change)).to.be.false;
+    });
+  });
+
+  it('should summarize a diff without the layout', () => {
+    const summary = summarizeDiff(diffObjects({ a: object('a') }, { b: object('b') }));
+
+    expect(summary).to.deep.equal({
+      added: [{ objectId: 'b', name: 'Object b' }],
+      removed: [{ objectId: 'a', name: 'Object a' }],
+      changed: []
+    });
+  });
+
+  describe('isScheduleDue', () => {
+    // Sunday 2 March 2025, 02:00 local time
+    const date = new Date(2025, 2, 2, 2, 0);
+
+    it('should match the default daily schedule', () => {
+      expect(isScheduleDue('0 2 * * *', date)).to.be.true;
+      expect(isScheduleDue('0 2 * * *', new Date(2025, 2, 2, 2, 1))).to.be.false;
+      expect(isScheduleDue('0 3 * * *', date)).to.be.false;
+    });
+
+    it('should support steps, ranges and lists', () => {
+      expect(isScheduleDue('*/15 * * * *', new Date(2025, 2, 2, 9, 45))).to.be.true;
+      expect(isScheduleDue('*/15 * * * *', new Date(2025, 2, 2, 9, 50))).to.be.false;
+      expect(isScheduleDue('0 1-3 * * 0,6', date)).to.be.true;
+      expect(isScheduleDue('0 2 * * 1-5', date)).to.be.false;
+      expect(isScheduleDue('0 2 1,2 3 *', date)).to.be.true;
+    });
+
+    it('should never run a malformed schedule', () => {
+      expect(isScheduleDue('', date)).to.be.false;
+      expect(isScheduleDue('0 2 * *', date)).to.be.false;
+      expect(isScheduleDue(undefined, date)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,84 @@
+// Server-authoritative object transforms
+// Checks the shape of position/rotation/scale in object-add and object-move
+// and clamps them to the space's objectLimits (spaces-config.js) before they
+// are stored, persisted or rebroadcast.
+
+const TRANSFORM_ERRORS = {
+  INVALID: 'OBJECT_TRANSFORM_INVALID'
+};
+
+const DEFAULT_TRANSFORM = {
+  position: { x: 0, y: 0, z: 0 },
+  rotation: { x: 0, y: 0, z: 0 },
+  scale: { x: 1, y: 1, z: 1 }
+};
+
+const AXES = ['x', 'y', 'z'];
+
+function isFiniteVector3(value) {
+  return value !== null &&
+    typeof value === 'object' &&
+    AXES.every(axis => Number.isFinite(value[axis]));
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Wrap an angle into (-PI, PI] so huge rotations stay representable
+function wrapAngle(angle) {
+  const wrapped = angle % (2 * Math.PI);
+  if (wrapped > Math.PI) return wrapped - 2 * Math.PI;
+  if (wrapped <= -Math.PI) return wrapped + 2 * Math.PI;
+  return wrapped;
+}
+
+// Validate and clamp a transform.
+// `data` is the incoming payload, `limits` comes from getObjectLimits() and
+// `current` is the object's stored transform (fields missing from `data` keep
+// their current value; without one they fall back to DEFAULT_TRANSFORM).
+// Returns { valid, errors, transform, clamped }.
+function validateObjectTransform(data, limits, current = null) {
+  const errors = [];
+  const base = current || DEFAULT_TRANSFORM;
+  const source = {};
+
+  for (const field of Object.keys(DEFAULT_TRANSFORM)) {
+    const value = data ? data[field] : undefined;
+
+    if (value === undefined || value === null) {
+      source[field] = isFiniteVector3(base[field]) ? base[field] : DEFAULT_TRANSFORM[field];
+    } else if (!isFiniteVector3(value)) {
+      errors.push(`${field} must be a vector3 of finite numbers`);
+    } else {
+      source[field] = value;
+    }
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, transform: null, clamped: false };
+  }
+
+  const { bounds, scale } = limits;
+  const transform = { position: {}, rotation: {}, scale: {} };
+
+  for (const axis of AXES) {
+    transform.position[axis] = clamp(source.position[axis], bounds.min[axis], bounds.max[axis]);
+    transform.rotation[axis] = wrapAngle(source.rotation[axis]);
+    transform.scale[axis] = clamp(source.scale[axis], scale.min, scale.max);
+  }
+
+  // Rotation wrapping is not a correction the client needs to hear about
+  const clamped = AXES.some(axis =>
+    transform.position[axis] !== source.position[axis] ||
+    transform.scale[axis] !== source.scale[axis]
+  );
+
+  return { valid: true, errors: [], transform, clamped };
+}
+
+module.exports = {
+  TRANSFORM_ERRORS,
+  DEFAULT_TRANSFORM,
+  validateObjectTransform
+};
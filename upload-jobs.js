@@ -0,0 +1,260 @@
+// Background processing of uploaded models
+// An upload is answered as soon as the file has arrived; the model then goes
+// through its stages (validate → optimize → thumbnail → store) in a queue
+// that runs a few jobs at a time, so a big file neither holds its request
+// open nor competes with every other upload for the CPU. Every change of a
+// job is emitted as an 'update' with the job's public state (the servers
+// send it to the uploader over Socket.IO) and handed to `persist`, which
+// the servers use to keep uploaded_models.processing_status current.
+
+const EventEmitter = require('events');
+
+const UPLOAD_JOB_ERRORS = {
+  QUEUE_FULL: 'UPLOAD_QUEUE_FULL',
+  FAILED: 'UPLOAD_FAILED',
+  SHUTTING_DOWN: 'SERVER_SHUTTING_DOWN'
+};
+
+// In order; a stage without a handler is passed through
+const UPLOAD_JOB_STAGES = ['validate', 'optimize', 'thumbnail', 'store'];
+
+const UPLOAD_JOB_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// uploaded_models.processing_status while the job is running. Once it has
+// completed the status is the one its result carries (the optimizer's
+// optimized, partial or original).
+const STAGE_PROCESSING_STATUS = {
+  validate: 'validating',
+  optimize: 'optimizing',
+  thumbnail: 'rendering',
+  store: 'storing'
+};
+
+const DEFAULT_OPTIONS = {
+  concurrency: 1,
+  maxQueued: 20,              // waiting jobs; more are refused
+  keepFinished: 10 * 60 * 1000 // ms a finished job can still be looked up
+};
+
+class UploadJobError extends Error {
+  // body: the error part of the job, like an HTTP error response
+  // ({ error, code, details?, ... })
+  constructor(body) {
+    super(body.error);
+    this.name = 'UploadJobError';
+    this.code = body.code;
+    this.body = body;
+  }
+}
+
+// processing_status for a job's current state
+function processingStatusOf(job) {
+  switch (job.status) {
+    case UPLOAD_JOB_STATUS.QUEUED: return 'queued';
+    case UPLOAD_JOB_STATUS.PROCESSING: return STAGE_PROCESSING_STATUS[job.stage];
+    case UPLOAD_JOB_STATUS.FAILED: return 'failed';
+    default: return (job.result && job.result.processingStatus) || null;
+  }
+}
+
+// Whether a model with this processing_status is still being processed or
+// failed to be, and so is not part of its space yet. Models stored before
+// upload jobs have 'pending' or no status and are finished.
+function isUnfinishedUpload(processingStatus) {
+  return processingStatus === 'queued' || processingStatus === 'failed' ||
+    Object.values(STAGE_PROCESSING_STATUS).includes(processingStatus);
+}
+
+// Public state of a job rebuilt from its model's processing_status, for
+// lookups after the queue has forgotten it
+function jobFromProcessingStatus(id, processingStatus, result = null) {
+  const stage = Object.keys(STAGE_PROCESSING_STATUS)
+    .find(name => STAGE_PROCESSING_STATUS[name] === processingStatus) || null;
+
+  if (processingStatus === 'queued' || stage) {
+    // The server restarted while it was processed; it will not finish
+    return {
+      id,
+      status: UPLOAD_JOB_STATUS.FAILED,
+      stage,
+      progress: 0,
+      error: { error: 'Processing was interrupted, upload the model again', code: UPLOAD_JOB_ERRORS.FAILED },
+      result: null
+    };
+  }
+  if (processingStatus === 'failed') {
+    return {
+      id,
+      status: UPLOAD_JOB_STATUS.FAILED,
+      stage: null,
+      progress: 0,
+      error: { error: 'Failed to process model', code: UPLOAD_JOB_ERRORS.FAILED },
+      result: null
+    };
+  }
+  return { id, status: UPLOAD_JOB_STATUS.COMPLETED, stage: null, progress: 1, error: null, result };
+}
+
+class UploadJobQueue extends EventEmitter {
+  // stages: { validate, optimize, thumbnail, store }, each
+  // async (job, progress) => {}; progress(fraction) reports how far the
+  // stage is. Stages share job.data (the upload and what earlier stages
+  // made of it) and set job.result for the uploader.
+  // persist: async (job) => {}, awaited after every change of status or
+  // stage, in order
+  constructor({ stages = {}, persist = async () => {}, ...options } = {}) {
+    super();
+    this.stages = stages;
+    this.persist = persist;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.jobs = new Map();
+    this.waiting = [];
+    this.running = new Set();
+    this.closed = false;
+  }
+
+  // Throw the UploadJobError add would when `count` more jobs do not fit
+  checkRoom(count = 1) {
+    if (this.closed) {
+      throw new UploadJobError({ error: 'Server is shutting down, try again shortly', code: UPLOAD_JOB_ERRORS.SHUTTING_DOWN });
+    }
+    if (this.waiting.length + count > this.options.maxQueued) {
+      throw new UploadJobError({ error: 'Too many uploads are being processed, try again later', code: UPLOAD_JOB_ERRORS.QUEUE_FULL });
+    }
+  }
+
+  // Queue an upload: data is passed to the stages, userId is the only one
+  // who may look the job up. Throws UploadJobError when full or closed.
+  add(id, { userId, data }) {
+    this.checkRoom();
+
+    const job = {
+      id,
+      userId,
+      data,
+      status: UPLOAD_JOB_STATUS.QUEUED,
+      stage: null,
+      progress: 0,
+      error: null,
+      result: null,
+      createdAt: Date.now(),
+      saved: Promise.resolve()
+    };
+    this.jobs.set(id, job);
+    this.waiting.push(job);
+    this.changed(job);
+    setImmediate(() => this.next());
+    return this.view(job);
+  }
+
+  // Public state of a job, or null
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.view(job) : null;
+  }
+
+  view(job) {
+    const { id, userId, status, stage, progress, error, result, createdAt } = job;
+    return { id, userId, status, stage, progress, error, result, createdAt };
+  }
+
+  // Emit the change; status and stage changes are also persisted, one after
+  // the other
+  changed(job, persist = true) {
+    const view = this.view(job);
+    this.emit('update', view);
+
+    if (persist) {
+      job.saved = job.saved
+        .then(() => this.persist(view))
+        .catch(error => console.error(`Error saving upload job ${job.id}:`, error));
+    }
+    return job.saved;
+  }
+
+  next() {
+    while (!this.closed && this.running.size < this.options.concurrency && this.waiting.length > 0) {
+      const job = this.waiting.shift();
+      const run = this.run(job).finally(() => {
+        this.running.delete(run);
+        this.next();
+      });
+      this.running.add(run);
+    }
+  }
+
+  async run(job) {
+    try {
+      for (const [index, stage] of UPLOAD_JOB_STAGES.entries()) {
+        job.status = UPLOAD_JOB_STATUS.PROCESSING;
+        job.stage = stage;
+        job.progress = index / UPLOAD_JOB_STAGES.length;
+        await this.changed(job);
+
+        const handler = this.stages[stage];
+        if (!handler) continue;
+
+        await handler(job, fraction => {
+          const clamped = Math.min(Math.max(fraction, 0), 1);
+          job.progress = (index + clamped) / UPLOAD_JOB_STAGES.length;
+          this.changed(job, false);
+        });
+      }
+
+      job.status = UPLOAD_JOB_STATUS.COMPLETED;
+      job.stage = null;
+      job.progress = 1;
+    } catch (error) {
+      if (!(error instanceof UploadJobError)) {
+        console.error(`Upload job ${job.id} failed in ${job.stage}:`, error);
+      }
+      job.status = UPLOAD_JOB_STATUS.FAILED;
+      job.error = error instanceof UploadJobError
+        ? error.body
+        : { error: 'Failed to process model', code: UPLOAD_JOB_ERRORS.FAILED };
+    }
+
+    job.data = null; // the upload itself is no longer needed
+    await this.changed(job);
+    this.forgetLater(job);
+  }
+
+  forgetLater(job) {
+    const timer = setTimeout(() => this.jobs.delete(job.id), this.options.keepFinished);
+    if (timer.unref) timer.unref();
+  }
+
+  // Stop taking jobs: waiting ones fail, running ones are waited for (up to
+  // `timeout` ms)
+  async close(timeout = 10000) {
+    this.closed = true;
+
+    for (const job of this.waiting.splice(0)) {
+      job.status = UPLOAD_JOB_STATUS.FAILED;
+      job.data = null;
+      job.error = { error: 'Server is shutting down, upload the model again', code: UPLOAD_JOB_ERRORS.SHUTTING_DOWN };
+      await this.changed(job);
+    }
+
+    let timer;
+    const expired = new Promise(resolve => { timer = setTimeout(resolve, timeout); });
+    await Promise.race([Promise.all(this.running), expired]);
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  UPLOAD_JOB_ERRORS,
+  UPLOAD_JOB_STAGES,
+  UPLOAD_JOB_STATUS,
+  UploadJobError,
+  UploadJobQueue,
+  processingStatusOf,
+  isUnfinishedUpload,
+  jobFromProcessingStatus
+};
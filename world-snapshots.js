@@ -0,0 +1,127 @@
+// Space layout snapshots: what a restore would change, and when automatic
+// snapshots are due. A snapshot holds a space's objects and uploaded models
+// in their in-memory format (keyed by objectId / modelId); restoring one
+// brings the live space back to that layout.
+
+const SNAPSHOT_KINDS = {
+  MANUAL: 'manual',          // named by a space admin, kept until deleted
+  AUTO: 'auto',              // taken on the backup schedule
+  PRE_RESTORE: 'pre-restore' // the layout a restore replaced
+};
+
+const TRANSFORM_FIELDS = ['position', 'rotation', 'scale'];
+const PERMISSION_FIELDS = ['locked', 'isPublic'];
+
+// Bookkeeping that does not make two layouts different
+const IGNORED_FIELDS = ['createdAt', 'updatedAt', 'addedBy'];
+
+function toEntries(objects) {
+  if (!objects) return new Map();
+  return objects instanceof Map ? objects : new Map(Object.entries(objects));
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+// Fields of an object that differ between two versions of it
+function changedFields(current, target) {
+  const fields = new Set([...Object.keys(current), ...Object.keys(target)]);
+
+  return Array.from(fields).filter(field =>
+    !IGNORED_FIELDS.includes(field) && !sameValue(current[field], target[field])
+  );
+}
+
+// What restoring `target` over `current` does, both as Maps or plain
+// objects of objects by id:
+//   added   - objects the restore brings back
+//   removed - objects the restore deletes
+//   changed - { objectId, fields, before, after } for objects in both
+function diffObjects(current, target) {
+  const currentObjects = toEntries(current);
+  const targetObjects = toEntries(target);
+  const diff = { added: [], removed: [], changed: [] };
+
+  for (const [objectId, object] of targetObjects) {
+    const existing = currentObjects.get(objectId);
+
+    if (!existing) {
+      diff.added.push(object);
+      continue;
+    }
+
+    const fields = changedFields(existing, object);
+    if (fields.length > 0) {
+      diff.changed.push({ objectId, fields, before: existing, after: object });
+    }
+  }
+
+  for (const [objectId, object] of currentObjects) {
+    if (!targetObjects.has(objectId)) diff.removed.push(object);
+  }
+
+  return diff;
+}
+
+// A change a restore can apply as a move and/or permission update; anything
+// else (another model, name, ...) replaces the object
+function isInPlaceChange(change) {
+  return change.fields.every(field =>
+    TRANSFORM_FIELDS.includes(field) || PERMISSION_FIELDS.includes(field)
+  );
+}
+
+// Counts and names for showing a diff before restoring
+function summarizeDiff(diff) {
+  const describe = object => ({ objectId: object.objectId, name: object.name || null });
+
+  return {
+    added: diff.added.map(describe),
+    removed: diff.removed.map(describe),
+    changed: diff.changed.map(change => ({ ...describe(change.after), fields: change.fields }))
+  };
+}
+
+// ==================== SCHEDULE ====================
+
+// One cron field ("*", "5", "1-5", "*/15", "0,30") against a value
+function matchesCronField(field, value) {
+  return field.split(',').some(part => {
+    const [range, step] = part.split('/');
+    const every = step ? parseInt(step, 10) : 1;
+
+    if (range === '*') return value % every === 0;
+
+    const [start, end] = range.split('-').map(n => parseInt(n, 10));
+    const last = end === undefined ? (step ? Infinity : start) : end;
+    return value >= start && value <= last && (value - start) % every === 0;
+  });
+}
+
+// Whether a five-field cron expression (minute hour day month weekday, as in
+// BACKUP_SCHEDULE) covers the minute of `date`
+function isScheduleDue(schedule, date = new Date()) {
+  const fields = String(schedule || '').trim().split(/\s+/);
+  if (fields.length !== 5) return false;
+
+  const values = [
+    date.getMinutes(),
+    date.getHours(),
+    date.getDate(),
+    date.getMonth() + 1,
+    date.getDay()
+  ];
+
+  return fields.every((field, index) => matchesCronField(field, values[index]));
+}
+
+module.exports = {
+  SNAPSHOT_KINDS,
+  TRANSFORM_FIELDS,
+  PERMISSION_FIELDS,
+  diffObjects,
+  isInPlaceChange,
+  summarizeDiff,
+  isScheduleDue
+};